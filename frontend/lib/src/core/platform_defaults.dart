@@ -38,6 +38,11 @@ String configuredApiBaseUrl() {
   return const String.fromEnvironment('ACT_API_BASE_URL');
 }
 
+// The Web Push relay (tools/push-relay.mjs) the web app subscribes with.
+String configuredPushRelayUrl() {
+  return const String.fromEnvironment('ACT_PUSH_RELAY_URL');
+}
+
 bool hasConfiguredApiBaseUrlOverride() {
   return configuredApiBaseUrl().isNotEmpty;
 }
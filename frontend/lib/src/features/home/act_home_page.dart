@@ -42,6 +42,11 @@ import 'package:act_frontend/src/services/file_content_cache.dart';
 import 'package:act_frontend/src/services/mock_act_client.dart';
 import 'package:act_frontend/src/services/mock_terminal_socket_client.dart';
 import 'package:act_frontend/src/services/terminal_socket_client.dart';
+import 'package:act_frontend/src/services/web_app_update.dart';
+import 'package:act_frontend/src/services/web_launch.dart';
+import 'package:act_frontend/src/services/web_outbox.dart';
+import 'package:act_frontend/src/services/web_push.dart';
+import 'package:act_frontend/src/services/web_share.dart';
 import 'package:app_links/app_links.dart';
 import 'package:file_picker/file_picker.dart';
 import 'package:flutter/foundation.dart';
@@ -64,6 +69,7 @@ part 'codex_actions/codex_diff_viewer.dart';
 part 'codex_actions/codex_extension_ui.dart';
 part 'act_home_task_file_actions.dart';
 part 'task_actions/task_scope_actions.dart';
+part 'task_actions/launch_actions.dart';
 part 'task_actions/create_task_launcher.dart';
 part 'task_actions/file_actions.dart';
 part 'task_actions/create_task_models.dart';
@@ -191,6 +197,12 @@ class _ActHomePageState extends State<ActHomePage> {
 
   AgentSettingsController? _agentSettingsController;
   StreamSubscription<Uri>? _linkSubscription;
+  StreamSubscription<WebAppUpdate>? _webAppUpdateSub;
+  StreamSubscription<List<WebOutboxItem>>? _webOutboxSub;
+  List<WebOutboxItem> _webOutboxItems = const [];
+  StreamSubscription<WebLaunch>? _webLaunchSub;
+  WebLaunch? _pendingWebLaunch;
+  String? _pendingWebShareId;
   bool _isLoading = true;
   bool _isSaving = false;
   bool _isRefreshingWorkspaces = false;
@@ -225,6 +237,7 @@ class _ActHomePageState extends State<ActHomePage> {
   RunnerReadiness? _runnerReadiness;
   List<NativeTask> _tasks = const [];
   NativeTask? _selectedTask;
+  String? _selectedTaskRunId;
   String? _tasksWorkspaceId;
   bool _isLoadingTasks = false;
   String? _executionStatus;
@@ -305,6 +318,10 @@ class _ActHomePageState extends State<ActHomePage> {
   void dispose() {
     _agentSettingsController?.removeListener(_syncAgentSettings);
     _linkSubscription?.cancel();
+    _webAppUpdateSub?.cancel();
+    _webOutboxSub?.cancel();
+    _webLaunchSub?.cancel();
+    setWebOutboxAuthProvider(null);
     _workspaceNameController.dispose();
     _workspacePathController.dispose();
     for (final timer in _fileDraftSaveTimers.values) {
@@ -396,6 +413,10 @@ class _ActHomePageState extends State<ActHomePage> {
                     onChooseAgentSettings: _showAgentSettings,
                     onOpenServerProcesses: _showServerProcesses,
                     onOpenWorkspaceChanges: _showWorkspaceChanges,
+                    onOpenOfflineChanges: _webOutboxItems.isEmpty
+                        ? null
+                        : _showWebOutbox,
+                    offlineChangeCount: _webOutboxItems.length,
                     defaultAgentProvider: _selectedAgentProvider,
                     onManageAccounts: _showLinkedAccountsDialog,
                     activeProfileLabel: _activeProfileLabel,
@@ -77,12 +77,19 @@ extension _ActHomeWorkspaceBuilder on _ActHomePageState {
       agentProvider: _selectedAgentProvider,
       tasks: _tasks,
       selectedTask: _selectedTask,
+      selectedRunId: _selectedTaskRunId,
       isLoading: _isLoadingTasks,
       executionStatus: _executionStatus,
       onRefresh: () => _refreshTasksForWorkspace(_selectedWorkspace),
       onTaskScopeChanged: _setTaskScopeFilter,
-      onTaskCleared: () => setState(() => _selectedTask = null),
-      onTaskSelected: (task) => setState(() => _selectedTask = task),
+      onTaskCleared: () => setState(() {
+        _selectedTask = null;
+        _selectedTaskRunId = null;
+      }),
+      onTaskSelected: (task) => setState(() {
+        _selectedTask = task;
+        _selectedTaskRunId = null;
+      }),
       onRunTask: _runTask,
       onUpdateTask: _updateTask,
       onOpenCodexSession: _openTaskCodexSession,
@@ -3,6 +3,7 @@ part of '../act_home_page.dart';
 
 extension _ActHomeSettingsProfiles on _ActHomePageState {
   Future<void> _bootstrap() async {
+    _pendingWebShareId = takeInitialWebShareId();
     await _loadSettings();
     if (!actMockMode) {
       for (final uri in authCallbackUrisForBootstrap()) {
@@ -19,7 +20,173 @@ extension _ActHomeSettingsProfiles on _ActHomePageState {
     if (!actMockMode) {
       unawaited(_listenForNativeCallbacks());
     }
+    _webAppUpdateSub = webAppUpdates().listen(_offerWebAppUpdate);
+    if (!actMockMode) {
+      _webOutboxSub = webOutboxChanges().listen(_showWebOutboxStatus);
+      setWebOutboxAuthProvider(_webOutboxAuthToken);
+      unawaited(webOutboxItems().then(_showWebOutboxStatus));
+    }
+    _webLaunchSub = webLaunches().listen(_queueWebLaunch);
     await _refreshAll();
+    _offerWebPush();
+  }
+
+  // Writes queued offline by the service worker are replayed with whatever
+  // token is current then, refreshed first when the server rejected it.
+  Future<String?> _webOutboxAuthToken(bool forceRefresh) async {
+    if (forceRefresh && _refreshToken.isNotEmpty) {
+      try {
+        await _persistTokens(await _authOs.refreshToken(_refreshToken));
+      } catch (_) {
+        return null;
+      }
+    }
+    return _authToken.isEmpty ? null : _authToken;
+  }
+
+  void _showWebOutboxStatus(List<WebOutboxItem> items) {
+    if (!mounted) {
+      return;
+    }
+    final previous = _webOutboxItems;
+    final pending = items.where((item) => item.isPending).length;
+    final failed = items.length - pending;
+    final newlyFailed =
+        failed > previous.where((item) => !item.isPending).length;
+    setState(() {
+      _webOutboxItems = items;
+      if (items.isNotEmpty) {
+        _statusMessage = _webOutboxMessage(items);
+      } else if (previous.isNotEmpty) {
+        // Discarded items have already left `_webOutboxItems`.
+        _statusMessage = 'Offline changes sent';
+      }
+    });
+    if (pending == 0 && newlyFailed) {
+      ScaffoldMessenger.of(context).showSnackBar(
+        SnackBar(
+          content: Text(_webOutboxMessage(items)!),
+          behavior: SnackBarBehavior.floating,
+          action: SnackBarAction(
+            label: 'Review',
+            onPressed: () => unawaited(_showWebOutbox()),
+          ),
+        ),
+      );
+    }
+  }
+
+  String? _webOutboxMessage(List<WebOutboxItem> items) {
+    final pending = items.where((item) => item.isPending).length;
+    final failed = items.length - pending;
+    if (pending > 0) {
+      return '$pending offline ${pending == 1 ? 'change' : 'changes'} waiting to send';
+    }
+    if (failed > 0) {
+      return '$failed offline ${failed == 1 ? 'change was' : 'changes were'} rejected: '
+          '${items.first.lastError ?? 'unknown error'}';
+    }
+    return null;
+  }
+
+  // Dropped from the local list first so the change that follows is not taken
+  // for the item having been sent.
+  Future<void> _discardWebOutboxItem(WebOutboxItem item) async {
+    final remaining = [
+      for (final other in _webOutboxItems)
+        if (other.id != item.id) other,
+    ];
+    setState(() {
+      if (_statusMessage == _webOutboxMessage(_webOutboxItems)) {
+        _statusMessage = _webOutboxMessage(remaining);
+      }
+      _webOutboxItems = remaining;
+    });
+    await discardWebOutboxItem(item.id);
+  }
+
+  // Lists what the service worker still holds so rejected writes can be sent
+  // again or dropped; the list follows the outbox while the dialog is open.
+  Future<void> _showWebOutbox() async {
+    await showDialog<void>(
+      context: context,
+      builder: (dialogContext) => StreamBuilder<List<WebOutboxItem>>(
+        stream: webOutboxChanges(),
+        initialData: _webOutboxItems,
+        builder: (context, snapshot) {
+          final items = snapshot.data ?? const <WebOutboxItem>[];
+          return AlertDialog(
+            title: const Text('Offline changes'),
+            content: SizedBox(
+              width: 420,
+              child: items.isEmpty
+                  ? const Text('Nothing is waiting to send.')
+                  : ListView(
+                      shrinkWrap: true,
+                      children: [
+                        for (final item in items)
+                          ListTile(
+                            leading: Icon(
+                              item.isPending
+                                  ? Icons.schedule
+                                  : Icons.error_outline,
+                            ),
+                            title: Text(
+                              item.label.isEmpty
+                                  ? '${item.method} ${item.url}'
+                                  : item.label,
+                            ),
+                            subtitle: Text(
+                              item.isPending
+                                  ? 'Waiting to send'
+                                  : item.lastError ?? 'Rejected by the server',
+                            ),
+                            trailing: IconButton(
+                              tooltip: 'Discard',
+                              icon: const Icon(Icons.delete_outline),
+                              onPressed: () =>
+                                  unawaited(_discardWebOutboxItem(item)),
+                            ),
+                          ),
+                      ],
+                    ),
+            ),
+            actions: [
+              TextButton(
+                onPressed: () => Navigator.pop(dialogContext),
+                child: const Text('Close'),
+              ),
+              FilledButton.icon(
+                onPressed: items.isEmpty
+                    ? null
+                    : () => unawaited(flushWebOutbox()),
+                icon: const Icon(Icons.sync),
+                label: const Text('Retry'),
+              ),
+            ],
+          );
+        },
+      ),
+    );
+  }
+
+  // The new build stays waiting until the user picks a moment to reload, so a
+  // running terminal or half-written task is never swapped out underneath.
+  void _offerWebAppUpdate(WebAppUpdate update) {
+    if (!mounted) {
+      return;
+    }
+    ScaffoldMessenger.of(context).showSnackBar(
+      SnackBar(
+        content: Text('ACT ${update.label} is ready'),
+        behavior: SnackBarBehavior.floating,
+        duration: const Duration(days: 1),
+        action: SnackBarAction(
+          label: 'Reload',
+          onPressed: () => unawaited(applyWebAppUpdate()),
+        ),
+      ),
+    );
   }
 
   Future<void> _loadSettings() async {
@@ -11,6 +11,9 @@ class _CreateTaskDialog extends StatefulWidget {
     required this.initialAgentProvider,
     required this.initialProviderModel,
     required this.initialProviderThinkingLevel,
+    this.initialTitle = '',
+    this.initialDescription = '',
+    this.initialAttachments = const [],
   });
 
   final Workspace? workspace;
@@ -21,6 +24,9 @@ class _CreateTaskDialog extends StatefulWidget {
   final String initialAgentProvider;
   final String initialProviderModel;
   final String initialProviderThinkingLevel;
+  final String initialTitle;
+  final String initialDescription;
+  final List<_TaskAttachmentDraft> initialAttachments;
 
   @override
   State<_CreateTaskDialog> createState() => _CreateTaskDialogState();
@@ -48,6 +54,9 @@ class _CreateTaskDialogState extends State<_CreateTaskDialog> {
   void initState() {
     super.initState();
     _agentProvider = widget.initialAgentProvider;
+    _titleController.text = widget.initialTitle;
+    _descriptionController.text = widget.initialDescription;
+    _attachments.addAll(widget.initialAttachments);
     _selectedWorkspaceIds = {
       if (widget.workspace != null) widget.workspace!.id,
     };
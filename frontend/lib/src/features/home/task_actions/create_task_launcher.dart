@@ -2,7 +2,11 @@ part of '../act_home_page.dart';
 // ignore_for_file: invalid_use_of_protected_member
 
 extension _ActHomeCreateTaskLauncher on _ActHomePageState {
-  Future<void> _showCreateTaskDialog() async {
+  Future<void> _showCreateTaskDialog({
+    String initialTitle = '',
+    String initialDescription = '',
+    List<_TaskAttachmentDraft> initialAttachments = const [],
+  }) async {
     final workspace = _selectedWorkspace;
     final collection = _selectedCollection;
     if (workspace == null && collection == null) {
@@ -18,6 +22,9 @@ extension _ActHomeCreateTaskLauncher on _ActHomePageState {
       initialAgentProvider: _selectedAgentProvider,
       initialProviderModel: _selectedProviderModel,
       initialProviderThinkingLevel: _selectedProviderThinkingLevel,
+      initialTitle: initialTitle,
+      initialDescription: initialDescription,
+      initialAttachments: initialAttachments,
     );
     final isMobile = MediaQuery.sizeOf(context).width < 760;
     final Future<_CreateTaskDraft?> draftFuture;
@@ -61,7 +68,7 @@ extension _ActHomeCreateTaskLauncher on _ActHomePageState {
             taskId: createdTask.id,
             originalFilename: attachment.name,
             contentType: attachment.contentType,
-            bytes: attachment.bytes,
+            bytes: await attachment.readBytes(),
           );
         } catch (_) {
           failedUploads.add(attachment.name);
@@ -34,12 +34,29 @@ class _TaskAttachmentDraft {
   const _TaskAttachmentDraft({
     required this.name,
     required this.contentType,
-    required this.bytes,
-  });
+    required List<int> bytes,
+  }) : _bytes = bytes,
+       _stagedByteSize = 0,
+       _loadStaged = null;
+
+  // A file shared into the web app. It stays in the service worker and is
+  // only read when the task exists and the attachment is uploaded.
+  const _TaskAttachmentDraft.staged({
+    required this.name,
+    required this.contentType,
+    required int byteSize,
+    required Future<List<int>> Function() load,
+  }) : _bytes = null,
+       _stagedByteSize = byteSize,
+       _loadStaged = load;
 
   final String name;
   final String contentType;
-  final List<int> bytes;
+  final List<int>? _bytes;
+  final int _stagedByteSize;
+  final Future<List<int>> Function()? _loadStaged;
+
+  int get byteSize => _bytes?.length ?? _stagedByteSize;
 
-  int get byteSize => bytes.length;
+  Future<List<int>> readBytes() async => _bytes ?? await _loadStaged!();
 }
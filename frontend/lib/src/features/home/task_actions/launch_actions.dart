@@ -0,0 +1,191 @@
+part of '../act_home_page.dart';
+// ignore_for_file: invalid_use_of_protected_member
+
+extension _ActHomeLaunchActions on _ActHomePageState {
+  // Launches that arrive before sign-in wait until there is a session.
+  void _queueWebLaunch(WebLaunch launch) {
+    _pendingWebLaunch = launch;
+    if (_hasToken && !_isLoading) {
+      unawaited(_openPendingWebLaunch());
+    }
+  }
+
+  // The link that opened the tab stays with the page (web/index.html) until
+  // now, so a sign-in redirect in between does not lose it.
+  Future<void> _openPendingWebLaunch() async {
+    if (!_hasToken || !mounted) {
+      return;
+    }
+    final launch = _pendingWebLaunch ?? takePendingWebLaunch();
+    _pendingWebLaunch = null;
+    if (launch == null) {
+      return;
+    }
+    switch (launch.kind) {
+      case WebLaunchKind.task:
+        await _openLaunchedTask(launch.id, runId: launch.runId);
+      case WebLaunchKind.workspace:
+        await _openLaunchedWorkspace(launch.id);
+      case WebLaunchKind.workspaceFile:
+        await _openLaunchedWorkspace(launch.id, filePath: launch.path);
+      case WebLaunchKind.codexSession:
+        await _openTaskCodexSession(launch.id);
+    }
+  }
+
+  Future<void> _openLaunchedWorkspace(
+    String workspaceId, {
+    String? filePath,
+  }) async {
+    final workspace = _workspaces.cast<Workspace?>().firstWhere(
+      (candidate) => candidate?.id == workspaceId,
+      orElse: () => null,
+    );
+    if (workspace == null) {
+      setState(() => _statusMessage = 'Workspace $workspaceId was not found');
+      return;
+    }
+    if (workspace.id != _selectedWorkspace?.id) {
+      await _selectWorkspace(workspace);
+    }
+    final path = filePath?.replaceFirst(RegExp(r'^/+'), '');
+    if (path == null || path.isEmpty || !mounted) {
+      return;
+    }
+    await _selectFile(
+      FileItem(name: path.split('/').last, path: path, isDirectory: false),
+    );
+  }
+
+  Future<void> _openLaunchedTask(String taskId, {String? runId}) async {
+    try {
+      final task = await _api.nativeTask(taskId);
+      if (!mounted) {
+        return;
+      }
+      final workspace = _workspaces.cast<Workspace?>().firstWhere(
+        (candidate) => task.workspaces.any(
+          (entry) => entry.workspaceId == candidate?.id,
+        ),
+        orElse: () => null,
+      );
+      if (workspace != null && workspace.id != _selectedWorkspace?.id) {
+        await _selectWorkspace(workspace);
+      }
+      if (!mounted) {
+        return;
+      }
+      final run = runId == null
+          ? null
+          : task.runs.cast<NativeTaskRun?>().firstWhere(
+              (candidate) => candidate?.id == runId,
+              orElse: () => null,
+            );
+      setState(() {
+        _selectedTask = task;
+        _selectedTaskRunId = run?.id;
+        _mobileIndex = 2;
+        _statusMessage = run == null
+            ? 'Opened ${task.title}'
+            : 'Opened ${task.title}: run ${run.status}';
+      });
+    } catch (error) {
+      if (mounted) {
+        setState(() => _statusMessage = 'Could not open task: $error');
+      }
+    }
+  }
+
+  // Content shared into the web app opens the create-task flow once there is
+  // a session and a workspace to create the task in. Shared files upload from
+  // the service worker after the task exists; the share is discarded when the
+  // dialog closes either way.
+  Future<void> _openPendingWebShare() async {
+    final shareId = _pendingWebShareId;
+    if (shareId == null || !_hasToken || !mounted) {
+      return;
+    }
+    if (_selectedWorkspace == null && _selectedCollection == null) {
+      setState(
+        () => _statusMessage = 'Add a workspace to create a task from a share',
+      );
+      return;
+    }
+    _pendingWebShareId = null;
+    final WebShare? share;
+    try {
+      share = await webShare(shareId);
+    } catch (error) {
+      if (mounted) {
+        setState(() => _statusMessage = 'Could not open the share: $error');
+      }
+      return;
+    }
+    if (share == null || !mounted) {
+      return;
+    }
+    const maxBytes = _CreateTaskDialogState._maxAttachmentBytes;
+    final tooLarge = share.files.where((file) => file.size > maxBytes);
+    if (tooLarge.isNotEmpty) {
+      setState(
+        () => _statusMessage =
+            'Skipped shared files over 100MB: '
+            '${tooLarge.map((file) => file.name).join(', ')}',
+      );
+    }
+    setState(() => _mobileIndex = 2);
+    await _showCreateTaskDialog(
+      initialTitle: share.taskTitle,
+      initialDescription: share.taskDescription,
+      initialAttachments: [
+        for (final file in share.files)
+          if (file.size <= maxBytes)
+            _TaskAttachmentDraft.staged(
+              name: file.name,
+              contentType: file.contentType,
+              byteSize: file.size,
+              load: () => webSharedFileBytes(shareId, file.index),
+            ),
+      ],
+    );
+    unawaited(discardWebShare(shareId).catchError((_) {}));
+  }
+
+  // Offered once per page load when a push relay is configured; browsers
+  // only show the permission prompt in response to a user gesture.
+  void _offerWebPush() {
+    final relayUrl = configuredPushRelayUrl();
+    if (actMockMode || relayUrl.isEmpty || !_hasToken || !mounted) {
+      return;
+    }
+    switch (webPushPermission()) {
+      case 'granted':
+        unawaited(_enableWebPush(relayUrl, announce: false));
+      case 'default':
+        ScaffoldMessenger.of(context).showSnackBar(
+          SnackBar(
+            content: const Text('Get notified when runs finish?'),
+            behavior: SnackBarBehavior.floating,
+            duration: const Duration(seconds: 10),
+            action: SnackBarAction(
+              label: 'Enable',
+              onPressed: () => unawaited(_enableWebPush(relayUrl)),
+            ),
+          ),
+        );
+    }
+  }
+
+  Future<void> _enableWebPush(String relayUrl, {bool announce = true}) async {
+    try {
+      await enableWebPush(relayUrl);
+      if (announce && mounted) {
+        setState(() => _statusMessage = 'Notifications enabled');
+      }
+    } catch (error) {
+      if (mounted) {
+        setState(() => _statusMessage = 'Notifications unavailable: $error');
+      }
+    }
+  }
+}
@@ -17,6 +17,8 @@ class AppTopBar extends StatelessWidget {
     this.onChooseAgentSettings,
     this.onOpenServerProcesses,
     this.onOpenWorkspaceChanges,
+    this.onOpenOfflineChanges,
+    this.offlineChangeCount = 0,
     this.activeProfileLabel = 'Hosted ACT',
     this.onManageAccounts,
     this.onSwitchProfile,
@@ -46,6 +48,8 @@ class AppTopBar extends StatelessWidget {
   final VoidCallback onChooseTheme;
   final VoidCallback? onOpenServerProcesses;
   final VoidCallback? onOpenWorkspaceChanges;
+  final VoidCallback? onOpenOfflineChanges;
+  final int offlineChangeCount;
   final VoidCallback? onChooseAgentSettings;
   final String defaultAgentProvider;
   final String activeProfileLabel;
@@ -201,6 +205,8 @@ class AppTopBar extends StatelessWidget {
                         onOpenServerProcesses?.call();
                       case _TopBarMenuAction.workspaceChanges:
                         onOpenWorkspaceChanges?.call();
+                      case _TopBarMenuAction.offlineChanges:
+                        onOpenOfflineChanges?.call();
                       case _TopBarMenuAction.manageAccounts:
                         onManageAccounts?.call();
                       case _TopBarMenuAction.switchProfile:
@@ -249,6 +255,14 @@ class AppTopBar extends StatelessWidget {
                         label: 'Workspace changes',
                       ),
                     ),
+                    if (onOpenOfflineChanges != null)
+                      PopupMenuItem(
+                        value: _TopBarMenuAction.offlineChanges,
+                        child: _TerminalMenuItem(
+                          icon: Icons.cloud_off_outlined,
+                          label: 'Offline changes ($offlineChangeCount)',
+                        ),
+                      ),
                     const PopupMenuItem(
                       value: _TopBarMenuAction.theme,
                       child: _TerminalMenuItem(
@@ -330,6 +344,8 @@ class AppTopBar extends StatelessWidget {
                         onOpenServerProcesses?.call();
                       case _TopBarMenuAction.workspaceChanges:
                         onOpenWorkspaceChanges?.call();
+                      case _TopBarMenuAction.offlineChanges:
+                        onOpenOfflineChanges?.call();
                       case _TopBarMenuAction.manageAccounts:
                         onManageAccounts?.call();
                       case _TopBarMenuAction.switchProfile:
@@ -363,6 +379,14 @@ class AppTopBar extends StatelessWidget {
                         label: 'Workspace changes',
                       ),
                     ),
+                    if (onOpenOfflineChanges != null)
+                      PopupMenuItem(
+                        value: _TopBarMenuAction.offlineChanges,
+                        child: _TerminalMenuItem(
+                          icon: Icons.cloud_off_outlined,
+                          label: 'Offline changes ($offlineChangeCount)',
+                        ),
+                      ),
                     const PopupMenuItem(
                       value: _TopBarMenuAction.theme,
                       child: _TerminalMenuItem(
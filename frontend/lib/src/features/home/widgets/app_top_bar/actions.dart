@@ -87,6 +87,7 @@ enum _TopBarMenuAction {
   agentSettings,
   serverProcesses,
   workspaceChanges,
+  offlineChanges,
   theme,
   manageAccounts,
   switchProfile,
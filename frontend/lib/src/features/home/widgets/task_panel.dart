@@ -92,6 +92,7 @@ class TaskPanel extends StatelessWidget {
     this.onTaskScopeChanged,
     this.showHeader = true,
     this.agentProvider = 'codex',
+    this.selectedRunId,
     super.key,
   });
 
@@ -105,6 +106,9 @@ class TaskPanel extends StatelessWidget {
   final String agentProvider;
   final List<NativeTask> tasks;
   final NativeTask? selectedTask;
+  // Shown in the task detail instead of the latest run when it belongs to the
+  // selected task.
+  final String? selectedRunId;
   final bool isLoading;
   final String? executionStatus;
   final VoidCallback onRefresh;
@@ -163,6 +167,7 @@ class TaskPanel extends StatelessWidget {
                 : _TaskDetailView(
                     key: ValueKey(selectedTask!.id),
                     task: selectedTask!,
+                    selectedRunId: selectedRunId,
                     ready: _runnerReadyForAgent(
                       readiness,
                       selectedTask!.agentProvider,
@@ -4,15 +4,15 @@ part of '../task_panel.dart';
 
 extension _TaskDetailScroll on _TaskDetailViewState {
   Widget _buildDetailScroll({
-    required NativeTaskRun? latestRun,
+    required NativeTaskRun? run,
     required bool canEdit,
   }) {
     final builders = <WidgetBuilder>[
       (_) => _TaskStatusHeader(task: widget.task),
-      if (latestRun?.codexSessionId?.isNotEmpty == true)
+      if (run?.codexSessionId?.isNotEmpty == true)
         (_) => OutlinedButton.icon(
           onPressed: () =>
-              widget.onOpenCodexSession(latestRun!.codexSessionId!),
+              widget.onOpenCodexSession(run!.codexSessionId!),
           icon: const Icon(Icons.forum_outlined, size: 18),
           label: const Text('Open chat'),
         ),
@@ -138,31 +138,50 @@ extension _TaskDetailScroll on _TaskDetailViewState {
         title: 'Runs',
         icon: Icons.history,
         children: [
-          if (latestRun == null)
+          if (run == null)
             const Text('No runs yet')
           else ...[
-            _DetailRow(label: 'Latest', value: latestRun.status),
+            if (widget.task.runs.length > 1)
+              _TaskEditDropdown(
+                key: ValueKey('task-run-${run.id}'),
+                label: 'Run',
+                value: run.id,
+                options: [
+                  for (final (index, candidate) in widget.task.runs.indexed)
+                    _TaskEditOption(
+                      'Run ${widget.task.runs.length - index}: '
+                      '${candidate.status}',
+                      candidate.id,
+                      Icons.history,
+                    ),
+                ],
+                onChanged: (id) => setState(() => _selectedRunId = id),
+              ),
+            _DetailRow(
+              label: run.id == widget.task.latestRun?.id ? 'Latest' : 'Status',
+              value: run.status,
+            ),
             _DetailRow(
               label: 'Agent',
-              value: CodingAgents.byId(latestRun.agentProvider).label,
+              value: CodingAgents.byId(run.agentProvider).label,
             ),
-            if (latestRun.codexSessionId?.isNotEmpty == true)
-              _DetailRow(label: 'Chat', value: latestRun.codexSessionId!),
-            _DetailRow(label: 'Mode', value: latestRun.executionMode),
+            if (run.codexSessionId?.isNotEmpty == true)
+              _DetailRow(label: 'Chat', value: run.codexSessionId!),
+            _DetailRow(label: 'Mode', value: run.executionMode),
             _DetailRow(
               label: 'Artifacts',
-              value: '${latestRun.artifacts.length}',
+              value: '${run.artifacts.length}',
             ),
             _DetailRow(
               label: 'PRs',
-              value: latestRun.pullRequests.isEmpty
+              value: run.pullRequests.isEmpty
                   ? 'None'
-                  : '${latestRun.pullRequests.length}',
+                  : '${run.pullRequests.length}',
             ),
           ],
         ],
       ),
-      if (latestRun != null) ..._latestRunBuilders(latestRun),
+      if (run != null) ..._runBuilders(run),
     ];
     return ListView.builder(
       padding: const EdgeInsets.fromLTRB(12, 12, 12, 16),
@@ -185,14 +204,14 @@ extension _TaskDetailScroll on _TaskDetailViewState {
     );
   }
 
-  List<WidgetBuilder> _latestRunBuilders(NativeTaskRun latestRun) {
+  List<WidgetBuilder> _runBuilders(NativeTaskRun run) {
     return [
       (_) => _TaskDetailSection(
         title: 'Report',
         icon: Icons.article_outlined,
         children: [
-          if (latestRun.finalReport?.trim().isNotEmpty == true)
-            _TaskMarkdown(data: latestRun.finalReport!)
+          if (run.finalReport?.trim().isNotEmpty == true)
+            _TaskMarkdown(data: run.finalReport!)
           else
             const Text('No final report has been promoted yet.'),
           const SizedBox(height: 8),
@@ -200,9 +219,9 @@ extension _TaskDetailScroll on _TaskDetailViewState {
             spacing: 8,
             runSpacing: 8,
             children: [
-              if (_taskCanFinalize(widget.task, latestRun))
+              if (_taskCanFinalize(widget.task, run))
                 OutlinedButton.icon(
-                  onPressed: _isFinalizing ? null : () => _finalize(latestRun),
+                  onPressed: _isFinalizing ? null : () => _finalize(run),
                   icon: _isFinalizing
                       ? const SizedBox.square(
                           dimension: 14,
@@ -215,11 +234,11 @@ extension _TaskDetailScroll on _TaskDetailViewState {
                         : 'Finalize',
                   ),
                 ),
-              if (_taskCanCreatePullRequests(latestRun))
+              if (_taskCanCreatePullRequests(run))
                 OutlinedButton.icon(
                   onPressed: _isCreatingPrs
                       ? null
-                      : () => _createPullRequests(latestRun),
+                      : () => _createPullRequests(run),
                   icon: _isCreatingPrs
                       ? const SizedBox.square(
                           dimension: 14,
@@ -242,11 +261,11 @@ extension _TaskDetailScroll on _TaskDetailViewState {
           ),
           _DetailRow(
             label: 'Provided',
-            value: latestRun.artifacts.isEmpty
+            value: run.artifacts.isEmpty
                 ? 'No indexed artifacts'
-                : '${latestRun.artifacts.length} artifacts indexed',
+                : '${run.artifacts.length} artifacts indexed',
           ),
-          if (latestRun.artifacts.isEmpty)
+          if (run.artifacts.isEmpty)
             const Padding(
               padding: EdgeInsets.only(top: 8),
               child: Text(
@@ -255,25 +274,25 @@ extension _TaskDetailScroll on _TaskDetailViewState {
             ),
         ],
       ),
-      if (latestRun.artifacts.isNotEmpty)
+      if (run.artifacts.isNotEmpty)
         (_) => const _TaskDetailSectionHeader(
           title: 'Artifacts',
           icon: Icons.inventory_2_outlined,
         ),
-      for (final artifact in latestRun.artifacts)
+      for (final artifact in run.artifacts)
         (_) => _ArtifactTile(
           key: ValueKey('task-artifact-${artifact.id}'),
           task: widget.task,
-          run: latestRun,
+          run: run,
           artifact: artifact,
           onLoadArtifact: widget.onLoadArtifact,
         ),
-      if (latestRun.pullRequests.isNotEmpty)
+      if (run.pullRequests.isNotEmpty)
         (_) => const _TaskDetailSectionHeader(
           title: 'Pull Requests',
           icon: Icons.call_merge,
         ),
-      for (final pr in latestRun.pullRequests)
+      for (final pr in run.pullRequests)
         (_) => _PullRequestTile(key: ValueKey('task-pr-${pr.id}'), pr: pr),
     ];
   }
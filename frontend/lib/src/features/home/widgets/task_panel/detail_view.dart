@@ -15,10 +15,12 @@ class _TaskDetailView extends StatefulWidget {
     required this.onFinalizeRun,
     required this.onCreatePullRequests,
     required this.onCloneTask,
+    this.selectedRunId,
     super.key,
   });
 
   final NativeTask task;
+  final String? selectedRunId;
   final bool ready;
   final List<Workspace> availableWorkspaces;
   final List<WorkspaceCollection> availableCollections;
@@ -45,6 +47,7 @@ class _TaskDetailViewState extends State<_TaskDetailView> {
   late String _approvalMode;
   late String _evidencePreference;
   late String _agentProvider;
+  String? _selectedRunId;
   String? _titleError;
   String? _workspaceError;
   bool _isSaving = false;
@@ -74,6 +77,18 @@ class _TaskDetailViewState extends State<_TaskDetailView> {
     _approvalMode = widget.task.approvalMode;
     _evidencePreference = widget.task.evidencePreference;
     _agentProvider = CodingAgents.normalize(widget.task.agentProvider);
+    _selectedRunId = widget.selectedRunId;
+  }
+
+  @override
+  void didUpdateWidget(_TaskDetailView oldWidget) {
+    super.didUpdateWidget(oldWidget);
+    if (widget.selectedRunId != oldWidget.selectedRunId) {
+      _selectedRunId = widget.selectedRunId;
+    } else if (widget.task.latestRun?.id != oldWidget.task.latestRun?.id) {
+      // A run started from here replaces whichever run was being looked at.
+      _selectedRunId = null;
+    }
   }
 
   @override
@@ -86,7 +101,10 @@ class _TaskDetailViewState extends State<_TaskDetailView> {
 
   @override
   Widget build(BuildContext context) {
-    final latestRun = widget.task.latestRun;
+    final run = widget.task.runs.cast<NativeTaskRun?>().firstWhere(
+      (candidate) => candidate?.id == _selectedRunId,
+      orElse: () => widget.task.latestRun,
+    );
     final activeRun = _taskRunActive(widget.task);
     final canEdit = _taskCanEdit(widget.task);
     final canRun = _taskCanRun(widget.task) && widget.ready && !_isRunning;
@@ -135,7 +153,7 @@ class _TaskDetailViewState extends State<_TaskDetailView> {
           ),
         ),
         Expanded(
-          child: _buildDetailScroll(latestRun: latestRun, canEdit: canEdit),
+          child: _buildDetailScroll(run: run, canEdit: canEdit),
         ),
         Container(
           padding: const EdgeInsets.fromLTRB(12, 10, 12, 12),
@@ -14,6 +14,7 @@ class _TaskEditDropdown extends StatelessWidget {
     required this.value,
     required this.options,
     required this.onChanged,
+    super.key,
   });
 
   final String label;
@@ -77,6 +77,10 @@ extension _ActHomeWorkspaceRefresh on _ActHomePageState {
       if (_hasToken && selected != null) {
         unawaited(_refreshWorkspaceDetails(selected));
       }
+      if (_hasToken) {
+        unawaited(_openPendingWebLaunch());
+        unawaited(_openPendingWebShare());
+      }
     } catch (error) {
       if (allowTokenRefresh &&
           error is ActApiException &&
@@ -208,7 +212,10 @@ extension _ActHomeWorkspaceRefresh on _ActHomePageState {
       }
       _runnerReadiness = runnerReadiness;
       _tasks = tasks;
-      _selectedTask = tasks.isEmpty ? null : tasks.first;
+      _selectedTask = tasks.cast<NativeTask?>().firstWhere(
+        (task) => task?.id == _selectedTask?.id,
+        orElse: () => tasks.isEmpty ? null : tasks.first,
+      );
       _tasksWorkspaceId = _taskScopeKey(_taskScopeType, _taskScopeId);
       _workspaceRefreshError = detailsError;
       if (detailsError != null) {
@@ -25,6 +25,11 @@ extension ActApiTasks on ActApi {
     return ApiEnvelope.list(json, NativeTask.fromJson);
   }
 
+  Future<NativeTask> nativeTask(String taskId) async {
+    final json = await _get('/api/v1/tasks/${Uri.encodeComponent(taskId)}');
+    return ApiEnvelope.item(json, NativeTask.fromJson);
+  }
+
   Future<NativeTask> createNativeTask({
     required String title,
     required String description,
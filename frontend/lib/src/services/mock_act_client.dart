@@ -196,6 +196,17 @@ class MockActClient extends http.BaseClient {
     if (path.endsWith('/runs') && method == 'POST') {
       return _data(_run(status: 'running'));
     }
+    if (RegExp(r'^/api/v1/tasks/[^/]+$').hasMatch(path) && method == 'GET') {
+      final id = path.split('/').last;
+      final task = _allTasks().cast<Map<String, dynamic>?>().firstWhere(
+        (candidate) => candidate?['id'] == id,
+        orElse: () => null,
+      );
+      if (task == null) {
+        return (404, {'success': false, 'error': 'not_found: Task not found'});
+      }
+      return _data(task);
+    }
     if (RegExp(r'^/api/v1/tasks/[^/]+$').hasMatch(path) && method == 'PUT') {
       final updated = _task(
         id: path.split('/').last,
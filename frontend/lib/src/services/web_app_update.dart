@@ -0,0 +1,3 @@
+export 'web_app_update_types.dart';
+export 'web_app_update_stub.dart'
+    if (dart.library.js_interop) 'web_app_update_web.dart';
@@ -0,0 +1,5 @@
+import 'package:act_frontend/src/services/web_app_update_types.dart';
+
+Stream<WebAppUpdate> webAppUpdates() => const Stream.empty();
+
+Future<void> applyWebAppUpdate() async {}
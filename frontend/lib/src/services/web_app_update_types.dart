@@ -0,0 +1,26 @@
+class WebAppUpdate {
+  const WebAppUpdate({
+    required this.version,
+    required this.buildNumber,
+    required this.revision,
+  });
+
+  factory WebAppUpdate.fromJson(Map<String, dynamic> json) {
+    return WebAppUpdate(
+      version: json['version']?.toString() ?? '',
+      buildNumber: json['build_number']?.toString() ?? '',
+      revision: json['revision']?.toString() ?? '',
+    );
+  }
+
+  final String version;
+  final String buildNumber;
+  final String revision;
+
+  String get label {
+    if (version.isEmpty) {
+      return revision;
+    }
+    return buildNumber.isEmpty ? version : '$version+$buildNumber';
+  }
+}
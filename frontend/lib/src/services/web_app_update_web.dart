@@ -0,0 +1,48 @@
+import 'dart:async';
+import 'dart:js_interop';
+
+import 'package:act_frontend/src/services/web_app_update_types.dart';
+
+// Bridge defined in web/index.html next to the service worker registration.
+@JS('actServiceWorker')
+external _ActServiceWorker? get _serviceWorker;
+
+extension type _ActServiceWorker._(JSObject _) implements JSObject {
+  external JSFunction onUpdate(JSFunction listener);
+  external JSPromise<JSBoolean> activateUpdate();
+}
+
+// Emits when a new web build is installed and waiting to activate.
+Stream<WebAppUpdate> webAppUpdates() {
+  final bridge = _serviceWorker;
+  if (bridge == null) {
+    return const Stream.empty();
+  }
+
+  JSFunction? unsubscribe;
+  late final StreamController<WebAppUpdate> controller;
+  controller = StreamController<WebAppUpdate>(
+    onListen: () {
+      unsubscribe = bridge.onUpdate(
+        ((JSAny? version) {
+          final value = version.dartify();
+          if (value is Map) {
+            controller.add(
+              WebAppUpdate.fromJson(Map<String, dynamic>.from(value)),
+            );
+          }
+        }).toJS,
+      );
+    },
+    onCancel: () {
+      unsubscribe?.callAsFunction();
+      unsubscribe = null;
+    },
+  );
+  return controller.stream;
+}
+
+// Activates the waiting build; the page reloads once it takes control.
+Future<void> applyWebAppUpdate() async {
+  await _serviceWorker?.activateUpdate().toDart;
+}
@@ -0,0 +1,3 @@
+export 'web_launch_types.dart';
+export 'web_launch_stub.dart'
+    if (dart.library.js_interop) 'web_launch_web.dart';
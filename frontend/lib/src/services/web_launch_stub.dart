@@ -0,0 +1,5 @@
+import 'package:act_frontend/src/services/web_launch_types.dart';
+
+WebLaunch? takePendingWebLaunch() => null;
+
+Stream<WebLaunch> webLaunches() => const Stream.empty();
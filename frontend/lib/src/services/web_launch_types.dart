@@ -0,0 +1,53 @@
+// Where a link into the app should land. web/index.html parses `web+act:`
+// links and notification clicks into these before Flutter starts:
+// `task/<id>[/runs/<runId>]`, `workspace/<id>`, `workspace/<id>/file?path=`,
+// and `codex/<sessionId>`.
+class WebLaunch {
+  const WebLaunch({
+    required this.kind,
+    required this.id,
+    this.runId,
+    this.path,
+  });
+
+  static WebLaunch? fromJson(Map<String, dynamic> json) {
+    String? field(String key) {
+      final value = json[key]?.toString().trim();
+      return value == null || value.isEmpty ? null : value;
+    }
+
+    final taskId = field('taskId');
+    final workspaceId = field('workspaceId');
+    final sessionId = field('sessionId');
+    final path = field('path');
+    return switch (json['kind']) {
+      'task' when taskId != null => WebLaunch(
+        kind: WebLaunchKind.task,
+        id: taskId,
+        runId: field('runId'),
+      ),
+      'workspace' when workspaceId != null => WebLaunch(
+        kind: WebLaunchKind.workspace,
+        id: workspaceId,
+      ),
+      'workspace-file' when workspaceId != null && path != null => WebLaunch(
+        kind: WebLaunchKind.workspaceFile,
+        id: workspaceId,
+        path: path,
+      ),
+      'codex-session' when sessionId != null => WebLaunch(
+        kind: WebLaunchKind.codexSession,
+        id: sessionId,
+      ),
+      _ => null,
+    };
+  }
+
+  final WebLaunchKind kind;
+  // The task, workspace, or Codex session id, depending on [kind].
+  final String id;
+  final String? runId;
+  final String? path;
+}
+
+enum WebLaunchKind { task, workspace, workspaceFile, codexSession }
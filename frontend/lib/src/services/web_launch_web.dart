@@ -0,0 +1,61 @@
+import 'dart:async';
+import 'dart:js_interop';
+
+import 'package:act_frontend/src/services/web_launch_types.dart';
+
+// Both defined in web/index.html.
+@JS('actLaunch')
+external _ActLaunch? get _launch;
+
+@JS('actServiceWorker')
+external _ActServiceWorker? get _serviceWorker;
+
+extension type _ActLaunch._(JSObject _) implements JSObject {
+  external JSAny? take();
+}
+
+extension type _ActServiceWorker._(JSObject _) implements JSObject {
+  external JSFunction onLaunch(JSFunction listener);
+}
+
+// The intent from the link that opened this tab, kept in sessionStorage
+// through sign-in. Taking it clears it, so call this once signed in.
+WebLaunch? takePendingWebLaunch() {
+  return _intent(_launch?.take());
+}
+
+// Notification clicks while an ACT window is already open.
+Stream<WebLaunch> webLaunches() {
+  final bridge = _serviceWorker;
+  if (bridge == null) {
+    return const Stream.empty();
+  }
+
+  JSFunction? unsubscribe;
+  late final StreamController<WebLaunch> controller;
+  controller = StreamController<WebLaunch>(
+    onListen: () {
+      unsubscribe = bridge.onLaunch(
+        ((JSAny? intent) {
+          final launch = _intent(intent);
+          if (launch != null) {
+            controller.add(launch);
+          }
+        }).toJS,
+      );
+    },
+    onCancel: () {
+      unsubscribe?.callAsFunction();
+      unsubscribe = null;
+    },
+  );
+  return controller.stream;
+}
+
+WebLaunch? _intent(JSAny? value) {
+  final intent = value.dartify();
+  if (intent is! Map) {
+    return null;
+  }
+  return WebLaunch.fromJson(Map<String, dynamic>.from(intent));
+}
@@ -0,0 +1,3 @@
+export 'web_outbox_types.dart';
+export 'web_outbox_stub.dart'
+    if (dart.library.js_interop) 'web_outbox_web.dart';
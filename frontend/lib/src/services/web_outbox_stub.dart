@@ -0,0 +1,13 @@
+import 'package:act_frontend/src/services/web_outbox_types.dart';
+
+void setWebOutboxAuthProvider(
+  Future<String?> Function(bool forceRefresh)? provider,
+) {}
+
+Future<List<WebOutboxItem>> webOutboxItems() async => const [];
+
+Stream<List<WebOutboxItem>> webOutboxChanges() => const Stream.empty();
+
+Future<void> flushWebOutbox() async {}
+
+Future<void> discardWebOutboxItem(int id) async {}
@@ -0,0 +1,40 @@
+class WebOutboxItem {
+  const WebOutboxItem({
+    required this.id,
+    required this.label,
+    required this.method,
+    required this.url,
+    required this.queuedAt,
+    required this.attempts,
+    required this.status,
+    this.lastError,
+  });
+
+  factory WebOutboxItem.fromJson(Map<String, dynamic> json) {
+    final attempts = json['attempts'];
+    final id = json['id'];
+    return WebOutboxItem(
+      id: id is num ? id.toInt() : 0,
+      label: json['label']?.toString() ?? '',
+      method: json['method']?.toString() ?? '',
+      url: json['url']?.toString() ?? '',
+      queuedAt: DateTime.tryParse(json['queuedAt']?.toString() ?? ''),
+      attempts: attempts is num ? attempts.toInt() : 0,
+      status: json['status']?.toString() ?? 'pending',
+      lastError: json['lastError']?.toString(),
+    );
+  }
+
+  final int id;
+  final String label;
+  final String method;
+  final String url;
+  final DateTime? queuedAt;
+  final int attempts;
+
+  // `pending` until replayed, or `failed` when the server rejected it.
+  final String status;
+  final String? lastError;
+
+  bool get isPending => status == 'pending';
+}
@@ -0,0 +1,86 @@
+import 'dart:async';
+import 'dart:js_interop';
+
+import 'package:act_frontend/src/services/web_outbox_types.dart';
+
+// Outbox half of the bridge defined in web/index.html; the queue itself lives
+// in web/act_outbox.js inside the service worker.
+@JS('actServiceWorker')
+external _ActServiceWorker? get _serviceWorker;
+
+extension type _ActServiceWorker._(JSObject _) implements JSObject {
+  external void setAuthProvider(JSFunction? provider);
+  external JSPromise<JSAny?> outboxStatus();
+  external JSPromise<JSAny?> flushOutbox();
+  external JSPromise<JSAny?> discardOutboxItem(JSNumber id);
+  external JSFunction onOutboxChange(JSFunction listener);
+}
+
+// Replayed writes ask for a token at send time rather than storing one.
+void setWebOutboxAuthProvider(
+  Future<String?> Function(bool forceRefresh)? provider,
+) {
+  final bridge = _serviceWorker;
+  if (bridge == null) {
+    return;
+  }
+  if (provider == null) {
+    bridge.setAuthProvider(null);
+    return;
+  }
+
+  JSPromise<JSString?> token(JSBoolean forceRefresh) {
+    return provider(forceRefresh.toDart).then((value) => value?.toJS).toJS;
+  }
+
+  bridge.setAuthProvider(token.toJS);
+}
+
+Future<List<WebOutboxItem>> webOutboxItems() async {
+  final bridge = _serviceWorker;
+  if (bridge == null) {
+    return const [];
+  }
+  return _items(await bridge.outboxStatus().toDart);
+}
+
+Stream<List<WebOutboxItem>> webOutboxChanges() {
+  final bridge = _serviceWorker;
+  if (bridge == null) {
+    return const Stream.empty();
+  }
+
+  JSFunction? unsubscribe;
+  late final StreamController<List<WebOutboxItem>> controller;
+  controller = StreamController<List<WebOutboxItem>>(
+    onListen: () {
+      unsubscribe = bridge.onOutboxChange(
+        ((JSAny? items) => controller.add(_items(items))).toJS,
+      );
+    },
+    onCancel: () {
+      unsubscribe?.callAsFunction();
+      unsubscribe = null;
+    },
+  );
+  return controller.stream;
+}
+
+Future<void> flushWebOutbox() async {
+  await _serviceWorker?.flushOutbox().toDart;
+}
+
+Future<void> discardWebOutboxItem(int id) async {
+  await _serviceWorker?.discardOutboxItem(id.toJS).toDart;
+}
+
+List<WebOutboxItem> _items(JSAny? value) {
+  final items = value.dartify();
+  if (items is! List) {
+    return const [];
+  }
+  return [
+    for (final item in items)
+      if (item is Map) WebOutboxItem.fromJson(Map<String, dynamic>.from(item)),
+  ];
+}
@@ -0,0 +1 @@
+export 'web_push_stub.dart' if (dart.library.js_interop) 'web_push_web.dart';
@@ -0,0 +1,6 @@
+// 'granted', 'denied', 'default', or 'unsupported'.
+String webPushPermission() => 'unsupported';
+
+Future<void> enableWebPush(String relayUrl) async {
+  throw UnsupportedError('Web Push is only available in the web app');
+}
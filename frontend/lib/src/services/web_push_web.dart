@@ -0,0 +1,24 @@
+import 'dart:js_interop';
+
+@JS('actServiceWorker')
+external _ActServiceWorker? get _serviceWorker;
+
+extension type _ActServiceWorker._(JSObject _) implements JSObject {
+  external JSString pushPermission();
+  external JSPromise<JSBoolean> subscribePush(JSString relayUrl);
+}
+
+// 'granted', 'denied', 'default', or 'unsupported'.
+String webPushPermission() {
+  return _serviceWorker?.pushPermission().toDart ?? 'unsupported';
+}
+
+// Asks for permission if needed and registers this browser with the push
+// relay (tools/push-relay.mjs) at `relayUrl`.
+Future<void> enableWebPush(String relayUrl) async {
+  final bridge = _serviceWorker;
+  if (bridge == null) {
+    throw UnsupportedError('The ACT service worker bridge is not loaded');
+  }
+  await bridge.subscribePush(relayUrl.toJS).toDart;
+}
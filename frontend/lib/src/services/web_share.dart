@@ -0,0 +1,2 @@
+export 'web_share_types.dart';
+export 'web_share_stub.dart' if (dart.library.js_interop) 'web_share_web.dart';
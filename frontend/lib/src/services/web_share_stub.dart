@@ -0,0 +1,11 @@
+import 'package:act_frontend/src/services/web_share_types.dart';
+
+String? takeInitialWebShareId() => null;
+
+Future<WebShare?> webShare(String id) async => null;
+
+Future<List<int>> webSharedFileBytes(String id, int index) async {
+  throw UnsupportedError('Shared files are only available in the web app');
+}
+
+Future<void> discardWebShare(String id) async {}
@@ -0,0 +1,89 @@
+// Text, a link, and files another app shared into the web app, staged in the
+// service worker until a task is created from them.
+class WebShare {
+  const WebShare({
+    required this.id,
+    required this.title,
+    required this.text,
+    required this.url,
+    required this.files,
+  });
+
+  factory WebShare.fromJson(Map<String, dynamic> json) {
+    final id = json['id'];
+    final files = json['files'];
+    return WebShare(
+      id: id is num ? id.toInt().toString() : id?.toString() ?? '',
+      title: json['title']?.toString() ?? '',
+      text: json['text']?.toString() ?? '',
+      url: json['url']?.toString() ?? '',
+      files: files is List
+          ? [
+              for (final file in files)
+                if (file is Map)
+                  WebSharedFile.fromJson(Map<String, dynamic>.from(file)),
+            ]
+          : const [],
+    );
+  }
+
+  final String id;
+  final String title;
+  final String text;
+  final String url;
+  final List<WebSharedFile> files;
+
+  // Apps fill in different fields: a browser shares a title and URL, a log
+  // viewer only text, a gallery only files.
+  // Multipart form text arrives with CRLF line breaks.
+  String get _text => text.replaceAll('\r\n', '\n').trim();
+
+  String get taskTitle {
+    final firstLine = _text
+        .split('\n')
+        .map((line) => line.trim())
+        .firstWhere((line) => line.isNotEmpty, orElse: () => '');
+    final candidates = [
+      title.trim(),
+      firstLine,
+      url.trim(),
+      if (files.isNotEmpty) files.first.name,
+    ];
+    final chosen = candidates.firstWhere(
+      (candidate) => candidate.isNotEmpty,
+      orElse: () => '',
+    );
+    return chosen.length > 80 ? '${chosen.substring(0, 77)}...' : chosen;
+  }
+
+  String get taskDescription {
+    final link = url.trim();
+    return [
+      _text,
+      if (link.isNotEmpty && !_text.contains(link)) link,
+    ].where((part) => part.isNotEmpty).join('\n\n');
+  }
+}
+
+class WebSharedFile {
+  const WebSharedFile({
+    required this.index,
+    required this.name,
+    required this.contentType,
+    required this.size,
+  });
+
+  factory WebSharedFile.fromJson(Map<String, dynamic> json) {
+    return WebSharedFile(
+      index: (json['index'] as num?)?.toInt() ?? 0,
+      name: json['name']?.toString() ?? 'shared-file',
+      contentType: json['type']?.toString() ?? 'application/octet-stream',
+      size: (json['size'] as num?)?.toInt() ?? 0,
+    );
+  }
+
+  final int index;
+  final String name;
+  final String contentType;
+  final int size;
+}
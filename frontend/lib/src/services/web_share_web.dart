@@ -0,0 +1,58 @@
+import 'dart:js_interop';
+
+import 'package:act_frontend/src/services/web_share_types.dart';
+import 'package:web/web.dart' as web;
+
+// Share half of the bridge defined in web/index.html; shares are stored by
+// web/act_share.js inside the service worker.
+@JS('actServiceWorker')
+external _ActServiceWorker? get _serviceWorker;
+
+extension type _ActServiceWorker._(JSObject _) implements JSObject {
+  external JSPromise<JSAny?> share(JSString id);
+  external JSPromise<JSArrayBuffer> sharedFile(JSString id, JSNumber index);
+  external JSPromise<JSBoolean> discardShare(JSString id);
+}
+
+// The share target redirects to `?share=<id>`; the parameter is read once and
+// removed so a reload does not open the share again.
+String? takeInitialWebShareId() {
+  final uri = Uri.parse(web.window.location.href);
+  final id = uri.queryParameters['share'];
+  if (id == null) {
+    return null;
+  }
+  final query = Map<String, String>.of(uri.queryParameters)..remove('share');
+  final cleaned = Uri(
+    path: uri.path.isEmpty ? '/' : uri.path,
+    queryParameters: query.isEmpty ? null : query,
+    fragment: uri.fragment.isEmpty ? null : uri.fragment,
+  );
+  web.window.history.replaceState(null, '', cleaned.toString());
+  return id.isEmpty ? null : id;
+}
+
+Future<WebShare?> webShare(String id) async {
+  final bridge = _serviceWorker;
+  if (bridge == null) {
+    return null;
+  }
+  final value = (await bridge.share(id.toJS).toDart).dartify();
+  if (value is! Map) {
+    return null;
+  }
+  return WebShare.fromJson(Map<String, dynamic>.from(value));
+}
+
+Future<List<int>> webSharedFileBytes(String id, int index) async {
+  final bridge = _serviceWorker;
+  if (bridge == null) {
+    throw StateError('The ACT service worker bridge is not loaded');
+  }
+  final bytes = await bridge.sharedFile(id.toJS, index.toJS).toDart;
+  return bytes.toDart.asUint8List();
+}
+
+Future<void> discardWebShare(String id) async {
+  await _serviceWorker?.discardShare(id.toJS).toDart;
+}
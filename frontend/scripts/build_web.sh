@@ -1,9 +1,59 @@
 #!/usr/bin/env sh
 set -eu
 
-flutter build web --pwa-strategy=none "$@"
-cp web/flutter_service_worker.js build/web/flutter_service_worker.js
+flutter build web --pwa-strategy=none --no-web-resources-cdn "$@"
+
+# Lists every file the service worker precaches and stamps the worker with the
+# version.json version and a revision hash of those files, so each deploy gets
+# its own cache and a byte-different worker the browser will pick up.
+node <<'NODE'
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const root = 'build/web';
+const skipped = new Set(['flutter_service_worker.js', 'asset-manifest.json']);
+
+function listFiles(dir) {
+  return fs.readdirSync(path.join(root, dir), { withFileTypes: true })
+    .flatMap((entry) => {
+      const relative = dir ? `${dir}/${entry.name}` : entry.name;
+      if (entry.name.startsWith('.')) {
+        return [];
+      }
+      if (entry.isDirectory()) {
+        return listFiles(relative);
+      }
+      if (skipped.has(relative) || /\.(symbols|map)$/.test(entry.name)) {
+        return [];
+      }
+      return [relative];
+    });
+}
+
+const files = listFiles('').sort();
+const hash = crypto.createHash('sha256');
+for (const file of files) {
+  hash.update(`${file}\0`);
+  hash.update(fs.readFileSync(path.join(root, file)));
+}
+const revision = hash.digest('hex').slice(0, 16);
+const versionInfo = JSON.parse(fs.readFileSync(`${root}/version.json`, 'utf8'));
+const version = `${versionInfo.version}+${versionInfo.build_number}`;
+
+fs.writeFileSync(
+  `${root}/asset-manifest.json`,
+  `${JSON.stringify({ version, revision, files }, null, 2)}\n`
+);
+const worker = fs
+  .readFileSync('web/flutter_service_worker.js', 'utf8')
+  .replace("'__ACT_APP_VERSION__'", `'${version}'`)
+  .replace("'__ACT_BUILD_REVISION__'", `'${revision}'`);
+fs.writeFileSync(`${root}/flutter_service_worker.js`, worker);
+console.log(`Precaching ${files.length} files for ${version} (${revision})`);
+NODE
 
 grep -q 'property="og:image" content="https://act.drmhse.com/social-preview.png"' build/web/index.html
 grep -q 'name="twitter:card" content="summary_large_image"' build/web/index.html
+grep -q "const buildRevision = '[0-9a-f]\{16\}';" build/web/flutter_service_worker.js
 test -f build/web/social-preview.png
@@ -1959,6 +1959,66 @@ void main() {
     expect(tester.takeException(), isNull);
   });
 
+  testWidgets('ACT task panel opens the selected run of a task', (
+    tester,
+  ) async {
+    await tester.binding.setSurfaceSize(const Size(900, 1200));
+    addTearDown(() => tester.binding.setSurfaceSize(null));
+
+    final task = NativeTask.fromJson({
+      'id': 'task-1',
+      'title': 'Fix tasks',
+      'status': 'completed',
+      'runs': [
+        {'id': 'run-2', 'task_id': 'task-1', 'status': 'running'},
+        {
+          'id': 'run-1',
+          'task_id': 'task-1',
+          'status': 'completed',
+          'final_report': 'Fixed the first half',
+        },
+      ],
+    });
+
+    await tester.pumpWidget(
+      MaterialApp(
+        theme: const ActApp().themeForTesting(),
+        home: Scaffold(
+          body: TaskPanel(
+            readiness: _readyRunner(),
+            availableWorkspaces: [_workspace(id: 'workspace-1', name: 'jules')],
+            tasks: [task],
+            selectedTask: task,
+            selectedRunId: 'run-1',
+            isLoading: false,
+            executionStatus: null,
+            onRefresh: () {},
+            onTaskCleared: () {},
+            onTaskSelected: (_) {},
+            onRunTask: (_) async {},
+            onUpdateTask: (_, _) async {},
+            onOpenCodexSession: (_) {},
+            onLoadArtifact: (_, _, artifact) async =>
+                NativeTaskArtifactContent(artifact: artifact),
+            onFinalizeRun: (_, _) async {},
+            onCreatePullRequests: (_, _) async {},
+            onCloneTask: (_) async {},
+            onCreateTask: () {},
+          ),
+        ),
+      ),
+    );
+    await tester.drag(find.byType(ListView).last, const Offset(0, -600));
+    await tester.pumpAndSettle();
+
+    expect(
+      find.textContaining('Fixed the first half', findRichText: true),
+      findsOneWidget,
+    );
+    expect(find.text('Latest'), findsNothing);
+    expect(tester.takeException(), isNull);
+  });
+
   testWidgets('ACT task panel exposes collection and project filters', (
     tester,
   ) async {
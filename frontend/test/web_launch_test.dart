@@ -0,0 +1,37 @@
+import 'package:act_frontend/src/services/web_launch_types.dart';
+import 'package:flutter_test/flutter_test.dart';
+
+void main() {
+  test('task run intent keeps the run id', () {
+    final launch = WebLaunch.fromJson({
+      'kind': 'task',
+      'taskId': 'task-1',
+      'runId': 'run-2',
+    });
+
+    expect(launch?.kind, WebLaunchKind.task);
+    expect(launch?.id, 'task-1');
+    expect(launch?.runId, 'run-2');
+  });
+
+  test('workspace file intent carries the file path', () {
+    final launch = WebLaunch.fromJson({
+      'kind': 'workspace-file',
+      'workspaceId': 'act',
+      'path': 'lib/main.dart',
+    });
+
+    expect(launch?.kind, WebLaunchKind.workspaceFile);
+    expect(launch?.id, 'act');
+    expect(launch?.path, 'lib/main.dart');
+  });
+
+  test('intents without their id are ignored', () {
+    expect(WebLaunch.fromJson({'kind': 'codex-session'}), isNull);
+    expect(
+      WebLaunch.fromJson({'kind': 'workspace-file', 'workspaceId': 'act'}),
+      isNull,
+    );
+    expect(WebLaunch.fromJson({'kind': 'unknown', 'taskId': 'x'}), isNull);
+  });
+}
@@ -0,0 +1,48 @@
+import 'package:act_frontend/src/services/web_share_types.dart';
+import 'package:flutter_test/flutter_test.dart';
+
+void main() {
+  test('shared stack trace titles the task with its first line', () {
+    final share = WebShare.fromJson({
+      'id': 1,
+      'title': '',
+      'text': '\r\nTypeError: x is undefined\r\n  at foo (app.js:1)',
+      'url': 'https://example.com/bug',
+      'files': [],
+    });
+
+    expect(share.id, '1');
+    expect(share.taskTitle, 'TypeError: x is undefined');
+    expect(
+      share.taskDescription,
+      'TypeError: x is undefined\n  at foo (app.js:1)\n\n'
+      'https://example.com/bug',
+    );
+  });
+
+  test('shared link keeps its page title and is not repeated', () {
+    final share = WebShare.fromJson({
+      'id': 2,
+      'title': 'Flaky login test',
+      'text': 'See https://ci.example.com/run/9',
+      'url': 'https://ci.example.com/run/9',
+    });
+
+    expect(share.taskTitle, 'Flaky login test');
+    expect(share.taskDescription, 'See https://ci.example.com/run/9');
+  });
+
+  test('shared screenshot without text is titled by its file name', () {
+    final share = WebShare.fromJson({
+      'id': 3,
+      'files': [
+        {'index': 0, 'name': 'crash.png', 'type': 'image/png', 'size': 2048},
+      ],
+    });
+
+    expect(share.taskTitle, 'crash.png');
+    expect(share.taskDescription, isEmpty);
+    expect(share.files.single.contentType, 'image/png');
+    expect(share.files.single.size, 2048);
+  });
+}
@@ -0,0 +1,345 @@
+// Background Sync outbox, loaded by flutter_service_worker.js.
+//
+// Task and Codex message writes that fail for lack of a network are stored in
+// IndexedDB without their authorization header and answered with a 503
+// `queued_offline` error. They are replayed oldest first when a sync fires or
+// a page asks, each with a fresh header requested from an open page.
+
+const outboxDbName = 'act-outbox';
+const outboxStore = 'requests';
+const outboxSyncTag = 'act-outbox';
+const outboxRoutes = [
+  { method: 'POST', pattern: /\/api\/v1\/tasks$/, label: 'Create task' },
+  { method: 'PUT', pattern: /\/api\/v1\/tasks\/[^/]+$/, label: 'Update task' },
+  {
+    method: 'POST',
+    pattern: /\/api\/v1\/codex\/sessions\/[^/]+\/messages$/,
+    label: 'Send Codex message',
+  },
+];
+
+let outboxFlush = null;
+
+function outboxRoute(request) {
+  const path = new URL(request.url).pathname;
+  return (
+    outboxRoutes.find(function(route) {
+      return route.method === request.method && route.pattern.test(path);
+    }) || null
+  );
+}
+
+function openOutbox() {
+  return new Promise(function(resolve, reject) {
+    const open = indexedDB.open(outboxDbName, 1);
+    open.onupgradeneeded = function() {
+      open.result.createObjectStore(outboxStore, {
+        keyPath: 'id',
+        autoIncrement: true,
+      });
+    };
+    open.onsuccess = function() {
+      resolve(open.result);
+    };
+    open.onerror = function() {
+      reject(open.error);
+    };
+  });
+}
+
+function outboxTransaction(mode, work) {
+  return openOutbox().then(function(db) {
+    return new Promise(function(resolve, reject) {
+      const transaction = db.transaction(outboxStore, mode);
+      const result = work(transaction.objectStore(outboxStore));
+      transaction.oncomplete = function() {
+        db.close();
+        resolve(result && 'result' in result ? result.result : undefined);
+      };
+      transaction.onerror = function() {
+        db.close();
+        reject(transaction.error);
+      };
+    });
+  });
+}
+
+function outboxItems() {
+  return outboxTransaction('readonly', function(store) {
+    return store.getAll();
+  });
+}
+
+function putOutboxItem(item) {
+  return outboxTransaction('readwrite', function(store) {
+    return store.put(item);
+  });
+}
+
+function deleteOutboxItem(id) {
+  return outboxTransaction('readwrite', function(store) {
+    return store.delete(id);
+  });
+}
+
+// The page-facing view of an item; bodies and headers stay in the worker.
+function outboxSummary(item) {
+  return {
+    id: item.id,
+    label: item.label,
+    method: item.method,
+    url: item.url,
+    queuedAt: item.queuedAt,
+    attempts: item.attempts,
+    status: item.status,
+    lastError: item.lastError,
+  };
+}
+
+function announceOutbox() {
+  return outboxItems().then(function(items) {
+    return postToWindows({
+      type: 'act:outbox-changed',
+      items: items.map(outboxSummary),
+    });
+  });
+}
+
+function queueOutboxRequest(request, route) {
+  const headers = {};
+  request.headers.forEach(function(value, name) {
+    if (name !== 'authorization') {
+      headers[name] = value;
+    }
+  });
+  return request
+    .text()
+    .then(function(body) {
+      return putOutboxItem({
+        label: route.label,
+        method: request.method,
+        url: request.url,
+        headers: headers,
+        body: body,
+        queuedAt: new Date().toISOString(),
+        attempts: 0,
+        status: 'pending',
+        lastError: null,
+      });
+    })
+    .then(function(id) {
+      const sync = self.registration.sync
+        ? self.registration.sync.register(outboxSyncTag).catch(function() {})
+        : Promise.resolve();
+      return sync.then(announceOutbox).then(function() {
+        return id;
+      });
+    });
+}
+
+function queuedResponse(id) {
+  return new Response(
+    JSON.stringify({
+      success: false,
+      error:
+        'queued_offline: Saved offline. It will be sent when the connection returns.',
+    }),
+    {
+      status: 503,
+      headers: {
+        'content-type': 'application/json',
+        'x-act-outbox-id': String(id),
+      },
+    }
+  );
+}
+
+// Asks the first open page that answers for a current Authorization header.
+function requestAuthorization(forceRefresh) {
+  return self.clients.matchAll({ type: 'window' }).then(function(windows) {
+    return windows.reduce(function(previous, client) {
+      return previous.then(function(found) {
+        return found || askWindowForAuthorization(client, forceRefresh);
+      });
+    }, Promise.resolve(null));
+  });
+}
+
+function askWindowForAuthorization(client, forceRefresh) {
+  return new Promise(function(resolve) {
+    const channel = new MessageChannel();
+    const timer = setTimeout(function() {
+      resolve(null);
+    }, 10000);
+    channel.port1.onmessage = function(event) {
+      clearTimeout(timer);
+      resolve((event.data && event.data.authorization) || null);
+    };
+    client.postMessage({ type: 'act:outbox-auth', forceRefresh: forceRefresh }, [
+      channel.port2,
+    ]);
+  });
+}
+
+function replayOutboxItem(item, forceRefresh) {
+  return requestAuthorization(forceRefresh).then(function(authorization) {
+    if (!authorization) {
+      throw new Error('No open ACT page can provide a session');
+    }
+    const headers = Object.assign({}, item.headers, {
+      authorization: authorization,
+    });
+    return fetch(item.url, {
+      method: item.method,
+      headers: headers,
+      body: item.body,
+      mode: 'cors',
+      credentials: 'omit',
+    }).then(function(response) {
+      if (response.status === 401 && !forceRefresh) {
+        return replayOutboxItem(item, true);
+      }
+      return response;
+    });
+  });
+}
+
+function responseError(response) {
+  return response
+    .json()
+    .then(function(body) {
+      const error = body && body.error;
+      if (error && typeof error === 'object') {
+        return error.details || error.message || 'HTTP ' + response.status;
+      }
+      return error || 'HTTP ' + response.status;
+    })
+    .catch(function() {
+      return 'HTTP ' + response.status;
+    });
+}
+
+function isRetryableStatus(status) {
+  return status === 401 || status === 408 || status === 429 || status >= 500;
+}
+
+// Replays pending items in the order they were queued. A network failure or
+// a retryable status stops the run so later writes never overtake earlier
+// ones; other rejections mark that item failed and the run continues.
+function flushOutbox() {
+  if (outboxFlush) {
+    return outboxFlush;
+  }
+  outboxFlush = outboxItems()
+    .then(function(items) {
+      const pending = items.filter(function(item) {
+        return item.status === 'pending';
+      });
+      if (pending.length === 0) {
+        return;
+      }
+      return pending.reduce(function(previous, item) {
+        return previous.then(function() {
+          item.attempts += 1;
+          return replayOutboxItem(item, false)
+            .then(function(response) {
+              if (response.ok) {
+                return deleteOutboxItem(item.id);
+              }
+              return responseError(response).then(function(message) {
+                item.lastError = message;
+                if (isRetryableStatus(response.status)) {
+                  return putOutboxItem(item).then(function() {
+                    throw new Error(message);
+                  });
+                }
+                item.status = 'failed';
+                return putOutboxItem(item);
+              });
+            })
+            .catch(function(error) {
+              item.lastError = item.lastError || error.message;
+              return putOutboxItem(item).then(function() {
+                throw error;
+              });
+            });
+        });
+      }, Promise.resolve()).finally(announceOutbox);
+    })
+    .finally(function() {
+      outboxFlush = null;
+    });
+  return outboxFlush;
+}
+
+function hasPendingOutbox() {
+  return outboxItems().then(function(items) {
+    return items.some(function(item) {
+      return item.status === 'pending';
+    });
+  });
+}
+
+// Sends the request, or queues it when the network is down or earlier writes
+// are still waiting, so replay order matches the order the user made them.
+function handleOutboxRequest(request, route) {
+  const copy = request.clone();
+  return hasPendingOutbox()
+    .then(function(pending) {
+      if (!pending) {
+        return false;
+      }
+      return flushOutbox().then(
+        function() {
+          return false;
+        },
+        function() {
+          return true;
+        }
+      );
+    })
+    .then(function(blocked) {
+      if (blocked) {
+        return queueOutboxRequest(copy, route).then(queuedResponse);
+      }
+      return fetch(request).catch(function(error) {
+        if (error.name === 'AbortError') {
+          throw error;
+        }
+        return queueOutboxRequest(copy, route).then(queuedResponse);
+      });
+    });
+}
+
+self.addEventListener('sync', function(event) {
+  if (event.tag === outboxSyncTag) {
+    event.waitUntil(flushOutbox());
+  }
+});
+
+// `act:outbox-status` replies with the queued items over the message port,
+// `act:outbox-flush` replays now, and `act:outbox-discard` drops one item.
+self.addEventListener('message', function(event) {
+  const message = event.data || {};
+  const port = event.ports[0];
+  const reply = function() {
+    return outboxItems().then(function(items) {
+      if (port) {
+        port.postMessage({
+          type: 'act:outbox-status',
+          items: items.map(outboxSummary),
+        });
+      }
+    });
+  };
+
+  if (message.type === 'act:outbox-status') {
+    event.waitUntil(reply());
+  } else if (message.type === 'act:outbox-flush') {
+    event.waitUntil(flushOutbox().catch(function() {}).then(reply));
+  } else if (message.type === 'act:outbox-discard') {
+    event.waitUntil(
+      deleteOutboxItem(message.id).then(announceOutbox).then(reply)
+    );
+  }
+});
@@ -0,0 +1,56 @@
+// Web Push notifications, loaded by flutter_service_worker.js.
+//
+// The push relay (tools/push-relay.mjs) sends `{title, body, tag, launch}`.
+// `launch` is an app path such as `task/<id>/runs/<runId>` or
+// `codex/<sessionId>`; clicking the notification hands it to an open ACT
+// window, or opens one with `?launch=<path>`.
+
+function showPushNotification(data) {
+  const options = {
+    body: data.body || '',
+    icon: 'icons/Icon-192.png',
+    badge: 'icons/Icon-maskable-192.png',
+    data: { launch: data.launch || null },
+  };
+  if (data.tag) {
+    options.tag = data.tag;
+    options.renotify = true;
+  }
+  return self.registration.showNotification(data.title || 'ACT', options);
+}
+
+function openLaunch(launch) {
+  const scope = self.registration.scope;
+  return self.clients
+    .matchAll({ type: 'window', includeUncontrolled: true })
+    .then(function(windows) {
+      const existing = windows.find(function(client) {
+        return client.url.startsWith(scope);
+      });
+      if (existing) {
+        if (launch) {
+          existing.postMessage({ type: 'act:launch', launch: launch });
+        }
+        return existing.focus();
+      }
+      return self.clients.openWindow(
+        launch ? scope + '?launch=' + encodeURIComponent(launch) : scope
+      );
+    });
+}
+
+self.addEventListener('push', function(event) {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (error) {
+    data = { body: event.data.text() };
+  }
+  event.waitUntil(showPushNotification(data));
+});
+
+self.addEventListener('notificationclick', function(event) {
+  const launch = event.notification.data && event.notification.data.launch;
+  event.notification.close();
+  event.waitUntil(openLaunch(launch));
+});
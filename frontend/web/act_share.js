@@ -0,0 +1,168 @@
+// Web Share Target, loaded by flutter_service_worker.js.
+//
+// manifest.json has other apps POST shared text, links, and files to
+// `share-target`. The worker stores the share in IndexedDB and redirects to
+// `?share=<id>`, where the app opens the create-task flow prefilled. Files stay
+// here until the task exists; the app then reads each one to upload it as a
+// task attachment and discards the share.
+
+const shareDbName = 'act-share';
+const shareStore = 'shares';
+const shareMaxAgeMs = 24 * 60 * 60 * 1000;
+
+function isShareTarget(request) {
+  const url = new URL(request.url);
+  return (
+    request.method === 'POST' &&
+    url.origin + url.pathname === scopedUrl('share-target')
+  );
+}
+
+function shareTransaction(mode, work) {
+  return new Promise(function(resolve, reject) {
+    const open = indexedDB.open(shareDbName, 1);
+    open.onupgradeneeded = function() {
+      open.result.createObjectStore(shareStore, {
+        keyPath: 'id',
+        autoIncrement: true,
+      });
+    };
+    open.onerror = function() {
+      reject(open.error);
+    };
+    open.onsuccess = function() {
+      const db = open.result;
+      const transaction = db.transaction(shareStore, mode);
+      const result = work(transaction.objectStore(shareStore));
+      transaction.oncomplete = function() {
+        db.close();
+        resolve(result && 'result' in result ? result.result : undefined);
+      };
+      transaction.onerror = function() {
+        db.close();
+        reject(transaction.error);
+      };
+    };
+  });
+}
+
+function getShare(id) {
+  return shareTransaction('readonly', function(store) {
+    return store.get(Number(id));
+  });
+}
+
+function deleteShare(id) {
+  return shareTransaction('readwrite', function(store) {
+    return store.delete(Number(id));
+  });
+}
+
+// Shares the app never opened are dropped when the next one arrives.
+function storeShare(share) {
+  const cutoff = Date.now() - shareMaxAgeMs;
+  return shareTransaction('readwrite', function(store) {
+    store.openCursor().onsuccess = function(event) {
+      const cursor = event.target.result;
+      if (!cursor) {
+        return;
+      }
+      if (cursor.value.createdAt < cutoff) {
+        cursor.delete();
+      }
+      cursor.continue();
+    };
+    return store.add(share);
+  });
+}
+
+function handleShareTarget(request) {
+  return request
+    .formData()
+    .then(function(form) {
+      const files = form.getAll('files').filter(function(value) {
+        return typeof value !== 'string' && value.size > 0;
+      });
+      return storeShare({
+        createdAt: Date.now(),
+        title: String(form.get('title') || ''),
+        text: String(form.get('text') || ''),
+        url: String(form.get('url') || ''),
+        files: files.map(function(file) {
+          return {
+            name: file.name || 'shared-file',
+            type: file.type || 'application/octet-stream',
+            size: file.size,
+            blob: file,
+          };
+        }),
+      });
+    })
+    .then(
+      function(id) {
+        return Response.redirect(scopedUrl('?share=' + id), 303);
+      },
+      function() {
+        return Response.redirect(scopedUrl('.'), 303);
+      }
+    );
+}
+
+// The page-facing view of a share; file contents are read one at a time.
+function shareSummary(share) {
+  return {
+    id: share.id,
+    title: share.title,
+    text: share.text,
+    url: share.url,
+    files: share.files.map(function(file, index) {
+      return {
+        index: index,
+        name: file.name,
+        type: file.type,
+        size: file.size,
+      };
+    }),
+  };
+}
+
+// `act:share-get` replies with a share's summary, `act:share-file` with one
+// file's bytes, and `act:share-discard` drops the share.
+self.addEventListener('message', function(event) {
+  const message = event.data || {};
+  const port = event.ports[0];
+  if (!port || String(message.type).indexOf('act:share-') !== 0) {
+    return;
+  }
+  let reply;
+  if (message.type === 'act:share-get') {
+    reply = getShare(message.id).then(function(share) {
+      return { share: share ? shareSummary(share) : null };
+    });
+  } else if (message.type === 'act:share-file') {
+    reply = getShare(message.id).then(function(share) {
+      const file = share && share.files[message.index];
+      if (!file) {
+        return { bytes: null };
+      }
+      return file.blob.arrayBuffer().then(function(bytes) {
+        return { bytes: bytes };
+      });
+    });
+  } else if (message.type === 'act:share-discard') {
+    reply = deleteShare(message.id).then(function() {
+      return {};
+    });
+  } else {
+    return;
+  }
+  event.waitUntil(
+    reply
+      .catch(function(error) {
+        return { error: error.message };
+      })
+      .then(function(body) {
+        port.postMessage(Object.assign({ type: message.type }, body));
+      })
+  );
+});
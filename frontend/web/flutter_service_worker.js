@@ -1,20 +1,164 @@
+// scripts/build_web.sh stamps these from build/web/version.json and the
+// generated asset-manifest.json. Unstamped copies (flutter run) cache nothing.
+const appVersion = '__ACT_APP_VERSION__';
+const buildRevision = '__ACT_BUILD_REVISION__';
+
+importScripts('act_outbox.js', 'act_push.js', 'act_share.js');
+
+const isStamped = !buildRevision.startsWith('__');
+const cacheName = 'act-app-' + appVersion + '-' + buildRevision;
+const shellPath = 'index.html';
+
+function scopedUrl(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+function isApiRequest(url) {
+  const scopePath = new URL(self.registration.scope).pathname;
+  return (
+    url.pathname.startsWith('/api/v1/') ||
+    url.pathname.startsWith(scopePath + 'api/v1/')
+  );
+}
+
+function loadAssetManifest() {
+  return fetch(scopedUrl('asset-manifest.json?v=' + buildRevision), {
+    cache: 'no-store',
+  }).then(function(response) {
+    if (!response.ok) {
+      throw new Error('asset-manifest.json returned ' + response.status);
+    }
+    return response.json();
+  }).then(function(manifest) {
+    // A deploy that is still uploading can serve a newer worker next to an
+    // older manifest; failing install lets the browser retry later.
+    if (manifest.revision !== buildRevision) {
+      throw new Error('asset-manifest.json is for revision ' + manifest.revision);
+    }
+    return manifest;
+  });
+}
+
+function precache() {
+  return loadAssetManifest().then(function(manifest) {
+    return caches.open(cacheName).then(function(cache) {
+      return cache.addAll(
+        manifest.files.map(function(path) {
+          return new Request(scopedUrl(path), { cache: 'reload' });
+        })
+      );
+    });
+  });
+}
+
+function deleteOtherCaches() {
+  return caches.keys().then(function(keys) {
+    return Promise.all(
+      keys
+        .filter(function(key) {
+          return key !== cacheName;
+        })
+        .map(function(key) {
+          return caches.delete(key);
+        })
+    );
+  });
+}
+
+// Precached files are served from the cache; any other navigation inside the
+// scope gets the cached app shell so deep links open offline.
+function cacheFirst(request) {
+  return caches.open(cacheName).then(function(cache) {
+    return cache
+      .match(request, { ignoreSearch: true })
+      .then(function(cached) {
+        if (cached || request.mode !== 'navigate') {
+          return cached;
+        }
+        return cache.match(scopedUrl(shellPath));
+      })
+      .then(function(cached) {
+        return cached || fetch(request);
+      });
+  });
+}
+
+// version.json as built, plus the revision the worker was stamped with.
+function versionInfo() {
+  const request = scopedUrl('version.json');
+  const cached = isStamped
+    ? caches.open(cacheName).then(function(cache) {
+        return cache.match(request);
+      })
+    : Promise.resolve(null);
+  return cached
+    .then(function(response) {
+      return response || fetch(request, { cache: 'no-store' });
+    })
+    .then(function(response) {
+      return response.ok ? response.json() : {};
+    })
+    .catch(function() {
+      return {};
+    })
+    .then(function(info) {
+      return Object.assign({}, info, { revision: buildRevision });
+    });
+}
+
+// A new version waits until a page sends `act:activate`, so app code is never
+// swapped under an open terminal or task form. The first install has nothing
+// to replace and activates straight away. Pages announce the update once this
+// worker reaches `installed`, when it is the registration's waiting worker.
 self.addEventListener('install', function(event) {
-  event.waitUntil(self.skipWaiting());
+  event.waitUntil(isStamped ? precache() : Promise.resolve());
 });
 
+// Old caches belong to the previous version, so they are only removed once
+// this version has taken over.
 self.addEventListener('activate', function(event) {
   event.waitUntil(
-    caches
-      .keys()
-      .then(function(keys) {
-        return Promise.all(
-          keys.map(function(key) {
-            return caches.delete(key);
-          })
-        );
-      })
-      .then(function() {
-        return self.clients.claim();
-      })
+    deleteOtherCaches().then(function() {
+      return self.clients.claim();
+    })
   );
 });
+
+// Pages ask for build info over a MessageChannel port (`act:get-version`) and
+// request activation of a waiting version (`act:activate`).
+self.addEventListener('message', function(event) {
+  const message = event.data || {};
+  if (message.type === 'act:get-version' && event.ports[0]) {
+    const port = event.ports[0];
+    event.waitUntil(
+      versionInfo().then(function(version) {
+        port.postMessage({ type: 'act:version', version: version });
+      })
+    );
+  } else if (message.type === 'act:activate') {
+    event.waitUntil(self.skipWaiting());
+  }
+});
+
+self.addEventListener('fetch', function(event) {
+  const request = event.request;
+  if (isShareTarget(request)) {
+    event.respondWith(handleShareTarget(request));
+    return;
+  }
+  const route = outboxRoute(request);
+  if (route) {
+    event.respondWith(handleOutboxRequest(request, route));
+    return;
+  }
+  if (!isStamped || request.method !== 'GET') {
+    return;
+  }
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin || isApiRequest(url)) {
+    return;
+  }
+
+  event.respondWith(cacheFirst(request));
+});
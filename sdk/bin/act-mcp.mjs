@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+import { parseArgs } from 'node:util';
+
+import { createClientFromEnv } from '../src/env.mjs';
+import { serveStdio } from '../src/mcp/protocol.mjs';
+import { createActMcpServer } from '../src/mcp/server.mjs';
+
+const usage = `Usage: act-mcp [--api <url>] [--token <token>]
+
+A Model Context Protocol server on stdin and stdout for the ACT server at
+--api (ACT_API_BASE_URL, default http://127.0.0.1:3001), using --token
+(ACT_TOKEN). With ACT_REFRESH_TOKEN and AUTHOS_BASE_URL set, an expired access
+token is refreshed through AuthOS.
+`;
+
+let values;
+try {
+  ({ values } = parseArgs({
+    options: {
+      api: { type: 'string' },
+      token: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  }));
+} catch (error) {
+  process.stderr.write(`[act-mcp] ${error.message}\n${usage}`);
+  process.exit(1);
+}
+if (values.help) {
+  process.stdout.write(usage);
+  process.exit(0);
+}
+
+const client = createClientFromEnv(values);
+const server = createActMcpServer(client, {
+  log: (message) => process.stderr.write(`[act-mcp] ${message}\n`),
+});
+await serveStdio(server);
@@ -0,0 +1,579 @@
+import type { EventEmitter } from 'node:events';
+
+// Response shapes follow tools/contract/schemas/rest; fields the server may
+// add later are not listed.
+
+export interface HealthStatus {
+  status: string;
+  service?: string;
+  version: string;
+}
+
+export interface DeploymentConfig {
+  deployment_mode: string;
+  act_public_url?: string;
+  authos_base_url: string;
+  authos_dashboard_url?: string | null;
+  authos_org_slug: string;
+  authos_service_slug: string;
+  authos_client_id: string;
+  required_github_scopes?: string[];
+  native_redirect_uri?: string;
+  web_callback_uri?: string;
+}
+
+export interface UserProfile {
+  email: string;
+  plan?: string;
+  access_role?: string;
+  is_operator?: boolean;
+}
+
+export interface Workspace {
+  id: string;
+  name: string;
+  local_path?: string;
+  is_active?: boolean;
+  github_repo?: string | null;
+  github_url?: string | null;
+  source_kind?: string | null;
+  source_provider?: string | null;
+  source_ref?: string | null;
+  opened_from_path?: string | null;
+}
+
+export interface WorkspaceGitChanges {
+  workspace_id: string;
+  name?: string;
+  local_path?: string;
+  github_repo?: string | null;
+  github_url?: string | null;
+  branch?: string | null;
+  remote?: string | null;
+  upstream?: string | null;
+  is_git_repository?: boolean;
+  is_clean?: boolean;
+  has_uncommitted_changes?: boolean;
+  has_unpushed_changes?: boolean;
+  staged_count?: number;
+  unstaged_count?: number;
+  untracked_count?: number;
+  ahead?: number;
+  behind?: number;
+  status: string;
+  error?: string | null;
+}
+
+export interface FileItem {
+  name: string;
+  path: string;
+  is_directory: boolean;
+  size?: number | null;
+  git_status?: string | null;
+}
+
+export interface DirectoryListing {
+  path: string;
+  items: FileItem[];
+  total_items?: number;
+  hidden_items?: number;
+}
+
+export interface FileContent {
+  path: string;
+  content: string;
+  encoding?: string;
+  size?: number;
+  is_binary?: boolean;
+}
+
+export interface WorkspaceCollectionMember {
+  collection_id?: string;
+  workspace_id: string;
+  role?: string;
+  workspace?: Workspace | null;
+}
+
+export interface WorkspaceCollection {
+  id: string;
+  name: string;
+  description?: string | null;
+  color?: string | null;
+  icon?: string | null;
+  default_workspace_id?: string | null;
+  members: WorkspaceCollectionMember[];
+}
+
+export interface TerminalSession {
+  id: string;
+  session_name?: string;
+  status: string;
+  workspace_id?: string | null;
+}
+
+export interface ServerProcess {
+  id: string;
+  name?: string;
+  command?: string;
+  working_directory?: string;
+  status: string;
+  pid?: number | null;
+  args?: string[] | null;
+  workspace_id?: string | null;
+  session_id?: string | null;
+  updated_at?: string | null;
+}
+
+export interface SystemStats {
+  cpu_usage: number;
+  memory_percentage?: number;
+  disk_percentage?: number;
+  memory_usage: number;
+  memory_total: number;
+  disk_usage?: number;
+  disk_total?: number;
+  active_sessions?: number;
+  active_processes?: number;
+  uptime_seconds?: number;
+  system_health?: string;
+}
+
+export interface RunnerReadiness {
+  ready: boolean;
+  blocked_reasons: string[];
+  runner_mode?: string;
+  codex_login_status?: string;
+  codex_version?: string;
+  github_provider_status?: string;
+  [field: string]: unknown;
+}
+
+export interface NativeTaskWorkspace {
+  workspace_id: string;
+  name?: string;
+  path?: string;
+  remote?: string | null;
+  working_strategy?: string;
+  dirty_state?: string;
+}
+
+export interface NativeTaskAttachment {
+  id: string;
+  original_filename: string;
+  content_type?: string;
+  byte_size?: number;
+  checksum_sha256?: string;
+}
+
+export interface NativeTaskArtifact {
+  id: string;
+  run_id: string;
+  artifact_type?: string;
+  name: string;
+  content_type?: string | null;
+  byte_size?: number;
+  workspace_id?: string | null;
+  source_path?: string | null;
+  preview_kind?: string;
+}
+
+export interface NativeTaskArtifactContent {
+  artifact: NativeTaskArtifact;
+  text?: string | null;
+  base64?: string | null;
+}
+
+export interface NativeTaskPullRequest {
+  id: string;
+  repository?: string;
+  state: string;
+  url?: string;
+  action?: string;
+  workspace_id?: string | null;
+  branch?: string | null;
+  title?: string | null;
+  error?: string | null;
+}
+
+export interface NativeTaskRun {
+  id: string;
+  task_id: string;
+  status: string;
+  runner_mode?: string;
+  execution_mode?: string;
+  approval_mode?: string;
+  artifact_dir?: string;
+  queue_position?: number;
+  codex_session_id?: string | null;
+  agent_provider?: string;
+  provider_session_id?: string | null;
+  provider_model?: string | null;
+  provider_thinking_level?: string | null;
+  final_report?: string | null;
+  artifacts?: NativeTaskArtifact[];
+  pull_requests?: NativeTaskPullRequest[];
+}
+
+export interface NativeTask {
+  id: string;
+  title: string;
+  description?: string;
+  final_report_instructions?: string | null;
+  execution_mode?: string;
+  approval_mode?: string;
+  evidence_preference?: string;
+  status: string;
+  agent_provider?: string;
+  provider_model?: string | null;
+  provider_thinking_level?: string | null;
+  source_collections?: unknown[];
+  workspaces: NativeTaskWorkspace[];
+  attachments?: NativeTaskAttachment[];
+  runs: NativeTaskRun[];
+}
+
+export interface NativeTaskEvent {
+  index: number;
+  type: string;
+  title?: string | null;
+  text?: string | null;
+  status?: string | null;
+  [field: string]: unknown;
+}
+
+export interface NativeTaskFields {
+  title: string;
+  description: string;
+  workspaceIds: string[];
+  collectionIds?: string[];
+  finalReportInstructions?: string;
+  executionMode?: string;
+  approvalMode?: string;
+  evidencePreference?: string;
+  agentProvider?: string;
+  providerModel?: string;
+  providerThinkingLevel?: string;
+}
+
+export interface CodingAgentModel {
+  slug: string;
+  display_name: string;
+  default_reasoning_level?: string | null;
+  supported_reasoning_levels?: unknown[];
+  source?: string;
+}
+
+export interface CodexSessionSummary {
+  id: string;
+  title?: string;
+  cwd?: string | null;
+  model?: string | null;
+  agent_provider: string;
+  provider_model?: string | null;
+  provider_thinking_level?: string | null;
+  updated_at?: string | null;
+  status: string;
+  terminal_session_id?: string | null;
+  is_busy?: boolean;
+  queued_message_count?: number;
+  scope_type?: 'workspace' | 'collection';
+  scope_id?: string | null;
+  [field: string]: unknown;
+}
+
+export interface CodexLaunchResponse {
+  terminal_session?: TerminalSession | null;
+  codex_session: CodexSessionSummary;
+}
+
+export interface CodexSessionEvent {
+  index: number;
+  timestamp?: string | null;
+  kind: string;
+  role?: string | null;
+  title?: string | null;
+  text?: string | null;
+  command?: string | null;
+  output?: string | null;
+  status?: string | null;
+}
+
+export interface CodexSessionChanges {
+  session_id: string;
+  workspace_path?: string;
+  git_root?: string;
+  branch?: string | null;
+  files: unknown[];
+  diff_stat?: string;
+  diff?: string;
+  truncated?: boolean;
+}
+
+export interface CodexScope {
+  workspaceId?: string;
+  scopeType?: 'workspace' | 'collection';
+  scopeId?: string;
+}
+
+export interface TerminalLayout {
+  id: string;
+  name?: string;
+  layout_type?: string;
+  is_default?: boolean;
+  workspace_id: string;
+  tree?: Record<string, unknown>;
+}
+
+export class ActApiError extends Error {
+  constructor(
+    message: string,
+    options?: { statusCode?: number; code?: string; cause?: unknown },
+  );
+  readonly statusCode?: number;
+  readonly code?: string;
+}
+
+export type RefreshToken = (staleToken: string) => string | Promise<string>;
+
+export interface ActClientOptions {
+  baseUrl: string;
+  token?: string;
+  refreshToken?: RefreshToken;
+  fetch?: typeof globalThis.fetch;
+  timeoutMs?: number;
+}
+
+export interface ActClient {
+  readonly baseUrl: string;
+  token: string;
+  authHeaders(): Record<string, string>;
+
+  health(): Promise<HealthStatus>;
+  deploymentConfig(): Promise<DeploymentConfig>;
+  me(): Promise<UserProfile>;
+
+  workspaces(): Promise<Workspace[]>;
+  workspaceGitChanges(): Promise<WorkspaceGitChanges[]>;
+  createEmptyWorkspace(options: {
+    name: string;
+    path?: string;
+    collectionId?: string;
+  }): Promise<Workspace>;
+  workspaceFiles(
+    workspaceId: string,
+    options?: { path?: string },
+  ): Promise<DirectoryListing>;
+  workspaceFileContent(
+    workspaceId: string,
+    options: { path: string },
+  ): Promise<FileContent>;
+  saveWorkspaceFileContent(
+    workspaceId: string,
+    options: { path: string; content: string },
+  ): Promise<void>;
+
+  collections(): Promise<WorkspaceCollection[]>;
+  createCollection(options: {
+    name: string;
+    workspaceIds?: string[];
+  }): Promise<WorkspaceCollection>;
+  updateCollection(
+    collectionId: string,
+    options: { name: string; description?: string | null },
+  ): Promise<WorkspaceCollection>;
+  addWorkspaceToCollection(
+    collectionId: string,
+    workspaceId: string,
+  ): Promise<WorkspaceCollection>;
+  removeWorkspaceFromCollection(
+    collectionId: string,
+    workspaceId: string,
+  ): Promise<WorkspaceCollection>;
+  setCollectionDefaultWorkspace(
+    collectionId: string,
+    workspaceId: string,
+  ): Promise<WorkspaceCollection>;
+  deleteCollection(collectionId: string): Promise<void>;
+
+  sessions(): Promise<TerminalSession[]>;
+  createSession(
+    workspaceId: string,
+    options?: { sessionName?: string; cols?: number; rows?: number },
+  ): Promise<TerminalSession>;
+  terminateSession(sessionId: string): Promise<void>;
+  sessionBuffer(sessionId: string): Promise<string>;
+
+  serverProcesses(): Promise<ServerProcess[]>;
+  stopServerProcess(processId: string): Promise<void>;
+  restartServerProcess(processId: string): Promise<void>;
+  systemStats(): Promise<SystemStats>;
+  runnerReadiness(): Promise<RunnerReadiness>;
+
+  nativeTasks(options?: {
+    workspaceId?: string;
+    scopeType?: string;
+    scopeId?: string;
+  }): Promise<NativeTask[]>;
+  nativeTask(taskId: string): Promise<NativeTask>;
+  createNativeTask(fields: NativeTaskFields): Promise<NativeTask>;
+  updateNativeTask(
+    taskId: string,
+    fields: NativeTaskFields,
+  ): Promise<NativeTask>;
+  deleteNativeTask(taskId: string): Promise<void>;
+  uploadNativeTaskAttachment(
+    taskId: string,
+    options: {
+      filename: string;
+      contentType?: string;
+      content: string | Uint8Array;
+    },
+  ): Promise<NativeTaskAttachment>;
+  deleteNativeTaskAttachment(
+    taskId: string,
+    attachmentId: string,
+  ): Promise<void>;
+  startNativeTaskRun(
+    taskId: string,
+    options?: { agentProvider?: string },
+  ): Promise<NativeTaskRun>;
+  nativeTaskRunEvents(
+    taskId: string,
+    runId: string,
+  ): Promise<NativeTaskEvent[]>;
+  nativeTaskRunArtifacts(
+    taskId: string,
+    runId: string,
+  ): Promise<NativeTaskArtifact[]>;
+  nativeTaskRunArtifact(
+    taskId: string,
+    runId: string,
+    artifactId: string,
+  ): Promise<NativeTaskArtifactContent>;
+  nativeTaskRunArtifactRawUrl(
+    taskId: string,
+    runId: string,
+    artifactId: string,
+  ): string;
+  downloadNativeTaskRunArtifact(
+    taskId: string,
+    runId: string,
+    artifactId: string,
+  ): Promise<Buffer>;
+  finalizeNativeTaskRun(taskId: string, runId: string): Promise<NativeTask>;
+  createNativeTaskRunPullRequests(
+    taskId: string,
+    runId: string,
+  ): Promise<NativeTask>;
+
+  codingAgentModels(): Promise<CodingAgentModel[]>;
+  codexSessions(
+    options?: CodexScope & { limit?: number },
+  ): Promise<CodexSessionSummary[]>;
+  launchCodexSession(
+    options?: CodexScope & {
+      prompt?: string;
+      agentProvider?: string;
+      providerModel?: string;
+      providerThinkingLevel?: string;
+    },
+  ): Promise<CodexLaunchResponse>;
+  sendCodexMessage(
+    sessionId: string,
+    options: CodexScope & {
+      workspaceId: string;
+      prompt: string;
+      mode?: 'queue' | 'interrupt_and_send';
+    },
+  ): Promise<CodexSessionSummary>;
+  interruptCodexSession(sessionId: string): Promise<CodexSessionSummary>;
+  respondCodexExtensionUi(
+    sessionId: string,
+    requestId: string,
+    options?: { value?: string; confirmed?: boolean; cancelled?: boolean },
+  ): Promise<CodexSessionSummary>;
+  codexSessionEvents(
+    sessionId: string,
+    options?: { limit?: number },
+  ): Promise<CodexSessionEvent[]>;
+  codexSessionChanges(sessionId: string): Promise<CodexSessionChanges>;
+
+  terminalLayouts(workspaceId: string): Promise<TerminalLayout[]>;
+  saveTerminalLayout(
+    workspaceId: string,
+    options: { paneCount: number },
+  ): Promise<TerminalLayout>;
+
+  socket(options?: { timeoutMs?: number }): ActSocket;
+}
+
+export function createActClient(options: ActClientOptions): ActClient;
+
+export interface ActSocketEvents {
+  connection: [connected: boolean];
+  'terminal:output': [{ sessionId: string; output: string }];
+  'terminal:created': [
+    { sessionId: string; isNewSession: boolean; pid?: number },
+  ];
+  'terminal:error': [
+    { sessionId?: string; message: string; isSessionNotFound: boolean },
+  ];
+  'task:execution:started': [
+    { executionId: string; taskId: string; status: string },
+  ];
+  'task:execution:output': [{ executionId: string; output: string }];
+  'task:execution:status': [
+    {
+      executionId: string;
+      status: string;
+      exitCode?: number;
+      durationMs?: number;
+    },
+  ];
+  'task:execution:error': [{ executionId?: string; message: string }];
+  'task:execution:warning': [{ executionId?: string; message: string }];
+  'auth:error': [{ message: string }];
+  'connect:error': [{ message: string }];
+}
+
+export interface ActSocket extends EventEmitter<ActSocketEvents> {
+  readonly isConnected: boolean;
+  connect(): Promise<void>;
+  createTerminal(options: {
+    workspaceId: string;
+    sessionId: string;
+    paneId: string;
+    cols: number;
+    rows: number;
+  }): boolean;
+  sendTerminalData(sessionId: string, data: string): boolean;
+  resizeTerminal(
+    sessionId: string,
+    size: { cols: number; rows: number },
+  ): boolean;
+  terminateTerminal(sessionId: string): boolean;
+  startTaskExecution(options: {
+    taskId: string;
+    workspaceId: string;
+    permissionMode?: string;
+    timeoutSeconds?: number;
+  }): boolean;
+  close(): void;
+}
+
+export function createActSocket(options: {
+  baseUrl: string;
+  token?: string;
+  refreshToken?: RefreshToken;
+  timeoutMs?: number;
+}): ActSocket;
+
+export function authOsTokenRefresher(options: {
+  authOsBaseUrl: string;
+  refreshToken: string;
+  onTokens?: (tokens: {
+    accessToken: string;
+    refreshToken: string;
+  }) => void | Promise<void>;
+  fetch?: typeof globalThis.fetch;
+}): RefreshToken;
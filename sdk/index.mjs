@@ -0,0 +1,4 @@
+export { authOsTokenRefresher } from './src/auth.mjs';
+export { createActClient } from './src/client.mjs';
+export { ActApiError } from './src/errors.mjs';
+export { createActSocket } from './src/socket.mjs';
@@ -0,0 +1,71 @@
+// Holds the access token shared by the REST client and its sockets. With
+// `refreshToken`, a rejected token is swapped for a new one once; concurrent
+// callers that saw the same stale token share a single refresh.
+export function createTokenSource({ token = '', refreshToken } = {}) {
+  let current = token;
+  let pending;
+
+  return {
+    get token() {
+      return current;
+    },
+    set token(value) {
+      current = value ?? '';
+    },
+    canRefresh: typeof refreshToken === 'function',
+    async refresh(staleToken = current) {
+      if (!this.canRefresh) {
+        return undefined;
+      }
+      if (staleToken !== current) {
+        return current;
+      }
+      pending ??= Promise.resolve(refreshToken(staleToken))
+        .then((next) => {
+          if (typeof next !== 'string' || next.trim() === '') {
+            throw new Error('refreshToken did not return an access token');
+          }
+          current = next;
+          return next;
+        })
+        .finally(() => {
+          pending = undefined;
+        });
+      return pending;
+    },
+  };
+}
+
+// A `refreshToken` callback for AuthOS, the app's sign-in service. AuthOS
+// rotates refresh tokens, so `onTokens` is called with both new tokens for
+// the caller to store.
+export function authOsTokenRefresher({
+  authOsBaseUrl,
+  refreshToken,
+  onTokens,
+  fetch = globalThis.fetch,
+}) {
+  let currentRefreshToken = refreshToken;
+  const url = `${authOsBaseUrl.replace(/\/+$/, '')}/api/auth/refresh`;
+
+  return async () => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ refresh_token: currentRefreshToken }),
+      signal: AbortSignal.timeout(20000),
+    });
+    const body = await response.json().catch(() => null);
+    if (!response.ok || typeof body?.access_token !== 'string') {
+      throw new Error(
+        `AuthOS token refresh failed with HTTP ${response.status}`,
+      );
+    }
+    currentRefreshToken = body.refresh_token ?? currentRefreshToken;
+    await onTokens?.({
+      accessToken: body.access_token,
+      refreshToken: currentRefreshToken,
+    });
+    return body.access_token;
+  };
+}
@@ -0,0 +1,85 @@
+import { mkdir, writeFile } from 'node:fs/promises';
+import { basename, join } from 'node:path';
+
+import { printJson, printTable } from '../output.mjs';
+import { requireRunRef, resolveRun } from '../resolve.mjs';
+
+// Artifact names come from the server, so only their last path segment is
+// used, and repeated names get the artifact id appended.
+function fileNames(artifacts) {
+  const used = new Set();
+  return artifacts.map((artifact) => {
+    let name = basename(artifact.name || artifact.id).replace(/^\.+/, '_');
+    if (used.has(name)) {
+      name = `${name}-${artifact.id.slice(0, 8)}`;
+    }
+    used.add(name);
+    return name;
+  });
+}
+
+export const artifactCommands = {
+  'artifacts ls': {
+    summary: 'List the artifacts of a run',
+    usage: 'act artifacts ls <run|task> [--json]',
+    options: {},
+    async run({ client, json, positionals }) {
+      const { task, run } = await resolveRun(
+        client,
+        requireRunRef(positionals, 'artifacts ls'),
+      );
+      const artifacts = await client.nativeTaskRunArtifacts(task.id, run.id);
+      if (json) {
+        printJson(artifacts);
+        return;
+      }
+      printTable(artifacts, [
+        { title: 'ID', value: (artifact) => artifact.id },
+        { title: 'TYPE', value: (artifact) => artifact.artifact_type ?? '' },
+        { title: 'BYTES', value: (artifact) => artifact.byte_size ?? '' },
+        { title: 'NAME', value: (artifact) => artifact.name },
+      ]);
+    },
+  },
+
+  'artifacts pull': {
+    summary: 'Download the artifacts of a run into a directory',
+    usage: 'act artifacts pull <run|task> [-o <dir>] [--json]',
+    options: {
+      output: { type: 'string', short: 'o', default: '.' },
+    },
+    async run({ client, json, values, positionals, log }) {
+      const { task, run } = await resolveRun(
+        client,
+        requireRunRef(positionals, 'artifacts pull'),
+      );
+      const artifacts = await client.nativeTaskRunArtifacts(task.id, run.id);
+      await mkdir(values.output, { recursive: true });
+      const names = fileNames(artifacts);
+      const pulled = [];
+      for (const [index, artifact] of artifacts.entries()) {
+        const bytes = await client.downloadNativeTaskRunArtifact(
+          task.id,
+          run.id,
+          artifact.id,
+        );
+        const path = join(values.output, names[index]);
+        await writeFile(path, bytes);
+        pulled.push({
+          id: artifact.id,
+          name: artifact.name,
+          path,
+          bytes: bytes.length,
+        });
+        if (!json) {
+          process.stdout.write(`${path}\n`);
+        }
+      }
+      if (json) {
+        printJson(pulled);
+      } else if (pulled.length === 0) {
+        log(`run ${run.id} has no artifacts`);
+      }
+    },
+  },
+};
@@ -0,0 +1,242 @@
+import { setTimeout as delay } from 'node:timers/promises';
+
+import { isActiveRun } from '../../runs.mjs';
+import { exitCodes, UsageError } from '../errors.mjs';
+import { printJson, printJsonLine, printTable } from '../output.mjs';
+import { requireRunRef, resolveRun } from '../resolve.mjs';
+
+const failedStatuses = new Set(['failed', 'error']);
+
+export function runExitCode(run) {
+  if (run.status === 'completed') {
+    return exitCodes.ok;
+  }
+  return failedStatuses.has(run.status)
+    ? exitCodes.runFailed
+    : exitCodes.runNotCompleted;
+}
+
+function formatEvent(event) {
+  const status = event.status ? ` (${event.status})` : '';
+  const heading = `[${event.type}] ${event.title ?? ''}${status}`.trimEnd();
+  const text = event.text?.trim();
+  return text ? `${heading}\n${text.replace(/^/gm, '  ')}\n` : `${heading}\n`;
+}
+
+// Prints the output of the task's executions as the socket reports them.
+// Executions are matched by the taskId in task:execution:started, so the
+// socket has to be connected before the run starts to see them all. Without
+// the socket the run is still followed through its events.
+async function watchOutput({ client, task, json, log }) {
+  const executionIds = new Set();
+  const socket = client.socket();
+  socket.on('task:execution:started', (started) => {
+    if (started.taskId === task.id) {
+      executionIds.add(started.executionId);
+    }
+  });
+  socket.on('task:execution:output', ({ executionId, output }) => {
+    if (!executionIds.has(executionId)) {
+      return;
+    }
+    if (json) {
+      printJsonLine({ kind: 'output', executionId, output });
+    } else {
+      process.stdout.write(output);
+    }
+  });
+  try {
+    await socket.connect();
+  } catch (error) {
+    log(`live output unavailable, following events only: ${error.message}`);
+  }
+  return socket;
+}
+
+// Polls the run's events and prints new ones until the run leaves the active
+// statuses, then closes the `socket` printing its live output, if any.
+// Resolves with the run's final state.
+async function followRun({ client, task, run, json, intervalMs, socket }) {
+  let printed = -1;
+  let current = run;
+  try {
+    for (;;) {
+      const events = await client.nativeTaskRunEvents(task.id, run.id);
+      for (const event of events) {
+        if (event.index > printed) {
+          printed = event.index;
+          if (json) {
+            printJsonLine({ kind: 'event', ...event });
+          } else {
+            process.stdout.write(formatEvent(event));
+          }
+        }
+      }
+      if (!isActiveRun(current)) {
+        return current;
+      }
+      await delay(intervalMs);
+      const refreshed = await client.nativeTask(task.id);
+      current =
+        refreshed.runs?.find((candidate) => candidate.id === run.id) ?? current;
+    }
+  } finally {
+    socket?.close();
+  }
+}
+
+function interval(values) {
+  const seconds = Number(values.interval ?? '2');
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    throw new UsageError('--interval must be a positive number of seconds');
+  }
+  return seconds * 1000;
+}
+
+function finish(run, { json, log }) {
+  if (json) {
+    printJsonLine({ kind: 'run', ...run });
+  } else {
+    log(`run ${run.id} ${run.status}`);
+  }
+  return runExitCode(run);
+}
+
+export const runCommands = {
+  'run start': {
+    summary: 'Start a task run and follow it until it finishes',
+    usage:
+      'act run start <task> [--provider <codex|pi>] [--detach] [--interval <seconds>] [--json]',
+    options: {
+      provider: { type: 'string' },
+      detach: { type: 'boolean', default: false },
+      interval: { type: 'string' },
+    },
+    async run({ client, json, values, positionals, log }) {
+      const [taskId] = positionals;
+      if (!taskId) {
+        throw new UsageError('run start needs a task id');
+      }
+      const intervalMs = interval(values);
+      const task = await client.nativeTask(taskId);
+      if (values.detach) {
+        const run = await client.startNativeTaskRun(task.id, {
+          agentProvider: values.provider,
+        });
+        if (json) {
+          printJson(run);
+        } else {
+          process.stdout.write(`${run.id}\n`);
+        }
+        return exitCodes.ok;
+      }
+      const socket = await watchOutput({ client, task, json, log });
+      let run;
+      try {
+        run = await client.startNativeTaskRun(task.id, {
+          agentProvider: values.provider,
+        });
+      } catch (error) {
+        socket.close();
+        throw error;
+      }
+      log(
+        run.queue_position > 0
+          ? `run ${run.id} queued at position ${run.queue_position}`
+          : `run ${run.id} started`,
+      );
+      const final = await followRun({
+        client,
+        task,
+        run,
+        json,
+        intervalMs,
+        socket,
+      });
+      return finish(final, { json, log });
+    },
+  },
+
+  'run events': {
+    summary: 'Print the events of a run, optionally following it',
+    usage:
+      'act run events <run|task> [--follow] [--interval <seconds>] [--json]',
+    options: {
+      follow: { type: 'boolean', default: false },
+      interval: { type: 'string' },
+    },
+    async run({ client, json, values, positionals, log }) {
+      const { task, run } = await resolveRun(
+        client,
+        requireRunRef(positionals, 'run events'),
+      );
+      if (values.follow) {
+        const final = await followRun({
+          client,
+          task,
+          run,
+          json,
+          intervalMs: interval(values),
+        });
+        return finish(final, { json, log });
+      }
+      const events = await client.nativeTaskRunEvents(task.id, run.id);
+      if (json) {
+        printJson(events);
+      } else {
+        process.stdout.write(events.map(formatEvent).join(''));
+      }
+      return runExitCode(run);
+    },
+  },
+
+  'run finalize': {
+    summary: 'Finalize a completed run',
+    usage: 'act run finalize <run|task> [--json]',
+    options: {},
+    async run({ client, json, positionals, log }) {
+      const { task, run } = await resolveRun(
+        client,
+        requireRunRef(positionals, 'run finalize'),
+      );
+      const updated = await client.finalizeNativeTaskRun(task.id, run.id);
+      if (json) {
+        printJson(updated);
+      } else {
+        log(`task ${updated.id} ${updated.status}`);
+      }
+    },
+  },
+
+  'run pr': {
+    summary: 'Open or update pull requests for a run',
+    usage: 'act run pr <run|task> [--json]',
+    options: {},
+    async run({ client, json, positionals, log }) {
+      const { task, run } = await resolveRun(
+        client,
+        requireRunRef(positionals, 'run pr'),
+      );
+      const updated = await client.createNativeTaskRunPullRequests(
+        task.id,
+        run.id,
+      );
+      const pullRequests =
+        updated.runs?.find((candidate) => candidate.id === run.id)
+          ?.pull_requests ?? [];
+      if (json) {
+        printJson(pullRequests);
+      } else {
+        printTable(pullRequests, [
+          { title: 'REPOSITORY', value: (pr) => pr.repository ?? '' },
+          { title: 'STATE', value: (pr) => pr.action || pr.state },
+          { title: 'URL', value: (pr) => pr.url || pr.error || '' },
+        ]);
+      }
+      if (pullRequests.some((pr) => pr.state === 'failed')) {
+        log('some pull requests could not be opened');
+        return exitCodes.error;
+      }
+    },
+  },
+};
@@ -0,0 +1,258 @@
+import { exitCodes, UsageError } from '../errors.mjs';
+import { printJson, printTable } from '../output.mjs';
+import { resolveWorkspaces } from '../resolve.mjs';
+
+const defaultDetachKeys = 'ctrl-b,d';
+
+// `ctrl-b,d` style key lists, as for `docker attach --detach-keys`: each key
+// is a single character or `ctrl-` and a letter or one of @[\]^_.
+export function parseDetachKeys(spec) {
+  const keys = spec.split(',').map((key) => {
+    const control = /^ctrl-([a-z@[\\\]^_])$/i.exec(key);
+    if (control) {
+      return String.fromCharCode(control[1].toUpperCase().charCodeAt(0) & 0x1f);
+    }
+    if ([...key].length === 1) {
+      return key;
+    }
+    throw new UsageError(`--detach-keys cannot use "${key}"`);
+  });
+  return keys.join('');
+}
+
+// Watches keyboard input for the detach sequence. Input that starts the
+// sequence is held back until it completes or diverges, then sent on.
+export function createDetachMatcher(sequence) {
+  let matched = 0;
+  return (input) => {
+    let forward = '';
+    for (const char of input) {
+      if (char === sequence[matched]) {
+        matched += 1;
+        if (matched === sequence.length) {
+          matched = 0;
+          return { forward, detached: true };
+        }
+        continue;
+      }
+      // Keep holding the longest tail that could still start the sequence.
+      const pending = sequence.slice(0, matched) + char;
+      let kept = pending.length - 1;
+      while (kept > 0 && !sequence.startsWith(pending.slice(-kept))) {
+        kept -= 1;
+      }
+      forward += pending.slice(0, pending.length - kept);
+      matched = kept;
+    }
+    return { forward, detached: false };
+  };
+}
+
+async function findSession(client, sessionId) {
+  const session = (await client.sessions()).find(
+    (candidate) => candidate.id === sessionId,
+  );
+  if (!session) {
+    throw new UsageError(`No session "${sessionId}"`);
+  }
+  return session;
+}
+
+function terminalSize() {
+  return {
+    cols: process.stdout.columns ?? 120,
+    rows: process.stdout.rows ?? 34,
+  };
+}
+
+// The part of `output` that `buffer` does not already end with. Output that
+// arrives while the scrollback is being fetched can be in both.
+function unseenOutput(buffer, output) {
+  const longest = Math.min(buffer.length, output.length);
+  for (let overlap = longest; overlap > 0; overlap -= 1) {
+    if (buffer.endsWith(output.slice(0, overlap))) {
+      return output.slice(overlap);
+    }
+  }
+  return output;
+}
+
+// Bridges this terminal to the session's PTY until the detach keys are
+// pressed or the session goes away. The scrollback is fetched once the PTY
+// is attached, so no output falls between the two; live output is held
+// until the scrollback is printed. Like the app's terminal pane, it attaches
+// again whenever the socket reconnects.
+function bridge({ client, socket, session, detachSequence, log }) {
+  const { stdin, stdout } = process;
+  const matchDetach = createDetachMatcher(detachSequence);
+  const attach = () =>
+    socket.createTerminal({
+      workspaceId: session.workspace_id,
+      sessionId: session.id,
+      paneId: `act-attach-${process.pid}`,
+      ...terminalSize(),
+    });
+
+  return new Promise((resolve) => {
+    let attached = false;
+    let held = '';
+    let printing = false;
+
+    function finish(code, message) {
+      stdin.off('data', onInput);
+      stdout.off('resize', onResize);
+      socket.off('connection', onConnection);
+      stdin.setRawMode(false);
+      stdin.pause();
+      socket.close();
+      stdout.write('\r\n');
+      log(message);
+      resolve(code);
+    }
+
+    function onInput(input) {
+      const { forward, detached } = matchDetach(input);
+      if (forward) {
+        socket.sendTerminalData(session.id, forward);
+      }
+      if (detached) {
+        finish(exitCodes.ok, `detached from session ${session.id}`);
+      }
+    }
+
+    function onResize() {
+      socket.resizeTerminal(session.id, terminalSize());
+    }
+
+    function onConnection(connected) {
+      if (connected) {
+        attach();
+      } else if (attached) {
+        log('connection lost; reconnecting');
+      }
+    }
+
+    async function printScrollback() {
+      printing = true;
+      try {
+        const buffer = await client.sessionBuffer(session.id);
+        stdout.write(buffer);
+        held = unseenOutput(buffer, held);
+      } catch (error) {
+        log(`scrollback unavailable: ${error.message}`);
+      }
+      stdout.write(held);
+      held = '';
+      printing = false;
+    }
+
+    socket.on('terminal:output', ({ sessionId, output }) => {
+      if (sessionId !== session.id) {
+        return;
+      }
+      if (attached && !printing) {
+        stdout.write(output);
+      } else {
+        held += output;
+      }
+    });
+    socket.on('terminal:created', ({ sessionId }) => {
+      if (sessionId === session.id && !attached) {
+        attached = true;
+        printScrollback();
+      }
+    });
+    socket.on('terminal:error', ({ sessionId, message, isSessionNotFound }) => {
+      if (sessionId !== session.id) {
+        return;
+      }
+      if (isSessionNotFound) {
+        finish(
+          attached ? exitCodes.ok : exitCodes.error,
+          `session ${session.id} is no longer running`,
+        );
+      } else {
+        stdout.write(`\r\n${message}\r\n`);
+      }
+    });
+    socket.on('connection', onConnection);
+    stdout.on('resize', onResize);
+    stdin.setEncoding('utf8');
+    stdin.setRawMode(true);
+    stdin.on('data', onInput);
+    stdin.resume();
+    attach();
+  });
+}
+
+export const sessionCommands = {
+  'sessions ls': {
+    summary: 'List terminal sessions',
+    usage: 'act sessions ls [--workspace <workspace>] [--json]',
+    options: { workspace: { type: 'string' } },
+    async run({ client, json, values }) {
+      let sessions = await client.sessions();
+      if (values.workspace) {
+        const [workspace] = await resolveWorkspaces(client, [values.workspace]);
+        sessions = sessions.filter(
+          (session) => session.workspace_id === workspace.id,
+        );
+      }
+      if (json) {
+        printJson(sessions);
+        return;
+      }
+      printTable(sessions, [
+        { title: 'ID', value: (session) => session.id },
+        { title: 'NAME', value: (session) => session.session_name },
+        { title: 'STATUS', value: (session) => session.status },
+        { title: 'WORKSPACE', value: (session) => session.workspace_id },
+      ]);
+    },
+  },
+
+  attach: {
+    summary: 'Attach this terminal to a terminal session',
+    usage:
+      'act attach <session> | --workspace <workspace> [--detach-keys <keys>]',
+    options: {
+      workspace: { type: 'string' },
+      'detach-keys': { type: 'string', default: defaultDetachKeys },
+    },
+    async run({ client, values, positionals, log }) {
+      const [sessionId] = positionals;
+      if (Boolean(sessionId) === Boolean(values.workspace)) {
+        throw new UsageError('attach needs a session id or --workspace');
+      }
+      if (!process.stdin.isTTY || !process.stdout.isTTY) {
+        throw new UsageError('attach needs an interactive terminal');
+      }
+      const detachSequence = parseDetachKeys(values['detach-keys']);
+
+      let session;
+      if (sessionId) {
+        session = await findSession(client, sessionId);
+      } else {
+        const [workspace] = await resolveWorkspaces(client, [values.workspace]);
+        session = await client.createSession(workspace.id, {
+          sessionName: 'act attach',
+          ...terminalSize(),
+        });
+        log(`started session ${session.id}`);
+      }
+
+      const socket = client.socket();
+      try {
+        await socket.connect();
+      } catch (error) {
+        socket.close();
+        log(`attach failed: ${error.message}`);
+        return exitCodes.error;
+      }
+      log(
+        `attached to session ${session.id}; press ${values['detach-keys']} to detach`,
+      );
+      return bridge({ client, socket, session, detachSequence, log });
+    },
+  },
+};
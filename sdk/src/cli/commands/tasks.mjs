@@ -0,0 +1,176 @@
+import { readFile } from 'node:fs/promises';
+import { basename, extname } from 'node:path';
+
+import { UsageError } from '../errors.mjs';
+import { printJson, printTable } from '../output.mjs';
+import {
+  latestRun,
+  resolveCollection,
+  resolveWorkspaces,
+} from '../resolve.mjs';
+
+const contentTypes = {
+  '.md': 'text/markdown',
+  '.txt': 'text/plain',
+  '.json': 'application/json',
+  '.log': 'text/plain',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+};
+
+function printTasks(tasks) {
+  printTable(tasks, [
+    { title: 'ID', value: (task) => task.id },
+    { title: 'STATUS', value: (task) => task.status },
+    { title: 'LAST RUN', value: (task) => latestRun(task)?.status ?? '' },
+    { title: 'TITLE', value: (task) => task.title },
+  ]);
+}
+
+export const taskCommands = {
+  'task ls': {
+    summary: 'List tasks, optionally for one workspace or collection',
+    usage:
+      'act task ls [--workspace <id|name>] [--scope <collection>] [--json]',
+    options: {
+      workspace: { type: 'string' },
+      scope: { type: 'string' },
+    },
+    async run({ client, json, values }) {
+      const [workspace] = values.workspace
+        ? await resolveWorkspaces(client, [values.workspace])
+        : [];
+      const collection = values.scope
+        ? await resolveCollection(client, values.scope)
+        : undefined;
+      const tasks = await client.nativeTasks({
+        workspaceId: workspace?.id,
+        scopeType: collection && 'collection',
+        scopeId: collection?.id,
+      });
+      if (json) {
+        printJson(tasks);
+      } else {
+        printTasks(tasks);
+      }
+    },
+  },
+
+  'task create': {
+    summary: 'Create a task for workspaces or a collection',
+    usage: `act task create --title <title> (--workspace <id|name>... | --scope <collection>)
+    [--description <text> | --description-file <file>] [--model <model>]
+    [--provider <codex|pi>] [--thinking <level>] [--mode <execution mode>]
+    [--approval <approval mode>] [--attach <file>...] [--json]`,
+    options: {
+      title: { type: 'string' },
+      description: { type: 'string' },
+      'description-file': { type: 'string' },
+      workspace: { type: 'string', multiple: true },
+      scope: { type: 'string' },
+      model: { type: 'string' },
+      provider: { type: 'string' },
+      thinking: { type: 'string' },
+      mode: { type: 'string' },
+      approval: { type: 'string' },
+      attach: { type: 'string', multiple: true },
+    },
+    async run({ client, json, values, log }) {
+      if (!values.title?.trim()) {
+        throw new UsageError('task create needs --title');
+      }
+      if (values.description && values['description-file']) {
+        throw new UsageError(
+          'Pass --description or --description-file, not both',
+        );
+      }
+      const collection = values.scope
+        ? await resolveCollection(client, values.scope)
+        : undefined;
+      // A collection-scoped task runs in the collection's workspaces unless
+      // --workspace narrows it, as in the app's task composer.
+      const workspaceIds = values.workspace
+        ? (await resolveWorkspaces(client, values.workspace)).map(
+            (workspace) => workspace.id,
+          )
+        : (collection?.members ?? []).map((member) => member.workspace_id);
+      if (workspaceIds.length === 0) {
+        throw new UsageError(
+          'task create needs --workspace or a --scope collection with workspaces',
+        );
+      }
+      const description = values['description-file']
+        ? await readFile(values['description-file'], 'utf8')
+        : values.description;
+      const attachments = await Promise.all(
+        (values.attach ?? []).map(async (path) => ({
+          path,
+          content: await readFile(path),
+        })),
+      );
+
+      const task = await client.createNativeTask({
+        title: values.title.trim(),
+        description: description?.trim() || values.title.trim(),
+        workspaceIds,
+        collectionIds: collection ? [collection.id] : [],
+        agentProvider: values.provider,
+        providerModel: values.model,
+        providerThinkingLevel: values.thinking,
+        executionMode: values.mode,
+        approvalMode: values.approval,
+      });
+      for (const { path, content } of attachments) {
+        await client.uploadNativeTaskAttachment(task.id, {
+          filename: basename(path),
+          contentType:
+            contentTypes[extname(path).toLowerCase()] ??
+            'application/octet-stream',
+          content,
+        });
+        log(`attached ${basename(path)}`);
+      }
+
+      const created = attachments.length
+        ? await client.nativeTask(task.id)
+        : task;
+      if (json) {
+        printJson(created);
+      } else {
+        process.stdout.write(`${created.id}\n`);
+        log(`created "${created.title}"`);
+      }
+    },
+  },
+
+  'task show': {
+    summary: 'Show a task and its runs',
+    usage: 'act task show <task> [--json]',
+    options: {},
+    async run({ client, json, positionals }) {
+      const [taskId] = positionals;
+      if (!taskId) {
+        throw new UsageError('task show needs a task id');
+      }
+      const task = await client.nativeTask(taskId);
+      if (json) {
+        printJson(task);
+        return;
+      }
+      process.stdout.write(`${task.title}\n${task.id}  ${task.status}\n\n`);
+      printTable(task.runs ?? [], [
+        { title: 'RUN', value: (run) => run.id },
+        { title: 'STATUS', value: (run) => run.status },
+        { title: 'AGENT', value: (run) => run.agent_provider ?? '' },
+        {
+          title: 'ARTIFACTS',
+          value: (run) => run.artifacts?.length ?? 0,
+        },
+      ]);
+    },
+  },
+};
@@ -0,0 +1,25 @@
+import { printJson, printTable } from '../output.mjs';
+
+export const workspaceCommands = {
+  'workspaces ls': {
+    summary: 'List workspaces',
+    usage: 'act workspaces ls [--json]',
+    options: {},
+    async run({ client, json }) {
+      const workspaces = await client.workspaces();
+      if (json) {
+        printJson(workspaces);
+        return;
+      }
+      printTable(workspaces, [
+        { title: 'ID', value: (workspace) => workspace.id },
+        { title: 'NAME', value: (workspace) => workspace.name },
+        {
+          title: 'REPOSITORY',
+          value: (workspace) => workspace.github_repo ?? '',
+        },
+        { title: 'PATH', value: (workspace) => workspace.local_path ?? '' },
+      ]);
+    },
+  },
+};
@@ -0,0 +1,9 @@
+// Exit codes, so CI jobs can tell a failed run from a broken invocation.
+export const exitCodes = {
+  ok: 0,
+  error: 1,
+  runFailed: 2,
+  runNotCompleted: 3,
+};
+
+export class UsageError extends Error {}
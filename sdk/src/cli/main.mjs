@@ -0,0 +1,124 @@
+import { parseArgs } from 'node:util';
+
+import { createClientFromEnv } from '../env.mjs';
+import { ActApiError } from '../errors.mjs';
+import { artifactCommands } from './commands/artifacts.mjs';
+import { runCommands } from './commands/runs.mjs';
+import { sessionCommands } from './commands/sessions.mjs';
+import { taskCommands } from './commands/tasks.mjs';
+import { workspaceCommands } from './commands/workspaces.mjs';
+import { exitCodes, UsageError } from './errors.mjs';
+import { log } from './output.mjs';
+
+export const commands = {
+  ...workspaceCommands,
+  ...taskCommands,
+  ...runCommands,
+  ...artifactCommands,
+  ...sessionCommands,
+};
+
+const globalOptions = {
+  api: { type: 'string' },
+  token: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+function usage() {
+  const width = Math.max(...Object.keys(commands).map((name) => name.length));
+  return `Usage: act <command> [options]
+
+${Object.entries(commands)
+  .map(([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`)
+  .join('\n')}
+
+Options for every command:
+  --api <url>      ACT server (ACT_API_BASE_URL, default http://127.0.0.1:3001)
+  --token <token>  access token (ACT_TOKEN)
+  --json           print JSON instead of tables and progress
+
+With ACT_REFRESH_TOKEN and AUTHOS_BASE_URL set, an expired access token is
+refreshed through AuthOS.
+
+Exit codes: 0 success or completed run, 1 error, 2 run failed,
+3 run ended without completing.
+`;
+}
+
+// Commands are one or two words, such as `run start`, followed by their
+// arguments; the words are matched before options are parsed so each command
+// can declare its own.
+function findCommand(argv) {
+  const words = [];
+  for (const arg of argv) {
+    if (arg.startsWith('-') || words.length === 2) {
+      break;
+    }
+    words.push(arg);
+  }
+  for (let count = words.length; count > 0; count -= 1) {
+    const name = words.slice(0, count).join(' ');
+    if (commands[name]) {
+      return { name, command: commands[name], rest: argv.slice(count) };
+    }
+  }
+  return undefined;
+}
+
+export async function main(argv, env = process.env) {
+  const found = findCommand(argv);
+  if (!found) {
+    const wantsHelp =
+      argv.length === 0 || argv.includes('--help') || argv.includes('-h');
+    (wantsHelp ? process.stdout : process.stderr).write(usage());
+    if (!wantsHelp) {
+      log(
+        `unknown command: ${argv
+          .filter((arg) => !arg.startsWith('-'))
+          .slice(0, 2)
+          .join(' ')}`,
+      );
+    }
+    return wantsHelp ? exitCodes.ok : exitCodes.error;
+  }
+
+  const { name, command, rest } = found;
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: rest,
+      options: { ...globalOptions, ...command.options },
+      allowPositionals: true,
+    });
+  } catch (error) {
+    log(`${error.message}\nusage: ${command.usage}`);
+    return exitCodes.error;
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    process.stdout.write(`${command.summary}\n\nusage: ${command.usage}\n`);
+    return exitCodes.ok;
+  }
+
+  try {
+    const code = await command.run({
+      client: createClientFromEnv(values, env),
+      json: values.json,
+      values,
+      positionals,
+      log,
+    });
+    return code ?? exitCodes.ok;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      log(`${error.message}\nusage: ${command.usage}`);
+    } else if (error instanceof ActApiError) {
+      const status = error.statusCode ? ` (HTTP ${error.statusCode})` : '';
+      log(`${name} failed${status}: ${error.message}`);
+    } else {
+      throw error;
+    }
+    return exitCodes.error;
+  }
+}
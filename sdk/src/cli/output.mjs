@@ -0,0 +1,34 @@
+export function printJson(value) {
+  process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+// One JSON document per line, for streams such as followed run events.
+export function printJsonLine(value) {
+  process.stdout.write(`${JSON.stringify(value)}\n`);
+}
+
+export function printTable(rows, columns) {
+  if (rows.length === 0) {
+    return;
+  }
+  const cells = rows.map((row) =>
+    columns.map(({ value }) => String(value(row) ?? '')),
+  );
+  const widths = columns.map((column, index) =>
+    Math.max(column.title.length, ...cells.map((row) => row[index].length)),
+  );
+  const line = (values) =>
+    values
+      .map((value, index) =>
+        index === values.length - 1 ? value : value.padEnd(widths[index]),
+      )
+      .join('  ')
+      .trimEnd();
+  process.stdout.write(
+    `${[line(columns.map((column) => column.title)), ...cells.map(line)].join('\n')}\n`,
+  );
+}
+
+export function log(message) {
+  process.stderr.write(`[act] ${message}\n`);
+}
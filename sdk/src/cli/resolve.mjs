@@ -0,0 +1,62 @@
+import { UsageError } from './errors.mjs';
+
+function byIdOrName(items, ref, what) {
+  const exact = items.find((item) => item.id === ref);
+  if (exact) {
+    return exact;
+  }
+  const named = items.filter(
+    (item) => item.name?.toLowerCase() === ref.toLowerCase(),
+  );
+  if (named.length === 1) {
+    return named[0];
+  }
+  if (named.length > 1) {
+    throw new UsageError(
+      `${named.length} ${what}s are named "${ref}"; use an id (${named.map((item) => item.id).join(', ')})`,
+    );
+  }
+  throw new UsageError(`No ${what} "${ref}"`);
+}
+
+export async function resolveWorkspaces(client, refs) {
+  const workspaces = await client.workspaces();
+  return refs.map((ref) => byIdOrName(workspaces, ref, 'workspace'));
+}
+
+export async function resolveCollection(client, ref) {
+  return byIdOrName(await client.collections(), ref, 'collection');
+}
+
+export function requireRunRef(positionals, command) {
+  const [ref] = positionals;
+  if (!ref) {
+    throw new UsageError(`${command} needs a run id or task id`);
+  }
+  return ref;
+}
+
+// Run commands take a run id, or a task id for that task's latest run, since
+// the API addresses runs through their task.
+export async function resolveRun(client, ref) {
+  const tasks = await client.nativeTasks();
+  for (const task of tasks) {
+    const run = task.runs?.find((candidate) => candidate.id === ref);
+    if (run) {
+      return { task, run };
+    }
+  }
+  const task = tasks.find((candidate) => candidate.id === ref);
+  if (task) {
+    const run = latestRun(task);
+    if (!run) {
+      throw new UsageError(`Task ${task.id} has not been run`);
+    }
+    return { task, run };
+  }
+  throw new UsageError(`No run or task "${ref}"`);
+}
+
+export function latestRun(task) {
+  return task.runs?.[0];
+}
@@ -0,0 +1,43 @@
+import { createTokenSource } from './auth.mjs';
+import { createTransport } from './http.mjs';
+import { codexResources } from './resources/codex.mjs';
+import { coreResources } from './resources/core-resources.mjs';
+import { layoutResources } from './resources/layouts.mjs';
+import { taskResources } from './resources/tasks.mjs';
+import { createActSocket } from './socket.mjs';
+
+// A client for the ACT REST API. Methods return the response's `data` as the
+// server sent it (snake_case fields) and throw ActApiError on failure.
+// `refreshToken(staleToken)` is called for a new access token when the server
+// answers 401; sockets made with `socket()` share the refreshed token.
+export function createActClient({
+  baseUrl,
+  token = '',
+  refreshToken,
+  fetch,
+  timeoutMs,
+}) {
+  if (!baseUrl) {
+    throw new TypeError('createActClient needs a baseUrl');
+  }
+  const auth = createTokenSource({ token, refreshToken });
+  const http = createTransport({ baseUrl, auth, fetch, timeoutMs });
+
+  return {
+    baseUrl: http.baseUrl,
+    get token() {
+      return auth.token;
+    },
+    set token(value) {
+      auth.token = value;
+    },
+    authHeaders: () => http.authHeaders(),
+    ...coreResources(http),
+    ...taskResources(http),
+    ...codexResources(http),
+    ...layoutResources(http),
+    socket(options = {}) {
+      return createActSocket({ ...options, baseUrl: http.baseUrl, auth });
+    },
+  };
+}
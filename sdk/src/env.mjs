@@ -0,0 +1,20 @@
+import { authOsTokenRefresher } from './auth.mjs';
+import { createActClient } from './client.mjs';
+
+// A client configured the way the `act` and `act-mcp` commands document:
+// flags first, then ACT_API_BASE_URL and ACT_TOKEN, and an AuthOS refresher
+// when ACT_REFRESH_TOKEN and AUTHOS_BASE_URL are both set.
+export function createClientFromEnv({ api, token } = {}, env = process.env) {
+  const refreshToken =
+    env.ACT_REFRESH_TOKEN && env.AUTHOS_BASE_URL
+      ? authOsTokenRefresher({
+          authOsBaseUrl: env.AUTHOS_BASE_URL,
+          refreshToken: env.ACT_REFRESH_TOKEN,
+        })
+      : undefined;
+  return createActClient({
+    baseUrl: api ?? env.ACT_API_BASE_URL ?? 'http://127.0.0.1:3001',
+    token: token ?? env.ACT_TOKEN ?? '',
+    refreshToken,
+  });
+}
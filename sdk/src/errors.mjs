@@ -0,0 +1,36 @@
+// The JS side of the app's ActApiException: `code` is the machine-readable
+// prefix of a `code: message` error string, when the backend sent one.
+export class ActApiError extends Error {
+  constructor(message, { statusCode, code, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ActApiError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+export function errorMessage(error) {
+  if (error && typeof error === 'object') {
+    const details = error.details?.toString().trim();
+    if (details) {
+      return details;
+    }
+    const message = error.message?.toString().trim();
+    if (message) {
+      return message;
+    }
+  }
+  const message = error?.toString().trim();
+  return message ? message : undefined;
+}
+
+export function parseError(raw) {
+  const separator = raw.indexOf(':');
+  if (separator > 0) {
+    const code = raw.slice(0, separator).trim();
+    if (/^[a-z][a-z0-9_]*$/.test(code)) {
+      return { code, message: raw.slice(separator + 1).trim() };
+    }
+  }
+  return { code: undefined, message: raw };
+}
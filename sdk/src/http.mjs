@@ -0,0 +1,163 @@
+import { ActApiError, errorMessage, parseError } from './errors.mjs';
+
+const publicTimeoutMs = 12000;
+
+// Sends requests to the ACT REST API and decodes them the way the app's
+// ActApi does: non-JSON bodies, HTTP errors, and `success: false` envelopes
+// all become an ActApiError.
+export function createTransport({
+  baseUrl,
+  auth,
+  fetch = globalThis.fetch,
+  timeoutMs = 20000,
+}) {
+  const origin = baseUrl.replace(/\/+$/, '');
+
+  function url(path) {
+    return `${origin}${path}`;
+  }
+
+  function authHeaders(token = auth.token) {
+    return token ? { authorization: `Bearer ${token}` } : {};
+  }
+
+  async function send(method, path, { body, authenticated = true } = {}) {
+    const attempt = async (token) => {
+      try {
+        return await fetch(url(path), {
+          method,
+          headers: {
+            ...(body === undefined
+              ? {}
+              : { 'content-type': 'application/json' }),
+            ...(authenticated ? authHeaders(token) : {}),
+          },
+          body: body === undefined ? undefined : JSON.stringify(body),
+          signal: AbortSignal.timeout(
+            authenticated ? timeoutMs : publicTimeoutMs,
+          ),
+        });
+      } catch (error) {
+        throw new ActApiError(
+          `ACT backend at ${origin} did not answer ${method} ${path}: ${error.cause?.message ?? error.message}`,
+          { cause: error },
+        );
+      }
+    };
+
+    const token = auth.token;
+    let response = await attempt(token);
+    if (response.status === 401 && authenticated && auth.canRefresh) {
+      let refreshed;
+      try {
+        refreshed = await auth.refresh(token);
+      } catch (error) {
+        throw new ActApiError(
+          `ACT backend rejected the current session for ${path} and the token refresh failed: ${error.message}`,
+          { statusCode: 401, cause: error },
+        );
+      }
+      response = await attempt(refreshed);
+    }
+    return response;
+  }
+
+  async function request(method, path, options) {
+    return decode(await send(method, path, options), path);
+  }
+
+  return {
+    baseUrl: origin,
+    url,
+    authHeaders,
+    send,
+    getPublic: (path) => request('GET', path, { authenticated: false }),
+    get: (path) => request('GET', path),
+    post: (path, body = {}) => request('POST', path, { body }),
+    put: (path, body = {}) => request('PUT', path, { body }),
+    delete: (path) => request('DELETE', path),
+  };
+}
+
+async function decode(response, path) {
+  const text = await response.text();
+  let decoded;
+  try {
+    decoded = JSON.parse(text);
+  } catch {
+    if (text.trim() === '') {
+      throw new ActApiError(
+        response.status === 401
+          ? `ACT backend rejected the current session for ${path}`
+          : `ACT backend returned HTTP ${response.status} with an empty response for ${path}`,
+        { statusCode: response.status },
+      );
+    }
+    const contentType = response.headers.get('content-type') ?? 'unknown';
+    const snippet = text.trim().replace(/\s+/g, ' ');
+    throw new ActApiError(
+      `ACT backend returned HTTP ${response.status} ${contentType} for ${path} instead of JSON: ${
+        snippet.length > 160 ? `${snippet.slice(0, 160)}...` : snippet
+      }`,
+      { statusCode: response.status },
+    );
+  }
+
+  if (!response.ok) {
+    const raw =
+      (isObject(decoded) ? errorMessage(decoded.error) : undefined) ??
+      (response.statusText || `HTTP ${response.status}`);
+    const parsed = parseError(raw);
+    throw new ActApiError(parsed.message, {
+      statusCode: response.status,
+      code: parsed.code,
+    });
+  }
+
+  if (!isObject(decoded)) {
+    throw new ActApiError('Backend returned an unexpected response');
+  }
+
+  if (decoded.success === false) {
+    const parsed = parseError(errorMessage(decoded.error) ?? 'Request failed');
+    throw new ActApiError(parsed.message, { code: parsed.code });
+  }
+
+  return decoded;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// `data` as an object, like ApiEnvelope.item.
+export function item(json) {
+  if (!isObject(json.data)) {
+    throw new ActApiError('Expected an object response');
+  }
+  return json.data;
+}
+
+// `data` as a list of objects, like ApiEnvelope.list.
+export function list(json) {
+  if (!Array.isArray(json.data)) {
+    throw new ActApiError('Expected a list response');
+  }
+  return json.data.filter(isObject);
+}
+
+export function segment(value) {
+  return encodeURIComponent(value);
+}
+
+export function query(params) {
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    const normalized = value?.toString().trim();
+    if (normalized) {
+      search.set(key, normalized);
+    }
+  }
+  const text = search.toString();
+  return text ? `?${text}` : '';
+}
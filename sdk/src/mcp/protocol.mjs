@@ -0,0 +1,202 @@
+import { createInterface } from 'node:readline';
+
+export const protocolVersions = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+export const errorCodes = {
+  parseError: -32700,
+  invalidRequest: -32600,
+  methodNotFound: -32601,
+  invalidParams: -32602,
+  internalError: -32603,
+  resourceNotFound: -32002,
+};
+
+export class McpError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'McpError';
+    this.code = code;
+  }
+}
+
+function toolResult(value) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text:
+          typeof value === 'string' ? value : JSON.stringify(value, null, 2),
+      },
+    ],
+  };
+}
+
+// The server side of the Model Context Protocol for tools and resources.
+// `tools` are `{ name, description, inputSchema, call(args) }`; a tool that
+// throws answers with `isError` so the calling model sees the message.
+// `resources` is `{ templates, list(), read(uri) }`. `handle` takes a parsed
+// JSON-RPC message and resolves with the response, or undefined for
+// notifications.
+export function createMcpServer({
+  name,
+  version,
+  instructions,
+  tools,
+  resources,
+  log = () => {},
+}) {
+  const toolsByName = new Map(tools.map((tool) => [tool.name, tool]));
+
+  const methods = {
+    initialize(params) {
+      const requested = params?.protocolVersion;
+      return {
+        protocolVersion: protocolVersions.includes(requested)
+          ? requested
+          : protocolVersions[0],
+        capabilities: { tools: {}, resources: {} },
+        serverInfo: { name, version },
+        ...(instructions && { instructions }),
+      };
+    },
+
+    ping() {
+      return {};
+    },
+
+    'tools/list'() {
+      return {
+        tools: tools.map(({ name, description, inputSchema }) => ({
+          name,
+          description,
+          inputSchema,
+        })),
+      };
+    },
+
+    async 'tools/call'(params) {
+      const tool = toolsByName.get(params?.name);
+      if (!tool) {
+        throw new McpError(
+          errorCodes.invalidParams,
+          `Unknown tool: ${params?.name}`,
+        );
+      }
+      try {
+        return toolResult(await tool.call(params.arguments ?? {}));
+      } catch (error) {
+        log(`${tool.name} failed: ${error.message}`);
+        return { ...toolResult(error.message), isError: true };
+      }
+    },
+
+    async 'resources/list'() {
+      return { resources: await resources.list() };
+    },
+
+    'resources/templates/list'() {
+      return { resourceTemplates: resources.templates };
+    },
+
+    async 'resources/read'(params) {
+      if (typeof params?.uri !== 'string') {
+        throw new McpError(
+          errorCodes.invalidParams,
+          'resources/read needs a uri',
+        );
+      }
+      return { contents: [await resources.read(params.uri)] };
+    },
+  };
+
+  return {
+    async handle(message) {
+      // The server sends no requests, so responses from the client are
+      // dropped along with notifications.
+      const isResponse =
+        'result' in Object(message) || 'error' in Object(message);
+      if (
+        message?.jsonrpc !== '2.0' ||
+        (!isResponse && typeof message.method !== 'string')
+      ) {
+        return failure(message?.id ?? null, {
+          code: errorCodes.invalidRequest,
+          message: 'Not a JSON-RPC 2.0 request',
+        });
+      }
+      if (isResponse || message.id === undefined || message.id === null) {
+        return undefined;
+      }
+      const method = methods[message.method];
+      if (!method) {
+        return failure(message.id, {
+          code: errorCodes.methodNotFound,
+          message: `Method not found: ${message.method}`,
+        });
+      }
+      try {
+        return {
+          jsonrpc: '2.0',
+          id: message.id,
+          result: await method(message.params),
+        };
+      } catch (error) {
+        if (error instanceof McpError) {
+          return failure(message.id, {
+            code: error.code,
+            message: error.message,
+          });
+        }
+        log(`${message.method} failed: ${error.message}`);
+        return failure(message.id, {
+          code: errorCodes.internalError,
+          message: error.message,
+        });
+      }
+    },
+  };
+}
+
+function failure(id, error) {
+  return { jsonrpc: '2.0', id, error };
+}
+
+// The stdio transport: one JSON-RPC message per line in each direction.
+// Requests are answered as they finish, so a slow tool does not hold up
+// `ping`. Resolves when the input ends.
+export function serveStdio(
+  server,
+  { input = process.stdin, output = process.stdout } = {},
+) {
+  const lines = createInterface({ input, crlfDelay: Infinity });
+  const pending = new Set();
+  const send = (message) => {
+    if (message) {
+      output.write(`${JSON.stringify(message)}\n`);
+    }
+  };
+
+  lines.on('line', (line) => {
+    if (!line.trim()) {
+      return;
+    }
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      send(
+        failure(null, { code: errorCodes.parseError, message: 'Parse error' }),
+      );
+      return;
+    }
+    const handled = server.handle(message).then(send);
+    pending.add(handled);
+    handled.finally(() => pending.delete(handled));
+  });
+
+  return new Promise((resolve) => {
+    lines.on('close', () => {
+      Promise.allSettled(pending).then(() => resolve());
+    });
+  });
+}
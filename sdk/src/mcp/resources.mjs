@@ -0,0 +1,82 @@
+import { ActApiError } from '../errors.mjs';
+import { errorCodes, McpError } from './protocol.mjs';
+
+const uriPattern =
+  /^act:\/\/tasks\/([^/]+)\/runs\/([^/]+)\/artifacts\/([^/]+)$/;
+
+export function artifactUri(taskId, runId, artifactId) {
+  return `act://tasks/${encodeURIComponent(taskId)}/runs/${encodeURIComponent(runId)}/artifacts/${encodeURIComponent(artifactId)}`;
+}
+
+export function artifactResource(taskId, runId, artifact) {
+  return {
+    uri: artifactUri(taskId, runId, artifact.id),
+    name: artifact.name,
+    mimeType: artifact.content_type || 'application/octet-stream',
+    ...(Number.isFinite(artifact.byte_size) && { size: artifact.byte_size }),
+  };
+}
+
+// Task run artifacts as `act://tasks/<task>/runs/<run>/artifacts/<artifact>`
+// resources. Text artifacts are read as text and the rest as base64 blobs,
+// as the server's artifact endpoint returns them.
+export function artifactResources(client) {
+  return {
+    templates: [
+      {
+        uriTemplate: 'act://tasks/{taskId}/runs/{runId}/artifacts/{artifactId}',
+        name: 'Task run artifact',
+        description:
+          'A file a native task run produced, such as its final report or a screenshot',
+      },
+    ],
+
+    async list() {
+      const tasks = await client.nativeTasks();
+      return tasks.flatMap((task) =>
+        (task.runs ?? []).flatMap((run) =>
+          (run.artifacts ?? []).map((artifact) => ({
+            ...artifactResource(task.id, run.id, artifact),
+            description: `${task.title} (run ${run.id})`,
+          })),
+        ),
+      );
+    },
+
+    async read(uri) {
+      const match = uriPattern.exec(uri);
+      if (!match) {
+        throw new McpError(
+          errorCodes.resourceNotFound,
+          `Unknown resource: ${uri}`,
+        );
+      }
+      const [taskId, runId, artifactId] = match
+        .slice(1)
+        .map(decodeURIComponent);
+      let preview;
+      try {
+        preview = await client.nativeTaskRunArtifact(taskId, runId, artifactId);
+      } catch (error) {
+        if (error instanceof ActApiError && error.statusCode === 404) {
+          throw new McpError(errorCodes.resourceNotFound, error.message);
+        }
+        throw error;
+      }
+      const { artifact, text, base64 } = preview;
+      const mimeType = artifact?.content_type || 'application/octet-stream';
+      if (typeof text === 'string') {
+        return { uri, mimeType, text };
+      }
+      if (typeof base64 === 'string') {
+        return { uri, mimeType, blob: base64 };
+      }
+      const content = await client.downloadNativeTaskRunArtifact(
+        taskId,
+        runId,
+        artifactId,
+      );
+      return { uri, mimeType, blob: content.toString('base64') };
+    },
+  };
+}
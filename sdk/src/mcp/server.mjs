@@ -0,0 +1,23 @@
+import { readFileSync } from 'node:fs';
+
+import { createMcpServer } from './protocol.mjs';
+import { artifactResources } from './resources.mjs';
+import { actTools } from './tools.mjs';
+
+const { version } = JSON.parse(
+  readFileSync(new URL('../../package.json', import.meta.url), 'utf8'),
+);
+
+const instructions = `Tools for an ACT server: its workspaces and collections, their files and git changes, native tasks that an agent carries out in a worktree, and interactive Codex sessions.
+To hand work over, create_task then start_task_run, poll get_run_events until active is false, then list_run_artifacts and read the artifacts' act:// resources.`;
+
+export function createActMcpServer(client, { log } = {}) {
+  return createMcpServer({
+    name: 'act',
+    version,
+    instructions,
+    tools: actTools(client),
+    resources: artifactResources(client),
+    log,
+  });
+}
@@ -0,0 +1,344 @@
+import { isActiveRun } from '../runs.mjs';
+import { artifactResource } from './resources.mjs';
+
+const string = (description) => ({ type: 'string', description });
+
+function tool(name, description, { properties = {}, required = [] }, call) {
+  return {
+    name,
+    description,
+    inputSchema: { type: 'object', properties, required },
+    call,
+  };
+}
+
+function requireString(args, key) {
+  const value = args[key];
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error(`${key} is required`);
+  }
+  return value.trim();
+}
+
+function optionalString(args, key) {
+  return typeof args[key] === 'string' && args[key].trim()
+    ? args[key].trim()
+    : undefined;
+}
+
+async function findRun(client, args) {
+  const task = await client.nativeTask(requireString(args, 'task_id'));
+  const runId = optionalString(args, 'run_id');
+  const run = runId
+    ? task.runs?.find((candidate) => candidate.id === runId)
+    : task.runs?.[0];
+  if (!run) {
+    throw new Error(
+      runId
+        ? `Task ${task.id} has no run ${runId}`
+        : `Task ${task.id} has not been run`,
+    );
+  }
+  return { task, run };
+}
+
+const runArgs = {
+  properties: {
+    task_id: string('The task id'),
+    run_id: string("The run id; defaults to the task's latest run"),
+  },
+  required: ['task_id'],
+};
+
+// The ACT operations other agents need to hand work over: find a workspace,
+// read its files and changes, create and run native tasks and collect what
+// they produce, and talk to Codex sessions. Results are the server's JSON.
+export function actTools(client) {
+  return [
+    tool(
+      'list_workspaces',
+      'List the workspaces on the ACT server, with their ids, repositories and paths.',
+      {},
+      () => client.workspaces(),
+    ),
+
+    tool(
+      'list_collections',
+      'List workspace collections and the workspaces in each.',
+      {},
+      () => client.collections(),
+    ),
+
+    tool(
+      'list_workspace_files',
+      'List the files and directories at a path in a workspace.',
+      {
+        properties: {
+          workspace_id: string('The workspace id'),
+          path: string(
+            'Directory relative to the workspace root; defaults to the root',
+          ),
+        },
+        required: ['workspace_id'],
+      },
+      (args) =>
+        client.workspaceFiles(requireString(args, 'workspace_id'), {
+          path: optionalString(args, 'path'),
+        }),
+    ),
+
+    tool(
+      'read_workspace_file',
+      'Read a file from a workspace.',
+      {
+        properties: {
+          workspace_id: string('The workspace id'),
+          path: string('File path relative to the workspace root'),
+        },
+        required: ['workspace_id', 'path'],
+      },
+      async (args) => {
+        const file = await client.workspaceFileContent(
+          requireString(args, 'workspace_id'),
+          { path: requireString(args, 'path') },
+        );
+        if (file.is_binary) {
+          throw new Error(`${file.path} is a binary file`);
+        }
+        return file.content ?? '';
+      },
+    ),
+
+    tool(
+      'git_changes',
+      "Show the git branch, status and changed files of workspaces' repositories.",
+      {
+        properties: {
+          workspace_id: string('Only this workspace; defaults to all of them'),
+        },
+      },
+      async (args) => {
+        const changes = await client.workspaceGitChanges();
+        const workspaceId = optionalString(args, 'workspace_id');
+        return workspaceId
+          ? changes.filter((change) => change.workspace_id === workspaceId)
+          : changes;
+      },
+    ),
+
+    tool(
+      'list_tasks',
+      'List native tasks and their runs, optionally for one workspace or collection.',
+      {
+        properties: {
+          workspace_id: string('Only tasks for this workspace'),
+          collection_id: string('Only tasks scoped to this collection'),
+        },
+      },
+      (args) => {
+        const collectionId = optionalString(args, 'collection_id');
+        return client.nativeTasks({
+          workspaceId: optionalString(args, 'workspace_id'),
+          scopeType: collectionId && 'collection',
+          scopeId: collectionId,
+        });
+      },
+    ),
+
+    tool(
+      'create_task',
+      'Create a native task for an agent to carry out in one or more workspaces. Start it with start_task_run.',
+      {
+        properties: {
+          title: string('A short title'),
+          description: string(
+            'What the agent should do; defaults to the title',
+          ),
+          workspace_ids: {
+            type: 'array',
+            items: { type: 'string' },
+            description:
+              "Workspaces to work in; defaults to the collection's workspaces",
+          },
+          collection_id: string('Scope the task to this collection'),
+          agent_provider: string('codex or pi; defaults to codex'),
+          model: string('Model for the agent, from the server model list'),
+          thinking_level: string('Reasoning effort for the model'),
+          execution_mode: string(
+            'plan, research, implement (default) or implement_and_pr',
+          ),
+          approval_mode: string(
+            'ask_before_edits (default), auto_edit or auto_edit_and_create_pr',
+          ),
+        },
+        required: ['title'],
+      },
+      async (args) => {
+        const title = requireString(args, 'title');
+        const collectionId = optionalString(args, 'collection_id');
+        let workspaceIds = Array.isArray(args.workspace_ids)
+          ? args.workspace_ids.filter((id) => typeof id === 'string')
+          : [];
+        if (workspaceIds.length === 0 && collectionId) {
+          const collection = (await client.collections()).find(
+            (candidate) => candidate.id === collectionId,
+          );
+          if (!collection) {
+            throw new Error(`No collection ${collectionId}`);
+          }
+          workspaceIds = collection.members.map(
+            (member) => member.workspace_id,
+          );
+        }
+        if (workspaceIds.length === 0) {
+          throw new Error(
+            'workspace_ids or a collection_id with workspaces is required',
+          );
+        }
+        return client.createNativeTask({
+          title,
+          description: optionalString(args, 'description') ?? title,
+          workspaceIds,
+          collectionIds: collectionId ? [collectionId] : [],
+          agentProvider: optionalString(args, 'agent_provider'),
+          providerModel: optionalString(args, 'model'),
+          providerThinkingLevel: optionalString(args, 'thinking_level'),
+          executionMode: optionalString(args, 'execution_mode'),
+          approvalMode: optionalString(args, 'approval_mode'),
+        });
+      },
+    ),
+
+    tool(
+      'start_task_run',
+      'Start a run of a native task. Follow it with get_run_events until it is no longer active.',
+      {
+        properties: {
+          task_id: string('The task id'),
+          agent_provider: string(
+            "codex or pi; defaults to the task's provider",
+          ),
+        },
+        required: ['task_id'],
+      },
+      (args) =>
+        client.startNativeTaskRun(requireString(args, 'task_id'), {
+          agentProvider: optionalString(args, 'agent_provider'),
+        }),
+    ),
+
+    tool(
+      'get_run_events',
+      'Get the status of a task run and the events it has recorded. Pass the returned next_after_index as after_index to get only newer events; poll until active is false.',
+      {
+        properties: {
+          ...runArgs.properties,
+          after_index: {
+            type: 'integer',
+            description: 'Only events with a higher index',
+          },
+        },
+        required: runArgs.required,
+      },
+      async (args) => {
+        const { task, run } = await findRun(client, args);
+        const afterIndex = Number.isInteger(args.after_index)
+          ? args.after_index
+          : -1;
+        const events = (
+          await client.nativeTaskRunEvents(task.id, run.id)
+        ).filter((event) => event.index > afterIndex);
+        const { artifacts = [], ...status } = run;
+        return {
+          run: { ...status, artifact_count: artifacts.length },
+          active: isActiveRun(run),
+          events,
+          next_after_index: events.at(-1)?.index ?? afterIndex,
+        };
+      },
+    ),
+
+    tool(
+      'list_run_artifacts',
+      'List the files a task run produced, such as its final report. Each has a resource uri to read it with.',
+      runArgs,
+      async (args) => {
+        const { task, run } = await findRun(client, args);
+        const artifacts = await client.nativeTaskRunArtifacts(task.id, run.id);
+        return artifacts.map((artifact) => ({
+          ...artifact,
+          uri: artifactResource(task.id, run.id, artifact).uri,
+        }));
+      },
+    ),
+
+    tool(
+      'launch_codex_session',
+      'Start an interactive Codex or Pi session in a workspace, optionally with a first prompt.',
+      {
+        properties: {
+          workspace_id: string('The workspace id'),
+          prompt: string('The first message'),
+          agent_provider: string('codex or pi; defaults to codex'),
+          model: string('Model for the agent'),
+          thinking_level: string('Reasoning effort for the model'),
+        },
+        required: ['workspace_id'],
+      },
+      (args) =>
+        client.launchCodexSession({
+          workspaceId: requireString(args, 'workspace_id'),
+          prompt: optionalString(args, 'prompt'),
+          agentProvider: optionalString(args, 'agent_provider'),
+          providerModel: optionalString(args, 'model'),
+          providerThinkingLevel: optionalString(args, 'thinking_level'),
+        }),
+    ),
+
+    tool(
+      'send_codex_message',
+      'Send a message to a Codex session. Read the reply with get_codex_session_events.',
+      {
+        properties: {
+          session_id: string('The Codex session id'),
+          workspace_id: string("The session's workspace id"),
+          prompt: string('The message'),
+          mode: string(
+            'queue (default) waits for the current turn; interrupt_and_send interrupts it',
+          ),
+        },
+        required: ['session_id', 'workspace_id', 'prompt'],
+      },
+      (args) =>
+        client.sendCodexMessage(requireString(args, 'session_id'), {
+          workspaceId: requireString(args, 'workspace_id'),
+          prompt: requireString(args, 'prompt'),
+          mode: optionalString(args, 'mode'),
+        }),
+    ),
+
+    tool(
+      'get_codex_session_events',
+      "Get a Codex session's messages, tool calls and status events, oldest first.",
+      {
+        properties: {
+          session_id: string('The Codex session id'),
+          after_index: {
+            type: 'integer',
+            description: 'Only events with a higher index',
+          },
+        },
+        required: ['session_id'],
+      },
+      async (args) => {
+        const afterIndex = Number.isInteger(args.after_index)
+          ? args.after_index
+          : -1;
+        const events = await client.codexSessionEvents(
+          requireString(args, 'session_id'),
+        );
+        return events.filter((event) => event.index > afterIndex);
+      },
+    ),
+  ];
+}
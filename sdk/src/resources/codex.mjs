@@ -0,0 +1,110 @@
+import { item, list, query, segment } from '../http.mjs';
+
+function scopeFields({ workspaceId, scopeType, scopeId }) {
+  return {
+    ...(workspaceId?.trim() && { workspace_id: workspaceId.trim() }),
+    ...(scopeType?.trim() && { scope_type: scopeType.trim() }),
+    ...(scopeId?.trim() && { scope_id: scopeId.trim() }),
+  };
+}
+
+export function codexResources(http) {
+  return {
+    async codingAgentModels() {
+      return list(await http.get('/api/v1/codex/models'));
+    },
+
+    async codexSessions({ limit = 40, workspaceId, scopeType, scopeId } = {}) {
+      return list(
+        await http.get(
+          `/api/v1/codex/sessions${query({
+            limit,
+            workspace_id: workspaceId,
+            scope_type: scopeType,
+            scope_id: scopeId,
+          })}`,
+        ),
+      );
+    },
+
+    async launchCodexSession({
+      workspaceId,
+      scopeType,
+      scopeId,
+      prompt,
+      agentProvider = 'codex',
+      providerModel,
+      providerThinkingLevel,
+    } = {}) {
+      return item(
+        await http.post('/api/v1/codex/sessions', {
+          ...scopeFields({ workspaceId, scopeType, scopeId }),
+          ...(prompt?.trim() && { prompt: prompt.trim() }),
+          agent_provider: agentProvider,
+          ...(providerModel?.trim() && {
+            provider_model: providerModel.trim(),
+          }),
+          ...(providerThinkingLevel?.trim() && {
+            provider_thinking_level: providerThinkingLevel.trim(),
+          }),
+        }),
+      );
+    },
+
+    async sendCodexMessage(
+      sessionId,
+      { workspaceId, scopeType, scopeId, prompt, mode = 'queue' },
+    ) {
+      return item(
+        await http.post(
+          `/api/v1/codex/sessions/${segment(sessionId)}/messages`,
+          {
+            workspace_id: workspaceId,
+            ...scopeFields({ scopeType, scopeId }),
+            prompt,
+            mode,
+          },
+        ),
+      );
+    },
+
+    async interruptCodexSession(sessionId) {
+      return item(
+        await http.post(
+          `/api/v1/codex/sessions/${segment(sessionId)}/interrupt`,
+        ),
+      );
+    },
+
+    async respondCodexExtensionUi(
+      sessionId,
+      requestId,
+      { value, confirmed, cancelled = false } = {},
+    ) {
+      return item(
+        await http.post(
+          `/api/v1/codex/sessions/${segment(sessionId)}/extension-ui/${segment(requestId)}`,
+          {
+            ...(value !== undefined && { value }),
+            ...(confirmed !== undefined && { confirmed }),
+            ...(cancelled && { cancelled: true }),
+          },
+        ),
+      );
+    },
+
+    async codexSessionEvents(sessionId, { limit = 300 } = {}) {
+      return list(
+        await http.get(
+          `/api/v1/codex/sessions/${segment(sessionId)}/events${query({ limit })}`,
+        ),
+      );
+    },
+
+    async codexSessionChanges(sessionId) {
+      return item(
+        await http.get(`/api/v1/codex/sessions/${segment(sessionId)}/changes`),
+      );
+    },
+  };
+}
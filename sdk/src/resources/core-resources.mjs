@@ -0,0 +1,162 @@
+import { item, list, query, segment } from '../http.mjs';
+
+export function coreResources(http) {
+  return {
+    async health() {
+      const json = await http.getPublic('/api/v1/health');
+      return json.data ?? json;
+    },
+
+    async deploymentConfig() {
+      return item(await http.getPublic('/api/v1/deployment/config'));
+    },
+
+    async me() {
+      const json = await http.get('/api/v1/auth/me');
+      return json.data && typeof json.data === 'object' ? json.data : json;
+    },
+
+    async workspaces() {
+      return list(await http.get('/api/v1/workspaces'));
+    },
+
+    async workspaceGitChanges() {
+      return list(await http.get('/api/v1/workspaces/git/changes'));
+    },
+
+    async createEmptyWorkspace({ name, path = '', collectionId }) {
+      return item(
+        await http.post('/api/v1/workspaces/empty', {
+          name,
+          path: path === '' ? null : path,
+          ...(collectionId?.trim() && { collection_id: collectionId.trim() }),
+        }),
+      );
+    },
+
+    async workspaceFiles(workspaceId, { path = '.' } = {}) {
+      return item(
+        await http.get(
+          `/api/v1/workspaces/${segment(workspaceId)}/files${query({ path })}`,
+        ),
+      );
+    },
+
+    async workspaceFileContent(workspaceId, { path }) {
+      return item(
+        await http.get(
+          `/api/v1/workspaces/${segment(workspaceId)}/files/content${query({ path })}`,
+        ),
+      );
+    },
+
+    async saveWorkspaceFileContent(workspaceId, { path, content }) {
+      await http.put(
+        `/api/v1/workspaces/${segment(workspaceId)}/files/content`,
+        { path, content },
+      );
+    },
+
+    async collections() {
+      return list(await http.get('/api/v1/collections'));
+    },
+
+    async createCollection({ name, workspaceIds = [] }) {
+      return item(
+        await http.post('/api/v1/collections', {
+          name,
+          workspace_ids: workspaceIds,
+        }),
+      );
+    },
+
+    async updateCollection(collectionId, { name, description = null }) {
+      return item(
+        await http.put(`/api/v1/collections/${segment(collectionId)}`, {
+          name,
+          description,
+        }),
+      );
+    },
+
+    async addWorkspaceToCollection(collectionId, workspaceId) {
+      return item(
+        await http.post(
+          `/api/v1/collections/${segment(collectionId)}/members`,
+          {
+            workspace_id: workspaceId,
+          },
+        ),
+      );
+    },
+
+    async removeWorkspaceFromCollection(collectionId, workspaceId) {
+      return item(
+        await http.delete(
+          `/api/v1/collections/${segment(collectionId)}/members/${segment(workspaceId)}`,
+        ),
+      );
+    },
+
+    async setCollectionDefaultWorkspace(collectionId, workspaceId) {
+      return item(
+        await http.post(
+          `/api/v1/collections/${segment(collectionId)}/default-workspace`,
+          { workspace_id: workspaceId },
+        ),
+      );
+    },
+
+    async deleteCollection(collectionId) {
+      await http.delete(`/api/v1/collections/${segment(collectionId)}`);
+    },
+
+    async sessions() {
+      return list(await http.get('/api/v1/sessions'));
+    },
+
+    async createSession(
+      workspaceId,
+      { sessionName = 'SDK session', cols = 120, rows = 34 } = {},
+    ) {
+      return item(
+        await http.post('/api/v1/sessions', {
+          workspace_id: workspaceId,
+          session_name: sessionName,
+          terminal_size: { cols, rows },
+        }),
+      );
+    },
+
+    async terminateSession(sessionId) {
+      await http.delete(`/api/v1/sessions/${segment(sessionId)}`);
+    },
+
+    async sessionBuffer(sessionId) {
+      const json = await http.get(
+        `/api/v1/sessions/${segment(sessionId)}/buffer`,
+      );
+      return json.data?.toString() ?? '';
+    },
+
+    async serverProcesses() {
+      return list(await http.get('/api/v1/processes'));
+    },
+
+    async stopServerProcess(processId) {
+      await http.post(`/api/v1/processes/${segment(processId)}/stop`);
+    },
+
+    async restartServerProcess(processId) {
+      await http.post(`/api/v1/processes/${segment(processId)}/restart`);
+    },
+
+    async systemStats() {
+      return item(await http.get('/api/v1/system/stats'));
+    },
+
+    async runnerReadiness() {
+      return item(await http.get('/api/v1/tasks/readiness'));
+    },
+  };
+}
@@ -0,0 +1,47 @@
+import { item, list, query, segment } from '../http.mjs';
+
+export function layoutResources(http) {
+  async function terminalLayouts(workspaceId) {
+    return list(
+      await http.get(`/api/v1/layouts${query({ workspace_id: workspaceId })}`),
+    );
+  }
+
+  return {
+    terminalLayouts,
+
+    // Makes the workspace's default layout a 1-4 pane single or grid layout,
+    // creating it when the workspace has none.
+    async saveTerminalLayout(workspaceId, { paneCount }) {
+      const panes = Math.min(Math.max(Math.trunc(paneCount), 1), 4);
+      const type = panes === 1 ? 'single' : 'grid';
+      const tree = {
+        type,
+        panes: Array.from({ length: panes }, (_, index) => ({ index })),
+      };
+      const existing = (await terminalLayouts(workspaceId)).find(
+        (layout) => layout.is_default,
+      );
+      if (existing) {
+        return item(
+          await http.put(`/api/v1/layouts/${segment(existing.id)}`, {
+            name: 'Default',
+            is_default: true,
+            tree,
+          }),
+        );
+      }
+      const layout = item(
+        await http.post('/api/v1/layouts/with-buffers', {
+          name: 'Default',
+          layout_type: type,
+          workspace_id: workspaceId,
+          is_default: true,
+          tree,
+        }),
+      );
+      await http.post(`/api/v1/layouts/${segment(layout.id)}/default`);
+      return layout;
+    },
+  };
+}
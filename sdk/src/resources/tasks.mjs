@@ -0,0 +1,164 @@
+import { ActApiError } from '../errors.mjs';
+import { item, list, query, segment } from '../http.mjs';
+
+// The create and update bodies are the same; the app always runs tasks in
+// worktrees.
+function taskBody({
+  title,
+  description,
+  workspaceIds,
+  collectionIds = [],
+  finalReportInstructions = '',
+  executionMode = 'implement',
+  approvalMode = 'ask_before_edits',
+  evidencePreference = 'tests_plus_screenshots',
+  agentProvider = 'codex',
+  providerModel = '',
+  providerThinkingLevel = '',
+}) {
+  return {
+    title,
+    description,
+    workspace_ids: workspaceIds,
+    collection_ids: collectionIds,
+    final_report_instructions: finalReportInstructions,
+    execution_mode: executionMode,
+    approval_mode: approvalMode,
+    evidence_preference: evidencePreference,
+    agent_provider: agentProvider,
+    ...(providerModel.trim() && { provider_model: providerModel.trim() }),
+    ...(providerThinkingLevel.trim() && {
+      provider_thinking_level: providerThinkingLevel.trim(),
+    }),
+    working_strategy: 'worktree',
+  };
+}
+
+function runPath(taskId, runId) {
+  return `/api/v1/tasks/${segment(taskId)}/runs/${segment(runId)}`;
+}
+
+function taskFrom(json, what) {
+  const task = item(json).task;
+  if (!task || typeof task !== 'object') {
+    throw new ActApiError(`${what} response has no task`);
+  }
+  return task;
+}
+
+export function taskResources(http) {
+  return {
+    async nativeTasks({ workspaceId, scopeType, scopeId } = {}) {
+      return list(
+        await http.get(
+          `/api/v1/tasks${query({
+            workspace_id: workspaceId,
+            scope_type: scopeType,
+            scope_id: scopeId,
+          })}`,
+        ),
+      );
+    },
+
+    async nativeTask(taskId) {
+      return item(await http.get(`/api/v1/tasks/${segment(taskId)}`));
+    },
+
+    async createNativeTask(fields) {
+      return item(await http.post('/api/v1/tasks', taskBody(fields)));
+    },
+
+    async updateNativeTask(taskId, fields) {
+      return item(
+        await http.put(`/api/v1/tasks/${segment(taskId)}`, taskBody(fields)),
+      );
+    },
+
+    async deleteNativeTask(taskId) {
+      await http.delete(`/api/v1/tasks/${segment(taskId)}`);
+    },
+
+    async uploadNativeTaskAttachment(
+      taskId,
+      { filename, contentType = 'application/octet-stream', content },
+    ) {
+      return item(
+        await http.post(`/api/v1/tasks/${segment(taskId)}/attachments`, {
+          original_filename: filename,
+          content_type: contentType,
+          content_base64: Buffer.from(content).toString('base64'),
+        }),
+      );
+    },
+
+    async deleteNativeTaskAttachment(taskId, attachmentId) {
+      await http.delete(
+        `/api/v1/tasks/${segment(taskId)}/attachments/${segment(attachmentId)}`,
+      );
+    },
+
+    async startNativeTaskRun(taskId, { agentProvider } = {}) {
+      return item(
+        await http.post(`/api/v1/tasks/${segment(taskId)}/runs`, {
+          dirty_workspace_choice: 'use_worktree',
+          ...(agentProvider?.trim() && {
+            agent_provider: agentProvider.trim(),
+          }),
+        }),
+      );
+    },
+
+    async nativeTaskRunEvents(taskId, runId) {
+      return list(await http.get(`${runPath(taskId, runId)}/events`));
+    },
+
+    async nativeTaskRunArtifacts(taskId, runId) {
+      return list(await http.get(`${runPath(taskId, runId)}/artifacts`));
+    },
+
+    async nativeTaskRunArtifact(taskId, runId, artifactId) {
+      return item(
+        await http.get(
+          `${runPath(taskId, runId)}/artifacts/${segment(artifactId)}`,
+        ),
+      );
+    },
+
+    nativeTaskRunArtifactRawUrl(taskId, runId, artifactId) {
+      return http.url(
+        `${runPath(taskId, runId)}/artifacts/${segment(artifactId)}/raw`,
+      );
+    },
+
+    // The artifact's bytes, which the JSON form only carries for previews.
+    async downloadNativeTaskRunArtifact(taskId, runId, artifactId) {
+      const path = `${runPath(taskId, runId)}/artifacts/${segment(artifactId)}/raw`;
+      const response = await http.send('GET', path);
+      if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        let message = `HTTP ${response.status}`;
+        try {
+          message = JSON.parse(text).error ?? message;
+        } catch {}
+        throw new ActApiError(`Could not download ${path}: ${message}`, {
+          statusCode: response.status,
+        });
+      }
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async finalizeNativeTaskRun(taskId, runId) {
+      return taskFrom(
+        await http.post(`${runPath(taskId, runId)}/finalize`),
+        'Finalize',
+      );
+    },
+
+    async createNativeTaskRunPullRequests(taskId, runId) {
+      return taskFrom(
+        await http.post(`${runPath(taskId, runId)}/pull-requests`),
+        'Pull request',
+      );
+    },
+  };
+}
@@ -0,0 +1,13 @@
+const activeStatuses = new Set([
+  'queued',
+  'starting',
+  'running',
+  'finalizing',
+  'interrupting',
+]);
+
+// Whether a native task run may still change; callers polling a run stop once
+// this is false.
+export function isActiveRun(run) {
+  return activeStatuses.has(run.status);
+}
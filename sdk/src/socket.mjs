@@ -0,0 +1,277 @@
+import { EventEmitter } from 'node:events';
+import { io } from 'socket.io-client';
+
+import { createTokenSource } from './auth.mjs';
+
+const uuidPattern =
+  /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i;
+
+function asObject(payload) {
+  return payload && typeof payload === 'object' ? payload : {};
+}
+
+function readError(payload, fallback) {
+  const json = asObject(payload);
+  return json.error?.toString() ?? json.message?.toString() ?? fallback;
+}
+
+function integer(value) {
+  return typeof value === 'number' ? Math.trunc(value) : undefined;
+}
+
+// The Socket.IO protocol the app's TerminalSocketClient speaks, as an
+// EventEmitter. Events carry the same normalized payloads:
+//
+//   connection              true once authenticated, false when dropped
+//   terminal:output         { sessionId, output }
+//   terminal:created        { sessionId, isNewSession, pid }
+//   terminal:error          { sessionId, message, isSessionNotFound }
+//   task:execution:started  { executionId, taskId, status }
+//   task:execution:output   { executionId, output }
+//   task:execution:status   { executionId, status, exitCode, durationMs }
+//   task:execution:error    { executionId, message }
+//   task:execution:warning  { executionId, message }
+//   auth:error, connect:error  { message }
+//
+// An `auth_error` is answered once per connection by refreshing the token,
+// when the token source can, and authenticating again.
+export function createActSocket({
+  baseUrl,
+  token,
+  refreshToken,
+  auth = createTokenSource({ token, refreshToken }),
+  timeoutMs = 12000,
+}) {
+  const emitter = new EventEmitter();
+  let socket;
+  let authenticated = false;
+  let retriedAuth = false;
+  let sentToken;
+  let ready;
+
+  function authenticate() {
+    sentToken = auth.token;
+    socket.emit('authenticate', { token: sentToken });
+  }
+
+  function whenAuthenticated(action) {
+    if (!socket || !authenticated) {
+      return false;
+    }
+    action(socket);
+    return true;
+  }
+
+  function forward(event, map) {
+    socket.on(event, (payload) => {
+      const value = map(asObject(payload), payload);
+      if (value) {
+        emitter.emit(event, value);
+      }
+    });
+  }
+
+  function terminalError(json, payload) {
+    const message = readError(payload, 'Terminal error');
+    const sessionId =
+      json.sessionId?.toString() ?? uuidPattern.exec(message)?.[0];
+    return {
+      sessionId,
+      message,
+      isSessionNotFound:
+        sessionId !== undefined && message.toLowerCase().includes('not found'),
+    };
+  }
+
+  Object.defineProperty(emitter, 'isConnected', {
+    get: () => socket?.connected === true && authenticated,
+  });
+
+  return Object.assign(emitter, {
+    // Resolves once the socket is authenticated; rejects when the first
+    // connection attempt or authentication fails. Socket.IO keeps
+    // reconnecting afterwards until `close()`.
+    connect() {
+      if (socket) {
+        return ready;
+      }
+      socket = io(baseUrl, {
+        path: '/socket.io/',
+        transports: ['websocket', 'polling'],
+        forceNew: true,
+        reconnection: true,
+        timeout: timeoutMs,
+      });
+
+      ready = new Promise((resolve, reject) => {
+        const settle = (error) => {
+          emitter.off('connection', onConnection);
+          emitter.off('auth:error', onFailure);
+          emitter.off('connect:error', onFailure);
+          if (error) {
+            reject(new Error(error.message));
+          } else {
+            resolve();
+          }
+        };
+        const onConnection = (connected) => connected && settle();
+        const onFailure = (error) => settle(error);
+        emitter.on('connection', onConnection);
+        emitter.on('auth:error', onFailure);
+        emitter.on('connect:error', onFailure);
+      });
+
+      socket.on('connect', () => {
+        retriedAuth = false;
+        authenticate();
+      });
+      socket.on('disconnect', () => {
+        authenticated = false;
+        emitter.emit('connection', false);
+      });
+      socket.on('connect_error', (error) => {
+        emitter.emit('connect:error', {
+          message: `Socket connection failed: ${error.message}`,
+        });
+      });
+      socket.on('authenticated', () => {
+        authenticated = true;
+        emitter.emit('connection', true);
+      });
+      socket.on('auth_error', async (payload) => {
+        authenticated = false;
+        if (auth.canRefresh && !retriedAuth) {
+          retriedAuth = true;
+          try {
+            await auth.refresh(sentToken);
+            authenticate();
+            return;
+          } catch (error) {
+            emitter.emit('auth:error', {
+              message: `Socket token refresh failed: ${error.message}`,
+            });
+            return;
+          }
+        }
+        emitter.emit('auth:error', {
+          message: readError(payload, 'Socket authentication failed'),
+        });
+      });
+
+      forward('terminal:output', (json) =>
+        json.sessionId != null && json.output != null
+          ? { sessionId: String(json.sessionId), output: String(json.output) }
+          : undefined,
+      );
+      forward('terminal:created', (json) =>
+        json.sessionId != null
+          ? {
+              sessionId: String(json.sessionId),
+              isNewSession: json.isNewSession === true,
+              pid: integer(json.pid),
+            }
+          : undefined,
+      );
+      forward('terminal:error', terminalError);
+      socket.on('terminal-error', (payload) => {
+        emitter.emit(
+          'terminal:error',
+          terminalError(asObject(payload), payload),
+        );
+      });
+      forward('task:execution:started', (json) =>
+        json.executionId != null && json.taskId != null
+          ? {
+              executionId: String(json.executionId),
+              taskId: String(json.taskId),
+              status: json.status?.toString() ?? 'running',
+            }
+          : undefined,
+      );
+      forward('task:execution:output', (json) =>
+        json.executionId != null && json.output != null
+          ? {
+              executionId: String(json.executionId),
+              output: String(json.output),
+            }
+          : undefined,
+      );
+      forward('task:execution:status', (json) =>
+        json.executionId != null
+          ? {
+              executionId: String(json.executionId),
+              status: json.status?.toString() ?? 'unknown',
+              exitCode: integer(json.exitCode),
+              durationMs: integer(json.durationMs),
+            }
+          : undefined,
+      );
+      forward('task:execution:error', (json, payload) => ({
+        executionId: json.executionId?.toString(),
+        message: readError(payload, 'Task execution failed'),
+      }));
+      forward('task:execution:warning', (json, payload) => ({
+        executionId: json.executionId?.toString(),
+        message: readError(payload, 'Task execution warning'),
+      }));
+
+      // Callers that only listen for events need not handle the rejection.
+      ready.catch(() => {});
+      socket.connect();
+      return ready;
+    },
+
+    createTerminal({ workspaceId, sessionId, paneId, cols, rows }) {
+      return whenAuthenticated((socket) =>
+        socket.emit('terminal:create', {
+          workspaceId,
+          sessionId,
+          paneId,
+          cols,
+          rows,
+        }),
+      );
+    },
+
+    sendTerminalData(sessionId, data) {
+      return whenAuthenticated((socket) =>
+        socket.emit('terminal:data', { sessionId, data }),
+      );
+    },
+
+    resizeTerminal(sessionId, { cols, rows }) {
+      return whenAuthenticated((socket) =>
+        socket.emit('terminal:resize', { sessionId, cols, rows }),
+      );
+    },
+
+    terminateTerminal(sessionId) {
+      return whenAuthenticated((socket) =>
+        socket.emit('terminal:terminate', { sessionId, data: '' }),
+      );
+    },
+
+    startTaskExecution({
+      taskId,
+      workspaceId,
+      permissionMode = 'acceptEdits',
+      timeoutSeconds,
+    }) {
+      return whenAuthenticated((socket) =>
+        socket.emit('task:execution:start', {
+          taskId,
+          workspaceId,
+          permissionMode,
+          ...(timeoutSeconds !== undefined && { timeoutSeconds }),
+        }),
+      );
+    },
+
+    close() {
+      socket?.close();
+      socket = undefined;
+      ready = undefined;
+      authenticated = false;
+    },
+  });
+}
@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { join } from 'node:path';
+import { createInterface } from 'node:readline';
+import { after, before, test } from 'node:test';
+
+import { createActClient } from '../index.mjs';
+import { isActiveRun } from '../src/runs.mjs';
+import { startMockServer } from '../../tools/mock/server.mjs';
+
+const bin = join(import.meta.dirname, '..', 'bin', 'act.mjs');
+
+let mock;
+
+function act(args) {
+  return spawn(process.execPath, [bin, ...args], {
+    env: {
+      ...process.env,
+      ACT_API_BASE_URL: mock.url,
+      ACT_TOKEN: 'test-token',
+    },
+    stdio: ['ignore', 'pipe', 'ignore'],
+    timeout: 30_000,
+  });
+}
+
+before(async () => {
+  mock = await startMockServer({ port: 0, log: () => {} });
+});
+
+after(() => mock?.close());
+
+test('run start prints the events of the run as it goes', async () => {
+  const client = createActClient({ baseUrl: mock.url, token: 'test-token' });
+  const task = await client.createNativeTask({
+    title: 'Summarize the README',
+    description: 'Summarize the README',
+    workspaceIds: ['act'],
+  });
+
+  const child = act(['run', 'start', task.id, '--interval', '0.2', '--json']);
+  const exited = once(child, 'exit');
+  const lines = [];
+  let activeAtFirstEvent;
+  for await (const line of createInterface({ input: child.stdout })) {
+    const message = JSON.parse(line);
+    lines.push(message);
+    if (message.kind === 'event' && activeAtFirstEvent === undefined) {
+      const { runs } = await client.nativeTask(task.id);
+      activeAtFirstEvent = isActiveRun(runs[0]);
+    }
+  }
+  const [code] = await exited;
+
+  const events = lines.filter((line) => line.kind === 'event');
+  const run = lines.at(-1);
+  assert.equal(code, 0);
+  assert.equal(run.kind, 'run');
+  assert.equal(run.status, 'completed');
+  assert.ok(activeAtFirstEvent, 'events print while the run is active');
+  assert.deepEqual(
+    events.map((event) => event.index),
+    events.map((_, index) => index),
+  );
+  assert.equal(events.at(-1).status, 'completed');
+});
+
+test("run start prints the live output of the task's executions", async () => {
+  const client = createActClient({ baseUrl: mock.url, token: 'test-token' });
+  const task = await client.createNativeTask({
+    title: 'Run the checks',
+    description: 'Run the checks',
+    workspaceIds: ['act'],
+  });
+  const other = await client.createNativeTask({
+    title: 'Something else',
+    description: 'Something else',
+    workspaceIds: ['act'],
+  });
+  const socket = client.socket();
+  await socket.connect();
+
+  const child = act(['run', 'start', task.id, '--interval', '0.2', '--json']);
+  const exited = once(child, 'exit');
+  const lines = [];
+  let started = false;
+  try {
+    for await (const line of createInterface({ input: child.stdout })) {
+      lines.push(JSON.parse(line));
+      // `act` is connected once the run has started, so executions from here
+      // on are its to print.
+      if (!started) {
+        started = true;
+        socket.startTaskExecution({ taskId: other.id, workspaceId: 'act' });
+        socket.startTaskExecution({ taskId: task.id, workspaceId: 'act' });
+      }
+    }
+  } finally {
+    socket.close();
+  }
+  const [code] = await exited;
+
+  const output = lines.filter((line) => line.kind === 'output');
+  assert.equal(code, 0);
+  assert.equal(new Set(output.map((line) => line.executionId)).size, 1);
+  assert.equal(
+    output.map((line) => line.output).join(''),
+    'Preparing workspace...\r\nRunning task...\r\nDone.\r\n',
+  );
+  assert.equal(lines.at(-1).kind, 'run');
+});
@@ -0,0 +1,167 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { ActApiError, createActClient } from '../index.mjs';
+
+// A fetch that answers from `respond(request)` and records each request's
+// path and bearer token.
+function fakeFetch(respond) {
+  const requests = [];
+  const fetch = async (url, init) => {
+    const request = {
+      path: new URL(url).pathname,
+      method: init.method,
+      token: init.headers.authorization?.replace(/^Bearer /, ''),
+    };
+    requests.push(request);
+    const { status = 200, body } = await respond(request);
+    return new Response(
+      typeof body === 'string' ? body : JSON.stringify(body),
+      {
+        status,
+        headers: { 'content-type': 'application/json' },
+      },
+    );
+  };
+  return { fetch, requests };
+}
+
+const workspaces = { success: true, data: [{ id: 'act', name: 'act' }] };
+
+test('a 401 refreshes the token once and retries the request', async () => {
+  const refreshed = [];
+  const { fetch, requests } = fakeFetch(({ token }) =>
+    token === 'fresh' ? { body: workspaces } : { status: 401, body: '' },
+  );
+  const client = createActClient({
+    baseUrl: 'http://act.test/',
+    token: 'stale',
+    refreshToken: (staleToken) => {
+      refreshed.push(staleToken);
+      return 'fresh';
+    },
+    fetch,
+  });
+
+  const [first, second] = await Promise.all([
+    client.workspaces(),
+    client.workspaces(),
+  ]);
+  assert.deepEqual(first, workspaces.data);
+  assert.deepEqual(second, workspaces.data);
+  assert.deepEqual(refreshed, ['stale']);
+  assert.equal(client.token, 'fresh');
+  assert.deepEqual(
+    requests.map((request) => request.token),
+    ['stale', 'stale', 'fresh', 'fresh'],
+  );
+
+  await client.workspaces();
+  assert.equal(requests.at(-1).token, 'fresh');
+  assert.equal(refreshed.length, 1);
+});
+
+test('a token that is still rejected after the refresh is not retried again', async () => {
+  let refreshes = 0;
+  const { fetch, requests } = fakeFetch(() => ({
+    status: 401,
+    body: { success: false, error: 'unauthorized: Token expired' },
+  }));
+  const client = createActClient({
+    baseUrl: 'http://act.test',
+    token: 'stale',
+    refreshToken: () => {
+      refreshes += 1;
+      return `fresh-${refreshes}`;
+    },
+    fetch,
+  });
+
+  await assert.rejects(client.me(), (error) => {
+    assert.ok(error instanceof ActApiError);
+    assert.equal(error.statusCode, 401);
+    assert.equal(error.code, 'unauthorized');
+    assert.equal(error.message, 'Token expired');
+    return true;
+  });
+  assert.equal(refreshes, 1);
+  assert.equal(requests.length, 2);
+});
+
+test('a failed refresh is reported as a rejected session', async () => {
+  const { fetch } = fakeFetch(() => ({ status: 401, body: '' }));
+  const client = createActClient({
+    baseUrl: 'http://act.test',
+    token: 'stale',
+    refreshToken: () => {
+      throw new Error('refresh token revoked');
+    },
+    fetch,
+  });
+
+  await assert.rejects(client.workspaces(), {
+    name: 'ActApiError',
+    statusCode: 401,
+    message: /token refresh failed: refresh token revoked/,
+  });
+});
+
+test('"code: message" errors are split into code and message', async () => {
+  const { fetch } = fakeFetch(({ path }) =>
+    path.endsWith('/runs')
+      ? {
+          body: {
+            success: false,
+            error: 'task_busy: This task already has an active run',
+          },
+        }
+      : {
+          status: 404,
+          body: { success: false, error: 'not_found: Task t1 not found' },
+        },
+  );
+  const client = createActClient({
+    baseUrl: 'http://act.test',
+    token: 't',
+    fetch,
+  });
+
+  await assert.rejects(client.startNativeTaskRun('t1'), {
+    name: 'ActApiError',
+    code: 'task_busy',
+    message: 'This task already has an active run',
+    statusCode: undefined,
+  });
+  await assert.rejects(client.nativeTask('t1'), {
+    code: 'not_found',
+    message: 'Task t1 not found',
+    statusCode: 404,
+  });
+});
+
+test('errors without a code prefix and non-JSON bodies keep their text', async () => {
+  const { fetch } = fakeFetch(({ path }) =>
+    path === '/api/v1/health'
+      ? { status: 502, body: '<html>Bad gateway</html>' }
+      : {
+          status: 500,
+          body: { success: false, error: { message: 'Disk full: /var' } },
+        },
+  );
+  const client = createActClient({
+    baseUrl: 'http://act.test',
+    token: 't',
+    fetch,
+  });
+
+  await assert.rejects(client.workspaces(), {
+    code: undefined,
+    message: 'Disk full: /var',
+    statusCode: 500,
+  });
+  await assert.rejects(client.health(), {
+    statusCode: 502,
+    message:
+      /HTTP 502 application\/json for \/api\/v1\/health instead of JSON: <html>Bad gateway<\/html>/,
+  });
+});
@@ -0,0 +1,217 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { join } from 'node:path';
+import { createInterface } from 'node:readline';
+import { after, before, test } from 'node:test';
+import { setTimeout as delay } from 'node:timers/promises';
+
+import { startMockServer } from '../../tools/mock/server.mjs';
+
+const bin = join(import.meta.dirname, '..', 'bin', 'act-mcp.mjs');
+
+let mock;
+let mcp;
+
+// Speaks to `act-mcp` over its stdio the way an MCP client does.
+function startMcp(api) {
+  const child = spawn(process.execPath, [bin, '--api', api], {
+    env: { ...process.env, ACT_TOKEN: 'test-token' },
+    stdio: ['pipe', 'pipe', 'ignore'],
+  });
+  const waiting = new Map();
+  let nextId = 1;
+  createInterface({ input: child.stdout }).on('line', (line) => {
+    const message = JSON.parse(line);
+    waiting.get(message.id)?.(message);
+    waiting.delete(message.id);
+  });
+  const send = (message) => child.stdin.write(`${JSON.stringify(message)}\n`);
+  return {
+    child,
+    send,
+    request(method, params) {
+      const id = nextId;
+      nextId += 1;
+      return new Promise((resolve) => {
+        waiting.set(id, resolve);
+        send({ jsonrpc: '2.0', id, method, params });
+      });
+    },
+    async call(name, args = {}) {
+      const { result } = await this.request('tools/call', {
+        name,
+        arguments: args,
+      });
+      const [{ text }] = result.content;
+      if (result.isError) {
+        return { error: text };
+      }
+      // Tools answer with JSON, except read_workspace_file's file content.
+      return {
+        value: name === 'read_workspace_file' ? text : JSON.parse(text),
+      };
+    },
+  };
+}
+
+before(async () => {
+  mock = await startMockServer({ port: 0, log: () => {} });
+  mcp = startMcp(mock.url);
+  const { result } = await mcp.request('initialize', {
+    protocolVersion: '2025-06-18',
+    capabilities: {},
+    clientInfo: { name: 'act-mcp-test', version: '0' },
+  });
+  assert.equal(result.protocolVersion, '2025-06-18');
+  assert.equal(result.serverInfo.name, 'act');
+  mcp.send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+});
+
+after(async () => {
+  mcp?.child.stdin.end();
+  await mock?.close();
+});
+
+test('lists its tools and the artifact resource template', async () => {
+  const { result: tools } = await mcp.request('tools/list');
+  const names = tools.tools.map((tool) => tool.name);
+  for (const name of [
+    'list_workspaces',
+    'list_collections',
+    'read_workspace_file',
+    'git_changes',
+    'create_task',
+    'start_task_run',
+    'get_run_events',
+    'list_run_artifacts',
+    'launch_codex_session',
+    'send_codex_message',
+  ]) {
+    assert.ok(names.includes(name), `${name} is listed`);
+  }
+  const { result: templates } = await mcp.request('resources/templates/list');
+  assert.equal(
+    templates.resourceTemplates[0].uriTemplate,
+    'act://tasks/{taskId}/runs/{runId}/artifacts/{artifactId}',
+  );
+});
+
+test('reads workspaces, files and git changes', async () => {
+  const { value: workspaces } = await mcp.call('list_workspaces');
+  assert.ok(workspaces.some((workspace) => workspace.id === 'act'));
+
+  const { value: readme } = await mcp.call('read_workspace_file', {
+    workspace_id: 'act',
+    path: 'README.md',
+  });
+  assert.match(readme, /^# /);
+
+  const { value: changes } = await mcp.call('git_changes', {
+    workspace_id: 'act',
+  });
+  assert.deepEqual(
+    changes.map((change) => change.workspace_id),
+    ['act'],
+  );
+
+  const { error } = await mcp.call('read_workspace_file', {
+    workspace_id: 'act',
+    path: 'missing.txt',
+  });
+  assert.match(error, /missing\.txt/);
+});
+
+test('runs a task and reads its report as a resource', async () => {
+  const { value: task } = await mcp.call('create_task', {
+    title: 'Summarize the README',
+    workspace_ids: ['act'],
+  });
+  const { value: run } = await mcp.call('start_task_run', {
+    task_id: task.id,
+  });
+
+  let afterIndex = -1;
+  const events = [];
+  for (let attempt = 0; attempt < 40; attempt += 1) {
+    const { value } = await mcp.call('get_run_events', {
+      task_id: task.id,
+      run_id: run.id,
+      after_index: afterIndex,
+    });
+    events.push(...value.events);
+    afterIndex = value.next_after_index;
+    if (!value.active) {
+      assert.equal(value.run.status, 'completed');
+      break;
+    }
+    await delay(250);
+  }
+  assert.deepEqual(
+    events.map((event) => event.index),
+    events.map((_, index) => index),
+  );
+  assert.equal(events.at(-1)?.status, 'completed');
+
+  const { value: artifacts } = await mcp.call('list_run_artifacts', {
+    task_id: task.id,
+  });
+  const report = artifacts.find(
+    (artifact) => artifact.name === 'final-report.md',
+  );
+  assert.equal(
+    report.uri,
+    `act://tasks/${task.id}/runs/${run.id}/artifacts/${report.id}`,
+  );
+
+  const { result: listed } = await mcp.request('resources/list');
+  assert.ok(listed.resources.some((resource) => resource.uri === report.uri));
+
+  const { result: read } = await mcp.request('resources/read', {
+    uri: report.uri,
+  });
+  assert.equal(read.contents[0].mimeType, 'text/markdown');
+  assert.match(read.contents[0].text, /Summarize the README/);
+});
+
+test('launches and messages a Codex session', async () => {
+  const { value: launched } = await mcp.call('launch_codex_session', {
+    workspace_id: 'act',
+  });
+  const sessionId = launched.codex_session.id;
+  const { error } = await mcp.call('send_codex_message', {
+    session_id: sessionId,
+    prompt: 'What changed?',
+  });
+  assert.equal(error, 'workspace_id is required');
+
+  await mcp.call('send_codex_message', {
+    session_id: sessionId,
+    workspace_id: 'act',
+    prompt: 'What changed?',
+  });
+  const { value: events } = await mcp.call('get_codex_session_events', {
+    session_id: sessionId,
+  });
+  assert.ok(
+    events.some(
+      (event) => event.role === 'user' && event.text === 'What changed?',
+    ),
+  );
+});
+
+test('answers protocol errors with JSON-RPC error codes', async () => {
+  assert.equal(
+    (await mcp.request('tools/call', { name: 'nope' })).error.code,
+    -32602,
+  );
+  assert.equal((await mcp.request('prompts/list')).error.code, -32601);
+  assert.equal(
+    (
+      await mcp.request('resources/read', {
+        uri: 'act://tasks/missing/runs/missing/artifacts/missing',
+      })
+    ).error.code,
+    -32002,
+  );
+  assert.deepEqual((await mcp.request('ping')).result, {});
+});
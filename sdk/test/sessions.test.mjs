@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  createDetachMatcher,
+  parseDetachKeys,
+} from '../src/cli/commands/sessions.mjs';
+import { UsageError } from '../src/cli/errors.mjs';
+
+test('parses detach keys into the characters they send', () => {
+  assert.equal(parseDetachKeys('ctrl-b,d'), '\x02d');
+  assert.equal(parseDetachKeys('ctrl-P,ctrl-q'), '\x10\x11');
+  assert.equal(parseDetachKeys('ctrl-@,ctrl-_'), '\x00\x1f');
+  assert.equal(parseDetachKeys('q'), 'q');
+  for (const spec of ['ctrl-1', 'alt-x', 'dd', '']) {
+    assert.throws(() => parseDetachKeys(spec), UsageError, spec);
+  }
+});
+
+test('detects the detach keys within and across input chunks', () => {
+  const match = createDetachMatcher('\x02d');
+  assert.deepEqual(match('ls\x02d'), { forward: 'ls', detached: true });
+  assert.deepEqual(match('pwd\x02'), { forward: 'pwd', detached: false });
+  assert.deepEqual(match('d'), { forward: '', detached: true });
+});
+
+test('sends held-back keys on once the input diverges', () => {
+  const match = createDetachMatcher('\x02d');
+  assert.deepEqual(match('\x02'), { forward: '', detached: false });
+  assert.deepEqual(match('x'), { forward: '\x02x', detached: false });
+  assert.deepEqual(match('\x02\x02'), { forward: '\x02', detached: false });
+  assert.deepEqual(match('d'), { forward: '', detached: true });
+});
+
+test('matches a sequence that repeats its first key', () => {
+  const match = createDetachMatcher('aab');
+  assert.deepEqual(match('aaab'), { forward: 'a', detached: true });
+  assert.deepEqual(match('aac'), { forward: 'aac', detached: false });
+});
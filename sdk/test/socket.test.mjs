@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { startMockServer } from '../../tools/mock/server.mjs';
+import { createActSocket } from '../index.mjs';
+
+let mock;
+
+before(async () => {
+  mock = await startMockServer({ port: 0, log: () => {} });
+});
+
+after(async () => {
+  await mock?.close();
+});
+
+// The mock answers `auth_error` to an empty token and accepts any other.
+test('an auth_error refreshes the token and authenticates again', async () => {
+  const refreshed = [];
+  const socket = createActSocket({
+    baseUrl: mock.url,
+    token: '',
+    refreshToken: (staleToken) => {
+      refreshed.push(staleToken);
+      return 'fresh-token';
+    },
+  });
+  try {
+    await socket.connect();
+    assert.equal(socket.isConnected, true);
+    assert.deepEqual(refreshed, ['']);
+  } finally {
+    socket.close();
+  }
+});
+
+test('without a refresh the auth_error rejects connect', async () => {
+  const socket = createActSocket({ baseUrl: mock.url, token: '' });
+  try {
+    await assert.rejects(socket.connect(), { message: 'Missing access token' });
+    assert.equal(socket.isConnected, false);
+  } finally {
+    socket.close();
+  }
+});
+
+test('a failed refresh rejects connect with the reason', async () => {
+  const socket = createActSocket({
+    baseUrl: mock.url,
+    token: '',
+    refreshToken: () => {
+      throw new Error('refresh token revoked');
+    },
+  });
+  try {
+    await assert.rejects(socket.connect(), {
+      message: 'Socket token refresh failed: refresh token revoked',
+    });
+  } finally {
+    socket.close();
+  }
+});
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { test } from 'node:test';
+
+import * as sdk from '../index.mjs';
+
+const declarations = await readFile(
+  join(import.meta.dirname, '..', 'index.d.ts'),
+  'utf8',
+);
+
+// Member names of `interface <name>` in index.d.ts: methods and properties
+// at the interface's top level.
+function declaredMembers(name) {
+  const start = declarations.indexOf(`export interface ${name} `);
+  assert.notEqual(start, -1, `index.d.ts declares ${name}`);
+  const body = declarations.slice(start, declarations.indexOf('\n}\n', start));
+  return [...body.matchAll(/^ {2}(?:readonly )?(\w+)[(:?]/gm)]
+    .map((match) => match[1])
+    .sort();
+}
+
+function ownMembers(object, ignore = []) {
+  return Object.keys(Object.getOwnPropertyDescriptors(object))
+    .filter((name) => !ignore.includes(name))
+    .sort();
+}
+
+test('index.d.ts declares exactly what index.mjs exports', () => {
+  const declared = [
+    ...declarations.matchAll(/^export (?:function|class) (\w+)/gm),
+  ].map((match) => match[1]);
+  assert.deepEqual(declared.sort(), Object.keys(sdk).sort());
+});
+
+test('ActClient matches the client createActClient returns', () => {
+  const client = sdk.createActClient({ baseUrl: 'http://act.test' });
+  assert.deepEqual(declaredMembers('ActClient'), ownMembers(client));
+});
+
+test('ActSocket matches the socket createActSocket returns', () => {
+  const socket = sdk.createActSocket({ baseUrl: 'http://act.test' });
+  const emitterMembers = Object.keys(
+    Object.getOwnPropertyDescriptors(new EventEmitter()),
+  );
+  assert.deepEqual(
+    declaredMembers('ActSocket'),
+    ownMembers(socket, emitterMembers),
+  );
+});
@@ -0,0 +1,48 @@
+import { parseArgs } from 'node:util';
+
+import { loadAuthOsConfig } from './authos/config.mjs';
+import { startAuthOsServer } from './authos/service.mjs';
+
+const { values } = parseArgs({
+  options: {
+    host: {
+      type: 'string',
+      default: process.env.ACT_AUTHOS_HOST ?? '127.0.0.1',
+    },
+    port: { type: 'string', default: process.env.ACT_AUTHOS_PORT ?? '3004' },
+    config: { type: 'string', default: process.env.ACT_AUTHOS_CONFIG },
+    audience: { type: 'string' },
+  },
+});
+
+let config;
+try {
+  config = await loadAuthOsConfig(values.config);
+} catch (error) {
+  process.stderr.write(`${error.message}\n`);
+  process.exit(1);
+}
+if (values.audience) {
+  config.audience = values.audience;
+}
+
+const authOs = await startAuthOsServer({
+  host: values.host,
+  port: Number(values.port),
+  config,
+});
+
+process.stdout.write(`Fake AuthOS listening on ${authOs.url}\n`);
+for (const user of authOs.state.users) {
+  const providers = user.accounts.map((account) => account.provider);
+  process.stdout.write(
+    `- ${user.email}${providers.length > 0 ? ` (linked: ${providers.join(', ')})` : ''}\n`,
+  );
+}
+
+function shutdown() {
+  authOs.close().then(() => process.exit(0));
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,147 @@
+import { readFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { parse as parseYaml } from 'yaml';
+
+const defaultProviders = [
+  {
+    provider: 'github',
+    display_name: 'GitHub',
+    scopes: ['repo', 'read:user', 'user:email', 'read:org'],
+  },
+  {
+    provider: 'google',
+    display_name: 'Google',
+    scopes: ['openid', 'email', 'profile'],
+  },
+];
+
+const defaultUsers = [
+  {
+    id: 'user-dev',
+    email: 'dev@act.local',
+    name: 'Local Dev',
+    accounts: [
+      {
+        provider: 'github',
+        display_name: 'act-dev',
+        email: 'dev@users.noreply.github.com',
+        scopes: ['repo', 'read:user', 'user:email', 'read:org'],
+      },
+    ],
+  },
+  {
+    id: 'user-new',
+    email: 'new@act.local',
+    name: 'New User',
+    accounts: [],
+  },
+];
+
+export const failureNames = [
+  'expired_refresh',
+  'deny_consent',
+  'deny_device',
+  'require_reauth',
+];
+
+export async function loadAuthOsConfig(path) {
+  if (!path) {
+    return normalizeConfig({});
+  }
+  const source = await readFile(path, 'utf8');
+  try {
+    return normalizeConfig(
+      extname(path) === '.json'
+        ? JSON.parse(source)
+        : (parseYaml(source) ?? {}),
+    );
+  } catch (error) {
+    throw new Error(`${path}: ${error.message}`);
+  }
+}
+
+export function normalizeConfig(document) {
+  const providers = (document.providers ?? defaultProviders).map((provider) => {
+    if (!provider?.provider) {
+      throw new Error('every provider needs a "provider" slug');
+    }
+    return {
+      provider: String(provider.provider),
+      display_name: String(provider.display_name ?? provider.provider),
+      scopes: (provider.scopes ?? []).map(String),
+      connect_supported: provider.connect_supported !== false,
+    };
+  });
+  const providerSlugs = new Set(providers.map((item) => item.provider));
+
+  const users = (document.users ?? defaultUsers).map((user, index) => {
+    if (!user?.email) {
+      throw new Error(`user ${index + 1} needs an "email"`);
+    }
+    return {
+      id: String(user.id ?? `user-${index + 1}`),
+      email: String(user.email),
+      name: String(user.name ?? user.email),
+      accounts: (user.accounts ?? []).map((account) => {
+        if (!providerSlugs.has(account.provider)) {
+          throw new Error(
+            `${user.email}: linked account provider "${account.provider}" is not configured`,
+          );
+        }
+        return {
+          provider: String(account.provider),
+          display_name: account.display_name ?? null,
+          email: account.email ?? null,
+          scopes: (account.scopes ?? []).map(String),
+          status: account.status ?? 'active',
+        };
+      }),
+    };
+  });
+  if (users.length === 0) {
+    throw new Error('configure at least one user');
+  }
+
+  const tokens = document.tokens ?? {};
+  const failures = document.failures ?? {};
+  for (const name of Object.keys(failures)) {
+    if (!failureNames.includes(name)) {
+      throw new Error(
+        `unknown failure "${name}"; use ${failureNames.join(', ')}`,
+      );
+    }
+  }
+
+  return {
+    org: String(document.org ?? 'example-org'),
+    service: String(document.service ?? 'act'),
+    clientId: String(document.client_id ?? 'act-local-mock'),
+    audience: document.audience ?? null,
+    autoApprove: document.auto_approve === true,
+    providers,
+    users,
+    accessTokenTtl: seconds(tokens.access_ttl ?? 3600, 'tokens.access_ttl'),
+    refreshTokenTtl: seconds(
+      tokens.refresh_ttl ?? 30 * 24 * 3600,
+      'tokens.refresh_ttl',
+    ),
+    deviceCodeTtl: seconds(
+      tokens.device_code_ttl ?? 900,
+      'tokens.device_code_ttl',
+    ),
+    failures: {
+      expired_refresh: failures.expired_refresh === true,
+      deny_consent: failures.deny_consent === true,
+      deny_device: failures.deny_device === true,
+      require_reauth: (failures.require_reauth ?? []).map(String),
+    },
+  };
+}
+
+function seconds(value, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`${name} must be a positive number of seconds`);
+  }
+  return number;
+}
@@ -0,0 +1,92 @@
+// Flows hand their result back to the client in the redirect fragment, the way
+// AuthOS does.
+export function redirectWithFragment(res, redirectUri, params) {
+  res.writeHead(302, {
+    location: `${redirectUri}#${new URLSearchParams(params)}`,
+  });
+  res.end();
+}
+
+export function sendPage(res, status, html) {
+  res.writeHead(status, {
+    'content-type': 'text/html; charset=utf-8',
+    'cache-control': 'no-store',
+  });
+  res.end(html);
+}
+
+// A minimal form page: hidden fields, optional text inputs, and one submit
+// button per choice.
+export function formPage({
+  title,
+  intro,
+  action,
+  method = 'POST',
+  hidden = {},
+  inputs = [],
+  choices,
+}) {
+  const fields = [
+    ...Object.entries(hidden).map(
+      ([name, value]) =>
+        `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value ?? '')}">`,
+    ),
+    ...inputs.map(
+      (input) =>
+        `<label for="${escapeHtml(input.name)}">${escapeHtml(input.label)}</label>\n` +
+        `<input type="text" id="${escapeHtml(input.name)}" name="${escapeHtml(input.name)}" value="${escapeHtml(input.value ?? '')}" autocomplete="off">`,
+    ),
+    ...choices.map(
+      (choice) =>
+        `<button type="submit" name="${escapeHtml(choice.name)}" value="${escapeHtml(choice.value)}"${
+          choice.deny ? ' class="deny"' : ''
+        }>${escapeHtml(choice.label)}</button>`,
+    ),
+  ];
+  return layout(
+    title,
+    `<p>${escapeHtml(intro)}</p>
+<form method="${method}" action="${escapeHtml(action)}">
+${fields.join('\n')}
+</form>`,
+  );
+}
+
+export function messagePage(title, message) {
+  return layout(title, `<p>${escapeHtml(message)}</p>`);
+}
+
+function layout(title, content) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font: 16px system-ui, sans-serif; max-width: 28rem; margin: 3rem auto; padding: 0 1rem; color: #1d2433; }
+  h1 { font-size: 1.3rem; }
+  .badge { font-size: 0.75rem; background: #fde68a; border-radius: 4px; padding: 2px 6px; }
+  label { display: block; margin: 1rem 0 0.3rem; }
+  input[type=text] { width: 100%; padding: 0.5rem; font: inherit; box-sizing: border-box; }
+  button { display: block; width: 100%; margin-top: 0.6rem; padding: 0.6rem; font: inherit; cursor: pointer; }
+  button.deny { background: none; border: 1px solid #c2410c; color: #c2410c; }
+</style>
+</head>
+<body>
+<p><span class="badge">Fake AuthOS</span></p>
+<h1>${escapeHtml(title)}</h1>
+${content}
+</body>
+</html>
+`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+}
@@ -0,0 +1,266 @@
+import { HttpError } from '../../mock/http.mjs';
+import { formPage, redirectWithFragment, sendPage } from '../pages.mjs';
+import { opaqueToken } from '../tokens.mjs';
+import { requiredParam, requireProvider } from './sign-in.mjs';
+
+export function registerAccountRoutes(router, context) {
+  const { config, state } = context;
+
+  router.add('GET', '/api/user/linked-accounts', ({ req }) => {
+    const user = context.requireUser(req);
+    return {
+      accounts: user.accounts.map(accountJson),
+      available_providers: config.providers,
+    };
+  });
+
+  router.add(
+    'POST',
+    '/api/user/linked-accounts/:provider/link',
+    ({ req, params, query }) => {
+      const user = context.requireUser(req);
+      const provider = requireProvider(config, params.provider);
+      if (!provider.connect_supported) {
+        throw new HttpError(
+          400,
+          'invalid_request',
+          `${provider.display_name} cannot be linked`,
+        );
+      }
+      return {
+        authorization_url: createLinkState(context, {
+          userId: user.id,
+          provider: provider.provider,
+          scopes: provider.scopes,
+          redirectUri: requiredParam(query.get('redirect_uri'), 'redirect_uri'),
+          requestState: null,
+        }),
+      };
+    },
+  );
+
+  router.add(
+    'POST',
+    '/api/user/linked-accounts/:accountId/grants',
+    ({ req, params, body }) => {
+      const user = context.requireUser(req);
+      const account = requireAccount(user, params.accountId);
+      const scopes = Array.isArray(body.scopes) ? body.scopes.map(String) : [];
+      const missing = scopes.filter((scope) => !account.scopes.includes(scope));
+      if (missing.length > 0) {
+        throw new HttpError(
+          400,
+          'insufficient_scope',
+          `Account is missing scopes: ${missing.join(', ')}`,
+        );
+      }
+      const grant = {
+        id: opaqueToken('grant'),
+        service_id: config.service,
+        scopes,
+      };
+      account.grants = [
+        ...account.grants.filter((item) => item.service_id !== config.service),
+        grant,
+      ];
+      return grant;
+    },
+  );
+
+  router.add(
+    'GET',
+    '/api/user/provider-token-requests/:state',
+    ({ req, params }) => {
+      const user = context.requireUser(req);
+      const request = requireTokenRequest(state, user, params.state);
+      return {
+        state: params.state,
+        provider: request.provider,
+        requested_scopes: request.scopes,
+        status: request.status,
+        accounts: user.accounts
+          .filter((account) => account.provider === request.provider)
+          .map(accountJson),
+      };
+    },
+  );
+
+  router.add(
+    'POST',
+    '/api/user/provider-token-requests/:state/link',
+    ({ req, params }) => {
+      const user = context.requireUser(req);
+      const request = requireTokenRequest(state, user, params.state);
+      return {
+        authorization_url: createLinkState(context, {
+          userId: user.id,
+          provider: request.provider,
+          scopes: request.scopes,
+          redirectUri: request.redirectUri,
+          requestState: params.state,
+        }),
+      };
+    },
+  );
+
+  router.add(
+    'POST',
+    '/api/user/provider-token-requests/:state/complete',
+    ({ req, params, body }) => {
+      const user = context.requireUser(req);
+      const request = requireTokenRequest(state, user, params.state);
+      const account = requireAccount(user, String(body.connected_account_id));
+      const missing = request.scopes.filter(
+        (scope) => !account.scopes.includes(scope),
+      );
+      if (account.provider !== request.provider || missing.length > 0) {
+        throw new HttpError(
+          400,
+          'insufficient_scope',
+          `Account ${account.id} cannot satisfy this request`,
+        );
+      }
+      completeTokenRequest(state, request);
+      return { state: params.state, status: request.status };
+    },
+  );
+
+  router.add('GET', '/link/authorize', ({ res, query }) => {
+    const link = requireLinkState(state, query.get('state'));
+    const provider = requireProvider(config, link.provider);
+    sendPage(
+      res,
+      200,
+      formPage({
+        title: `Connect ${provider.display_name}`,
+        intro: `Grant ${link.scopes.join(', ') || 'basic access'} to ${config.service}.`,
+        action: '/link/decision',
+        method: 'GET',
+        hidden: { state: query.get('state') },
+        choices: [
+          { name: 'decision', value: 'allow', label: 'Authorize' },
+          { name: 'decision', value: 'deny', label: 'Deny', deny: true },
+        ],
+      }),
+    );
+  });
+
+  router.add('GET', '/link/decision', ({ res, query }) => {
+    const link = requireLinkState(state, query.get('state'));
+    state.linkStates.delete(query.get('state'));
+    const denied =
+      query.get('decision') !== 'allow' || state.failures.deny_consent;
+    const outcome = link.requestState
+      ? { provider: link.provider }
+      : { action: 'link', provider: link.provider };
+
+    if (denied) {
+      redirectWithFragment(res, link.redirectUri, {
+        ...outcome,
+        ...(link.requestState
+          ? { provider_grant: 'denied' }
+          : { status: 'error' }),
+        error: 'access_denied',
+        error_description: 'The provider authorization was denied',
+      });
+      return;
+    }
+
+    const user = state.users.find((item) => item.id === link.userId);
+    upsertAccount(user, link);
+    if (link.requestState) {
+      completeTokenRequest(
+        state,
+        state.providerTokenRequests.get(link.requestState),
+      );
+    }
+    redirectWithFragment(res, link.redirectUri, {
+      ...outcome,
+      ...(link.requestState
+        ? { provider_grant: 'success' }
+        : { status: 'success' }),
+    });
+  });
+}
+
+function createLinkState(context, link) {
+  const linkState = opaqueToken('ls');
+  context.state.linkStates.set(linkState, link);
+  return `${context.baseUrl}/link/authorize?state=${encodeURIComponent(linkState)}`;
+}
+
+function upsertAccount(user, link) {
+  const existing = user.accounts.find(
+    (account) => account.provider === link.provider,
+  );
+  if (existing) {
+    existing.scopes = [...new Set([...existing.scopes, ...link.scopes])];
+    existing.status = 'active';
+    return existing;
+  }
+  const account = {
+    id: `acct-${link.provider}-${user.id}`,
+    provider: link.provider,
+    display_name: user.name,
+    email: user.email,
+    scopes: [...link.scopes],
+    status: 'active',
+    grants: [],
+  };
+  user.accounts.push(account);
+  return account;
+}
+
+// A completed request also lifts a forced reauth for its provider, so the
+// next status check reports the GitHub token as usable again.
+function completeTokenRequest(state, request) {
+  request.status = 'completed';
+  state.failures.require_reauth = state.failures.require_reauth.filter(
+    (provider) => provider !== request.provider,
+  );
+}
+
+function accountJson(account) {
+  return {
+    id: account.id,
+    provider: account.provider,
+    scopes: account.scopes,
+    status: account.status,
+    email: account.email,
+    display_name: account.display_name,
+    expires_at: null,
+    grants: account.grants,
+  };
+}
+
+function requireAccount(user, accountId) {
+  const account = user.accounts.find((item) => item.id === accountId);
+  if (!account) {
+    throw new HttpError(
+      404,
+      'not_found',
+      `Linked account ${accountId} not found`,
+    );
+  }
+  return account;
+}
+
+function requireTokenRequest(state, user, requestState) {
+  const request = state.providerTokenRequests.get(requestState);
+  if (!request || request.userId !== user.id) {
+    throw new HttpError(
+      404,
+      'not_found',
+      `Provider token request ${requestState} not found`,
+    );
+  }
+  return request;
+}
+
+function requireLinkState(state, linkState) {
+  const link = linkState ? state.linkStates.get(linkState) : null;
+  if (!link) {
+    throw new HttpError(400, 'invalid_request', 'Unknown or used link state');
+  }
+  return link;
+}
@@ -0,0 +1,101 @@
+import { HttpError } from '../../mock/http.mjs';
+import { failureNames } from '../config.mjs';
+import { opaqueToken } from '../tokens.mjs';
+import { requireProvider } from './sign-in.mjs';
+
+// Routes under /__authos are not part of AuthOS. They stand in for the
+// server-to-server calls the ACT backend makes, and let scripts flip forced
+// failures while the service is running.
+export function registerControlRoutes(router, context) {
+  const { config, state } = context;
+
+  router.add('GET', '/__authos/provider-status', ({ req, query }) => {
+    const user = context.requireUser(req);
+    const provider = requireProvider(config, query.get('provider') ?? 'github');
+    const requested = (query.get('scopes') ?? provider.scopes.join(','))
+      .split(',')
+      .map((scope) => scope.trim())
+      .filter(Boolean);
+    const account = user.accounts.find(
+      (item) => item.provider === provider.provider && item.status === 'active',
+    );
+    const missing = requested.filter(
+      (scope) => !account?.scopes.includes(scope),
+    );
+    const forced = state.failures.require_reauth.includes(provider.provider);
+    const actionRequired = !account || missing.length > 0 || forced;
+
+    let reauthUrl = null;
+    if (actionRequired) {
+      const requestState = opaqueToken('ptr');
+      state.providerTokenRequests.set(requestState, {
+        userId: user.id,
+        provider: provider.provider,
+        scopes: requested,
+        redirectUri:
+          query.get('redirect_uri') ?? `${context.baseUrl}/auth/callback`,
+        status: 'pending',
+      });
+      reauthUrl = `${context.baseUrl}/provider-token/${requestState}`;
+    }
+
+    return {
+      available: Boolean(account) && !actionRequired,
+      provider: provider.provider,
+      has_access_token: Boolean(account),
+      has_refresh_token: Boolean(account),
+      expires_at: null,
+      scopes: account?.scopes ?? [],
+      action_required: actionRequired,
+      action_code: actionRequired
+        ? account
+          ? 'reauthorization_required'
+          : 'account_not_linked'
+        : null,
+      missing_scopes: missing,
+      reauth_url: reauthUrl,
+    };
+  });
+
+  router.add('GET', '/__authos/state', () => ({
+    failures: state.failures,
+    users: state.users.map((user) => ({
+      id: user.id,
+      email: user.email,
+      accounts: user.accounts.map((account) => ({
+        id: account.id,
+        provider: account.provider,
+        scopes: account.scopes,
+        grants: account.grants.length,
+      })),
+    })),
+    refresh_tokens: state.refreshTokens.size,
+    pending_device_codes: [...state.deviceCodes.values()].filter(
+      (entry) => entry.status === 'pending',
+    ).length,
+    provider_token_requests: [...state.providerTokenRequests].map(
+      ([requestState, request]) => ({
+        state: requestState,
+        provider: request.provider,
+        status: request.status,
+      }),
+    ),
+  }));
+
+  router.add('POST', '/__authos/failures', ({ body }) => {
+    for (const [name, value] of Object.entries(body)) {
+      if (!failureNames.includes(name)) {
+        throw new HttpError(
+          400,
+          'invalid_request',
+          `Unknown failure "${name}"; use ${failureNames.join(', ')}`,
+        );
+      }
+      state.failures[name] =
+        name === 'require_reauth'
+          ? (Array.isArray(value) ? value : [value]).filter(Boolean).map(String)
+          : value === true;
+    }
+    return state.failures;
+  });
+}
@@ -0,0 +1,233 @@
+import { randomInt } from 'node:crypto';
+
+import { HttpError } from '../../mock/http.mjs';
+import {
+  formPage,
+  messagePage,
+  redirectWithFragment,
+  sendPage,
+} from '../pages.mjs';
+import { opaqueToken } from '../tokens.mjs';
+
+const userCodeAlphabet = 'BCDFGHJKLMNPQRSTVWXZ';
+
+export function registerSignInRoutes(router, context) {
+  const { config, state } = context;
+
+  router.add('GET', '/auth/:provider', ({ res, params, query }) => {
+    const provider = requireProvider(config, params.provider);
+    const redirectUri = requiredParam(
+      query.get('redirect_uri'),
+      'redirect_uri',
+    );
+
+    if (state.failures.deny_consent) {
+      denyLogin(res, redirectUri, provider);
+      return;
+    }
+    if (config.autoApprove && state.users.length === 1) {
+      redirectWithFragment(
+        res,
+        redirectUri,
+        context.issueTokens(state.users[0]),
+      );
+      return;
+    }
+    sendPage(
+      res,
+      200,
+      formPage({
+        title: `Sign in with ${provider.display_name}`,
+        intro: `Choose who to sign in as for ${query.get('service') ?? config.service}.`,
+        action: `/auth/${provider.provider}/decision`,
+        method: 'GET',
+        hidden: { redirect_uri: redirectUri },
+        choices: [
+          ...state.users.map((user) => ({
+            name: 'user',
+            value: user.id,
+            label: `${user.name} <${user.email}>`,
+          })),
+          { name: 'decision', value: 'deny', label: 'Deny', deny: true },
+        ],
+      }),
+    );
+  });
+
+  router.add('GET', '/auth/:provider/decision', ({ res, params, query }) => {
+    const provider = requireProvider(config, params.provider);
+    const redirectUri = requiredParam(
+      query.get('redirect_uri'),
+      'redirect_uri',
+    );
+    const user = state.users.find((item) => item.id === query.get('user'));
+    if (query.get('decision') === 'deny' || !user) {
+      denyLogin(res, redirectUri, provider);
+      return;
+    }
+    redirectWithFragment(res, redirectUri, context.issueTokens(user));
+  });
+
+  router.add('POST', '/auth/device/code', () => {
+    const deviceCode = opaqueToken('dc');
+    const userCode = createUserCode();
+    state.deviceCodes.set(deviceCode, {
+      userCode,
+      status: 'pending',
+      userId: null,
+      expiresAt: Date.now() + config.deviceCodeTtl * 1000,
+    });
+    return {
+      device_code: deviceCode,
+      user_code: userCode,
+      verification_uri: `${context.baseUrl}/device`,
+      verification_uri_complete: `${context.baseUrl}/device?user_code=${userCode}`,
+      expires_in: config.deviceCodeTtl,
+      interval: 2,
+    };
+  });
+
+  router.add('GET', '/device', ({ res, query }) => {
+    sendPage(
+      res,
+      200,
+      formPage({
+        title: 'Approve a device',
+        intro: 'Enter the code shown on the device, then pick an account.',
+        action: '/device',
+        inputs: [
+          { name: 'user_code', label: 'Code', value: query.get('user_code') },
+        ],
+        choices: [
+          ...state.users.map((user) => ({
+            name: 'user',
+            value: user.id,
+            label: `Approve as ${user.name}`,
+          })),
+          { name: 'decision', value: 'deny', label: 'Deny', deny: true },
+        ],
+      }),
+    );
+  });
+
+  router.add('POST', '/device', ({ res, body }) => {
+    const userCode = String(body.user_code ?? '')
+      .trim()
+      .toUpperCase();
+    const entry = [...state.deviceCodes.values()].find(
+      (item) => item.userCode === userCode && item.status === 'pending',
+    );
+    if (!entry || entry.expiresAt <= Date.now()) {
+      sendPage(
+        res,
+        404,
+        messagePage(
+          'Unknown code',
+          `No pending device uses ${userCode || 'that code'}.`,
+        ),
+      );
+      return;
+    }
+    const user = state.users.find((item) => item.id === body.user);
+    if (body.decision === 'deny' || !user) {
+      entry.status = 'denied';
+      sendPage(
+        res,
+        200,
+        messagePage('Device denied', 'The device will not be signed in.'),
+      );
+      return;
+    }
+    entry.status = 'approved';
+    entry.userId = user.id;
+    sendPage(
+      res,
+      200,
+      messagePage(
+        'Device approved',
+        `The device is signing in as ${user.email}.`,
+      ),
+    );
+  });
+
+  router.add('POST', '/auth/token', ({ body }) => {
+    if (body.grant_type !== 'urn:ietf:params:oauth:grant-type:device_code') {
+      throw new HttpError(
+        400,
+        'unsupported_grant_type',
+        'Only the device code grant is supported',
+      );
+    }
+    const entry = state.deviceCodes.get(String(body.device_code ?? ''));
+    if (!entry) {
+      throw new HttpError(400, 'invalid_grant', 'Unknown device code');
+    }
+    if (entry.expiresAt <= Date.now()) {
+      state.deviceCodes.delete(body.device_code);
+      throw new HttpError(400, 'expired_token', 'Device code expired');
+    }
+    if (state.failures.deny_device || entry.status === 'denied') {
+      state.deviceCodes.delete(body.device_code);
+      throw new HttpError(
+        400,
+        'access_denied',
+        'The device request was denied',
+      );
+    }
+    if (entry.status === 'pending') {
+      throw new HttpError(401, 'authorization_pending', 'Waiting for approval');
+    }
+    state.deviceCodes.delete(body.device_code);
+    return context.issueTokens(
+      state.users.find((item) => item.id === entry.userId),
+    );
+  });
+
+  router.add('POST', '/api/auth/refresh', ({ body }) => {
+    const refreshToken = String(body.refresh_token ?? '');
+    const entry = state.refreshTokens.get(refreshToken);
+    if (
+      state.failures.expired_refresh ||
+      !entry ||
+      entry.expiresAt <= Date.now()
+    ) {
+      state.refreshTokens.delete(refreshToken);
+      throw new HttpError(401, 'invalid_grant', 'Refresh token expired');
+    }
+    state.refreshTokens.delete(refreshToken);
+    return context.issueTokens(
+      state.users.find((item) => item.id === entry.userId),
+    );
+  });
+}
+
+export function requireProvider(config, slug) {
+  const provider = config.providers.find((item) => item.provider === slug);
+  if (!provider) {
+    throw new HttpError(400, 'invalid_request', `Unknown provider ${slug}`);
+  }
+  return provider;
+}
+
+export function requiredParam(value, name) {
+  if (!value) {
+    throw new HttpError(400, 'invalid_request', `${name} is required`);
+  }
+  return value;
+}
+
+function denyLogin(res, redirectUri, provider) {
+  redirectWithFragment(res, redirectUri, {
+    error: 'access_denied',
+    error_description: `${provider.display_name} sign-in was denied`,
+  });
+}
+
+function createUserCode() {
+  const pick = () =>
+    Array.from(
+      { length: 4 },
+      () => userCodeAlphabet[randomInt(userCodeAlphabet.length)],
+    ).join('');
+  return `${pick()}-${pick()}`;
+}
@@ -0,0 +1,194 @@
+import { createServer } from 'node:http';
+
+import {
+  HttpError,
+  applyCors,
+  bearerToken,
+  createRouter,
+  readBody,
+  sendJson,
+} from '../mock/http.mjs';
+import { registerAccountRoutes } from './routes/accounts.mjs';
+import { registerControlRoutes } from './routes/control.mjs';
+import { registerSignInRoutes } from './routes/sign-in.mjs';
+import { createTokenIssuer, opaqueToken } from './tokens.mjs';
+
+export async function startAuthOsServer({
+  host = '127.0.0.1',
+  port = 3004,
+  config,
+  log = (line) => process.stdout.write(`${line}\n`),
+}) {
+  const router = createRouter();
+  const server = createServer();
+  const state = createAuthOsState(config);
+  const context = { config, state, router, log, baseUrl: '' };
+
+  context.requireUser = (req) => {
+    const token = bearerToken(req);
+    if (token === '') {
+      throw new HttpError(401, 'unauthorized', 'Missing bearer token');
+    }
+    let payload;
+    try {
+      payload = context.issuer.verify(token);
+    } catch (error) {
+      throw new HttpError(401, 'invalid_token', error.message);
+    }
+    const user = state.users.find((item) => item.id === payload.sub);
+    if (!user) {
+      throw new HttpError(401, 'invalid_token', 'Unknown user');
+    }
+    return user;
+  };
+
+  context.issueTokens = (user) => {
+    const refreshToken = opaqueToken('rt');
+    state.refreshTokens.set(refreshToken, {
+      userId: user.id,
+      expiresAt: Date.now() + config.refreshTokenTtl * 1000,
+    });
+    return {
+      access_token: context.issuer.accessToken(user),
+      refresh_token: refreshToken,
+      token_type: 'Bearer',
+      expires_in: config.accessTokenTtl,
+    };
+  };
+
+  registerSignInRoutes(router, context);
+  registerAccountRoutes(router, context);
+  registerControlRoutes(router, context);
+
+  server.on('request', async (req, res) => {
+    const startedAt = Date.now();
+    const url = new URL(req.url ?? '/', 'http://authos.local');
+    res.on('finish', () => {
+      log(
+        `${req.method} ${url.pathname} ${res.statusCode} ${Date.now() - startedAt}ms`,
+      );
+    });
+
+    applyCors(req, res);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    try {
+      const { route, params, pathMatched } = router.match(
+        req.method,
+        url.pathname,
+      );
+      if (!route) {
+        throw pathMatched
+          ? new HttpError(
+              405,
+              'method_not_allowed',
+              `${req.method} is not supported`,
+            )
+          : new HttpError(
+              404,
+              'not_found',
+              `No AuthOS route for ${url.pathname}`,
+            );
+      }
+      const body =
+        req.method === 'POST' || req.method === 'PUT'
+          ? await readRequestBody(req)
+          : {};
+      const result = await route.handler({
+        req,
+        res,
+        params,
+        query: url.searchParams,
+        body,
+      });
+      if (!res.writableEnded) {
+        sendJson(res, 200, result ?? {});
+      }
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        log(`${req.method} ${url.pathname} failed: ${error.stack ?? error}`);
+      }
+      if (!res.headersSent) {
+        sendAuthError(res, error);
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+
+  context.baseUrl = `http://${host.includes(':') ? `[${host}]` : host}:${server.address().port}`;
+  context.issuer = createTokenIssuer({
+    issuer: context.baseUrl,
+    audience: config.audience,
+    accessTokenTtl: config.accessTokenTtl,
+  });
+
+  return {
+    url: context.baseUrl,
+    state,
+    close: () =>
+      new Promise((resolve) => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+      }),
+  };
+}
+
+// AuthOS reports failures OAuth-style rather than in the ACT envelope.
+function sendAuthError(res, error) {
+  const status = error instanceof HttpError ? error.status : 500;
+  const code = error instanceof HttpError ? error.code : 'server_error';
+  sendJson(res, status, { error: code, error_description: error.message });
+}
+
+function createAuthOsState(config) {
+  return {
+    users: config.users.map((user) => ({
+      ...user,
+      accounts: user.accounts.map((account) => ({
+        id: `acct-${account.provider}-${user.id}`,
+        ...account,
+        grants: [],
+      })),
+    })),
+    failures: structuredClone(config.failures),
+    refreshTokens: new Map(),
+    deviceCodes: new Map(),
+    linkStates: new Map(),
+    providerTokenRequests: new Map(),
+  };
+}
+
+async function readRequestBody(req) {
+  const raw = (await readBody(req)).toString('utf8').trim();
+  if (raw === '') {
+    return {};
+  }
+  // The device approval page posts a form; curl -d sends JSON bodies with the
+  // same content type, so only non-JSON bodies are read as forms.
+  if (
+    req.headers['content-type']?.includes('x-www-form-urlencoded') &&
+    !raw.startsWith('{')
+  ) {
+    return Object.fromEntries(new URLSearchParams(raw));
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new HttpError(
+      400,
+      'invalid_request',
+      'Request body is not valid JSON',
+    );
+  }
+}
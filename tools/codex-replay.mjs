@@ -0,0 +1,57 @@
+import { parseArgs } from 'node:util';
+
+import { loadTranscripts } from './mock/codex-replay.mjs';
+import { startMockServer } from './mock/server.mjs';
+
+const { values } = parseArgs({
+  options: {
+    host: { type: 'string', default: process.env.ACT_MOCK_HOST ?? '127.0.0.1' },
+    port: { type: 'string', default: process.env.ACT_MOCK_PORT ?? '3001' },
+    'frontend-origin': {
+      type: 'string',
+      default: process.env.ACT_FRONTEND_ORIGIN ?? 'http://localhost:4000',
+    },
+    transcript: { type: 'string', multiple: true, default: [] },
+    speed: { type: 'string', default: '1' },
+    quiet: { type: 'boolean', default: false },
+  },
+});
+
+const speed = Number(values.speed);
+if (!Number.isFinite(speed) || speed <= 0) {
+  process.stderr.write('--speed must be a positive number\n');
+  process.exit(1);
+}
+if (values.transcript.length === 0) {
+  process.stderr.write('Pass at least one --transcript <dir>\n');
+  process.exit(1);
+}
+
+let transcripts;
+try {
+  transcripts = await loadTranscripts(values.transcript);
+} catch (error) {
+  process.stderr.write(`${error.message}\n`);
+  process.exit(1);
+}
+
+const mock = await startMockServer({
+  host: values.host,
+  port: Number(values.port),
+  frontendOrigin: values['frontend-origin'],
+  transcripts,
+  speed,
+  log: values.quiet ? () => {} : (line) => process.stdout.write(`${line}\n`),
+});
+
+process.stdout.write(`ACT Codex replay listening on ${mock.url}\n`);
+for (const session of mock.state.codexSessions) {
+  process.stdout.write(`- ${session.id} ${session.title}\n`);
+}
+
+function shutdown() {
+  mock.close().then(() => process.exit(0));
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,105 @@
+import { writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+import { cleanupChecks, restChecks } from './contract/rest-checks.mjs';
+import { createContext, runChecks } from './contract/runner.mjs';
+import { loadSchemas } from './contract/schemas.mjs';
+import { socketChecks } from './contract/socket-checks.mjs';
+
+const usage = `Usage:
+  node tools/contract.mjs --token <token> [--target <url>] [--read-only]
+                          [--only <text>...] [--report <file>] [--timeout <ms>]
+`;
+
+let values;
+try {
+  ({ values } = parseArgs({
+    options: {
+      target: {
+        type: 'string',
+        default:
+          process.env.ACT_CONTRACT_TARGET ??
+          process.env.ACT_API_BASE_URL ??
+          'http://127.0.0.1:3001',
+      },
+      token: { type: 'string', default: process.env.ACT_CONTRACT_TOKEN },
+      'read-only': { type: 'boolean', default: false },
+      only: { type: 'string', multiple: true },
+      report: { type: 'string' },
+      timeout: { type: 'string', default: '20000' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  }));
+} catch (error) {
+  process.stderr.write(`${error.message}\n\n${usage}`);
+  process.exit(1);
+}
+
+if (values.help) {
+  process.stdout.write(usage);
+  process.exit(0);
+}
+
+const target = values.target.replace(/\/+$/, '');
+const timeoutMs = Number(values.timeout);
+if (!Number.isFinite(timeoutMs) || timeoutMs <= 0) {
+  process.stderr.write('--timeout must be a positive number of milliseconds\n');
+  process.exit(1);
+}
+if (!values.token) {
+  process.stderr.write(
+    'Pass --token (or ACT_CONTRACT_TOKEN) with an access token the target accepts.\n',
+  );
+  process.exit(1);
+}
+
+const schemas = await loadSchemas();
+const context = createContext({
+  target,
+  token: values.token,
+  schemas,
+  timeoutMs,
+});
+const checks = [...restChecks(), ...socketChecks(), ...cleanupChecks()];
+const labels = { pass: 'PASS', fail: 'FAIL', skip: 'SKIP' };
+
+process.stdout.write(`ACT API contract: ${target}\n\n`);
+const results = await runChecks(checks, context, {
+  readOnly: values['read-only'],
+  only: values.only,
+  onResult(result) {
+    const timing = result.status === 'skip' ? '' : ` (${result.durationMs}ms)`;
+    process.stdout.write(`${labels[result.status]}  ${result.name}${timing}\n`);
+    if (result.reason) {
+      process.stdout.write(`      ${result.reason}\n`);
+    }
+    for (const problem of result.problems ?? []) {
+      process.stdout.write(`      ${problem}\n`);
+    }
+  },
+});
+
+const count = (status) =>
+  results.filter((result) => result.status === status).length;
+process.stdout.write(
+  `\n${count('pass')} passed, ${count('fail')} failed, ${count('skip')} skipped\n`,
+);
+
+if (values.report) {
+  await writeFile(
+    values.report,
+    `${JSON.stringify(
+      {
+        target,
+        readOnly: values['read-only'],
+        finishedAt: new Date().toISOString(),
+        results,
+      },
+      null,
+      2,
+    )}\n`,
+  );
+  process.stdout.write(`Report written to ${values.report}\n`);
+}
+
+process.exit(count('fail') > 0 ? 1 : 0);
@@ -0,0 +1,893 @@
+import { fail, skip } from './runner.mjs';
+
+const terminalRunStatuses = new Set([
+  'completed',
+  'failed',
+  'cancelled',
+  'interrupted',
+  'timeout',
+]);
+
+// Checks run in order and share `context.values`, so later checks can use ids
+// that earlier ones discovered or created. Checks marked `write` create their
+// own workspace, collection, task, and sessions and delete them at the end;
+// they never touch existing resources.
+export function restChecks() {
+  const stamp = Date.now().toString(36);
+
+  return [
+    {
+      name: 'GET /api/v1/health',
+      async run({ request, expect }) {
+        // HealthStatus reads the top level of the body, not `data`.
+        expect(await request('GET', '/api/v1/health', { auth: false }), {
+          envelope: 'none',
+          schema: 'health',
+        });
+      },
+    },
+    {
+      name: 'GET /api/v1/deployment/config',
+      async run({ request, expect }) {
+        expect(
+          await request('GET', '/api/v1/deployment/config', { auth: false }),
+          { schema: 'deployment-config' },
+        );
+      },
+    },
+    {
+      name: 'GET /api/v1/auth/me without a token',
+      async run({ request, expect }) {
+        expect(await request('GET', '/api/v1/auth/me', { auth: false }), {
+          status: 401,
+          envelope: 'error',
+        });
+      },
+    },
+    {
+      name: 'GET /api/v1/auth/me',
+      async run({ request, expect }) {
+        expect(await request('GET', '/api/v1/auth/me'), {
+          schema: 'user-profile',
+        });
+      },
+    },
+    {
+      name: 'GET /api/v1/workspaces',
+      async run({ request, expect, values }) {
+        const workspaces = expect(await request('GET', '/api/v1/workspaces'), {
+          envelope: 'list',
+          schema: 'workspace',
+        });
+        values.workspaceId = workspaces[0]?.id;
+      },
+    },
+    {
+      name: 'GET /api/v1/workspaces/git/changes',
+      async run({ request, expect }) {
+        expect(await request('GET', '/api/v1/workspaces/git/changes'), {
+          envelope: 'list',
+          schema: 'workspace-git-changes',
+        });
+      },
+    },
+    {
+      name: 'GET /api/v1/workspaces/:workspaceId/files',
+      async run({ request, expect, need, values }) {
+        const workspaceId = need('workspaceId', 'the server has no workspaces');
+        const listing = expect(
+          await request(
+            'GET',
+            `/api/v1/workspaces/${encodeURIComponent(workspaceId)}/files?path=.`,
+          ),
+          { schema: 'directory-listing' },
+        );
+        values.filePath = listing.items.find(
+          (item) => !item.is_directory,
+        )?.path;
+      },
+    },
+    {
+      name: 'GET /api/v1/workspaces/:workspaceId/files/content',
+      async run({ request, expect, need, values }) {
+        const filePath = need(
+          'filePath',
+          'the first workspace has no files at its root',
+        );
+        expect(
+          await request(
+            'GET',
+            `/api/v1/workspaces/${encodeURIComponent(values.workspaceId)}/files/content?path=${encodeURIComponent(filePath)}`,
+          ),
+          { schema: 'file-content' },
+        );
+      },
+    },
+    {
+      name: 'GET /api/v1/collections',
+      async run({ request, expect }) {
+        expect(await request('GET', '/api/v1/collections'), {
+          envelope: 'list',
+          schema: 'workspace-collection',
+        });
+      },
+    },
+    {
+      name: 'GET /api/v1/sessions',
+      async run({ request, expect }) {
+        expect(await request('GET', '/api/v1/sessions'), {
+          envelope: 'list',
+          schema: 'terminal-session',
+        });
+      },
+    },
+    {
+      name: 'GET /api/v1/system/stats',
+      async run({ request, expect }) {
+        expect(await request('GET', '/api/v1/system/stats'), {
+          schema: 'system-stats',
+        });
+      },
+    },
+    {
+      name: 'GET /api/v1/processes',
+      async run({ request, expect }) {
+        expect(await request('GET', '/api/v1/processes'), {
+          envelope: 'list',
+          schema: 'server-process',
+        });
+      },
+    },
+    {
+      name: 'GET /api/v1/github/status',
+      async run({ request, expect }) {
+        expect(await request('GET', '/api/v1/github/status'), {
+          schema: 'github-provider-status',
+        });
+      },
+    },
+    {
+      name: 'GET /api/v1/github/cli/status',
+      async run({ request, expect }) {
+        expect(await request('GET', '/api/v1/github/cli/status'), {
+          schema: 'github-cli-status',
+        });
+      },
+    },
+    {
+      name: 'GET /api/v1/github/repositories',
+      async run({ request, expect }) {
+        expect(
+          await request(
+            'GET',
+            '/api/v1/github/repositories?page=1&per_page=50',
+          ),
+          { schema: 'github-repository-page' },
+        );
+      },
+    },
+    {
+      name: 'GET /api/v1/tasks/readiness',
+      async run({ request, expect, values }) {
+        const readiness = expect(
+          await request('GET', '/api/v1/tasks/readiness'),
+          { schema: 'runner-readiness' },
+        );
+        values.runnerReady = readiness.ready === true;
+      },
+    },
+    {
+      name: 'GET /api/v1/layouts',
+      async run({ request, expect, need }) {
+        const workspaceId = need('workspaceId', 'the server has no workspaces');
+        expect(
+          await request(
+            'GET',
+            `/api/v1/layouts?workspace_id=${encodeURIComponent(workspaceId)}`,
+          ),
+          { envelope: 'list', schema: 'terminal-layout' },
+        );
+      },
+    },
+    {
+      name: 'GET /api/v1/tasks',
+      async run({ request, expect }) {
+        expect(await request('GET', '/api/v1/tasks'), {
+          envelope: 'list',
+          schema: 'native-task',
+        });
+      },
+    },
+    {
+      name: 'GET /api/v1/tasks/:taskId for an unknown task',
+      async run({ request, expect }) {
+        expect(
+          await request('GET', `/api/v1/tasks/contract-missing-${stamp}`),
+          { status: 404, envelope: 'error' },
+        );
+      },
+    },
+    {
+      name: 'GET /api/v1/codex/models',
+      async run({ request, expect }) {
+        expect(await request('GET', '/api/v1/codex/models'), {
+          envelope: 'list',
+          schema: 'coding-agent-model',
+        });
+      },
+    },
+    {
+      name: 'GET /api/v1/codex/sessions',
+      async run({ request, expect, values }) {
+        const sessions = expect(
+          await request('GET', '/api/v1/codex/sessions?limit=40'),
+          { envelope: 'list', schema: 'codex-session-summary' },
+        );
+        values.codexSessionId = sessions[0]?.id;
+      },
+    },
+    {
+      name: 'GET /api/v1/codex/sessions/:sessionId/events',
+      async run({ request, expect, need }) {
+        const sessionId = need('codexSessionId', 'no Codex sessions exist');
+        expect(
+          await request(
+            'GET',
+            `/api/v1/codex/sessions/${encodeURIComponent(sessionId)}/events?limit=300`,
+          ),
+          { envelope: 'list', schema: 'codex-session-event' },
+        );
+      },
+    },
+    {
+      name: 'GET /api/v1/codex/sessions/:sessionId/changes',
+      async run({ request, expect, need }) {
+        const sessionId = need('codexSessionId', 'no Codex sessions exist');
+        expect(
+          await request(
+            'GET',
+            `/api/v1/codex/sessions/${encodeURIComponent(sessionId)}/changes`,
+          ),
+          { schema: 'codex-session-changes' },
+        );
+      },
+    },
+
+    // Everything below writes, against resources created here.
+    {
+      name: 'POST /api/v1/workspaces/empty',
+      write: true,
+      async run({ request, expect, values }) {
+        const workspace = expect(
+          await request('POST', '/api/v1/workspaces/empty', {
+            body: { name: `contract-${stamp}`, path: null },
+          }),
+          { schema: 'workspace' },
+        );
+        values.scratchWorkspaceId = workspace.id;
+      },
+    },
+    {
+      name: 'PUT /api/v1/workspaces/:workspaceId/files/content',
+      write: true,
+      async run({ request, expect, need }) {
+        const workspaceId = need(
+          'scratchWorkspaceId',
+          'the scratch workspace was not created',
+        );
+        expect(
+          await request(
+            'PUT',
+            `/api/v1/workspaces/${encodeURIComponent(workspaceId)}/files/content`,
+            { body: { path: 'CONTRACT.md', content: '# Contract check\n' } },
+          ),
+          { envelope: 'any' },
+        );
+        const content = expect(
+          await request(
+            'GET',
+            `/api/v1/workspaces/${encodeURIComponent(workspaceId)}/files/content?path=CONTRACT.md`,
+          ),
+          { schema: 'file-content' },
+        );
+        if (content.content !== '# Contract check\n') {
+          fail('saved content did not read back unchanged');
+        }
+      },
+    },
+    {
+      name: 'POST /api/v1/collections',
+      write: true,
+      async run({ request, expect, values }) {
+        const collection = expect(
+          await request('POST', '/api/v1/collections', {
+            body: { name: `contract-${stamp}`, workspace_ids: [] },
+          }),
+          { schema: 'workspace-collection' },
+        );
+        values.collectionId = collection.id;
+      },
+    },
+    {
+      name: 'PUT /api/v1/collections/:collectionId',
+      write: true,
+      async run({ request, expect, need }) {
+        const collectionId = need('collectionId', 'no collection was created');
+        expect(
+          await request(
+            'PUT',
+            `/api/v1/collections/${encodeURIComponent(collectionId)}`,
+            {
+              body: {
+                name: `contract-${stamp}`,
+                description: 'Created by the contract suite',
+              },
+            },
+          ),
+          { schema: 'workspace-collection' },
+        );
+      },
+    },
+    {
+      name: 'POST /api/v1/collections/:collectionId/members',
+      write: true,
+      async run({ request, expect, need, values }) {
+        const collectionId = need('collectionId', 'no collection was created');
+        const workspaceId = need(
+          'scratchWorkspaceId',
+          'the scratch workspace was not created',
+        );
+        const collection = expect(
+          await request(
+            'POST',
+            `/api/v1/collections/${encodeURIComponent(collectionId)}/members`,
+            { body: { workspace_id: workspaceId } },
+          ),
+          { schema: 'workspace-collection' },
+        );
+        if (!collection.members.some((m) => m.workspace_id === workspaceId)) {
+          fail('the workspace is not listed in members');
+        }
+        values.collectionMember = workspaceId;
+      },
+    },
+    {
+      name: 'POST /api/v1/collections/:collectionId/default-workspace',
+      write: true,
+      async run({ request, expect, need, values }) {
+        const workspaceId = need(
+          'collectionMember',
+          'the collection has no member',
+        );
+        expect(
+          await request(
+            'POST',
+            `/api/v1/collections/${encodeURIComponent(values.collectionId)}/default-workspace`,
+            { body: { workspace_id: workspaceId } },
+          ),
+          { schema: 'workspace-collection' },
+        );
+      },
+    },
+    {
+      name: 'DELETE /api/v1/collections/:collectionId/members/:workspaceId',
+      write: true,
+      async run({ request, expect, need, values }) {
+        const workspaceId = need(
+          'collectionMember',
+          'the collection has no member',
+        );
+        expect(
+          await request(
+            'DELETE',
+            `/api/v1/collections/${encodeURIComponent(values.collectionId)}/members/${encodeURIComponent(workspaceId)}`,
+          ),
+          { schema: 'workspace-collection' },
+        );
+      },
+    },
+    {
+      name: 'DELETE /api/v1/collections/:collectionId',
+      write: true,
+      async run({ request, expect, need }) {
+        const collectionId = need('collectionId', 'no collection was created');
+        expect(
+          await request(
+            'DELETE',
+            `/api/v1/collections/${encodeURIComponent(collectionId)}`,
+          ),
+          { envelope: 'any' },
+        );
+      },
+    },
+    {
+      name: 'POST /api/v1/sessions',
+      write: true,
+      async run({ request, expect, need, values }) {
+        const workspaceId = need(
+          'scratchWorkspaceId',
+          'the scratch workspace was not created',
+        );
+        const session = expect(
+          await request('POST', '/api/v1/sessions', {
+            body: {
+              workspace_id: workspaceId,
+              session_name: 'Contract session',
+              terminal_size: { cols: 120, rows: 34 },
+            },
+          }),
+          { schema: 'terminal-session' },
+        );
+        values.sessionId = session.id;
+      },
+    },
+    {
+      name: 'GET /api/v1/sessions/:sessionId/buffer',
+      write: true,
+      async run({ request, expect, need }) {
+        const sessionId = need('sessionId', 'no terminal session was created');
+        const buffer = expect(
+          await request(
+            'GET',
+            `/api/v1/sessions/${encodeURIComponent(sessionId)}/buffer`,
+          ),
+          { envelope: 'any' },
+        );
+        if (typeof buffer !== 'string') {
+          fail('data is not a string');
+        }
+      },
+    },
+    {
+      name: 'DELETE /api/v1/sessions/:sessionId',
+      write: true,
+      async run({ request, expect, need }) {
+        const sessionId = need('sessionId', 'no terminal session was created');
+        expect(
+          await request(
+            'DELETE',
+            `/api/v1/sessions/${encodeURIComponent(sessionId)}`,
+          ),
+          { envelope: 'any' },
+        );
+      },
+    },
+    {
+      name: 'POST /api/v1/layouts/with-buffers',
+      write: true,
+      async run({ request, expect, need, values }) {
+        const workspaceId = need(
+          'scratchWorkspaceId',
+          'the scratch workspace was not created',
+        );
+        const layout = expect(
+          await request('POST', '/api/v1/layouts/with-buffers', {
+            body: {
+              name: 'Default',
+              layout_type: 'grid',
+              workspace_id: workspaceId,
+              is_default: true,
+              tree: { type: 'grid', panes: [{ index: 0 }, { index: 1 }] },
+            },
+          }),
+          { schema: 'terminal-layout' },
+        );
+        values.layoutId = layout.id;
+      },
+    },
+    {
+      name: 'PUT /api/v1/layouts/:layoutId',
+      write: true,
+      async run({ request, expect, need }) {
+        const layoutId = need('layoutId', 'no layout was created');
+        expect(
+          await request(
+            'PUT',
+            `/api/v1/layouts/${encodeURIComponent(layoutId)}`,
+            {
+              body: {
+                name: 'Default',
+                is_default: true,
+                tree: { type: 'single', panes: [{ index: 0 }] },
+              },
+            },
+          ),
+          { schema: 'terminal-layout' },
+        );
+      },
+    },
+    {
+      name: 'POST /api/v1/layouts/:layoutId/default',
+      write: true,
+      async run({ request, expect, need }) {
+        const layoutId = need('layoutId', 'no layout was created');
+        expect(
+          await request(
+            'POST',
+            `/api/v1/layouts/${encodeURIComponent(layoutId)}/default`,
+            { body: {} },
+          ),
+          { envelope: 'any' },
+        );
+      },
+    },
+    {
+      name: 'POST /api/v1/tasks',
+      write: true,
+      async run({ request, expect, need, values }) {
+        const workspaceId = need(
+          'scratchWorkspaceId',
+          'the scratch workspace was not created',
+        );
+        const task = expect(
+          await request('POST', '/api/v1/tasks', {
+            body: taskBody(`Contract check ${stamp}`, workspaceId),
+          }),
+          { schema: 'native-task' },
+        );
+        values.taskId = task.id;
+      },
+    },
+    {
+      name: 'GET /api/v1/tasks/:taskId',
+      write: true,
+      async run({ request, expect, need }) {
+        const taskId = need('taskId', 'no task was created');
+        expect(
+          await request('GET', `/api/v1/tasks/${encodeURIComponent(taskId)}`),
+          { schema: 'native-task' },
+        );
+      },
+    },
+    {
+      name: 'PUT /api/v1/tasks/:taskId',
+      write: true,
+      async run({ request, expect, need, values }) {
+        const taskId = need('taskId', 'no task was created');
+        const task = expect(
+          await request('PUT', `/api/v1/tasks/${encodeURIComponent(taskId)}`, {
+            body: taskBody(
+              `Contract check ${stamp} (edited)`,
+              values.scratchWorkspaceId,
+            ),
+          }),
+          { schema: 'native-task' },
+        );
+        if (!task.title.endsWith('(edited)')) {
+          fail('the updated title was not returned');
+        }
+      },
+    },
+    {
+      name: 'POST /api/v1/tasks/:taskId/attachments',
+      write: true,
+      async run({ request, expect, need, values }) {
+        const taskId = need('taskId', 'no task was created');
+        const attachment = expect(
+          await request(
+            'POST',
+            `/api/v1/tasks/${encodeURIComponent(taskId)}/attachments`,
+            {
+              body: {
+                original_filename: 'contract.txt',
+                content_type: 'text/plain',
+                content_base64: Buffer.from('contract\n').toString('base64'),
+              },
+            },
+          ),
+          { schema: 'native-task-attachment' },
+        );
+        values.attachmentId = attachment.id;
+      },
+    },
+    {
+      name: 'DELETE /api/v1/tasks/:taskId/attachments/:attachmentId',
+      write: true,
+      async run({ request, expect, need, values }) {
+        const attachmentId = need('attachmentId', 'no attachment was uploaded');
+        expect(
+          await request(
+            'DELETE',
+            `/api/v1/tasks/${encodeURIComponent(values.taskId)}/attachments/${encodeURIComponent(attachmentId)}`,
+          ),
+          { envelope: 'any' },
+        );
+      },
+    },
+    {
+      name: 'POST /api/v1/tasks/:taskId/runs',
+      write: true,
+      async run({ request, expect, need, values }) {
+        const taskId = need('taskId', 'no task was created');
+        if (!values.runnerReady) {
+          skip('the task runner reports it is not ready');
+        }
+        const run = expect(
+          await request(
+            'POST',
+            `/api/v1/tasks/${encodeURIComponent(taskId)}/runs`,
+            { body: { dirty_workspace_choice: 'use_worktree' } },
+          ),
+          { schema: 'native-task-run' },
+        );
+        values.runId = run.id;
+        values.runStatus = await waitForRun(request, taskId, run.id);
+      },
+    },
+    {
+      name: 'GET /api/v1/tasks/:taskId/runs/:runId/events',
+      write: true,
+      async run({ request, expect, need, values }) {
+        const runId = need('runId', 'no run was started');
+        expect(
+          await request('GET', `${runPath(values.taskId, runId)}/events`),
+          {
+            envelope: 'list',
+            schema: 'native-task-event',
+          },
+        );
+      },
+    },
+    {
+      name: 'GET /api/v1/tasks/:taskId/runs/:runId/artifacts',
+      write: true,
+      async run({ request, expect, need, values }) {
+        const runId = need('runId', 'no run was started');
+        const artifacts = expect(
+          await request('GET', `${runPath(values.taskId, runId)}/artifacts`),
+          { envelope: 'list', schema: 'native-task-artifact' },
+        );
+        values.artifactId = artifacts[0]?.id;
+      },
+    },
+    {
+      name: 'GET /api/v1/tasks/:taskId/runs/:runId/artifacts/:artifactId',
+      write: true,
+      async run({ request, expect, need, values }) {
+        const artifactId = need('artifactId', 'the run produced no artifacts');
+        expect(
+          await request(
+            'GET',
+            `${runPath(values.taskId, values.runId)}/artifacts/${encodeURIComponent(artifactId)}`,
+          ),
+          { schema: 'native-task-artifact-content' },
+        );
+      },
+    },
+    {
+      name: 'GET /api/v1/tasks/:taskId/runs/:runId/artifacts/:artifactId/raw',
+      write: true,
+      async run({ request, need, values }) {
+        const artifactId = need('artifactId', 'the run produced no artifacts');
+        const response = await request(
+          'GET',
+          `${runPath(values.taskId, values.runId)}/artifacts/${encodeURIComponent(artifactId)}/raw`,
+        );
+        if (response.status !== 200) {
+          fail(`expected HTTP 200, got ${response.status}`);
+        }
+        if (!response.headers.get('content-type')) {
+          fail('raw artifact has no content-type');
+        }
+      },
+    },
+    {
+      name: 'POST /api/v1/tasks/:taskId/runs/:runId/finalize',
+      write: true,
+      async run({ request, expect, need, values }) {
+        const runId = need('runId', 'no run was started');
+        if (values.runStatus !== 'completed') {
+          skip(`the run ended as ${values.runStatus}, not completed`);
+        }
+        expect(
+          await request('POST', `${runPath(values.taskId, runId)}/finalize`, {
+            body: {},
+          }),
+          { schema: 'native-task-result' },
+        );
+      },
+    },
+    {
+      name: 'POST /api/v1/tasks/:taskId/runs/:runId/pull-requests',
+      write: true,
+      async run({ request, expect, need, values }) {
+        const runId = need('runId', 'no run was started');
+        // The scratch workspace has no remote, so nothing is pushed.
+        expect(
+          await request(
+            'POST',
+            `${runPath(values.taskId, runId)}/pull-requests`,
+            { body: {} },
+          ),
+          { schema: 'native-task-result' },
+        );
+      },
+    },
+    {
+      name: 'POST /api/v1/codex/sessions',
+      write: true,
+      async run({ request, expect, need, values }) {
+        const workspaceId = need(
+          'scratchWorkspaceId',
+          'the scratch workspace was not created',
+        );
+        if (!values.runnerReady) {
+          skip('the task runner reports it is not ready');
+        }
+        const launched = expect(
+          await request('POST', '/api/v1/codex/sessions', {
+            body: {
+              workspace_id: workspaceId,
+              scope_type: 'workspace',
+              scope_id: workspaceId,
+              agent_provider: 'codex',
+            },
+          }),
+          { schema: 'codex-launch-response' },
+        );
+        values.launchedSessionId = launched.codex_session.id;
+        values.launchedTerminalId = launched.terminal_session?.id;
+      },
+    },
+    {
+      name: 'POST /api/v1/codex/sessions/:sessionId/messages',
+      write: true,
+      async run({ request, expect, need, values }) {
+        const sessionId = need(
+          'launchedSessionId',
+          'no Codex session launched',
+        );
+        expect(
+          await request(
+            'POST',
+            `/api/v1/codex/sessions/${encodeURIComponent(sessionId)}/messages`,
+            {
+              body: {
+                workspace_id: values.scratchWorkspaceId,
+                prompt: 'Reply with the single word OK.',
+                mode: 'queue',
+              },
+            },
+          ),
+          { schema: 'codex-session-summary' },
+        );
+      },
+    },
+    {
+      name: 'POST /api/v1/codex/sessions/:sessionId/interrupt',
+      write: true,
+      async run({ request, expect, need }) {
+        const sessionId = need(
+          'launchedSessionId',
+          'no Codex session launched',
+        );
+        expect(
+          await request(
+            'POST',
+            `/api/v1/codex/sessions/${encodeURIComponent(sessionId)}/interrupt`,
+            { body: {} },
+          ),
+          { schema: 'codex-session-summary' },
+        );
+      },
+    },
+    {
+      name: 'POST /api/v1/codex/sessions/:sessionId/extension-ui/:requestId',
+      write: true,
+      async run({ request, expect, need }) {
+        const sessionId = need(
+          'launchedSessionId',
+          'no Codex session launched',
+        );
+        const events = expect(
+          await request(
+            'GET',
+            `/api/v1/codex/sessions/${encodeURIComponent(sessionId)}/events?limit=300`,
+          ),
+          { envelope: 'list', schema: 'codex-session-event' },
+        );
+        const pending = events.find((event) =>
+          event.command?.startsWith('extension_ui:'),
+        );
+        if (!pending) {
+          skip('the session has no pending extension UI request');
+        }
+        const requestId = pending.command.split(':').at(-1);
+        expect(
+          await request(
+            'POST',
+            `/api/v1/codex/sessions/${encodeURIComponent(sessionId)}/extension-ui/${encodeURIComponent(requestId)}`,
+            { body: { cancelled: true } },
+          ),
+          { schema: 'codex-session-summary' },
+        );
+      },
+    },
+    {
+      name: 'DELETE /api/v1/layouts/:layoutId',
+      write: true,
+      async run({ request, expect, need }) {
+        const layoutId = need('layoutId', 'no layout was created');
+        expect(
+          await request(
+            'DELETE',
+            `/api/v1/layouts/${encodeURIComponent(layoutId)}`,
+          ),
+          { envelope: 'any' },
+        );
+      },
+    },
+  ];
+}
+
+// Runs after the socket checks, which also use the scratch workspace and task.
+export function cleanupChecks() {
+  return [
+    {
+      name: 'DELETE /api/v1/tasks/:taskId',
+      write: true,
+      async run({ request, expect, need }) {
+        const taskId = need('taskId', 'no task was created');
+        expect(
+          await request(
+            'DELETE',
+            `/api/v1/tasks/${encodeURIComponent(taskId)}`,
+          ),
+          { envelope: 'any' },
+        );
+      },
+    },
+    {
+      name: 'DELETE /api/v1/workspaces/:workspaceId',
+      write: true,
+      async run({ request, expect, need }) {
+        const workspaceId = need(
+          'scratchWorkspaceId',
+          'the scratch workspace was not created',
+        );
+        expect(
+          await request(
+            'DELETE',
+            `/api/v1/workspaces/${encodeURIComponent(workspaceId)}`,
+          ),
+          { envelope: 'any' },
+        );
+      },
+    },
+  ];
+}
+
+function taskBody(title, workspaceId) {
+  return {
+    title,
+    description: 'Created by the API contract suite. Safe to delete.',
+    workspace_ids: [workspaceId],
+    collection_ids: [],
+    final_report_instructions: '',
+    execution_mode: 'plan',
+    approval_mode: 'ask_before_edits',
+    evidence_preference: 'tests_only',
+    agent_provider: 'codex',
+    working_strategy: 'worktree',
+  };
+}
+
+function runPath(taskId, runId) {
+  return `/api/v1/tasks/${encodeURIComponent(taskId)}/runs/${encodeURIComponent(runId)}`;
+}
+
+async function waitForRun(request, taskId, runId, timeoutMs = 120000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const response = await request(
+      'GET',
+      `/api/v1/tasks/${encodeURIComponent(taskId)}`,
+    );
+    const run = response.json?.data?.runs?.find((item) => item.id === runId);
+    if (run && terminalRunStatuses.has(run.status)) {
+      return run.status;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+  }
+  fail(`run ${runId} did not finish within ${timeoutMs / 1000}s`);
+}
@@ -0,0 +1,139 @@
+export class ContractFailure extends Error {
+  constructor(problems) {
+    super(problems.join('; '));
+    this.problems = problems;
+  }
+}
+
+export class ContractSkip extends Error {}
+
+export function skip(reason) {
+  throw new ContractSkip(reason);
+}
+
+export function fail(...problems) {
+  throw new ContractFailure(problems);
+}
+
+export function createContext({ target, token, schemas, timeoutMs = 20000 }) {
+  const values = {};
+
+  async function request(method, path, { body, auth = true } = {}) {
+    const headers = {};
+    if (auth && token) {
+      headers.authorization = `Bearer ${token}`;
+    }
+    if (body !== undefined) {
+      headers['content-type'] = 'application/json';
+    }
+    let response;
+    try {
+      response = await fetch(new URL(path, target), {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (error) {
+      fail(
+        `${method} ${path} failed: ${error.cause?.message ?? error.message}`,
+      );
+    }
+    const text = await response.text();
+    let json;
+    try {
+      json = text === '' ? undefined : JSON.parse(text);
+    } catch {
+      json = undefined;
+    }
+    return { status: response.status, headers: response.headers, text, json };
+  }
+
+  // Checks the status, the envelope, and `data` against a schema, and returns
+  // `data`. `envelope` is 'item' or 'list' for the two ApiEnvelope readers,
+  // 'any' when the client ignores `data`, 'error' for failures, and 'none'
+  // when the body is read without an envelope.
+  function expect(response, { status = 200, envelope = 'item', schema } = {}) {
+    const problems = [];
+    if (response.status !== status) {
+      problems.push(`expected HTTP ${status}, got ${response.status}`);
+    }
+    if (response.json === undefined) {
+      problems.push(
+        `expected a JSON body, got ${JSON.stringify(response.text.slice(0, 120))}`,
+      );
+      fail(...problems);
+    }
+
+    let value = response.json;
+    if (envelope !== 'none') {
+      const envelopeSchema =
+        response.status < 300 ? 'envelope' : 'error-envelope';
+      problems.push(...schemas.validate(envelopeSchema, response.json));
+      value = response.json?.data;
+      if (envelope === 'list' && !Array.isArray(value)) {
+        problems.push('data is not a list');
+      }
+      if (
+        envelope === 'item' &&
+        (value === null || typeof value !== 'object')
+      ) {
+        problems.push('data is not an object');
+      }
+    }
+    if (schema && problems.length === 0) {
+      const items = envelope === 'list' ? value : [value];
+      items.forEach((item, index) => {
+        const prefix = envelope === 'list' ? `data[${index}]` : 'data';
+        for (const problem of schemas.validate(schema, item)) {
+          problems.push(`${prefix}${problem}`);
+        }
+      });
+    }
+    if (problems.length > 0) {
+      fail(...problems);
+    }
+    return value;
+  }
+
+  function need(key, reason) {
+    if (values[key] === undefined || values[key] === null) {
+      skip(reason);
+    }
+    return values[key];
+  }
+
+  return { target, token, schemas, values, request, expect, need, timeoutMs };
+}
+
+export async function runChecks(checks, context, { readOnly, only, onResult }) {
+  const results = [];
+  for (const check of checks) {
+    const startedAt = Date.now();
+    const result = { name: check.name, status: 'pass', durationMs: 0 };
+    if (only && !only.some((pattern) => check.name.includes(pattern))) {
+      continue;
+    }
+    try {
+      if (readOnly && check.write) {
+        skip('writes to the server (--read-only)');
+      }
+      await check.run(context);
+    } catch (error) {
+      if (error instanceof ContractSkip) {
+        result.status = 'skip';
+        result.reason = error.message;
+      } else {
+        result.status = 'fail';
+        result.problems =
+          error instanceof ContractFailure
+            ? error.problems
+            : [error.stack ?? String(error)];
+      }
+    }
+    result.durationMs = Date.now() - startedAt;
+    results.push(result);
+    onResult?.(result);
+  }
+  return results;
+}
@@ -0,0 +1,42 @@
+import { readdir, readFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+const schemaDir = join(dirname(fileURLToPath(import.meta.url)), 'schemas');
+
+// Schemas are registered by file name, so `rest/workspace.json` is
+// `workspace` and can be referenced from other schemas as `workspace.json`.
+export async function loadSchemas() {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+
+  const names = { rest: [], socket: [] };
+  for (const group of Object.keys(names)) {
+    const dir = join(schemaDir, group);
+    for (const file of (await readdir(dir)).sort()) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+      const schema = JSON.parse(await readFile(join(dir, file), 'utf8'));
+      ajv.addSchema(schema);
+      names[group].push(file.replace(/\.json$/, ''));
+    }
+  }
+
+  function validate(name, value) {
+    const check = ajv.getSchema(`${name}.json`);
+    if (!check) {
+      throw new Error(`No contract schema named ${name}`);
+    }
+    if (check(value)) {
+      return [];
+    }
+    return check.errors.map(
+      (error) => `${error.instancePath || '(root)'} ${error.message}`,
+    );
+  }
+
+  return { names, validate };
+}
@@ -0,0 +1,270 @@
+import { io } from 'socket.io-client';
+
+import { fail, skip } from './runner.mjs';
+
+const serverEvents = [
+  'authenticated',
+  'auth_error',
+  'terminal:created',
+  'terminal:output',
+  'terminal:error',
+  'terminal-error',
+  'task:execution:started',
+  'task:execution:output',
+  'task:execution:status',
+  'task:execution:error',
+  'task:execution:warning',
+];
+
+// Event names map to schema files with `:` replaced by `-`.
+function schemaName(event) {
+  return event.replaceAll(':', '-');
+}
+
+// Socket checks share one authenticated connection. Every server event is
+// validated as it arrives, so a malformed payload fails the check that was
+// waiting when it came in.
+export function socketChecks() {
+  let connection = null;
+
+  return [
+    {
+      name: 'socket authenticate with an empty token',
+      async run(context) {
+        const probe = await openSocket(context);
+        try {
+          probe.emit('authenticate', { token: '' });
+          await probe.next('auth_error');
+        } finally {
+          probe.close();
+        }
+      },
+    },
+    {
+      name: 'socket authenticate',
+      async run(context) {
+        connection = await openSocket(context);
+        connection.emit('authenticate', { token: context.token });
+        await connection.next('authenticated', {
+          failOn: ['auth_error'],
+        });
+      },
+    },
+    {
+      name: 'socket terminal:create',
+      write: true,
+      async run({ need, values }) {
+        requireConnection(connection);
+        const workspaceId = need(
+          'scratchWorkspaceId',
+          'the scratch workspace was not created',
+        );
+        connection.emit('terminal:create', {
+          workspaceId,
+          sessionId: null,
+          paneId: 'contract-0',
+          cols: 100,
+          rows: 30,
+        });
+        const created = await connection.next('terminal:created', {
+          failOn: ['terminal:error', 'terminal-error'],
+        });
+        values.terminalSessionId = created.sessionId;
+      },
+    },
+    {
+      name: 'socket terminal:data and terminal:output',
+      write: true,
+      async run({ need }) {
+        requireConnection(connection);
+        const sessionId = need('terminalSessionId', 'no terminal was created');
+        connection.emit('terminal:data', {
+          sessionId,
+          data: 'echo act-contract\r',
+        });
+        await connection.next('terminal:output', {
+          match: (payload) =>
+            payload.sessionId === sessionId &&
+            payload.output.includes('act-contract'),
+        });
+      },
+    },
+    {
+      name: 'socket terminal:resize',
+      write: true,
+      async run({ need }) {
+        requireConnection(connection);
+        const sessionId = need('terminalSessionId', 'no terminal was created');
+        connection.emit('terminal:resize', { sessionId, cols: 120, rows: 40 });
+        await connection.quiet(['terminal:error', 'terminal-error'], 500);
+      },
+    },
+    {
+      name: 'socket terminal:create for an unknown session',
+      write: true,
+      async run({ need }) {
+        requireConnection(connection);
+        const workspaceId = need(
+          'scratchWorkspaceId',
+          'the scratch workspace was not created',
+        );
+        connection.emit('terminal:create', {
+          workspaceId,
+          sessionId: `contract-missing-${Date.now()}`,
+          paneId: 'contract-1',
+          cols: 100,
+          rows: 30,
+        });
+        await connection.next(['terminal:error', 'terminal-error']);
+      },
+    },
+    {
+      name: 'socket terminal:terminate',
+      write: true,
+      async run({ need }) {
+        requireConnection(connection);
+        const sessionId = need('terminalSessionId', 'no terminal was created');
+        connection.emit('terminal:terminate', { sessionId, data: '' });
+        await connection.quiet(['terminal:error', 'terminal-error'], 500);
+      },
+    },
+    {
+      name: 'socket task:execution:start',
+      write: true,
+      async run({ need, values }) {
+        requireConnection(connection);
+        const taskId = need('taskId', 'no task was created');
+        if (!values.runnerReady) {
+          skip('the task runner reports it is not ready');
+        }
+        connection.emit('task:execution:start', {
+          taskId,
+          workspaceId: values.scratchWorkspaceId,
+          permissionMode: 'acceptEdits',
+          timeoutSeconds: 30,
+        });
+        const started = await connection.next('task:execution:started', {
+          failOn: ['task:execution:error'],
+        });
+        await connection.next('task:execution:status', {
+          timeoutMs: 45000,
+          match: (payload) =>
+            payload.executionId === started.executionId &&
+            payload.status !== 'running',
+        });
+      },
+    },
+    {
+      name: 'socket disconnect',
+      async run() {
+        requireConnection(connection);
+        connection.close();
+        connection = null;
+      },
+    },
+  ];
+}
+
+function requireConnection(connection) {
+  if (!connection) {
+    skip('the socket is not authenticated');
+  }
+}
+
+async function openSocket({ target, schemas, timeoutMs }) {
+  const socket = io(target, {
+    path: '/socket.io/',
+    transports: ['websocket', 'polling'],
+    reconnection: false,
+    forceNew: true,
+    timeout: timeoutMs,
+  });
+  const received = [];
+  const problems = [];
+  let wake = () => {};
+
+  for (const event of serverEvents) {
+    socket.on(event, (payload) => {
+      for (const problem of schemas.validate(schemaName(event), payload)) {
+        problems.push(`${event}${problem}`);
+      }
+      received.push({ event, payload });
+      wake();
+    });
+  }
+
+  await new Promise((resolve, reject) => {
+    socket.once('connect', resolve);
+    socket.once('connect_error', (error) =>
+      reject(new Error(`socket connection failed: ${error.message}`)),
+    );
+  }).catch((error) => fail(error.message));
+
+  function takeProblems() {
+    return problems.splice(0);
+  }
+
+  return {
+    emit(event, payload) {
+      const outgoing = schemas.validate(schemaName(event), payload);
+      if (outgoing.length > 0) {
+        fail(...outgoing.map((problem) => `${event} (sent)${problem}`));
+      }
+      socket.emit(event, payload);
+    },
+
+    // Resolves with the next matching event, consuming everything before it.
+    async next(
+      events,
+      { match = () => true, failOn = [], timeoutMs: wait = timeoutMs } = {},
+    ) {
+      const wanted = Array.isArray(events) ? events : [events];
+      const deadline = Date.now() + wait;
+      for (;;) {
+        while (received.length > 0) {
+          const { event, payload } = received.shift();
+          const invalid = takeProblems();
+          if (invalid.length > 0) {
+            fail(...invalid);
+          }
+          if (failOn.includes(event)) {
+            fail(`received ${event}: ${JSON.stringify(payload)}`);
+          }
+          if (wanted.includes(event) && match(payload)) {
+            return payload;
+          }
+        }
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+          fail(`no ${wanted.join(' or ')} within ${wait}ms`);
+        }
+        await new Promise((resolve) => {
+          const timer = setTimeout(resolve, remaining);
+          wake = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+      }
+    },
+
+    // Fails if any of `events` arrives within `ms`.
+    async quiet(events, ms) {
+      await new Promise((resolve) => setTimeout(resolve, ms));
+      const invalid = takeProblems();
+      if (invalid.length > 0) {
+        fail(...invalid);
+      }
+      const unexpected = received.find((entry) => events.includes(entry.event));
+      if (unexpected) {
+        fail(
+          `received ${unexpected.event}: ${JSON.stringify(unexpected.payload)}`,
+        );
+      }
+    },
+
+    close() {
+      socket.disconnect();
+    },
+  };
+}
@@ -1,19 +1,134 @@
 import { spawn } from 'node:child_process';
-import { networkInterfaces, platform } from 'node:os';
+import { existsSync } from 'node:fs';
+import { mkdir } from 'node:fs/promises';
+import { platform } from 'node:os';
 import { createInterface } from 'node:readline';
 import { dirname, join } from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import QRCode from 'qrcode';
+
+import { clearScreen, openInBrowser, startDevConsole } from './dev/console.mjs';
+import { desktopDeviceId, deviceForMode, deviceLabel } from './dev/devices.mjs';
+import { runDoctor } from './dev/doctor.mjs';
+import { caPath, startLanProxy } from './dev/lan-proxy.mjs';
+import { localLanIp, urlForTarget } from './dev/network.mjs';
+import {
+  loadDevProfile,
+  profileDartDefines,
+  profileFlags,
+} from './dev/profiles.mjs';
+import {
+  defaultCacheDir,
+  provisionServerRelease,
+} from './dev/server-release.mjs';
+import { ensureLanCertificate } from './dev/tls.mjs';
 
 const rootDir = dirname(dirname(fileURLToPath(import.meta.url)));
 const frontendDir = join(rootDir, 'frontend');
+const toolsDir = join(rootDir, 'tools');
+
+const { values: cliFlags, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    profile: { type: 'string' },
+    scenario: { type: 'string', multiple: true },
+    play: { type: 'string' },
+    transcript: { type: 'string', multiple: true },
+    speed: { type: 'string' },
+    record: { type: 'string' },
+    replay: { type: 'string' },
+    authos: { type: 'boolean' },
+    'authos-config': { type: 'string' },
+    'server-release': { type: 'string' },
+    'server-version': { type: 'string' },
+    json: { type: 'boolean' },
+    lan: { type: 'boolean' },
+  },
+});
 
-const mode = process.argv[2] ?? 'web';
-const frontendPort = process.env.ACT_FRONTEND_PORT ?? '4000';
-const frontendHost = process.env.ACT_FRONTEND_HOST ?? 'localhost';
-const apiBaseUrl = process.env.ACT_API_BASE_URL ?? defaultApiBaseUrl();
+// A profile from act.dev.json fills in what the command line and its modes
+// leave out, and takes precedence over the environment.
+let profile = null;
+if (cliFlags.profile) {
+  try {
+    profile = await loadDevProfile(
+      join(rootDir, 'act.dev.json'),
+      cliFlags.profile,
+    );
+  } catch (error) {
+    process.stderr.write(`[dev] ${error.message}\n`);
+    process.exit(1);
+  }
+}
+const flags = {
+  scenario: [],
+  transcript: [],
+  authos: false,
+  json: false,
+  lan: false,
+  ...profileFlags(profile),
+  ...cliFlags,
+};
+
+// `dev.mjs doctor [modes...]` checks the setup for those modes instead.
+const doctor = positionals[0] === 'doctor';
+const modePositionals = doctor ? positionals.slice(1) : positionals;
+const modes =
+  modePositionals.length > 0 ? modePositionals : (profile?.modes ?? ['web']);
+const frontendPort = String(
+  profile?.frontendPort ?? process.env.ACT_FRONTEND_PORT ?? '4000',
+);
+const frontendHost =
+  profile?.frontendHost ?? process.env.ACT_FRONTEND_HOST ?? 'localhost';
+// `--lan` serves the web target over HTTPS on the LAN address: the app on
+// `lanPort`, the API on the next port, and the fake AuthOS on the one after.
+const lanIp = localLanIp();
+const lanPort = Number(process.env.ACT_LAN_PORT ?? '4443');
+const lanOrigin = (offset = 0) => `https://${lanIp}:${lanPort + offset}`;
+const frontendOrigin = flags.lan
+  ? lanOrigin()
+  : `http://${frontendHost}:${frontendPort}`;
+const mockPort = String(
+  profile?.mock?.port ?? process.env.ACT_MOCK_PORT ?? '3001',
+);
+const usesMockBackend = modes.includes('web:mock');
+const serverReleaseDir = flags['server-release'];
+const serverPort = String(
+  profile?.server?.port ?? process.env.ACT_SERVER_PORT ?? '3001',
+);
+const apiBaseUrl = serverReleaseDir
+  ? `http://127.0.0.1:${serverPort}`
+  : (profile?.apiBaseUrl ??
+    process.env.ACT_API_BASE_URL ??
+    (usesMockBackend
+      ? `http://127.0.0.1:${mockPort}`
+      : 'http://127.0.0.1:3001'));
+const proxyPort = String(
+  profile?.proxy?.port ?? process.env.ACT_PROXY_PORT ?? '3005',
+);
+const proxyMode = flags.record ? 'record' : flags.replay ? 'replay' : null;
+// The URL as seen from this machine; each target derives its own from it.
+const clientApiBaseUrl = proxyMode
+  ? `http://127.0.0.1:${proxyPort}`
+  : apiBaseUrl;
+// A physical iPhone reaches services over the LAN, so they listen there too.
+const serviceHost = modes.includes('ios') ? '0.0.0.0' : '127.0.0.1';
+const usesFakeAuthOs = flags.authos || flags['authos-config'] !== undefined;
+const authOsPort = String(
+  profile?.mock?.authosPort ?? process.env.ACT_AUTHOS_PORT ?? '3004',
+);
+const deviceIds = {
+  ...(process.env.ACT_FLUTTER_DEVICE_ID
+    ? { desktop: process.env.ACT_FLUTTER_DEVICE_ID }
+    : {}),
+  ...profile?.devices,
+};
+const authOsBaseUrl = `http://127.0.0.1:${authOsPort}`;
 
 const supportedModes = new Set([
   'web',
+  'web:mock',
   'desktop',
   'ios',
   'android',
@@ -23,16 +138,9 @@ const supportedModes = new Set([
 
 let shuttingDown = false;
 const children = [];
-
-function defaultApiBaseUrl() {
-  if (mode === 'android') {
-    return 'http://10.0.2.2:3001';
-  }
-  if (mode === 'ios') {
-    return `http://${localLanIp()}:3001`;
-  }
-  return 'http://127.0.0.1:3001';
-}
+// Children stopped on purpose, such as a frontend being restarted.
+const retired = new WeakSet();
+let devConsole = null;
 
 function prefixStream(stream, label) {
   const lines = createInterface({ input: stream });
@@ -41,9 +149,14 @@ function prefixStream(stream, label) {
   });
 }
 
-function run(label, command, args, options) {
+function run(
+  label,
+  command,
+  args,
+  { stdin = 'ignore', onExit, ...options } = {},
+) {
   const child = spawn(command, args, {
-    stdio: ['ignore', 'pipe', 'pipe'],
+    stdio: [stdin, 'pipe', 'pipe'],
     ...options,
   });
 
@@ -52,10 +165,14 @@ function run(label, command, args, options) {
   prefixStream(child.stderr, label);
 
   child.on('exit', (code, signal) => {
-    if (!shuttingDown) {
+    if (!shuttingDown && !retired.has(child)) {
       const suffix = signal ? `signal ${signal}` : `code ${code}`;
       process.stderr.write(`[dev] ${label} exited with ${suffix}\n`);
-      shutdown(code ?? 1);
+      if (onExit) {
+        onExit(code);
+      } else {
+        shutdown(code ?? 1);
+      }
     }
   });
 
@@ -63,6 +180,30 @@ function run(label, command, args, options) {
     process.stderr.write(`[dev] failed to start ${label}: ${error.message}\n`);
     shutdown(1);
   });
+
+  return child;
+}
+
+// Asks Flutter to quit (`q`) so it can stop the app, then falls back to
+// signals. Resolves once the child has exited.
+function stopChild(child) {
+  retired.add(child);
+  if (child.exitCode !== null || child.signalCode !== null) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => child.kill('SIGKILL'), 8000);
+    child.once('exit', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    if (child.stdin?.writable) {
+      child.stdin.write('q');
+      setTimeout(() => child.kill('SIGTERM'), 3000).unref();
+    } else {
+      child.kill('SIGTERM');
+    }
+  });
 }
 
 function runCapture(command, args, options = {}) {
@@ -95,25 +236,38 @@ function runCapture(command, args, options = {}) {
   });
 }
 
-async function flutterDevices() {
-  const { stdout } = await runCapture('flutter', ['devices', '--machine'], {
-    cwd: frontendDir,
-  });
-  return JSON.parse(stdout);
-}
-
-function isIosDevice(device) {
-  return device.targetPlatform?.startsWith('ios') === true;
+async function waitForHealth(
+  baseUrl,
+  healthPath = '/api/v1/health',
+  timeoutMs = 15000,
+) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    try {
+      const response = await fetch(`${baseUrl}${healthPath}`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // Not listening yet.
+    }
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+  throw new Error(
+    `${baseUrl}${healthPath} did not respond within ${timeoutMs}ms`,
+  );
 }
 
-function isAndroidDevice(device) {
-  return device.targetPlatform?.startsWith('android') === true;
-}
+let deviceList = null;
 
-function deviceLabel(device) {
-  return `${device.name} (${device.id}, ${device.targetPlatform}, ${
-    device.emulator ? 'simulator/emulator' : 'physical'
-  })`;
+async function flutterDevices() {
+  if (!deviceList) {
+    const { stdout } = await runCapture('flutter', ['devices', '--machine'], {
+      cwd: frontendDir,
+    });
+    deviceList = JSON.parse(stdout);
+  }
+  return deviceList;
 }
 
 function printDevices(devices) {
@@ -127,28 +281,6 @@ function printDevices(devices) {
   }
 }
 
-function localLanIp() {
-  for (const entries of Object.values(networkInterfaces())) {
-    for (const entry of entries ?? []) {
-      if (entry.family === 'IPv4' && !entry.internal) {
-        return entry.address;
-      }
-    }
-  }
-  return '127.0.0.1';
-}
-
-function desktopDeviceId() {
-  const currentPlatform = platform();
-  if (currentPlatform === 'darwin') {
-    return 'macos';
-  }
-  if (currentPlatform === 'win32') {
-    return 'windows';
-  }
-  return 'linux';
-}
-
 async function simulatorFromXcode(kind) {
   if (platform() !== 'darwin') {
     return null;
@@ -195,15 +327,136 @@ async function simulatorFromXcode(kind) {
   return simulator.udid;
 }
 
-async function resolveTarget() {
-  if (!supportedModes.has(mode)) {
+function validateModes() {
+  for (const mode of modes) {
+    if (!supportedModes.has(mode)) {
+      process.stderr.write(
+        `[dev] Unsupported mode "${mode}". Use one of: ${[...supportedModes].join(', ')}\n`,
+      );
+      process.exit(1);
+    }
+  }
+
+  if (new Set(modes).size !== modes.length) {
+    process.stderr.write('[dev] Each mode can only be started once.\n');
+    process.exit(1);
+  }
+
+  if (modes.includes('web') && modes.includes('web:mock')) {
+    process.stderr.write(
+      '[dev] web and web:mock share the web port; pick one of them.\n',
+    );
+    process.exit(1);
+  }
+
+  if (
+    (flags.scenario.length > 0 || flags.transcript.length > 0) &&
+    !usesMockBackend
+  ) {
+    process.stderr.write(
+      '[dev] --scenario and --transcript replay through the mock backend; use web:mock.\n',
+    );
+    process.exit(1);
+  }
+
+  if (flags.record && flags.replay) {
+    process.stderr.write('[dev] Use either --record or --replay, not both.\n');
+    process.exit(1);
+  }
+
+  if (proxyMode && usesMockBackend) {
+    process.stderr.write(
+      `[dev] --${proxyMode} works against a real server; use web instead of web:mock.\n`,
+    );
+    process.exit(1);
+  }
+
+  if (flags.lan && !modes.includes('web') && !modes.includes('web:mock')) {
+    process.stderr.write(
+      '[dev] --lan serves the web target; add web or web:mock.\n',
+    );
+    process.exit(1);
+  }
+
+  if (flags.lan && lanIp === '127.0.0.1') {
+    process.stderr.write(
+      '[dev] --lan found no LAN address; join a network or set ACT_LAN_IP.\n',
+    );
+    process.exit(1);
+  }
+
+  if (usesFakeAuthOs && !usesMockBackend) {
+    process.stderr.write(
+      '[dev] --authos issues tokens only the mock backend accepts; use web:mock.\n',
+    );
+    process.exit(1);
+  }
+
+  if (serverReleaseDir && (usesMockBackend || flags.replay)) {
+    process.stderr.write(
+      `[dev] --server-release runs a real server; use web instead of ${usesMockBackend ? 'web:mock' : '--replay'}.\n`,
+    );
+    process.exit(1);
+  }
+
+  if (flags['server-version'] && !serverReleaseDir) {
     process.stderr.write(
-      `[dev] Unsupported mode "${mode}". Use one of: ${[...supportedModes].join(', ')}\n`,
+      '[dev] --server-version picks an asset from --server-release <dir>.\n',
     );
     process.exit(1);
   }
+}
+
+// The server gets its own database and static root under the cache, and
+// accepts the web target's origin.
+async function startServerRelease() {
+  let release;
+  try {
+    release = await provisionServerRelease({
+      releaseDir: serverReleaseDir,
+      version: flags['server-version'],
+    });
+  } catch (error) {
+    process.stderr.write(`[dev] ${error.message}\n`);
+    shutdown(1);
+    return;
+  }
 
-  if (mode === 'web') {
+  const dataDir = join(defaultCacheDir(), 'data');
+  const builtWeb = join(frontendDir, 'build', 'web');
+  const staticDir = existsSync(builtWeb)
+    ? builtWeb
+    : join(defaultCacheDir(), 'static');
+  await mkdir(dataDir, { recursive: true });
+  await mkdir(staticDir, { recursive: true });
+
+  process.stdout.write(
+    `[dev] Backend: act-server ${release.version} (${release.binary})\n`,
+  );
+  run('server', release.binary, [], {
+    cwd: dataDir,
+    env: {
+      ...process.env,
+      ACT_DATABASE_URL: `sqlite:${join(dataDir, 'act.db')}`,
+      ACT_SERVER_HOST: serviceHost,
+      ACT_SERVER_PORT: serverPort,
+      ACT_CORS_ALLOWED_ORIGINS: [
+        `http://${frontendHost}:${frontendPort}`,
+        ...(flags.lan ? [frontendOrigin] : []),
+      ].join(','),
+      ACT_STATIC_FILES: staticDir,
+    },
+  });
+  try {
+    await waitForHealth(apiBaseUrl, '/api/v1/health', 30000);
+  } catch (error) {
+    process.stderr.write(`[dev] ${error.message}\n`);
+    shutdown(1);
+  }
+}
+
+async function resolveTarget(mode) {
+  if (mode === 'web' || mode === 'web:mock') {
     return {
       label: `http://${frontendHost}:${frontendPort}`,
       flutterArgs: [
@@ -216,8 +469,8 @@ async function resolveTarget() {
     };
   }
 
-  if (mode === 'desktop') {
-    const deviceId = process.env.ACT_FLUTTER_DEVICE_ID ?? desktopDeviceId();
+  if (mode === 'desktop' || deviceIds[mode]) {
+    const deviceId = deviceIds[mode] ?? desktopDeviceId();
     return {
       label: deviceId,
       flutterArgs: ['run', '-d', deviceId],
@@ -227,10 +480,7 @@ async function resolveTarget() {
   const devices = await flutterDevices();
 
   if (mode === 'ios' || mode === 'android') {
-    const matcher = mode === 'ios' ? isIosDevice : isAndroidDevice;
-    const device = devices.find(
-      (candidate) => matcher(candidate) && !candidate.emulator,
-    );
+    const device = deviceForMode(devices, mode);
     if (!device) {
       process.stderr.write(`[dev] No connected physical ${mode} device found.\n`);
       printDevices(devices);
@@ -243,13 +493,7 @@ async function resolveTarget() {
   }
 
   const wantsIpad = mode === 'simulator:ipad';
-  const simulator = devices.find((candidate) => {
-    if (!isIosDevice(candidate) || !candidate.emulator) {
-      return false;
-    }
-    const name = candidate.name.toLowerCase();
-    return wantsIpad ? name.includes('ipad') : !name.includes('ipad');
-  });
+  const simulator = deviceForMode(devices, mode);
   const simulatorId =
     simulator?.id ?? (await simulatorFromXcode(wantsIpad ? 'ipad' : 'ios'));
 
@@ -272,6 +516,7 @@ function shutdown(code = 0) {
     return;
   }
   shuttingDown = true;
+  devConsole?.close();
 
   for (const child of children) {
     if (!child.killed && child.exitCode === null) {
@@ -292,31 +537,353 @@ function shutdown(code = 0) {
 process.on('SIGINT', () => shutdown(0));
 process.on('SIGTERM', () => shutdown(0));
 
-const target = await resolveTarget();
+validateModes();
+
+if (doctor) {
+  process.exit(
+    await runDoctor({
+      modes,
+      apiBaseUrl,
+      backend: usesMockBackend
+        ? 'the mock backend'
+        : serverReleaseDir
+          ? 'the act-server release'
+          : flags.replay
+            ? 'the replay proxy'
+            : null,
+      frontendOrigin,
+      frontendDir,
+      deviceIds,
+      json: flags.json,
+    }),
+  );
+}
+
+const targets = [];
+for (const mode of modes) {
+  targets.push({
+    ...(await resolveTarget(mode)),
+    mode,
+    name: modes.length > 1 ? mode : 'frontend',
+    child: null,
+  });
+}
+const webTarget = targets.find(
+  (target) => target.mode === 'web' || target.mode === 'web:mock',
+);
+let frontendApiBaseUrl = clientApiBaseUrl;
+let authOsDefineUrl = profile?.authos?.baseUrl ?? null;
 
-process.stdout.write(`[dev] Mode:    ${mode}\n`);
-process.stdout.write(`[dev] API URL: ${apiBaseUrl}\n`);
-if (mode === 'web') {
-  process.stdout.write(`[dev] Web:     ${target.label}\n`);
+if (profile) {
+  process.stdout.write(`[dev] Profile: ${cliFlags.profile}\n`);
+}
+process.stdout.write(`[dev] Mode:    ${modes.join(', ')}\n`);
+process.stdout.write(`[dev] API URL: ${clientApiBaseUrl}\n`);
+if (usesMockBackend) {
   process.stdout.write(
-    `[dev] Auth redirect origin: http://${frontendHost}:${frontendPort}/auth/callback\n`,
+    '[dev] Backend: Node mock server (tools/mock-server.mjs)\n',
   );
-} else {
-  process.stdout.write(`[dev] Device:  ${target.label}\n`);
-}
-
-run(
-  'frontend',
-  'flutter',
-  [
-    ...target.flutterArgs,
-    `--dart-define=ACT_API_BASE_URL=${apiBaseUrl}`,
-  ],
-  {
-    cwd: frontendDir,
-    env: {
-      ...process.env,
-      ACT_API_BASE_URL: apiBaseUrl,
+}
+if (usesFakeAuthOs) {
+  process.stdout.write(
+    `[dev] AuthOS:  fake AuthOS at ${authOsBaseUrl} (tools/authos-server.mjs)\n`,
+  );
+}
+if (proxyMode === 'record') {
+  process.stdout.write(
+    `[dev] Backend: recording ${apiBaseUrl} into ${flags.record}\n`,
+  );
+}
+if (proxyMode === 'replay') {
+  process.stdout.write(`[dev] Backend: replaying ${flags.replay} offline\n`);
+}
+if (serviceHost !== '127.0.0.1' && (usesMockBackend || proxyMode)) {
+  const exposed = usesMockBackend
+    ? 'the mock server listens on every interface, so anyone on this network can use its API (its terminals still only open from this machine)'
+    : 'the recorder listens on every interface, so anyone on this network can use it';
+  process.stderr.write(`[dev] Warning: for ios ${exposed}.\n`);
+}
+for (const target of targets) {
+  const prefix = modes.length > 1 ? `${target.mode}: ` : '';
+  const targetApiBaseUrl = urlForTarget(clientApiBaseUrl, target.mode);
+  const suffix =
+    targetApiBaseUrl === clientApiBaseUrl ? '' : ` (API ${targetApiBaseUrl})`;
+  process.stdout.write(
+    `[dev] ${target === webTarget ? 'Web:   ' : 'Device:'}  ${prefix}${target.label}${suffix}\n`,
+  );
+}
+if (webTarget) {
+  process.stdout.write(
+    `[dev] Auth redirect origin: ${frontendOrigin}/auth/callback\n`,
+  );
+}
+
+const dartDefines = profileDartDefines(profile);
+if (
+  process.env.ACT_PUSH_RELAY_URL &&
+  profile?.dartDefines?.ACT_PUSH_RELAY_URL === undefined
+) {
+  dartDefines.push(
+    `--dart-define=ACT_PUSH_RELAY_URL=${process.env.ACT_PUSH_RELAY_URL}`,
+  );
+}
+
+if (usesFakeAuthOs) {
+  run('authos', process.execPath, [
+    join(toolsDir, 'authos-server.mjs'),
+    '--port',
+    authOsPort,
+    '--audience',
+    apiBaseUrl,
+    ...(flags['authos-config'] ? ['--config', flags['authos-config']] : []),
+  ]);
+  try {
+    await waitForHealth(authOsBaseUrl, '/__authos/state');
+  } catch (error) {
+    process.stderr.write(`[dev] ${error.message}\n`);
+    shutdown(1);
+  }
+}
+
+if (usesMockBackend && !shuttingDown) {
+  run('mock', process.execPath, [
+    join(toolsDir, 'mock-server.mjs'),
+    '--host',
+    serviceHost,
+    '--port',
+    mockPort,
+    '--frontend-origin',
+    frontendOrigin,
+    ...flags.scenario.flatMap((scenario) => ['--scenario', scenario]),
+    ...(flags.play ? ['--play', flags.play] : []),
+    ...flags.transcript.flatMap((transcript) => ['--transcript', transcript]),
+    ...(flags.speed ? ['--speed', flags.speed] : []),
+    ...(usesFakeAuthOs ? ['--authos-url', authOsBaseUrl] : []),
+  ]);
+  try {
+    await waitForHealth(apiBaseUrl);
+  } catch (error) {
+    process.stderr.write(`[dev] ${error.message}\n`);
+    shutdown(1);
+  }
+  authOsDefineUrl = usesFakeAuthOs ? authOsBaseUrl : apiBaseUrl;
+}
+
+if (serverReleaseDir && !shuttingDown) {
+  await startServerRelease();
+}
+
+if (proxyMode && !shuttingDown) {
+  run('proxy', process.execPath, [
+    join(toolsDir, 'recorder.mjs'),
+    proxyMode,
+    '--host',
+    serviceHost,
+    '--port',
+    proxyPort,
+    '--bundle',
+    flags[proxyMode],
+    ...(proxyMode === 'record' ? ['--target', apiBaseUrl] : []),
+    ...(proxyMode === 'replay' && flags.speed ? ['--speed', flags.speed] : []),
+  ]);
+  try {
+    await waitForHealth(`http://127.0.0.1:${proxyPort}`);
+  } catch (error) {
+    process.stderr.write(`[dev] ${error.message}\n`);
+    shutdown(1);
+  }
+  if (proxyMode === 'replay') {
+    authOsDefineUrl = clientApiBaseUrl;
+  }
+}
+
+async function printLanUrl() {
+  process.stdout.write(
+    `[dev] LAN:     ${frontendOrigin} (API ${lanOrigin(1)})\n` +
+      `[dev] Trust the dev CA on the phone first: ${frontendOrigin}${caPath}\n`,
+  );
+  process.stdout.write(
+    await QRCode.toString(frontendOrigin, { type: 'terminal', small: true }),
+  );
+}
+
+async function startLan() {
+  let certificate;
+  try {
+    certificate = await ensureLanCertificate({
+      dir: join(rootDir, '.act-dev', 'tls'),
+      ip: lanIp,
+    });
+    const proxies = [
+      {
+        port: lanPort,
+        upstream: () => `http://${frontendHost}:${frontendPort}`,
+        caCert: certificate.caCert,
+      },
+      { port: lanPort + 1, upstream: () => frontendApiBaseUrl },
+      ...(usesFakeAuthOs
+        ? [{ port: lanPort + 2, upstream: () => authOsBaseUrl }]
+        : []),
+    ];
+    for (const proxy of proxies) {
+      await startLanProxy({
+        ...proxy,
+        host: lanIp,
+        key: certificate.key,
+        cert: certificate.cert,
+        log: (line) => process.stdout.write(`[lan] ${line}\n`),
+      });
+    }
+  } catch (error) {
+    process.stderr.write(`[dev] LAN proxy: ${error.message}\n`);
+    shutdown(1);
+    return;
+  }
+  if (usesMockBackend) {
+    process.stderr.write(
+      '[dev] Warning: anyone on this network can use the mock API through the LAN proxy (its terminals stay closed to them).\n',
+    );
+  }
+  await printLanUrl();
+}
+
+if (flags.lan && !shuttingDown) {
+  await startLan();
+}
+
+// The web target behind the LAN proxy reaches local services through it.
+function targetUrl(url, target) {
+  if (!flags.lan || target !== webTarget) {
+    return urlForTarget(url, target.mode);
+  }
+  if (url === frontendApiBaseUrl || url === clientApiBaseUrl) {
+    return lanOrigin(1);
+  }
+  return url === authOsBaseUrl ? lanOrigin(2) : url;
+}
+
+function startFrontend(target) {
+  const targetApiBaseUrl = targetUrl(frontendApiBaseUrl, target);
+  target.child = run(
+    target.name,
+    'flutter',
+    [
+      ...target.flutterArgs,
+      `--dart-define=ACT_API_BASE_URL=${targetApiBaseUrl}`,
+      ...(authOsDefineUrl
+        ? [
+            `--dart-define=AUTHOS_BASE_URL=${targetUrl(authOsDefineUrl, target)}`,
+          ]
+        : []),
+      ...dartDefines,
+    ],
+    {
+      cwd: frontendDir,
+      stdin: devConsole ? 'pipe' : 'ignore',
+      env: {
+        ...process.env,
+        ACT_API_BASE_URL: targetApiBaseUrl,
+      },
+      // One target quitting leaves the others running; the launcher stops
+      // with the last of them.
+      onExit: (code) => {
+        target.child = null;
+        if (targets.every((candidate) => !candidate.child)) {
+          shutdown(code ?? 1);
+        } else {
+          process.stdout.write(
+            `[dev] ${target.name} stopped; Tab f starts it again.\n`,
+          );
+        }
+      },
     },
-  },
-);
+  );
+}
+
+async function restartFrontend(target) {
+  process.stdout.write(`[dev] Restarting ${target.name}...\n`);
+  if (target.child) {
+    await stopChild(target.child);
+  }
+  if (!shuttingDown) {
+    startFrontend(target);
+  }
+}
+
+async function restartFrontends() {
+  let chosen = targets;
+  if (targets.length > 1) {
+    const answer = await devConsole.prompt(
+      `[dev] Restart which target (${modes.join(', ')}; Enter for all): `,
+    );
+    if (answer === null) {
+      return;
+    }
+    if (answer) {
+      chosen = targets.filter((target) => target.mode === answer);
+      if (chosen.length === 0) {
+        throw new Error(`no target "${answer}"`);
+      }
+    }
+  }
+  await Promise.all(chosen.map(restartFrontend));
+}
+
+// The API URL is compiled in with --dart-define, so a new one needs a new
+// `flutter run`; services started for the old URL keep running. Each target
+// derives its own address from the URL as this machine sees it.
+async function switchApiBaseUrl() {
+  const answer = await devConsole.prompt(
+    `[dev] API URL (${frontendApiBaseUrl}): `,
+  );
+  if (!answer) {
+    return;
+  }
+  frontendApiBaseUrl = new URL(answer).origin;
+  process.stdout.write(`[dev] API URL: ${frontendApiBaseUrl}\n`);
+  await Promise.all(targets.map(restartFrontend));
+}
+
+if (!shuttingDown) {
+  devConsole = startDevConsole({
+    // Keys go to every target, so `r` and `R` reload them together.
+    forward: (keys) => {
+      for (const target of targets) {
+        if (target.child?.stdin?.writable) {
+          target.child.stdin.write(keys);
+        }
+      }
+    },
+    onInterrupt: () => shutdown(0),
+    actions: [
+      { key: 'a', label: 'switch the API URL', run: switchApiBaseUrl },
+      {
+        key: 'f',
+        label: targets.length > 1 ? 'restart a target' : 'restart the frontend',
+        run: restartFrontends,
+      },
+      ...(webTarget
+        ? [
+            {
+              key: 'o',
+              label: 'open the web URL',
+              run: () => openInBrowser(frontendOrigin),
+            },
+          ]
+        : []),
+      ...(flags.lan
+        ? [
+            {
+              key: 'u',
+              label: 'show the LAN URL and QR code',
+              run: printLanUrl,
+            },
+          ]
+        : []),
+      { key: 'l', label: 'clear the screen', run: clearScreen },
+    ],
+  });
+  for (const target of targets) {
+    startFrontend(target);
+  }
+}
@@ -0,0 +1,143 @@
+import { spawn } from 'node:child_process';
+import { platform } from 'node:os';
+
+const ctrlC = '\u0003';
+const tab = '\t';
+const escape = '\u001b';
+const enter = new Set(['\r', '\n']);
+const backspace = new Set(['\u007f', '\b']);
+
+// Takes over the launcher's terminal. Keystrokes go to `forward` so Flutter's
+// own keys (r, R, q, ...) work; Tab opens the launcher menu, whose `actions`
+// are `{ key, label, run }`. Returns null when stdin is not a terminal.
+export function startDevConsole({ forward, actions, onInterrupt }) {
+  const input = process.stdin;
+  if (!input.isTTY) {
+    return null;
+  }
+
+  let menuOpen = false;
+  let lineReader = null;
+
+  function printMenu() {
+    process.stdout.write('[dev] Launcher keys (Esc to cancel):\n');
+    for (const action of actions) {
+      process.stdout.write(`[dev]   ${action.key}  ${action.label}\n`);
+    }
+  }
+
+  async function runAction(key) {
+    const action = actions.find((candidate) => candidate.key === key);
+    if (!action) {
+      if (key !== escape) {
+        process.stdout.write(`[dev] No launcher key "${key}".\n`);
+      }
+      return;
+    }
+    try {
+      await action.run();
+    } catch (error) {
+      process.stderr.write(`[dev] ${action.label} failed: ${error.message}\n`);
+    }
+  }
+
+  // A chunk can hold several keys when typed quickly or pasted, so menu keys
+  // are split off and the rest handled as if typed after them.
+  function onKeys(keys) {
+    if (keys === ctrlC) {
+      onInterrupt();
+      return;
+    }
+    if (lineReader) {
+      lineReader(keys);
+      return;
+    }
+    if (menuOpen) {
+      menuOpen = false;
+      runAction(keys[0]);
+      if (keys.length > 1) {
+        onKeys(keys.slice(1));
+      }
+      return;
+    }
+    if (keys.startsWith(tab)) {
+      menuOpen = true;
+      printMenu();
+      if (keys.length > 1) {
+        onKeys(keys.slice(1));
+      }
+      return;
+    }
+    forward(keys);
+  }
+
+  function onData(chunk) {
+    onKeys(chunk.toString('utf8'));
+  }
+
+  input.setRawMode(true);
+  input.resume();
+  input.on('data', onData);
+  process.stdout.write(
+    '[dev] Flutter keys go to the app; Tab for launcher keys.\n',
+  );
+
+  return {
+    // Reads one line with simple editing. Resolves with null on Esc.
+    prompt(question) {
+      process.stdout.write(question);
+      let line = '';
+      return new Promise((resolve) => {
+        lineReader = (keys) => {
+          for (const key of keys) {
+            if (enter.has(key)) {
+              lineReader = null;
+              process.stdout.write('\n');
+              resolve(line.trim());
+              return;
+            }
+            if (key === escape) {
+              lineReader = null;
+              process.stdout.write('\n');
+              resolve(null);
+              return;
+            }
+            if (backspace.has(key)) {
+              if (line.length > 0) {
+                line = line.slice(0, -1);
+                process.stdout.write('\b \b');
+              }
+            } else if (key >= ' ') {
+              line += key;
+              process.stdout.write(key);
+            }
+          }
+        };
+      });
+    },
+    close() {
+      input.off('data', onData);
+      input.setRawMode(false);
+      input.pause();
+    },
+  };
+}
+
+export function clearScreen() {
+  process.stdout.write('\u001b[2J\u001b[3J\u001b[H');
+}
+
+export function openInBrowser(url) {
+  const currentPlatform = platform();
+  const [command, args] =
+    currentPlatform === 'darwin'
+      ? ['open', [url]]
+      : currentPlatform === 'win32'
+        ? ['cmd', ['/c', 'start', '', url]]
+        : ['xdg-open', [url]];
+  const child = spawn(command, args, { detached: true, stdio: 'ignore' });
+  child.on('error', (error) => {
+    process.stderr.write(`[dev] Could not open ${url}: ${error.message}\n`);
+  });
+  child.unref();
+}
@@ -0,0 +1,48 @@
+import { platform } from 'node:os';
+
+export function isIosDevice(device) {
+  return device.targetPlatform?.startsWith('ios') === true;
+}
+
+export function isAndroidDevice(device) {
+  return device.targetPlatform?.startsWith('android') === true;
+}
+
+export function deviceLabel(device) {
+  return `${device.name} (${device.id}, ${device.targetPlatform}, ${
+    device.emulator ? 'simulator/emulator' : 'physical'
+  })`;
+}
+
+export function desktopDeviceId() {
+  const currentPlatform = platform();
+  if (currentPlatform === 'darwin') {
+    return 'macos';
+  }
+  if (currentPlatform === 'win32') {
+    return 'windows';
+  }
+  return 'linux';
+}
+
+// The `flutter devices --machine` entry a device or simulator mode runs on:
+// a physical phone for `ios`/`android`, an iOS simulator for `simulator:*`.
+export function deviceForMode(devices, mode) {
+  if (mode === 'ios' || mode === 'android') {
+    const matcher = mode === 'ios' ? isIosDevice : isAndroidDevice;
+    return (
+      devices.find((candidate) => matcher(candidate) && !candidate.emulator) ??
+      null
+    );
+  }
+  const wantsIpad = mode === 'simulator:ipad';
+  return (
+    devices.find((candidate) => {
+      if (!isIosDevice(candidate) || !candidate.emulator) {
+        return false;
+      }
+      const name = candidate.name.toLowerCase();
+      return wantsIpad ? name.includes('ipad') : !name.includes('ipad');
+    }) ?? null
+  );
+}
@@ -0,0 +1,421 @@
+import { execFile } from 'node:child_process';
+import { readFile } from 'node:fs/promises';
+import { platform } from 'node:os';
+import { join } from 'node:path';
+import { promisify } from 'node:util';
+
+import { desktopDeviceId, deviceForMode, deviceLabel } from './devices.mjs';
+import { isVpnInterface, lanCandidates, localLanIp } from './network.mjs';
+
+const execFileAsync = promisify(execFile);
+const nativeRedirectUri = 'act://auth/callback';
+
+// Checks what `dev.mjs` needs for `modes` and prints each result with a fix.
+// `backend` names the server the launcher starts itself, if any, in which
+// case the server checks are skipped. Resolves with the exit code.
+export async function runDoctor({
+  modes,
+  apiBaseUrl,
+  backend,
+  frontendOrigin,
+  frontendDir,
+  deviceIds = {},
+  json,
+}) {
+  const checks = [];
+  const add = (name, status, message, fix) => {
+    checks.push({ name, status, message, ...(fix ? { fix } : {}) });
+  };
+  const webModes = modes.some((mode) => mode === 'web' || mode === 'web:mock');
+  const deviceModes = modes.filter(
+    (mode) => mode !== 'web' && mode !== 'web:mock',
+  );
+
+  const flutter = await checkFlutter(frontendDir);
+  add('flutter', flutter.status, flutter.message, flutter.fix);
+
+  if (deviceModes.length === 0) {
+    add('devices', 'ok', 'Web targets run on web-server and need no device');
+  } else if (flutter.status === 'fail') {
+    add('devices', 'skip', 'Needs a working flutter');
+  } else {
+    await checkDevices(frontendDir, deviceModes, deviceIds, add);
+  }
+
+  checkNetwork(modes, add);
+
+  if (backend) {
+    add('health', 'skip', `The launcher starts ${backend}`);
+  } else {
+    await checkServer({ apiBaseUrl, frontendOrigin, webModes, modes, add });
+  }
+
+  const failed = checks.some((check) => check.status === 'fail');
+  if (json) {
+    process.stdout.write(
+      `${JSON.stringify(
+        { ok: !failed, modes, apiBaseUrl, frontendOrigin, checks },
+        null,
+        2,
+      )}\n`,
+    );
+  } else {
+    for (const check of checks) {
+      process.stdout.write(
+        `[doctor] ${check.status.padEnd(4)}  ${check.name}: ${check.message}\n`,
+      );
+      if (check.fix) {
+        process.stdout.write(`[doctor]        fix: ${check.fix}\n`);
+      }
+    }
+  }
+  return failed ? 1 : 0;
+}
+
+async function checkFlutter(frontendDir) {
+  let version;
+  try {
+    const { stdout } = await execFileAsync(
+      'flutter',
+      ['--version', '--machine'],
+      { cwd: frontendDir, timeout: 120000 },
+    );
+    // Flutter may print download progress before the JSON.
+    version = JSON.parse(stdout.slice(stdout.indexOf('{')));
+  } catch (error) {
+    return {
+      status: 'fail',
+      message:
+        error.code === 'ENOENT'
+          ? 'flutter is not on PATH'
+          : `flutter --version failed: ${error.message.split('\n')[0]}`,
+      fix: 'Install Flutter (https://docs.flutter.dev/get-started/install) and add its bin directory to PATH.',
+    };
+  }
+
+  const message = `Flutter ${version.frameworkVersion} (${version.channel}), Dart ${version.dartSdkVersion}`;
+  const pubspec = await readFile(join(frontendDir, 'pubspec.yaml'), 'utf8');
+  const minimum = /^environment:\s*\n\s+sdk:\s*\^?([\d.]+)/m.exec(pubspec)?.[1];
+  if (minimum && compareVersions(version.dartSdkVersion, minimum) < 0) {
+    return {
+      status: 'fail',
+      message: `${message}; frontend/pubspec.yaml needs Dart ${minimum} or newer`,
+      fix: 'Run `flutter upgrade`, or switch to a Flutter release that ships a newer Dart.',
+    };
+  }
+  return { status: 'ok', message };
+}
+
+function compareVersions(a, b) {
+  const left = String(a)
+    .split('.')
+    .map((part) => parseInt(part, 10));
+  const right = String(b)
+    .split('.')
+    .map((part) => parseInt(part, 10));
+  for (let index = 0; index < 3; index += 1) {
+    const difference = (left[index] || 0) - (right[index] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+const deviceFixes = {
+  ios: 'Connect an iPhone by USB, unlock it and trust this Mac, and enable Developer Mode; or use simulator:ios.',
+  android:
+    'Connect an Android phone by USB with USB debugging enabled and accept the prompt; `adb devices` should list it.',
+  'simulator:ios':
+    'Open Simulator, or create an iPhone simulator in Xcode > Settings > Platforms.',
+  'simulator:ipad':
+    'Open Simulator, or create an iPad simulator in Xcode > Settings > Platforms.',
+};
+
+const simulatorNames = {
+  'simulator:ios': 'iOS simulator',
+  'simulator:ipad': 'iPad simulator',
+};
+
+async function checkDevices(frontendDir, modes, deviceIds, add) {
+  let devices;
+  try {
+    const { stdout } = await execFileAsync(
+      'flutter',
+      ['devices', '--machine'],
+      { cwd: frontendDir, timeout: 120000 },
+    );
+    devices = JSON.parse(stdout.slice(stdout.indexOf('[')));
+  } catch (error) {
+    add(
+      'devices',
+      'fail',
+      `flutter devices --machine failed: ${error.message.split('\n')[0]}`,
+      'Run `flutter doctor` and fix what it reports.',
+    );
+    return;
+  }
+
+  for (const mode of modes) {
+    const name = `device ${mode}`;
+    if (mode === 'desktop' || deviceIds[mode]) {
+      const id = deviceIds[mode] ?? desktopDeviceId();
+      const device = devices.find((candidate) => candidate.id === id);
+      if (device) {
+        add(name, 'ok', deviceLabel(device));
+      } else {
+        add(
+          name,
+          'fail',
+          `Flutter does not list the ${id} device`,
+          deviceIds[mode]
+            ? `Connect ${id}, or change its id in ACT_FLUTTER_DEVICE_ID or the profile's devices to one from \`flutter devices\`.`
+            : `Run \`flutter config --enable-${id}-desktop\`.`,
+        );
+      }
+      continue;
+    }
+    const device = deviceForMode(devices, mode);
+    if (device) {
+      add(name, 'ok', deviceLabel(device));
+    } else if (mode.startsWith('simulator:') && platform() === 'darwin') {
+      add(
+        name,
+        'warn',
+        'No simulator is running; the launcher boots one with xcrun if Xcode has one',
+        deviceFixes[mode],
+      );
+    } else {
+      const found = devices.map((candidate) => candidate.name).join(', ');
+      add(
+        name,
+        'fail',
+        `No ${simulatorNames[mode] ?? `physical ${mode} device`} found${found ? ` (Flutter lists ${found})` : ''}`,
+        deviceFixes[mode],
+      );
+    }
+  }
+}
+
+// Only `ios` uses the LAN address (a phone on Wi-Fi reaching this machine),
+// so elsewhere problems are warnings.
+function checkNetwork(modes, add) {
+  const candidates = lanCandidates();
+  const chosen = localLanIp();
+  const usesLan = modes.includes('ios');
+  const listed = candidates
+    .map((candidate) => `${candidate.name} ${candidate.address}`)
+    .join(', ');
+  const interfaceName = candidates.find(
+    (candidate) => candidate.address === chosen,
+  )?.name;
+  const reachable = candidates.filter(
+    (candidate) => !isVpnInterface(candidate.name),
+  );
+
+  if (candidates.length === 0) {
+    add(
+      'network',
+      usesLan ? 'fail' : 'ok',
+      'No non-loopback IPv4 interface is up',
+      usesLan ? 'Join the same Wi-Fi network as the phone.' : undefined,
+    );
+    return;
+  }
+  if (process.env.ACT_LAN_IP) {
+    add(
+      'network',
+      interfaceName ? 'ok' : 'warn',
+      `ACT_LAN_IP=${chosen}${interfaceName ? ` (${interfaceName})` : ' is not on any interface'}; interfaces: ${listed}`,
+      interfaceName
+        ? undefined
+        : 'Set ACT_LAN_IP to one of the listed addresses.',
+    );
+    return;
+  }
+  if (isVpnInterface(interfaceName)) {
+    add(
+      'network',
+      usesLan ? 'fail' : 'warn',
+      `LAN address ${chosen} comes from ${interfaceName}, which looks like a VPN; interfaces: ${listed}`,
+      reachable.length > 0
+        ? `Set ACT_LAN_IP=${reachable[0].address} (${reachable[0].name}).`
+        : 'Disconnect the VPN or set ACT_LAN_IP to an address the phone can reach.',
+    );
+    return;
+  }
+  add(
+    'network',
+    candidates.length > 1 ? 'warn' : 'ok',
+    `LAN address ${chosen} (${interfaceName})${candidates.length > 1 ? `; also ${listed}` : ''}`,
+    candidates.length > 1
+      ? 'If the phone is not on that network, set ACT_LAN_IP to the right address.'
+      : undefined,
+  );
+}
+
+async function request(url, init = {}) {
+  const response = await fetch(url, {
+    ...init,
+    signal: AbortSignal.timeout(5000),
+  });
+  const body = await response.json().catch(() => null);
+  return { response, body };
+}
+
+async function checkServer({
+  apiBaseUrl,
+  frontendOrigin,
+  webModes,
+  modes,
+  add,
+}) {
+  const serverFix = `Start the ACT server at ${apiBaseUrl}, set ACT_API_BASE_URL to where it runs, or use web:mock or --server-release.`;
+  try {
+    const { response, body } = await request(`${apiBaseUrl}/api/v1/health`);
+    if (!response.ok) {
+      add(
+        'health',
+        'fail',
+        `${apiBaseUrl}/api/v1/health returned ${response.status}`,
+        serverFix,
+      );
+      return;
+    }
+    const health = body?.data ?? body ?? {};
+    add(
+      'health',
+      'ok',
+      `${health.service ?? 'server'} ${health.version ?? ''} at ${apiBaseUrl}`.replace(
+        /\s+/g,
+        ' ',
+      ),
+    );
+  } catch (error) {
+    add(
+      'health',
+      'fail',
+      `${apiBaseUrl} is unreachable (${error.cause?.code ?? error.message})`,
+      serverFix,
+    );
+    return;
+  }
+
+  let config = null;
+  try {
+    const { response, body } = await request(
+      `${apiBaseUrl}/api/v1/deployment/config`,
+    );
+    if (response.ok && body?.data) {
+      config = body.data;
+      add(
+        'deployment config',
+        'ok',
+        `${config.deployment_mode ?? 'unknown mode'}, AuthOS ${config.authos_base_url || 'not configured'}`,
+      );
+    } else {
+      add(
+        'deployment config',
+        'fail',
+        `/api/v1/deployment/config returned ${response.status}`,
+        'Update act-server; the client reads its AuthOS settings from this route.',
+      );
+    }
+  } catch (error) {
+    add('deployment config', 'fail', error.message, serverFix);
+  }
+
+  if (webModes) {
+    await checkCors(apiBaseUrl, frontendOrigin, add);
+  }
+  if (config) {
+    checkCallbacks(config, frontendOrigin, webModes, modes, add);
+  }
+}
+
+async function checkCors(apiBaseUrl, frontendOrigin, add) {
+  const fix = `Add ${frontendOrigin} to the server's ACT_CORS_ALLOWED_ORIGINS.`;
+  try {
+    const { response } = await request(`${apiBaseUrl}/api/v1/health`, {
+      method: 'OPTIONS',
+      headers: {
+        origin: frontendOrigin,
+        'access-control-request-method': 'GET',
+        'access-control-request-headers': 'authorization,content-type',
+      },
+    });
+    const allowed = response.headers.get('access-control-allow-origin');
+    if (allowed === frontendOrigin || allowed === '*') {
+      add('cors', 'ok', `Preflight from ${frontendOrigin} is allowed`);
+    } else {
+      add(
+        'cors',
+        'fail',
+        allowed
+          ? `Preflight from ${frontendOrigin} answered for ${allowed}`
+          : `Preflight from ${frontendOrigin} has no Access-Control-Allow-Origin (${response.status})`,
+        fix,
+      );
+    }
+  } catch (error) {
+    add('cors', 'fail', `Preflight failed: ${error.message}`, fix);
+  }
+}
+
+// The launcher serves the web target over plain http, so only an http
+// callback can be matched by moving it; https needs the LAN proxy.
+function callbackFix(callback, expected) {
+  const register = `Register ${expected} with AuthOS and the server`;
+  if (!callback) {
+    return `${register} as the web callback.`;
+  }
+  if (callback.protocol === 'https:') {
+    return `${register}, or start the launcher with --lan to sign in from an https origin.`;
+  }
+  return `${register}, or start the launcher with ACT_FRONTEND_HOST=${callback.hostname} ACT_FRONTEND_PORT=${callback.port || '80'}.`;
+}
+
+function checkCallbacks(config, frontendOrigin, webModes, modes, add) {
+  if (webModes) {
+    const expected = `${frontendOrigin}/auth/callback`;
+    const configured = config.web_callback_uri ?? '';
+    if (configured === expected) {
+      add('web callback', 'ok', expected);
+    } else if (!configured) {
+      add(
+        'web callback',
+        'warn',
+        `The server does not advertise a web callback; the app will use ${expected}`,
+        `Make sure ${expected} is a registered redirect URI for the AuthOS service.`,
+      );
+    } else {
+      let callback = null;
+      try {
+        callback = new URL(configured);
+      } catch {
+        // Reported below as not a URL.
+      }
+      add(
+        'web callback',
+        'fail',
+        callback
+          ? `The server expects ${configured}, but the web target signs in from ${expected}`
+          : `The server advertises a web callback that is not a URL: ${configured}`,
+        callbackFix(callback, expected),
+      );
+    }
+  }
+  if (modes.some((mode) => mode !== 'web' && mode !== 'web:mock')) {
+    const configured = config.native_redirect_uri ?? '';
+    if (!configured || configured === nativeRedirectUri) {
+      add('native callback', 'ok', nativeRedirectUri);
+    } else {
+      add(
+        'native callback',
+        'fail',
+        `The server expects ${configured}, but the app redirects to ${nativeRedirectUri}`,
+        `Register ${nativeRedirectUri} with AuthOS and the server, or build the app with --dart-define=AUTHOS_NATIVE_REDIRECT_URI=${configured}.`,
+      );
+    }
+  }
+}
@@ -0,0 +1,124 @@
+import http from 'node:http';
+import https from 'node:https';
+
+export const caPath = '/__act-dev/ca.pem';
+
+// An HTTPS reverse proxy on the LAN address. `upstream()` is read per request
+// so the launcher can repoint it. WebSocket upgrades (Socket.IO, Flutter's
+// debug connection) are passed through, and redirects to the upstream origin
+// are rewritten to the proxy's. `X-Forwarded-For` tells the mock server the
+// client is not on this machine, so it keeps its terminals closed to it. With
+// `caCert`, the CA is served at `caPath` so a phone can download it.
+export async function startLanProxy({
+  host,
+  port,
+  key,
+  cert,
+  upstream,
+  caCert,
+  log = (line) => process.stdout.write(`${line}\n`),
+}) {
+  const publicOrigin = `https://${host}:${port}`;
+  const server = https.createServer({ key, cert });
+
+  function forward(req) {
+    const target = new URL(upstream());
+    const client = target.protocol === 'https:' ? https : http;
+    return client.request({
+      hostname: target.hostname,
+      port: target.port || (target.protocol === 'https:' ? 443 : 80),
+      method: req.method,
+      path: req.url,
+      headers: {
+        ...req.headers,
+        host: target.host,
+        'x-forwarded-for': [
+          req.headers['x-forwarded-for'],
+          req.socket.remoteAddress,
+        ]
+          .filter(Boolean)
+          .join(', '),
+        'x-forwarded-proto': 'https',
+        'x-forwarded-host': req.headers.host ?? `${host}:${port}`,
+      },
+    });
+  }
+
+  function rewriteLocation(headers) {
+    const origin = new URL(upstream()).origin;
+    if (headers.location?.startsWith(origin)) {
+      return {
+        ...headers,
+        location: publicOrigin + headers.location.slice(origin.length),
+      };
+    }
+    return headers;
+  }
+
+  server.on('request', (req, res) => {
+    if (caCert && req.url === caPath) {
+      res.writeHead(200, {
+        'content-type': 'application/x-x509-ca-cert',
+        'content-disposition': 'attachment; filename="act-dev-ca.pem"',
+      });
+      res.end(caCert);
+      return;
+    }
+    const proxyReq = forward(req);
+    proxyReq.on('response', (proxyRes) => {
+      res.writeHead(proxyRes.statusCode, rewriteLocation(proxyRes.headers));
+      proxyRes.pipe(res);
+    });
+    proxyReq.on('error', (error) => {
+      log(`${req.method} ${req.url} failed: ${error.message}`);
+      if (!res.headersSent) {
+        res.writeHead(502, { 'content-type': 'text/plain; charset=utf-8' });
+      }
+      res.end(`Upstream ${upstream()} is unavailable: ${error.message}\n`);
+    });
+    req.pipe(proxyReq);
+  });
+
+  server.on('upgrade', (req, socket, head) => {
+    const proxyReq = forward(req);
+    socket.on('error', () => proxyReq.destroy());
+    proxyReq.on('upgrade', (proxyRes, proxySocket, proxyHead) => {
+      const lines = [`HTTP/1.1 ${proxyRes.statusCode} Switching Protocols`];
+      for (let index = 0; index < proxyRes.rawHeaders.length; index += 2) {
+        lines.push(
+          `${proxyRes.rawHeaders[index]}: ${proxyRes.rawHeaders[index + 1]}`,
+        );
+      }
+      socket.write(`${lines.join('\r\n')}\r\n\r\n`);
+      if (proxyHead.length > 0) {
+        socket.write(proxyHead);
+      }
+      proxySocket.on('error', () => socket.destroy());
+      socket.on('close', () => proxySocket.destroy());
+      proxySocket.pipe(socket).pipe(proxySocket);
+    });
+    proxyReq.on('response', (proxyRes) => {
+      socket.end(
+        `HTTP/1.1 ${proxyRes.statusCode} ${proxyRes.statusMessage}\r\n\r\n`,
+      );
+    });
+    proxyReq.on('error', () => socket.destroy());
+    if (head.length > 0) {
+      proxyReq.write(head);
+    }
+    proxyReq.end();
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+
+  return {
+    url: publicOrigin,
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+}
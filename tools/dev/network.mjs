@@ -0,0 +1,37 @@
+import { networkInterfaces } from 'node:os';
+
+// Interface names used by VPN and overlay clients, whose addresses a phone on
+// the same Wi-Fi cannot reach.
+const vpnInterface = /^(utun|tun|tap|wg|ppp|ipsec|tailscale|zt|nordlynx)/i;
+
+export function isVpnInterface(name) {
+  return vpnInterface.test(name);
+}
+
+// Non-internal IPv4 addresses in the order the OS lists them.
+export function lanCandidates() {
+  return Object.entries(networkInterfaces()).flatMap(([name, entries]) =>
+    (entries ?? [])
+      .filter((entry) => entry.family === 'IPv4' && !entry.internal)
+      .map((entry) => ({ name, address: entry.address })),
+  );
+}
+
+// `ACT_LAN_IP` wins when the first interface is the wrong one, such as a VPN.
+export function localLanIp() {
+  return process.env.ACT_LAN_IP ?? lanCandidates()[0]?.address ?? '127.0.0.1';
+}
+
+// Rewrites a loopback URL to the address `mode` reaches this machine at:
+// the Android emulator's host alias, or the LAN address for an iPhone.
+export function urlForTarget(url, mode) {
+  const parsed = new URL(url);
+  if (
+    !['127.0.0.1', 'localhost', '[::1]'].includes(parsed.hostname) ||
+    (mode !== 'android' && mode !== 'ios')
+  ) {
+    return url;
+  }
+  parsed.hostname = mode === 'android' ? '10.0.2.2' : localLanIp();
+  return parsed.href.replace(/\/$/, '');
+}
@@ -0,0 +1,124 @@
+import { readFile } from 'node:fs/promises';
+import { dirname, join, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Ajv from 'ajv';
+
+const schemaPath = join(
+  dirname(fileURLToPath(import.meta.url)),
+  'act.dev.schema.json',
+);
+
+// Reads `path`, validates it against act.dev.schema.json, and returns the
+// profile called `name` with its paths resolved against the file's directory.
+export async function loadDevProfile(path, name) {
+  let config;
+  try {
+    config = JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(
+        `${relative(process.cwd(), path)} does not exist; copy act.dev.example.json to it and edit the profiles`,
+      );
+    }
+    throw new Error(`${path}: ${error.message}`);
+  }
+
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  const validate = ajv.compile(JSON.parse(await readFile(schemaPath, 'utf8')));
+  if (!validate(config)) {
+    const errors = validate.errors.flatMap(describeError);
+    throw new Error(`${path} is not valid:\n  ${errors.join('\n  ')}`);
+  }
+
+  const profile = config.profiles[name];
+  if (!profile) {
+    throw new Error(
+      `${path} has no profile "${name}" (profiles: ${Object.keys(config.profiles).join(', ')})`,
+    );
+  }
+  return resolvePaths(profile, dirname(path));
+}
+
+// Ajv's own messages for `not` and `propertyNames` do not say what is wrong.
+function describeError(error) {
+  const where = error.instancePath || '(root)';
+  if (error.keyword === 'propertyNames') {
+    return [];
+  }
+  if (error.propertyName) {
+    return [`${where} cannot set ${error.propertyName}`];
+  }
+  if (error.keyword === 'not' && where.endsWith('/proxy')) {
+    return [`${where} sets both record and replay`];
+  }
+  if (error.keyword === 'enum') {
+    return [`${where} must be one of ${error.params.allowedValues.join(', ')}`];
+  }
+  return [`${where} ${error.message}`];
+}
+
+function resolvePaths(profile, baseDir) {
+  const list = (value) =>
+    (Array.isArray(value) ? value : value ? [value] : []).map((path) =>
+      resolve(baseDir, path),
+    );
+  const path = (value) => (value ? resolve(baseDir, value) : undefined);
+  return {
+    ...profile,
+    mock: profile.mock && {
+      ...profile.mock,
+      scenario: list(profile.mock.scenario),
+      transcript: list(profile.mock.transcript),
+      authosConfig: path(profile.mock.authosConfig),
+    },
+    proxy: profile.proxy && {
+      ...profile.proxy,
+      record: path(profile.proxy.record),
+      replay: path(profile.proxy.replay),
+    },
+    server: profile.server && {
+      ...profile.server,
+      release: path(profile.server.release),
+    },
+  };
+}
+
+// The profile's launcher options in the shape `parseArgs` gives them, so
+// command-line flags can be spread over them.
+export function profileFlags(profile) {
+  const flags = {
+    scenario: profile?.mock?.scenario,
+    play: profile?.mock?.play,
+    transcript: profile?.mock?.transcript,
+    speed:
+      profile?.mock?.speed === undefined
+        ? undefined
+        : String(profile.mock.speed),
+    record: profile?.proxy?.record,
+    replay: profile?.proxy?.replay,
+    authos: profile?.mock?.authos,
+    'authos-config': profile?.mock?.authosConfig,
+    'server-release': profile?.server?.release,
+    'server-version': profile?.server?.version,
+  };
+  return Object.fromEntries(
+    Object.entries(flags).filter(([, value]) => value !== undefined),
+  );
+}
+
+// `--dart-define`s for the profile's AuthOS settings and extra defines. The
+// AuthOS base URL is returned separately because the launcher overrides it
+// when it runs the mock or replay backend.
+export function profileDartDefines(profile) {
+  const authos = profile?.authos ?? {};
+  const defines = {
+    AUTHOS_ORG_SLUG: authos.orgSlug,
+    AUTHOS_SERVICE_SLUG: authos.serviceSlug,
+    AUTHOS_CLIENT_ID: authos.clientId,
+    AUTHOS_NATIVE_REDIRECT_URI: authos.nativeRedirectUri,
+    ...profile?.dartDefines,
+  };
+  return Object.entries(defines)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `--dart-define=${key}=${value}`);
+}
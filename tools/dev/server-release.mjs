@@ -0,0 +1,143 @@
+import { spawn } from 'node:child_process';
+import {
+  chmod,
+  mkdir,
+  readdir,
+  rename,
+  rm,
+  stat,
+  writeFile,
+} from 'node:fs/promises';
+import { arch, homedir, platform } from 'node:os';
+import { join } from 'node:path';
+
+import { readChecksums, sha256File } from '../release/checksums.mjs';
+
+const releaseArchs = { x64: 'x86_64', arm64: 'aarch64' };
+const assetPattern = /^act-server-(.+)-linux-(x86_64|aarch64)\.tar\.gz$/;
+
+export function defaultCacheDir() {
+  return join(
+    process.env.XDG_CACHE_HOME ?? join(homedir(), '.cache'),
+    'act-dev',
+    'act-server',
+  );
+}
+
+// Picks this machine's asset from a directory of release assets, checks it
+// against SHA256SUMS.txt, and unpacks it into `cacheDir` once per checksum.
+// Resolves with the version and the path of the server binary.
+export async function provisionServerRelease({
+  releaseDir,
+  version,
+  cacheDir = defaultCacheDir(),
+  log = (line) => process.stdout.write(`${line}\n`),
+}) {
+  if (platform() !== 'linux' || !releaseArchs[arch()]) {
+    throw new Error(
+      `act-server releases are built for Linux x86_64 and aarch64, not ${platform()} ${arch()}`,
+    );
+  }
+  const releaseArch = releaseArchs[arch()];
+
+  const assets = (await readdir(releaseDir))
+    .map((name) => ({ name, match: assetPattern.exec(name) }))
+    .filter(({ match }) => match && match[2] === releaseArch)
+    .map(({ name, match }) => ({ name, version: match[1] }))
+    .filter((asset) => !version || asset.version === version)
+    .sort((a, b) =>
+      b.version.localeCompare(a.version, undefined, { numeric: true }),
+    );
+  if (assets.length === 0) {
+    throw new Error(
+      `${releaseDir} has no act-server-${version ?? '<version>'}-linux-${releaseArch}.tar.gz`,
+    );
+  }
+  const asset = assets[0];
+  const assetPath = join(releaseDir, asset.name);
+
+  const expected = await expectedChecksum(releaseDir, asset.name);
+  const actual = await sha256File(assetPath);
+  if (actual !== expected) {
+    throw new Error(
+      `${asset.name} does not match SHA256SUMS.txt (expected ${expected}, got ${actual})`,
+    );
+  }
+
+  const targetDir = join(
+    cacheDir,
+    `${asset.version}-${releaseArch}-${actual.slice(0, 12)}`,
+  );
+  const marker = join(targetDir, '.act-dev-unpacked');
+  if (!(await exists(marker))) {
+    log(`[dev] Unpacking ${asset.name} into ${targetDir}`);
+    const partialDir = `${targetDir}.partial`;
+    await rm(partialDir, { recursive: true, force: true });
+    await mkdir(partialDir, { recursive: true });
+    await untar(assetPath, partialDir);
+    await writeFile(join(partialDir, '.act-dev-unpacked'), `${actual}\n`);
+    await rm(targetDir, { recursive: true, force: true });
+    await rename(partialDir, targetDir);
+  }
+
+  const binary = await findServerBinary(targetDir);
+  if (!binary) {
+    throw new Error(`${asset.name} does not contain an act-server binary`);
+  }
+  await chmod(binary, 0o755);
+  return { version: asset.version, binary };
+}
+
+async function expectedChecksum(releaseDir, assetName) {
+  const expected = (await readChecksums(releaseDir)).get(assetName);
+  if (!expected) {
+    throw new Error(`SHA256SUMS.txt has no entry for ${assetName}`);
+  }
+  return expected;
+}
+
+function untar(archive, dir) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('tar', ['-xzf', archive, '-C', dir], {
+      stdio: ['ignore', 'ignore', 'pipe'],
+    });
+    let stderr = '';
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+    child.on('error', reject);
+    child.on('exit', (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`tar -xzf ${archive} failed: ${stderr.trim()}`));
+      }
+    });
+  });
+}
+
+// Archives may hold the binary at the top level or under one directory.
+async function findServerBinary(dir) {
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    const path = join(dir, entry.name);
+    if (entry.isFile() && entry.name.startsWith('act-server')) {
+      return path;
+    }
+    if (entry.isDirectory()) {
+      const nested = await findServerBinary(path);
+      if (nested) {
+        return nested;
+      }
+    }
+  }
+  return null;
+}
+
+async function exists(path) {
+  try {
+    await stat(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { localLanIp, urlForTarget } from '../network.mjs';
+
+let savedLanIp;
+
+before(() => {
+  savedLanIp = process.env.ACT_LAN_IP;
+  process.env.ACT_LAN_IP = '192.168.1.20';
+});
+
+after(() => {
+  if (savedLanIp === undefined) {
+    delete process.env.ACT_LAN_IP;
+  } else {
+    process.env.ACT_LAN_IP = savedLanIp;
+  }
+});
+
+test('the Android emulator reaches loopback through its host alias', () => {
+  assert.equal(
+    urlForTarget('http://127.0.0.1:3001', 'android'),
+    'http://10.0.2.2:3001',
+  );
+  assert.equal(
+    urlForTarget('http://localhost:3001/api', 'android'),
+    'http://10.0.2.2:3001/api',
+  );
+});
+
+test('an iPhone reaches loopback through the LAN address', () => {
+  assert.equal(
+    urlForTarget('http://[::1]:3001', 'ios'),
+    'http://192.168.1.20:3001',
+  );
+});
+
+test('other modes and non-loopback URLs are left alone', () => {
+  assert.equal(
+    urlForTarget('http://127.0.0.1:3001/', 'web'),
+    'http://127.0.0.1:3001/',
+  );
+  assert.equal(
+    urlForTarget('https://act.example.com', 'android'),
+    'https://act.example.com',
+  );
+});
+
+test('ACT_LAN_IP picks the LAN address over the first interface', () => {
+  assert.equal(localLanIp(), '192.168.1.20');
+});
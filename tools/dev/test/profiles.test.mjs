@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+
+import {
+  loadDevProfile,
+  profileDartDefines,
+  profileFlags,
+} from '../profiles.mjs';
+
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'act-dev-profiles-'));
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+async function writeProfiles(name, profiles) {
+  const path = join(dir, name);
+  await writeFile(path, JSON.stringify({ profiles }));
+  return path;
+}
+
+test('profile paths resolve against the profile file', async () => {
+  const path = await writeProfiles('valid.json', {
+    bug: {
+      modes: ['web:mock'],
+      mock: { scenario: 'scenarios/bug.json', speed: 2 },
+      proxy: { replay: 'recordings/bug.jsonl' },
+    },
+  });
+
+  const profile = await loadDevProfile(path, 'bug');
+  assert.deepEqual(profile.mock.scenario, [join(dir, 'scenarios/bug.json')]);
+  assert.deepEqual(profile.mock.transcript, []);
+  assert.equal(profile.proxy.replay, join(dir, 'recordings/bug.jsonl'));
+  assert.equal(profile.proxy.record, undefined);
+});
+
+test('an unknown profile lists the ones there are', async () => {
+  const path = await writeProfiles('names.json', { mock: {}, ipad: {} });
+
+  await assert.rejects(
+    loadDevProfile(path, 'staging'),
+    /has no profile "staging" \(profiles: mock, ipad\)/,
+  );
+});
+
+test('schema errors say where and what is wrong', async () => {
+  const path = await writeProfiles('invalid.json', {
+    bad: {
+      modes: ['tablet'],
+      proxy: { record: 'a.jsonl', replay: 'b.jsonl' },
+      dartDefines: { ACT_API_BASE_URL: 'http://localhost' },
+      mock: { port: 70000 },
+    },
+  });
+
+  const error = await loadDevProfile(path, 'bad').then(
+    () => assert.fail('the profile file is invalid'),
+    (error) => error,
+  );
+  assert.match(error.message, /is not valid:/);
+  assert.match(error.message, /\/profiles\/bad\/modes\/0 must be one of web,/);
+  assert.match(
+    error.message,
+    /\/profiles\/bad\/proxy sets both record and replay/,
+  );
+  assert.match(
+    error.message,
+    /\/profiles\/bad\/dartDefines cannot set ACT_API_BASE_URL/,
+  );
+  assert.match(error.message, /\/profiles\/bad\/mock\/port must be <= 65535/);
+});
+
+test('a missing profile file says how to create one', async () => {
+  await assert.rejects(
+    loadDevProfile(join(dir, 'act.dev.json'), 'mock'),
+    /act\.dev\.json does not exist; copy act\.dev\.example\.json/,
+  );
+});
+
+test('profile settings become launcher flags', () => {
+  assert.deepEqual(
+    profileFlags({
+      mock: {
+        scenario: ['/p/bug.json'],
+        transcript: [],
+        speed: 2,
+        authos: true,
+      },
+      proxy: { record: '/p/out.jsonl' },
+      server: { release: '/p/release', version: 'v1.2.3' },
+    }),
+    {
+      scenario: ['/p/bug.json'],
+      transcript: [],
+      speed: '2',
+      record: '/p/out.jsonl',
+      authos: true,
+      'server-release': '/p/release',
+      'server-version': 'v1.2.3',
+    },
+  );
+  assert.deepEqual(profileFlags(undefined), {});
+});
+
+test('AuthOS settings and extra defines become --dart-define flags', () => {
+  assert.deepEqual(
+    profileDartDefines({
+      authos: { orgSlug: 'acme', clientId: 'act-app' },
+      dartDefines: { ACT_FEATURE_TASKS: true, ACT_TIMEOUT: 30 },
+    }),
+    [
+      '--dart-define=AUTHOS_ORG_SLUG=acme',
+      '--dart-define=AUTHOS_CLIENT_ID=act-app',
+      '--dart-define=ACT_FEATURE_TASKS=true',
+      '--dart-define=ACT_TIMEOUT=30',
+    ],
+  );
+  assert.deepEqual(profileDartDefines({}), []);
+});
@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import {
+  appendFile,
+  cp,
+  mkdtemp,
+  readdir,
+  readFile,
+  rm,
+  stat,
+  writeFile,
+} from 'node:fs/promises';
+import { arch, platform, tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, test } from 'node:test';
+
+import { provisionServerRelease } from '../server-release.mjs';
+
+const fixtureDir = join(import.meta.dirname, 'fixtures', 'server-release');
+const releaseArch = { x64: 'x86_64', arm64: 'aarch64' }[arch()];
+const skip =
+  platform() !== 'linux' || !releaseArch
+    ? 'act-server releases are Linux x86_64 and aarch64 only'
+    : false;
+const tempDirs = [];
+
+async function tempDir() {
+  const dir = await mkdtemp(join(tmpdir(), 'act-dev-server-release-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+async function provision(options) {
+  const lines = [];
+  const result = await provisionServerRelease({
+    releaseDir: fixtureDir,
+    cacheDir: await tempDir(),
+    log: (line) => lines.push(line),
+    ...options,
+  });
+  return { ...result, lines };
+}
+
+after(() =>
+  Promise.all(tempDirs.map((dir) => rm(dir, { recursive: true, force: true }))),
+);
+
+test('picks the newest release for this machine', { skip }, async () => {
+  const { version, binary } = await provision();
+  assert.equal(version, 'v1.10.0');
+  assert.match(
+    await readFile(binary, 'utf8'),
+    new RegExp(`act-server v1\\.10\\.0 ${releaseArch}`),
+  );
+  assert.equal((await stat(binary)).mode & 0o111, 0o111);
+});
+
+test('picks the requested version', { skip }, async () => {
+  const { version, binary } = await provision({ version: 'v1.2.3' });
+  assert.equal(version, 'v1.2.3');
+  assert.match(
+    await readFile(binary, 'utf8'),
+    new RegExp(`act-server v1\\.2\\.3 ${releaseArch}`),
+  );
+  await assert.rejects(
+    provision({ version: 'v9.9.9' }),
+    new RegExp(`has no act-server-v9\\.9\\.9-linux-${releaseArch}\\.tar\\.gz`),
+  );
+});
+
+test('rejects an asset that fails its checksum', { skip }, async () => {
+  const releaseDir = await tempDir();
+  await cp(fixtureDir, releaseDir, { recursive: true });
+  await appendFile(
+    join(releaseDir, `act-server-v1.10.0-linux-${releaseArch}.tar.gz`),
+    'tampered',
+  );
+  const cacheDir = await tempDir();
+  await assert.rejects(
+    provisionServerRelease({ releaseDir, cacheDir, log: () => {} }),
+    /does not match SHA256SUMS\.txt/,
+  );
+  assert.deepEqual(await readdir(cacheDir), []);
+});
+
+test('unpacks each release once', { skip }, async () => {
+  const cacheDir = await tempDir();
+  const first = await provision({ cacheDir });
+  assert.equal(first.lines.length, 1);
+  assert.match(first.lines[0], /Unpacking act-server-v1\.10\.0/);
+
+  await writeFile(first.binary, '#!/bin/sh\necho cached\n');
+  const second = await provision({ cacheDir });
+  assert.deepEqual(second.lines, []);
+  assert.equal(second.binary, first.binary);
+  assert.equal(
+    await readFile(second.binary, 'utf8'),
+    '#!/bin/sh\necho cached\n',
+  );
+
+  const older = await provision({ cacheDir, version: 'v1.2.3' });
+  assert.equal(older.lines.length, 1);
+  assert.equal((await readdir(cacheDir)).length, 2);
+});
@@ -0,0 +1,140 @@
+import { spawn } from 'node:child_process';
+import { X509Certificate, randomBytes } from 'node:crypto';
+import { chmod, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { hostname } from 'node:os';
+import { join } from 'node:path';
+
+const renewWithinMs = 30 * 24 * 60 * 60 * 1000;
+
+// A development CA kept in `dir`, and a certificate it signs for `ip`. The CA
+// is made once so a phone only has to trust it once; the leaf certificate is
+// remade when missing or about to expire. Keys never leave `dir`.
+export async function ensureLanCertificate({ dir, ip }) {
+  await mkdir(dir, { recursive: true });
+  const caKeyPath = join(dir, 'ca-key.pem');
+  const caPath = join(dir, 'ca.pem');
+  if (!(await usableCertificate(caPath))) {
+    await openssl([
+      'req',
+      '-x509',
+      '-new',
+      '-newkey',
+      'ec',
+      '-pkeyopt',
+      'ec_paramgen_curve:prime256v1',
+      '-nodes',
+      '-keyout',
+      caKeyPath,
+      '-out',
+      caPath,
+      '-days',
+      '3650',
+      '-subj',
+      `/CN=ACT dev CA (${hostname()})`,
+      '-addext',
+      'basicConstraints=critical,CA:TRUE',
+      '-addext',
+      'keyUsage=critical,keyCertSign,cRLSign',
+    ]);
+    await chmod(caKeyPath, 0o600);
+  }
+
+  const keyPath = join(dir, `lan-${ip}-key.pem`);
+  const certPath = join(dir, `lan-${ip}.pem`);
+  if (!(await usableCertificate(certPath))) {
+    const csrPath = join(dir, `lan-${ip}.csr`);
+    const extPath = join(dir, `lan-${ip}.ext`);
+    await openssl([
+      'req',
+      '-new',
+      '-newkey',
+      'ec',
+      '-pkeyopt',
+      'ec_paramgen_curve:prime256v1',
+      '-nodes',
+      '-keyout',
+      keyPath,
+      '-out',
+      csrPath,
+      '-subj',
+      `/CN=${ip}`,
+    ]);
+    await chmod(keyPath, 0o600);
+    await writeFile(
+      extPath,
+      [
+        'basicConstraints=CA:FALSE',
+        'keyUsage=critical,digitalSignature',
+        'extendedKeyUsage=serverAuth',
+        `subjectAltName=IP:${ip},DNS:localhost`,
+        '',
+      ].join('\n'),
+    );
+    // Apple rejects TLS certificates valid for more than 398 days.
+    await openssl([
+      'x509',
+      '-req',
+      '-in',
+      csrPath,
+      '-CA',
+      caPath,
+      '-CAkey',
+      caKeyPath,
+      '-set_serial',
+      `0x${randomBytes(8).toString('hex')}`,
+      '-days',
+      '397',
+      '-sha256',
+      '-extfile',
+      extPath,
+      '-out',
+      certPath,
+    ]);
+    await rm(csrPath, { force: true });
+    await rm(extPath, { force: true });
+  }
+
+  return {
+    key: await readFile(keyPath),
+    cert: await readFile(certPath),
+    caCert: await readFile(caPath),
+    caPath,
+  };
+}
+
+async function usableCertificate(path) {
+  try {
+    const certificate = new X509Certificate(await readFile(path));
+    return Date.parse(certificate.validTo) - Date.now() > renewWithinMs;
+  } catch {
+    return false;
+  }
+}
+
+function openssl(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('openssl', args, {
+      stdio: ['ignore', 'ignore', 'pipe'],
+    });
+    let stderr = '';
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+    child.on('error', (error) => {
+      reject(
+        new Error(
+          error.code === 'ENOENT'
+            ? 'openssl is not on PATH; install it to create the LAN certificate'
+            : error.message,
+        ),
+      );
+    });
+    child.on('exit', (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`openssl ${args[0]} failed: ${stderr.trim()}`));
+      }
+    });
+  });
+}
@@ -0,0 +1,63 @@
+import { parseArgs } from 'node:util';
+
+import { loadTranscripts } from './mock/codex-replay.mjs';
+import { startMockServer } from './mock/server.mjs';
+import { findScenario, loadScenarios } from './mock/task-simulator.mjs';
+
+const { values } = parseArgs({
+  options: {
+    host: { type: 'string', default: process.env.ACT_MOCK_HOST ?? '127.0.0.1' },
+    port: { type: 'string', default: process.env.ACT_MOCK_PORT ?? '3001' },
+    'frontend-origin': {
+      type: 'string',
+      default: process.env.ACT_FRONTEND_ORIGIN ?? 'http://localhost:4000',
+    },
+    sandbox: { type: 'string', default: process.env.ACT_MOCK_SANDBOX },
+    scenario: { type: 'string', multiple: true, default: [] },
+    play: { type: 'string' },
+    transcript: { type: 'string', multiple: true, default: [] },
+    speed: { type: 'string', default: '1' },
+    'authos-url': { type: 'string', default: process.env.ACT_AUTHOS_URL },
+    'shell-token': { type: 'string', default: process.env.ACT_MOCK_TOKEN },
+  },
+});
+
+const speed = Number(values.speed);
+if (!Number.isFinite(speed) || speed <= 0) {
+  process.stderr.write('--speed must be a positive number\n');
+  process.exit(1);
+}
+
+let scenarios;
+let play;
+let transcripts;
+try {
+  scenarios = await loadScenarios(values.scenario);
+  play = findScenario(scenarios, values.play);
+  transcripts = await loadTranscripts(values.transcript);
+} catch (error) {
+  process.stderr.write(`${error.message}\n`);
+  process.exit(1);
+}
+
+const mock = await startMockServer({
+  host: values.host,
+  port: Number(values.port),
+  frontendOrigin: values['frontend-origin'],
+  sandboxRoot: values.sandbox,
+  scenarios,
+  play,
+  transcripts,
+  speed,
+  authOsUrl: values['authos-url'],
+  shellToken: values['shell-token'],
+});
+
+process.stdout.write(`ACT mock server listening on ${mock.url}\n`);
+
+function shutdown() {
+  mock.close().then(() => process.exit(0));
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
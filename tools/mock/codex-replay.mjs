@@ -0,0 +1,266 @@
+import { readFile, readdir, stat } from 'node:fs/promises';
+import { basename, join } from 'node:path';
+
+import { now, pushCodexEvent } from './state.mjs';
+
+const defaultDelayMs = 250;
+const blockingExtensionUi = new Set(['select', 'confirm', 'input', 'editor']);
+
+// A transcript is a directory holding `events.jsonl`, plus optional
+// `changes.json` (served from /changes) and `session.json` (summary fields such
+// as title, agent_provider, model, workspace_id). A path may also be a folder
+// of transcript directories.
+export async function loadTranscripts(paths) {
+  const transcripts = [];
+  for (const path of paths) {
+    if (await isFile(join(path, 'events.jsonl'))) {
+      transcripts.push(await loadTranscript(path));
+      continue;
+    }
+    const entries = await readdir(path, { withFileTypes: true });
+    const directories = entries
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => join(path, entry.name))
+      .sort();
+    const found = transcripts.length;
+    for (const directory of directories) {
+      if (await isFile(join(directory, 'events.jsonl'))) {
+        transcripts.push(await loadTranscript(directory));
+      }
+    }
+    if (transcripts.length === found) {
+      throw new Error(`${path}: no events.jsonl found`);
+    }
+  }
+  return transcripts;
+}
+
+export async function loadTranscript(directory) {
+  const eventsFile = join(directory, 'events.jsonl');
+  const events = [];
+  let previousTime = null;
+  const lines = (await readFile(eventsFile, 'utf8')).split('\n');
+  for (const [index, line] of lines.entries()) {
+    if (line.trim() === '') {
+      continue;
+    }
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${eventsFile}:${index + 1}: ${error.message}`);
+    }
+    if (typeof event?.kind !== 'string') {
+      throw new Error(`${eventsFile}:${index + 1}: event needs a "kind"`);
+    }
+    const { delay_ms: delayMs, index: _index, timestamp, ...rest } = event;
+    const time = Date.parse(timestamp ?? '');
+    let delay = defaultDelayMs;
+    if (delayMs != null) {
+      delay = Number(delayMs);
+    } else if (Number.isFinite(time) && previousTime !== null) {
+      delay = Math.max(0, time - previousTime);
+    }
+    if (Number.isFinite(time)) {
+      previousTime = time;
+    }
+    events.push({ delayMs: delay, event: rest });
+  }
+
+  // Turn 0 is everything before the first user message; each user message
+  // starts the next turn.
+  const turns = [[]];
+  for (const entry of events) {
+    if (entry.event.kind === 'message' && entry.event.role === 'user') {
+      turns.push([]);
+    }
+    turns.at(-1).push(entry);
+  }
+
+  return {
+    name: basename(directory),
+    source: directory,
+    session: (await readOptionalJson(join(directory, 'session.json'))) ?? {},
+    changes: await readOptionalJson(join(directory, 'changes.json')),
+    turns,
+  };
+}
+
+async function isFile(path) {
+  try {
+    return (await stat(path)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+async function readOptionalJson(path) {
+  if (!(await isFile(path))) {
+    return null;
+  }
+  try {
+    return JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`${path}: ${error.message}`);
+  }
+}
+
+export function createCodexReplay(
+  state,
+  { transcripts = [], speed = 1, log = () => {} } = {},
+) {
+  const players = new Map();
+
+  function schedule(session, player) {
+    const next = player.queue.shift();
+    if (!next) {
+      player.timer = null;
+      session.is_busy = false;
+      session.status = 'idle';
+      session.updated_at = now();
+      const prompt = player.pending.shift();
+      if (prompt !== undefined) {
+        session.queued_message_count = player.pending.length;
+        startTurn(session, player, prompt);
+      }
+      return;
+    }
+    player.timer = setTimeout(() => {
+      player.timer = null;
+      pushCodexEvent(state, session, next.event);
+      if (next.event.usage) {
+        session.usage = next.event.usage;
+      }
+      session.updated_at = now();
+      const [, method, requestId] = next.event.command?.split(':') ?? [];
+      if (
+        next.event.command?.startsWith('extension_ui:') &&
+        blockingExtensionUi.has(method) &&
+        requestId
+      ) {
+        player.waitingFor = requestId;
+        return;
+      }
+      schedule(session, player);
+    }, next.delayMs / speed);
+  }
+
+  function startTurn(session, player, prompt) {
+    pushCodexEvent(state, session, {
+      kind: 'message',
+      role: 'user',
+      text: prompt,
+      status: 'submitted',
+    });
+    const turn = player.transcript.turns[player.nextTurn];
+    if (!turn) {
+      pushCodexEvent(state, session, {
+        kind: 'diagnostic',
+        title: 'Replay finished',
+        text: `Transcript "${player.transcript.name}" has no more turns.`,
+        status: 'completed',
+      });
+      session.updated_at = now();
+      return;
+    }
+    player.nextTurn += 1;
+    // The recorded user message is replaced by the prompt actually sent.
+    player.queue = turn.slice(1);
+    session.is_busy = true;
+    session.status = 'running';
+    session.updated_at = now();
+    schedule(session, player);
+  }
+
+  return {
+    transcripts,
+
+    pick(agentProvider) {
+      return (
+        transcripts.find(
+          (transcript) =>
+            (transcript.session.agent_provider ?? 'codex') === agentProvider,
+        ) ?? transcripts[0]
+      );
+    },
+
+    attach(session, transcript) {
+      const player = {
+        transcript,
+        nextTurn: 1,
+        queue: [...transcript.turns[0]],
+        pending: [],
+        timer: null,
+        waitingFor: null,
+      };
+      players.set(session.id, player);
+      log(`codex session ${session.id} replays "${transcript.name}"`);
+      if (player.queue.length > 0) {
+        session.is_busy = true;
+        session.status = 'running';
+      }
+      schedule(session, player);
+    },
+
+    owns(sessionId) {
+      return players.has(sessionId);
+    },
+
+    submit(session, prompt) {
+      const player = players.get(session.id);
+      if (session.is_busy) {
+        player.pending.push(prompt);
+        session.queued_message_count = player.pending.length;
+        pushCodexEvent(state, session, {
+          kind: 'message',
+          role: 'user',
+          text: prompt,
+          status: 'queued',
+        });
+        return;
+      }
+      startTurn(session, player, prompt);
+    },
+
+    interrupt(session) {
+      const player = players.get(session.id);
+      clearTimeout(player.timer);
+      const truncated = player.queue.length;
+      player.timer = null;
+      player.queue = [];
+      player.pending = [];
+      player.waitingFor = null;
+      if (session.is_busy) {
+        pushCodexEvent(state, session, {
+          kind: 'status',
+          title: 'Turn interrupted',
+          text: `${truncated} scripted event(s) skipped`,
+          status: 'interrupted',
+        });
+      }
+      session.is_busy = false;
+      session.status = 'idle';
+      session.queued_message_count = 0;
+      session.updated_at = now();
+    },
+
+    resume(session, requestId) {
+      const player = players.get(session.id);
+      if (player?.waitingFor === requestId) {
+        player.waitingFor = null;
+        schedule(session, player);
+      }
+    },
+
+    changes(session) {
+      const changes = players.get(session.id)?.transcript.changes;
+      return changes ? { ...changes, session_id: session.id } : null;
+    },
+
+    close() {
+      for (const player of players.values()) {
+        clearTimeout(player.timer);
+      }
+    },
+  };
+}
@@ -0,0 +1,129 @@
+export class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export function notFound(what) {
+  return new HttpError(404, 'not_found', `${what} not found`);
+}
+
+export function badRequest(message) {
+  return new HttpError(400, 'invalid_request', message);
+}
+
+// Allows `allowedOrigin` when given and otherwise whatever origin asks.
+export function applyCors(req, res, allowedOrigin) {
+  res.setHeader(
+    'access-control-allow-origin',
+    allowedOrigin ?? req.headers.origin ?? '*',
+  );
+  res.setHeader('vary', 'origin');
+  res.setHeader(
+    'access-control-allow-methods',
+    'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+  );
+  res.setHeader(
+    'access-control-allow-headers',
+    req.headers['access-control-request-headers'] ??
+      'authorization, content-type',
+  );
+  res.setHeader('access-control-max-age', '600');
+}
+
+export function sendJson(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'content-type': 'application/json; charset=utf-8',
+    'content-length': Buffer.byteLength(payload),
+  });
+  res.end(payload);
+}
+
+export function sendData(res, data, status = 200) {
+  sendJson(res, status, { success: true, data });
+}
+
+export function sendError(res, error) {
+  const status = error instanceof HttpError ? error.status : 500;
+  const code = error instanceof HttpError ? error.code : 'internal_error';
+  sendJson(res, status, {
+    success: false,
+    error: `${code}: ${error.message}`,
+  });
+}
+
+export async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+export async function readJson(req) {
+  const raw = (await readBody(req)).toString('utf8').trim();
+  if (raw === '') {
+    return {};
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw badRequest('Request body is not valid JSON');
+  }
+}
+
+export function bearerToken(req) {
+  const header = req.headers.authorization ?? '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return match ? match[1].trim() : '';
+}
+
+export function createRouter() {
+  const routes = [];
+
+  function add(method, pattern, handler, options = {}) {
+    const keys = [];
+    const source = pattern
+      .split('/')
+      .map((segment) => {
+        if (segment.startsWith(':')) {
+          keys.push(segment.slice(1));
+          return '([^/]+)';
+        }
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('/');
+    routes.push({
+      method,
+      regex: new RegExp(`^${source}$`),
+      keys,
+      handler,
+      public: options.public === true,
+    });
+  }
+
+  function match(method, pathname) {
+    let pathMatched = false;
+    for (const route of routes) {
+      const found = route.regex.exec(pathname);
+      if (!found) {
+        continue;
+      }
+      pathMatched = true;
+      if (route.method !== method) {
+        continue;
+      }
+      const params = {};
+      route.keys.forEach((key, index) => {
+        params[key] = decodeURIComponent(found[index + 1]);
+      });
+      return { route, params };
+    }
+    return { route: null, pathMatched };
+  }
+
+  return { add, match };
+}
@@ -0,0 +1,294 @@
+import { notFound } from '../http.mjs';
+import { createId, now, pushCodexEvent } from '../state.mjs';
+import { requiredString, requireWorkspace } from './core-resources.mjs';
+
+const replyDelayMs = 1500;
+const pendingReplies = new Map();
+
+const models = [
+  {
+    slug: 'gpt-5.5',
+    display_name: 'GPT-5.5',
+    default_reasoning_level: 'medium',
+    supported_reasoning_levels: ['low', 'medium', 'high'],
+    source: 'mock',
+  },
+  {
+    slug: 'gpt-5.4',
+    display_name: 'GPT-5.4',
+    default_reasoning_level: 'medium',
+    supported_reasoning_levels: ['low', 'medium', 'high'],
+    source: 'mock',
+  },
+];
+
+export function registerCodexRoutes(router, { state, replay = null }) {
+  for (const transcript of replay?.transcripts ?? []) {
+    const { codex_session: session } = launchSession(
+      state,
+      {
+        scope_type: 'workspace',
+        workspace_id: transcript.session.workspace_id ?? 'act',
+        agent_provider: transcript.session.agent_provider,
+        provider_model: transcript.session.model,
+        title: transcript.session.title ?? transcript.name,
+      },
+      null,
+    );
+    replay.attach(session, transcript);
+  }
+
+  router.add('GET', '/api/v1/codex/models', () => models);
+
+  router.add('GET', '/api/v1/codex/sessions', ({ query }) => {
+    const limit = Number.parseInt(query.get('limit') ?? '40', 10) || 40;
+    const workspaceId = query.get('workspace_id');
+    const scopeType = query.get('scope_type');
+    const scopeId = query.get('scope_id');
+    return state.codexSessions
+      .filter((session) => {
+        if (
+          workspaceId &&
+          !session.workspace_tags.some(
+            (tag) => tag.workspace_id === workspaceId,
+          )
+        ) {
+          return false;
+        }
+        if (scopeType && session.scope_type !== scopeType) {
+          return false;
+        }
+        return !scopeId || session.scope_id === scopeId;
+      })
+      .slice(0, limit);
+  });
+
+  router.add('POST', '/api/v1/codex/sessions', ({ body }) => {
+    const launched = launchSession(state, body, replay);
+    if (body.prompt?.trim()) {
+      sendPrompt(state, launched.codex_session, body.prompt.trim(), replay);
+    }
+    return launched;
+  });
+
+  router.add(
+    'POST',
+    '/api/v1/codex/sessions/:sessionId/messages',
+    ({ params, body }) => {
+      const session = requireCodexSession(state, params.sessionId);
+      sendPrompt(state, session, requiredString(body.prompt, 'prompt'), replay);
+      return session;
+    },
+  );
+
+  router.add(
+    'POST',
+    '/api/v1/codex/sessions/:sessionId/interrupt',
+    ({ params }) => {
+      const session = requireCodexSession(state, params.sessionId);
+      if (replay?.owns(session.id)) {
+        replay.interrupt(session);
+        return session;
+      }
+      clearTimeout(pendingReplies.get(session.id));
+      if (session.is_busy) {
+        pushCodexEvent(state, session, {
+          kind: 'status',
+          title: 'Turn interrupted',
+          status: 'interrupted',
+        });
+      }
+      session.is_busy = false;
+      session.status = 'idle';
+      session.updated_at = now();
+      return session;
+    },
+  );
+
+  router.add(
+    'POST',
+    '/api/v1/codex/sessions/:sessionId/extension-ui/:requestId',
+    ({ params, body }) => {
+      const session = requireCodexSession(state, params.sessionId);
+      const answer = body.cancelled
+        ? 'cancelled'
+        : body.confirmed !== undefined
+          ? String(body.confirmed)
+          : String(body.value ?? '');
+      pushCodexEvent(state, session, {
+        kind: 'extension_ui_response',
+        title: `Response to ${params.requestId}`,
+        text: answer,
+        status: 'completed',
+      });
+      replay?.resume(session, params.requestId);
+      return session;
+    },
+  );
+
+  router.add(
+    'GET',
+    '/api/v1/codex/sessions/:sessionId/events',
+    ({ params, query }) => {
+      requireCodexSession(state, params.sessionId);
+      const limit = Number.parseInt(query.get('limit') ?? '300', 10) || 300;
+      return (state.codexEvents.get(params.sessionId) ?? []).slice(-limit);
+    },
+  );
+
+  router.add(
+    'GET',
+    '/api/v1/codex/sessions/:sessionId/changes',
+    ({ params }) => {
+      const session = requireCodexSession(state, params.sessionId);
+      const recorded = replay?.changes(session);
+      if (recorded) {
+        return recorded;
+      }
+      const workspaceId = session.workspace_tags[0]?.workspace_id;
+      const dirty = [...(state.dirtyFiles.get(workspaceId) ?? [])];
+      return {
+        session_id: session.id,
+        workspace_path: session.cwd,
+        git_root: session.cwd,
+        branch: 'main',
+        summary: {
+          changed_files: dirty.length,
+          staged_files: 0,
+          unstaged_files: dirty.length,
+          untracked_files: 0,
+        },
+        files: dirty.map((path) => ({
+          path,
+          status: 'modified',
+          staged: ' ',
+          unstaged: 'M',
+        })),
+        diff_stat: `${dirty.length} file(s) changed`,
+        diff: dirty
+          .map(
+            (path) =>
+              `diff --git a/${path} b/${path}\n--- a/${path}\n+++ b/${path}\n`,
+          )
+          .join(''),
+        truncated: false,
+      };
+    },
+  );
+}
+
+function launchSession(state, body, replay) {
+  const scopeType = body.scope_type || 'workspace';
+  const workspaceId =
+    body.workspace_id ||
+    (scopeType === 'collection'
+      ? state.collections.find((c) => c.id === body.scope_id)
+          ?.default_workspace_id
+      : body.scope_id);
+  const workspace = requireWorkspace(state, String(workspaceId ?? ''));
+  const terminalSession = {
+    id: createId(),
+    session_name: `${agentLabel(body.agent_provider)} session`,
+    status: 'active',
+    workspace_id: workspace.id,
+  };
+  state.sessions.unshift(terminalSession);
+  state.buffers.set(terminalSession.id, '');
+
+  const prompt = body.prompt?.trim();
+  const session = {
+    id: createId(),
+    title:
+      body.title ||
+      (prompt ? prompt.split('\n')[0].slice(0, 80) : 'New thread'),
+    cwd: workspace.local_path,
+    rollout_path: `/runtime/codex/sessions/${terminalSession.id}.jsonl`,
+    source: 'mock',
+    model: body.provider_model || models[0].slug,
+    agent_provider: body.agent_provider || 'codex',
+    runtime_session_id: createId(),
+    provider_session_id: null,
+    provider_session_file: null,
+    provider_model: body.provider_model || models[0].slug,
+    provider_thinking_level: body.provider_thinking_level || null,
+    updated_at: now(),
+    status: 'idle',
+    terminal_session_id: terminalSession.id,
+    is_busy: false,
+    queued_message_count: 0,
+    workspace_tags: [
+      {
+        workspace_id: workspace.id,
+        name: workspace.name,
+        repository: workspace.github_repo || null,
+      },
+    ],
+    collection_tags: [],
+    scope_type: scopeType,
+    scope_id: body.scope_id || workspace.id,
+    usage: emptyUsage(),
+  };
+  state.codexSessions.unshift(session);
+  state.codexEvents.set(session.id, []);
+  const transcript = replay?.pick(session.agent_provider);
+  if (transcript) {
+    replay.attach(session, transcript);
+  }
+  return { codex_session: session, terminal_session: terminalSession };
+}
+
+export function requireCodexSession(state, sessionId) {
+  const session = state.codexSessions.find((item) => item.id === sessionId);
+  if (!session) {
+    throw notFound(`Codex session ${sessionId}`);
+  }
+  return session;
+}
+
+function sendPrompt(state, session, prompt, replay) {
+  if (replay?.owns(session.id)) {
+    replay.submit(session, prompt);
+  } else {
+    submitPrompt(state, session, prompt);
+  }
+}
+
+function submitPrompt(state, session, prompt) {
+  pushCodexEvent(state, session, {
+    kind: 'message',
+    role: 'user',
+    text: prompt,
+    status: 'submitted',
+  });
+  session.is_busy = true;
+  session.status = 'running';
+  session.updated_at = now();
+  clearTimeout(pendingReplies.get(session.id));
+  const timer = setTimeout(() => {
+    pushCodexEvent(state, session, {
+      kind: 'message',
+      role: 'assistant',
+      text: `Mock ${agentLabel(session.agent_provider)} received:\n\n> ${prompt}`,
+      status: 'completed',
+    });
+    session.usage.total.input_tokens += prompt.length * 4;
+    session.usage.total.output_tokens += 120;
+    session.usage.total.total_tokens =
+      session.usage.total.input_tokens + session.usage.total.output_tokens;
+    session.is_busy = false;
+    session.status = 'idle';
+    session.updated_at = now();
+  }, replyDelayMs).unref();
+  pendingReplies.set(session.id, timer);
+}
+
+function emptyUsage() {
+  return {
+    total: { input_tokens: 0, output_tokens: 0, total_tokens: 0 },
+    cost_usd: 0,
+  };
+}
+
+function agentLabel(provider) {
+  return provider === 'pi' ? 'Pi' : 'Codex';
+}
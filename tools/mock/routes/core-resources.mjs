@@ -0,0 +1,581 @@
+import { freemem, loadavg, cpus, totalmem, uptime } from 'node:os';
+
+import { decodeJwtPayload } from '../../authos/tokens.mjs';
+import {
+  HttpError,
+  badRequest,
+  bearerToken,
+  notFound,
+  sendJson,
+} from '../http.mjs';
+import {
+  createId,
+  findWorkspace,
+  markDirty,
+  now,
+  serializeCollection,
+  welcomeBuffer,
+  workspaceFiles,
+} from '../state.mjs';
+
+const requiredGithubScopes = ['repo', 'read:user', 'user:email', 'read:org'];
+
+export function registerCoreResourceRoutes(router, { state, options }) {
+  router.add(
+    'GET',
+    '/api/v1/health',
+    ({ res }) => {
+      // HealthStatus reads these fields from the top level, so they are
+      // repeated beside the envelope.
+      const health = {
+        status: 'healthy',
+        service: 'act-server',
+        version: options.version,
+      };
+      sendJson(res, 200, { success: true, ...health, data: health });
+    },
+    { public: true },
+  );
+
+  router.add(
+    'GET',
+    '/api/v1/deployment/config',
+    () => ({
+      deployment_mode: 'local_mock',
+      act_public_url: options.publicUrl,
+      authos_base_url: options.authOsBaseUrl,
+      authos_dashboard_url: null,
+      authos_org_slug: 'example-org',
+      authos_service_slug: 'act',
+      authos_client_id: 'act-local-mock',
+      required_github_scopes: requiredGithubScopes,
+      native_redirect_uri: 'act://auth/callback',
+      web_callback_uri: `${options.frontendOrigin}/auth/callback`,
+    }),
+    { public: true },
+  );
+
+  router.add('GET', '/api/v1/auth/me', ({ req }) => {
+    if (!options.authOsUrl) {
+      return state.user;
+    }
+    const claims = decodeJwtPayload(bearerToken(req));
+    return { ...state.user, email: claims.email };
+  });
+
+  router.add('GET', '/api/v1/workspaces', () => state.workspaces);
+
+  router.add('GET', '/api/v1/workspaces/git/changes', () =>
+    state.workspaces.map((workspace) => gitOverview(state, workspace)),
+  );
+
+  router.add('POST', '/api/v1/workspaces/empty', ({ body }) => {
+    const name = requiredString(body.name, 'name');
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    const workspace = {
+      id: createId(),
+      name,
+      local_path: body.path || `/workspaces/${slug}`,
+      is_active: true,
+      github_repo: '',
+      github_url: '',
+      source_kind: 'empty',
+      source_provider: null,
+      source_ref: null,
+    };
+    state.workspaces.push(workspace);
+    workspaceFiles(state, workspace.id).set('README.md', `# ${name}\n`);
+    addToCollection(state, body.collection_id, workspace.id);
+    return workspace;
+  });
+
+  router.add('DELETE', '/api/v1/workspaces/:workspaceId', ({ params }) => {
+    const workspace = requireWorkspace(state, params.workspaceId);
+    state.workspaces.splice(state.workspaces.indexOf(workspace), 1);
+    state.files.delete(workspace.id);
+    state.dirtyFiles.delete(workspace.id);
+    for (const collection of state.collections) {
+      collection.members = collection.members.filter(
+        (member) => member.workspace_id !== workspace.id,
+      );
+    }
+    return { id: workspace.id, deleted: true };
+  });
+
+  router.add(
+    'GET',
+    '/api/v1/workspaces/:workspaceId/files',
+    ({ params, query }) => {
+      requireWorkspace(state, params.workspaceId);
+      return directoryListing(state, params.workspaceId, query.get('path'));
+    },
+  );
+
+  router.add(
+    'GET',
+    '/api/v1/workspaces/:workspaceId/files/content',
+    ({ params, query }) => {
+      requireWorkspace(state, params.workspaceId);
+      const path = normalizePath(query.get('path'));
+      const content = workspaceFiles(state, params.workspaceId).get(path);
+      if (content === undefined) {
+        throw notFound(`File ${path}`);
+      }
+      return {
+        path,
+        content,
+        encoding: 'utf-8',
+        size: Buffer.byteLength(content),
+        is_binary: false,
+      };
+    },
+  );
+
+  router.add(
+    'PUT',
+    '/api/v1/workspaces/:workspaceId/files/content',
+    ({ params, body }) => {
+      requireWorkspace(state, params.workspaceId);
+      const path = normalizePath(requiredString(body.path, 'path'));
+      const content = String(body.content ?? '');
+      workspaceFiles(state, params.workspaceId).set(path, content);
+      markDirty(state, params.workspaceId, path);
+      return { path, size: Buffer.byteLength(content) };
+    },
+  );
+
+  router.add('GET', '/api/v1/collections', () =>
+    state.collections.map((collection) =>
+      serializeCollection(state, collection),
+    ),
+  );
+
+  router.add('POST', '/api/v1/collections', ({ body }) => {
+    const workspaceIds = Array.isArray(body.workspace_ids)
+      ? body.workspace_ids.map(String)
+      : [];
+    for (const workspaceId of workspaceIds) {
+      requireWorkspace(state, workspaceId);
+    }
+    const collection = {
+      id: createId(),
+      name: requiredString(body.name, 'name'),
+      description: body.description ?? null,
+      color: null,
+      icon: null,
+      default_workspace_id: workspaceIds[0] ?? null,
+      members: workspaceIds.map((workspaceId, index) => ({
+        workspace_id: workspaceId,
+        role: index === 0 ? 'primary' : 'member',
+      })),
+    };
+    state.collections.push(collection);
+    return serializeCollection(state, collection);
+  });
+
+  router.add('PUT', '/api/v1/collections/:collectionId', ({ params, body }) => {
+    const collection = requireCollection(state, params.collectionId);
+    collection.name = requiredString(body.name, 'name');
+    collection.description = body.description ?? null;
+    return serializeCollection(state, collection);
+  });
+
+  router.add('DELETE', '/api/v1/collections/:collectionId', ({ params }) => {
+    const collection = requireCollection(state, params.collectionId);
+    state.collections.splice(state.collections.indexOf(collection), 1);
+    return { id: collection.id, deleted: true };
+  });
+
+  router.add(
+    'POST',
+    '/api/v1/collections/:collectionId/members',
+    ({ params, body }) => {
+      const collection = requireCollection(state, params.collectionId);
+      const workspace = requireWorkspace(state, String(body.workspace_id));
+      addToCollection(state, collection.id, workspace.id);
+      return serializeCollection(state, collection);
+    },
+  );
+
+  router.add(
+    'DELETE',
+    '/api/v1/collections/:collectionId/members/:workspaceId',
+    ({ params }) => {
+      const collection = requireCollection(state, params.collectionId);
+      collection.members = collection.members.filter(
+        (member) => member.workspace_id !== params.workspaceId,
+      );
+      if (collection.default_workspace_id === params.workspaceId) {
+        collection.default_workspace_id =
+          collection.members[0]?.workspace_id ?? null;
+      }
+      return serializeCollection(state, collection);
+    },
+  );
+
+  router.add(
+    'POST',
+    '/api/v1/collections/:collectionId/default-workspace',
+    ({ params, body }) => {
+      const collection = requireCollection(state, params.collectionId);
+      const workspaceId = String(body.workspace_id ?? '');
+      if (!collection.members.some((m) => m.workspace_id === workspaceId)) {
+        throw badRequest('Workspace is not a member of this collection');
+      }
+      collection.default_workspace_id = workspaceId;
+      for (const member of collection.members) {
+        member.role =
+          member.workspace_id === workspaceId ? 'primary' : 'member';
+      }
+      return serializeCollection(state, collection);
+    },
+  );
+
+  router.add('GET', '/api/v1/sessions', () => state.sessions);
+
+  router.add('POST', '/api/v1/sessions', ({ body }) => {
+    const workspace = requireWorkspace(state, String(body.workspace_id));
+    const session = {
+      id: createId(),
+      session_name: body.session_name || 'Terminal',
+      status: 'active',
+      workspace_id: workspace.id,
+    };
+    state.sessions.unshift(session);
+    state.buffers.set(session.id, welcomeBuffer(session));
+    return session;
+  });
+
+  router.add('DELETE', '/api/v1/sessions/:sessionId', ({ params }) => {
+    const session = requireSession(state, params.sessionId);
+    state.sessions.splice(state.sessions.indexOf(session), 1);
+    state.buffers.delete(session.id);
+    state.events.emit('session:terminated', session.id);
+    return { id: session.id, terminated: true };
+  });
+
+  router.add('GET', '/api/v1/sessions/:sessionId/buffer', ({ params }) => {
+    requireSession(state, params.sessionId);
+    return state.buffers.get(params.sessionId) ?? '';
+  });
+
+  router.add('GET', '/api/v1/system/stats', () => {
+    const memoryTotal = totalmem();
+    const memoryUsage = memoryTotal - freemem();
+    const cores = Math.max(cpus().length, 1);
+    return {
+      cpu_usage: Math.min(100, (loadavg()[0] / cores) * 100),
+      memory_usage: memoryUsage,
+      memory_total: memoryTotal,
+      memory_percentage: (memoryUsage / memoryTotal) * 100,
+      disk_usage: 42 * 1024 ** 3,
+      disk_total: 120 * 1024 ** 3,
+      disk_percentage: 35,
+      active_sessions: state.sessions.length,
+      active_processes: state.processes.filter((p) => p.status === 'running')
+        .length,
+      uptime_seconds: Math.round(uptime()),
+      system_health: 'Healthy',
+    };
+  });
+
+  router.add('GET', '/api/v1/processes', () => state.processes);
+
+  router.add('POST', '/api/v1/processes/:processId/stop', ({ params }) => {
+    const serverProcess = requireProcess(state, params.processId);
+    serverProcess.status = 'stopped';
+    serverProcess.pid = null;
+    serverProcess.updated_at = now();
+    return serverProcess;
+  });
+
+  router.add('POST', '/api/v1/processes/:processId/restart', ({ params }) => {
+    const serverProcess = requireProcess(state, params.processId);
+    serverProcess.status = 'running';
+    serverProcess.pid = 10000 + Math.floor(Math.random() * 50000);
+    serverProcess.updated_at = now();
+    return serverProcess;
+  });
+
+  router.add('GET', '/api/v1/github/status', ({ req }) => {
+    if (options.authOsUrl) {
+      return authOsProviderStatus(options, req);
+    }
+    return {
+      available: true,
+      provider: 'github',
+      has_access_token: true,
+      has_refresh_token: true,
+      expires_at: null,
+      scopes: requiredGithubScopes,
+      action_required: false,
+      missing_scopes: [],
+    };
+  });
+
+  router.add('GET', '/api/v1/github/cli/status', () => ({
+    installed: true,
+    authenticated: true,
+    version: 'gh version 2.60.0 (mock)',
+    username: 'act-dev',
+    token_source: 'mock',
+  }));
+
+  router.add('GET', '/api/v1/github/repositories', ({ query }) => {
+    const search = (query.get('search') ?? '').trim().toLowerCase();
+    const page = Math.max(
+      1,
+      Number.parseInt(query.get('page') ?? '1', 10) || 1,
+    );
+    const perPage = Math.max(
+      1,
+      Number.parseInt(query.get('per_page') ?? '50', 10) || 50,
+    );
+    const matching = state.repositories
+      .filter(
+        (repository) =>
+          search === '' ||
+          repository.full_name.toLowerCase().includes(search) ||
+          (repository.description ?? '').toLowerCase().includes(search),
+      )
+      .map((repository) => withCloneState(state, repository));
+    const start = (page - 1) * perPage;
+    const hasMore = start + perPage < matching.length;
+    return {
+      repositories: matching.slice(start, start + perPage),
+      page,
+      per_page: perPage,
+      has_more: hasMore,
+      next_page: hasMore ? page + 1 : null,
+    };
+  });
+
+  router.add('POST', '/api/v1/github/clone', ({ body }) => {
+    const name = requiredString(body.name, 'name');
+    const gitUrl = requiredString(body.git_url, 'git_url');
+    const repository = state.repositories.find(
+      (candidate) => candidate.clone_url === gitUrl,
+    );
+    const fullName = repository?.full_name ?? name;
+    const workspace = {
+      id: createId(),
+      name,
+      local_path: `/workspaces/${name}`,
+      is_active: true,
+      github_repo: fullName,
+      github_url: `https://github.com/${fullName}`,
+      source_kind: 'github',
+      source_provider: 'github',
+      source_ref: body.branch || 'main',
+    };
+    state.workspaces.push(workspace);
+    workspaceFiles(state, workspace.id).set(
+      'README.md',
+      `# ${name}\n\n${body.description ?? ''}\n`,
+    );
+    addToCollection(state, body.collection_id, workspace.id);
+    return { workspace };
+  });
+
+  router.add('GET', '/api/v1/tasks/readiness', () => ({
+    runner_mode: 'local_mock',
+    codex_login_status: 'authenticated',
+    codex_version: 'codex (mock)',
+    pi_status: 'authenticated',
+    pi_version: 'pi (mock)',
+    pi_session_dir: '/runtime/pi',
+    workspace_root: '/workspaces',
+    artifact_root: '/artifacts',
+    runtime_root: '/runtime',
+    codex_home: '/runtime/codex',
+    available_disk_gb: 88,
+    min_free_disk_gb: 20,
+    github_provider_status: 'connected',
+    ready: true,
+    blocked_reasons: [],
+  }));
+}
+
+export function requireWorkspace(state, workspaceId) {
+  const workspace = findWorkspace(state, workspaceId);
+  if (!workspace) {
+    throw notFound(`Workspace ${workspaceId}`);
+  }
+  return workspace;
+}
+
+export function requiredString(value, field) {
+  const text = value === undefined || value === null ? '' : String(value);
+  if (text.trim() === '') {
+    throw badRequest(`${field} is required`);
+  }
+  return text.trim();
+}
+
+function requireCollection(state, collectionId) {
+  const collection = state.collections.find((item) => item.id === collectionId);
+  if (!collection) {
+    throw notFound(`Collection ${collectionId}`);
+  }
+  return collection;
+}
+
+function requireSession(state, sessionId) {
+  const session = state.sessions.find((item) => item.id === sessionId);
+  if (!session) {
+    throw notFound(`Session ${sessionId}`);
+  }
+  return session;
+}
+
+function requireProcess(state, processId) {
+  const serverProcess = state.processes.find((item) => item.id === processId);
+  if (!serverProcess) {
+    throw notFound(`Process ${processId}`);
+  }
+  return serverProcess;
+}
+
+function addToCollection(state, collectionId, workspaceId) {
+  if (!collectionId) {
+    return;
+  }
+  const collection = requireCollection(state, String(collectionId));
+  if (
+    collection.members.some((member) => member.workspace_id === workspaceId)
+  ) {
+    return;
+  }
+  collection.members.push({
+    workspace_id: workspaceId,
+    role: collection.members.length === 0 ? 'primary' : 'member',
+  });
+  collection.default_workspace_id ??= workspaceId;
+}
+
+function normalizePath(path) {
+  const normalized = String(path ?? '')
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter((segment) => segment !== '' && segment !== '.')
+    .join('/');
+  if (normalized.split('/').includes('..')) {
+    throw badRequest('Path must stay inside the workspace');
+  }
+  return normalized;
+}
+
+function directoryListing(state, workspaceId, rawPath) {
+  const path = normalizePath(rawPath);
+  const prefix = path === '' ? '' : `${path}/`;
+  const dirty = state.dirtyFiles.get(workspaceId) ?? new Set();
+  const children = new Map();
+
+  for (const [filePath, content] of workspaceFiles(state, workspaceId)) {
+    if (!filePath.startsWith(prefix)) {
+      continue;
+    }
+    const [name, ...rest] = filePath.slice(prefix.length).split('/');
+    const childPath = `${prefix}${name}`;
+    const isDirectory = rest.length > 0;
+    const existing = children.get(childPath);
+    const changed = dirty.has(filePath);
+    if (existing) {
+      existing.git_status_summary.changed ||= changed;
+      continue;
+    }
+    children.set(childPath, {
+      name,
+      path: childPath,
+      is_directory: isDirectory,
+      size: isDirectory ? null : Buffer.byteLength(content),
+      git_status: !isDirectory && changed ? 'modified' : null,
+      git_status_summary: { changed, unstaged: changed },
+    });
+  }
+
+  const items = [...children.values()].sort((a, b) =>
+    a.is_directory === b.is_directory
+      ? a.name.localeCompare(b.name)
+      : a.is_directory
+        ? -1
+        : 1,
+  );
+  const visible = items.filter((item) => !item.name.startsWith('.'));
+  return {
+    path: path === '' ? '.' : path,
+    items: visible,
+    total_items: items.length,
+    hidden_items: items.length - visible.length,
+  };
+}
+
+function gitOverview(state, workspace) {
+  const dirty = state.dirtyFiles.get(workspace.id) ?? new Set();
+  const isGitRepository = workspace.source_kind === 'github';
+  return {
+    workspace_id: workspace.id,
+    name: workspace.name,
+    local_path: workspace.local_path,
+    github_repo: workspace.github_repo,
+    github_url: workspace.github_url,
+    branch: isGitRepository ? (workspace.source_ref ?? 'main') : null,
+    remote: isGitRepository ? 'origin' : null,
+    upstream: isGitRepository
+      ? `origin/${workspace.source_ref ?? 'main'}`
+      : null,
+    is_git_repository: isGitRepository,
+    is_clean: dirty.size === 0,
+    has_uncommitted_changes: dirty.size > 0,
+    has_unpushed_changes: false,
+    staged_count: 0,
+    unstaged_count: dirty.size,
+    untracked_count: 0,
+    ahead: 0,
+    behind: 0,
+    status: dirty.size === 0 ? 'clean' : 'dirty',
+    error: null,
+  };
+}
+
+function withCloneState(state, repository) {
+  const workspace = state.workspaces.find(
+    (candidate) => candidate.github_repo === repository.full_name,
+  );
+  return {
+    ...repository,
+    cloned: Boolean(workspace),
+    cloned_workspace_id: workspace?.id ?? null,
+    cloned_workspace_name: workspace?.name ?? null,
+    cloned_local_path: workspace?.local_path ?? null,
+  };
+}
+
+// The real server asks AuthOS for the user's GitHub token; the fake exposes
+// the same decision on a helper route.
+async function authOsProviderStatus(options, req) {
+  const url = new URL('/__authos/provider-status', options.authOsUrl);
+  url.searchParams.set('provider', 'github');
+  url.searchParams.set('scopes', requiredGithubScopes.join(','));
+  url.searchParams.set(
+    'redirect_uri',
+    `${options.frontendOrigin}/auth/callback`,
+  );
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: { authorization: req.headers.authorization ?? '' },
+    });
+  } catch (error) {
+    throw new HttpError(502, 'authos_unavailable', error.message);
+  }
+  const body = await response.json();
+  if (!response.ok) {
+    throw new HttpError(
+      response.status,
+      body.error ?? 'authos_error',
+      body.error_description ?? 'AuthOS rejected the request',
+    );
+  }
+  return body;
+}
@@ -0,0 +1,75 @@
+import { notFound } from '../http.mjs';
+import { createId, now } from '../state.mjs';
+import { requiredString, requireWorkspace } from './core-resources.mjs';
+
+export function registerLayoutRoutes(router, { state }) {
+  router.add('GET', '/api/v1/layouts', ({ query }) => {
+    const workspaceId = query.get('workspace_id');
+    return state.layouts.filter(
+      (layout) => !workspaceId || layout.workspace_id === workspaceId,
+    );
+  });
+
+  router.add('POST', '/api/v1/layouts/with-buffers', ({ body }) => {
+    const workspace = requireWorkspace(state, String(body.workspace_id ?? ''));
+    const layout = {
+      id: createId(),
+      name: requiredString(body.name, 'name'),
+      layout_type: body.layout_type || 'grid',
+      tree: body.tree ?? { type: 'single', panes: [{ index: 0 }] },
+      is_default: body.is_default === true,
+      workspace_id: workspace.id,
+      created_at: now(),
+      updated_at: now(),
+    };
+    state.layouts.push(layout);
+    if (layout.is_default) {
+      makeDefault(state, layout);
+    }
+    return layout;
+  });
+
+  router.add('PUT', '/api/v1/layouts/:layoutId', ({ params, body }) => {
+    const layout = requireLayout(state, params.layoutId);
+    if (body.name !== undefined) {
+      layout.name = requiredString(body.name, 'name');
+    }
+    if (body.tree !== undefined) {
+      layout.tree = body.tree;
+      layout.layout_type = body.tree?.type === 'single' ? 'single' : 'grid';
+    }
+    if (body.is_default === true) {
+      makeDefault(state, layout);
+    }
+    layout.updated_at = now();
+    return layout;
+  });
+
+  router.add('POST', '/api/v1/layouts/:layoutId/default', ({ params }) => {
+    const layout = requireLayout(state, params.layoutId);
+    makeDefault(state, layout);
+    return layout;
+  });
+
+  router.add('DELETE', '/api/v1/layouts/:layoutId', ({ params }) => {
+    const layout = requireLayout(state, params.layoutId);
+    state.layouts.splice(state.layouts.indexOf(layout), 1);
+    return { id: layout.id, deleted: true };
+  });
+}
+
+function requireLayout(state, layoutId) {
+  const layout = state.layouts.find((item) => item.id === layoutId);
+  if (!layout) {
+    throw notFound(`Layout ${layoutId}`);
+  }
+  return layout;
+}
+
+function makeDefault(state, layout) {
+  for (const candidate of state.layouts) {
+    if (candidate.workspace_id === layout.workspace_id) {
+      candidate.is_default = candidate === layout;
+    }
+  }
+}
@@ -0,0 +1,47 @@
+import { randomBytes } from 'node:crypto';
+
+import { HttpError, sendJson } from '../http.mjs';
+
+// AuthOS responses are not wrapped in the ACT envelope. These two routes are
+// just enough for the web client to sign in against the mock.
+export function registerSignInRoutes(router) {
+  router.add(
+    'GET',
+    '/auth/:provider',
+    ({ res, query }) => {
+      const redirectUri = query.get('redirect_uri');
+      if (!redirectUri) {
+        throw new HttpError(400, 'invalid_request', 'redirect_uri is required');
+      }
+      const tokens = new URLSearchParams(issueTokens());
+      res.writeHead(302, { location: `${redirectUri}#${tokens}` });
+      res.end();
+    },
+    { public: true },
+  );
+
+  router.add(
+    'POST',
+    '/api/auth/refresh',
+    ({ res, body }) => {
+      if (!body.refresh_token) {
+        throw new HttpError(
+          400,
+          'invalid_request',
+          'refresh_token is required',
+        );
+      }
+      sendJson(res, 200, issueTokens());
+    },
+    { public: true },
+  );
+}
+
+function issueTokens() {
+  return {
+    access_token: `mock-access-${randomBytes(12).toString('hex')}`,
+    refresh_token: `mock-refresh-${randomBytes(12).toString('hex')}`,
+    token_type: 'Bearer',
+    expires_in: '3600',
+  };
+}
@@ -0,0 +1,431 @@
+import { HttpError, badRequest, notFound } from '../http.mjs';
+import { createId, now, sha256 } from '../state.mjs';
+import { requiredString, requireWorkspace } from './core-resources.mjs';
+
+const runStepMs = 1200;
+
+export function registerTaskRoutes(router, { state }) {
+  router.add('GET', '/api/v1/tasks', ({ query }) => {
+    const workspaceId = query.get('workspace_id');
+    const scopeType = query.get('scope_type');
+    const scopeId = query.get('scope_id');
+    return state.tasks
+      .filter((task) => {
+        if (workspaceId && !task.workspace_ids.includes(workspaceId)) {
+          return false;
+        }
+        if (scopeType === 'collection' && scopeId) {
+          return task.collection_ids.includes(scopeId);
+        }
+        if (scopeType === 'workspace' && scopeId) {
+          return task.workspace_ids.includes(scopeId);
+        }
+        return true;
+      })
+      .map((task) => serializeTask(state, task));
+  });
+
+  router.add('POST', '/api/v1/tasks', ({ body }) => {
+    const task = {
+      id: createId(),
+      status: 'ready',
+      attachments: [],
+      runs: [],
+      created_at: now(),
+      ...taskFields(state, body),
+    };
+    state.tasks.unshift(task);
+    return serializeTask(state, task);
+  });
+
+  router.add('GET', '/api/v1/tasks/:taskId', ({ params }) =>
+    serializeTask(state, requireTask(state, params.taskId)),
+  );
+
+  router.add('PUT', '/api/v1/tasks/:taskId', ({ params, body }) => {
+    const task = requireTask(state, params.taskId);
+    Object.assign(task, taskFields(state, body));
+    return serializeTask(state, task);
+  });
+
+  router.add('DELETE', '/api/v1/tasks/:taskId', ({ params }) => {
+    const task = requireTask(state, params.taskId);
+    state.tasks.splice(state.tasks.indexOf(task), 1);
+    return { id: task.id, deleted: true };
+  });
+
+  router.add(
+    'POST',
+    '/api/v1/tasks/:taskId/attachments',
+    ({ params, body }) => {
+      const task = requireTask(state, params.taskId);
+      const bytes = Buffer.from(
+        requiredString(body.content_base64, 'content_base64'),
+        'base64',
+      );
+      const attachment = {
+        id: createId(),
+        original_filename: requiredString(
+          body.original_filename,
+          'original_filename',
+        ),
+        content_type: body.content_type || 'application/octet-stream',
+        byte_size: bytes.length,
+        checksum_sha256: sha256(bytes),
+        bytes,
+      };
+      task.attachments.push(attachment);
+      return serializeAttachment(attachment);
+    },
+  );
+
+  router.add(
+    'DELETE',
+    '/api/v1/tasks/:taskId/attachments/:attachmentId',
+    ({ params }) => {
+      const task = requireTask(state, params.taskId);
+      const index = task.attachments.findIndex(
+        (attachment) => attachment.id === params.attachmentId,
+      );
+      if (index === -1) {
+        throw notFound(`Attachment ${params.attachmentId}`);
+      }
+      task.attachments.splice(index, 1);
+      return { id: params.attachmentId, deleted: true };
+    },
+  );
+
+  router.add('POST', '/api/v1/tasks/:taskId/runs', ({ params, body }) => {
+    const task = requireTask(state, params.taskId);
+    if (task.runs.some((run) => activeRunStatuses.has(run.status))) {
+      throw new HttpError(
+        409,
+        'task_busy',
+        'This task already has an active run',
+      );
+    }
+    const run = createRun(task, body.agent_provider);
+    task.runs.unshift(run);
+    task.status = 'queued';
+    scheduleRun(state, task, run);
+    return serializeRun(run);
+  });
+
+  router.add(
+    'GET',
+    '/api/v1/tasks/:taskId/runs/:runId/events',
+    ({ params }) => requireRun(state, params).run.events,
+  );
+
+  router.add(
+    'GET',
+    '/api/v1/tasks/:taskId/runs/:runId/artifacts',
+    ({ params }) =>
+      requireRun(state, params).run.artifacts.map(serializeArtifact),
+  );
+
+  router.add(
+    'GET',
+    '/api/v1/tasks/:taskId/runs/:runId/artifacts/:artifactId',
+    ({ params }) => {
+      const artifact = requireArtifact(state, params);
+      const isText = artifact.preview_capabilities.text;
+      return {
+        artifact: serializeArtifact(artifact),
+        text: isText ? artifact.content.toString('utf8') : null,
+        base64: isText ? null : artifact.content.toString('base64'),
+      };
+    },
+  );
+
+  router.add(
+    'GET',
+    '/api/v1/tasks/:taskId/runs/:runId/artifacts/:artifactId/raw',
+    ({ params, res }) => {
+      const artifact = requireArtifact(state, params);
+      res.writeHead(200, {
+        'content-type': artifact.content_type,
+        'content-length': artifact.content.length,
+        'content-disposition': `inline; filename="${artifact.name}"`,
+      });
+      res.end(artifact.content);
+    },
+  );
+
+  router.add(
+    'POST',
+    '/api/v1/tasks/:taskId/runs/:runId/finalize',
+    ({ params }) => {
+      const { task, run } = requireRun(state, params);
+      if (run.status !== 'completed') {
+        throw new HttpError(
+          409,
+          'run_not_finished',
+          'Only completed runs can be finalized',
+        );
+      }
+      task.status = 'done';
+      appendEvent(run, 'status', 'Run finalized', null, 'finalized');
+      return { task: serializeTask(state, task) };
+    },
+  );
+
+  router.add(
+    'POST',
+    '/api/v1/tasks/:taskId/runs/:runId/pull-requests',
+    ({ params }) => {
+      const { task, run } = requireRun(state, params);
+      for (const workspaceId of task.workspace_ids) {
+        const workspace = requireWorkspace(state, workspaceId);
+        if (!workspace.github_repo) {
+          run.pull_requests.push({
+            id: createId(),
+            repository: workspace.name,
+            state: 'failed',
+            url: '',
+            action: 'failed',
+            workspace_id: workspace.id,
+            error: 'Workspace has no GitHub remote',
+          });
+          continue;
+        }
+        const existing = run.pull_requests.find(
+          (pr) => pr.workspace_id === workspace.id && pr.state === 'open',
+        );
+        if (existing) {
+          existing.action = 'existing';
+          continue;
+        }
+        const number = 100 + state.tasks.length + run.pull_requests.length;
+        run.pull_requests.push({
+          id: createId(),
+          repository: workspace.github_repo,
+          state: 'open',
+          url: `https://github.com/${workspace.github_repo}/pull/${number}`,
+          action: 'created',
+          workspace_id: workspace.id,
+          branch: `act/${task.id.slice(0, 8)}`,
+          title: task.title,
+        });
+      }
+      return { task: serializeTask(state, task) };
+    },
+  );
+}
+
+const activeRunStatuses = new Set([
+  'queued',
+  'starting',
+  'running',
+  'finalizing',
+  'interrupting',
+]);
+
+export function requireTask(state, taskId) {
+  const task = state.tasks.find((item) => item.id === taskId);
+  if (!task) {
+    throw notFound(`Task ${taskId}`);
+  }
+  return task;
+}
+
+export function serializeTask(state, task) {
+  return {
+    id: task.id,
+    title: task.title,
+    description: task.description,
+    final_report_instructions: task.final_report_instructions,
+    execution_mode: task.execution_mode,
+    approval_mode: task.approval_mode,
+    evidence_preference: task.evidence_preference,
+    status: task.status,
+    agent_provider: task.agent_provider,
+    provider_model: task.provider_model,
+    provider_thinking_level: task.provider_thinking_level,
+    source_collections: task.collection_ids
+      .map((collectionId) =>
+        state.collections.find((collection) => collection.id === collectionId),
+      )
+      .filter(Boolean)
+      .map((collection) => ({
+        collection_id: collection.id,
+        name: collection.name,
+        default_workspace_id: collection.default_workspace_id,
+        workspace_ids: collection.members.map((member) => member.workspace_id),
+      })),
+    workspaces: task.workspace_ids
+      .map((workspaceId) =>
+        state.workspaces.find((workspace) => workspace.id === workspaceId),
+      )
+      .filter(Boolean)
+      .map((workspace) => ({
+        workspace_id: workspace.id,
+        name: workspace.name,
+        path: workspace.local_path,
+        remote: workspace.github_repo || null,
+        working_strategy: task.working_strategy,
+        dirty_state: state.dirtyFiles.get(workspace.id)?.size
+          ? 'dirty'
+          : 'clean',
+      })),
+    attachments: task.attachments.map(serializeAttachment),
+    runs: task.runs.map(serializeRun),
+  };
+}
+
+export function appendEvent(run, type, title, text, status) {
+  const event = {
+    index: run.events.length,
+    type,
+    title,
+    text,
+    status,
+    timestamp: now(),
+  };
+  run.events.push(event);
+  return event;
+}
+
+function taskFields(state, body) {
+  const workspaceIds = Array.isArray(body.workspace_ids)
+    ? body.workspace_ids.map(String)
+    : [];
+  if (workspaceIds.length === 0) {
+    throw badRequest('workspace_ids must include at least one workspace');
+  }
+  for (const workspaceId of workspaceIds) {
+    requireWorkspace(state, workspaceId);
+  }
+  return {
+    title: requiredString(body.title, 'title'),
+    description: String(body.description ?? ''),
+    final_report_instructions: body.final_report_instructions || null,
+    execution_mode: body.execution_mode || 'implement',
+    approval_mode: body.approval_mode || 'ask_before_edits',
+    evidence_preference: body.evidence_preference || 'tests_plus_screenshots',
+    agent_provider: body.agent_provider || 'codex',
+    provider_model: body.provider_model || null,
+    provider_thinking_level: body.provider_thinking_level || null,
+    working_strategy: body.working_strategy || 'worktree',
+    workspace_ids: workspaceIds,
+    collection_ids: Array.isArray(body.collection_ids)
+      ? body.collection_ids.map(String)
+      : [],
+  };
+}
+
+function createRun(task, agentProvider) {
+  const id = createId();
+  return {
+    id,
+    task_id: task.id,
+    status: 'queued',
+    runner_mode: 'local_mock',
+    execution_mode: task.execution_mode,
+    approval_mode: task.approval_mode,
+    artifact_dir: `/artifacts/${id}`,
+    queue_position: 0,
+    codex_session_id: null,
+    agent_provider: agentProvider || task.agent_provider,
+    provider_session_id: null,
+    provider_session_file: null,
+    provider_model: task.provider_model,
+    provider_thinking_level: task.provider_thinking_level,
+    final_report: null,
+    events: [],
+    artifacts: [],
+    pull_requests: [],
+  };
+}
+
+function scheduleRun(state, task, run) {
+  appendEvent(run, 'status', 'Run queued', null, 'queued');
+  const steps = [
+    () => {
+      run.status = 'running';
+      task.status = 'running';
+      appendEvent(run, 'status', 'Run started', null, 'running');
+    },
+    () =>
+      appendEvent(
+        run,
+        'tool',
+        'Inspect workspace',
+        `Read ${task.workspace_ids.length} workspace(s) in the mock runner.`,
+        'completed',
+      ),
+    () => {
+      const report = `# Final report\n\n${task.title}\n\nThe local mock runner completed this task without touching any files.\n`;
+      run.final_report = report;
+      run.artifacts.push(textArtifact(run, 'final-report.md', report));
+      run.status = 'completed';
+      task.status = 'completed';
+      appendEvent(run, 'status', 'Run completed', null, 'completed');
+    },
+  ];
+  steps.forEach((step, index) => {
+    setTimeout(
+      () => {
+        if (state.tasks.includes(task)) {
+          step();
+        }
+      },
+      runStepMs * (index + 1),
+    ).unref();
+  });
+}
+
+function textArtifact(run, name, text) {
+  const content = Buffer.from(text, 'utf8');
+  return {
+    id: createId(),
+    run_id: run.id,
+    artifact_type: 'report',
+    name,
+    content_type: 'text/markdown',
+    byte_size: content.length,
+    workspace_id: null,
+    source_path: name,
+    preview_kind: 'markdown',
+    preview_capabilities: {
+      text: true,
+      markdown: true,
+      image: false,
+      pdf: false,
+      video: false,
+      raw: true,
+      download: true,
+    },
+    content,
+  };
+}
+
+function requireRun(state, params) {
+  const task = requireTask(state, params.taskId);
+  const run = task.runs.find((item) => item.id === params.runId);
+  if (!run) {
+    throw notFound(`Run ${params.runId}`);
+  }
+  return { task, run };
+}
+
+function requireArtifact(state, params) {
+  const { run } = requireRun(state, params);
+  const artifact = run.artifacts.find((item) => item.id === params.artifactId);
+  if (!artifact) {
+    throw notFound(`Artifact ${params.artifactId}`);
+  }
+  return artifact;
+}
+
+function serializeAttachment({ bytes, ...attachment }) {
+  return attachment;
+}
+
+function serializeArtifact({ content, ...artifact }) {
+  return artifact;
+}
+
+function serializeRun({ events, ...run }) {
+  return { ...run, artifacts: run.artifacts.map(serializeArtifact) };
+}
@@ -0,0 +1,173 @@
+import { createServer } from 'node:http';
+
+import {
+  HttpError,
+  applyCors,
+  bearerToken,
+  createRouter,
+  readJson,
+  sendData,
+  sendError,
+} from './http.mjs';
+import { decodeJwtPayload } from '../authos/tokens.mjs';
+import { createCodexReplay } from './codex-replay.mjs';
+import { registerCodexRoutes } from './routes/codex.mjs';
+import { registerCoreResourceRoutes } from './routes/core-resources.mjs';
+import { registerLayoutRoutes } from './routes/layouts.mjs';
+import { registerSignInRoutes } from './routes/sign-in.mjs';
+import { registerTaskRoutes } from './routes/tasks.mjs';
+import { createSocketServer } from './socket.mjs';
+import { createMockState } from './state.mjs';
+import { registerTaskExecutionSimulator } from './task-simulator.mjs';
+import { registerTerminalRuntime } from './terminal-runtime.mjs';
+
+const bodyMethods = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+export async function startMockServer({
+  host = '127.0.0.1',
+  port = 3001,
+  frontendOrigin = 'http://localhost:4000',
+  version = 'mock',
+  sandboxRoot,
+  scenarios = [],
+  play = null,
+  transcripts = [],
+  speed = 1,
+  authOsUrl = null,
+  shellToken = null,
+  log = (line) => process.stdout.write(`${line}\n`),
+} = {}) {
+  const state = createMockState();
+  const router = createRouter();
+  const server = createServer();
+  const options = { frontendOrigin, version, authOsUrl };
+  const replay = createCodexReplay(state, { transcripts, speed, log });
+  const context = { state, options, server, replay };
+
+  registerCoreResourceRoutes(router, context);
+  registerTaskRoutes(router, context);
+  registerCodexRoutes(router, context);
+  registerLayoutRoutes(router, context);
+  registerSignInRoutes(router, context);
+
+  server.on('request', async (req, res) => {
+    const startedAt = Date.now();
+    const url = new URL(req.url ?? '/', 'http://mock.local');
+    res.on('finish', () => {
+      log(
+        `${req.method} ${url.pathname} ${res.statusCode} ${Date.now() - startedAt}ms`,
+      );
+    });
+
+    applyCors(req, res, frontendOrigin);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    try {
+      const { route, params, pathMatched } = router.match(
+        req.method,
+        url.pathname,
+      );
+      if (!route) {
+        throw pathMatched
+          ? new HttpError(
+              405,
+              'method_not_allowed',
+              `${req.method} is not supported`,
+            )
+          : new HttpError(
+              404,
+              'not_found',
+              `No mock route for ${url.pathname}`,
+            );
+      }
+      if (!route.public && bearerToken(req) === '') {
+        throw new HttpError(401, 'unauthorized', 'Missing bearer token');
+      }
+      if (!route.public && authOsUrl) {
+        requireLiveAuthOsToken(bearerToken(req));
+      }
+      const body = bodyMethods.has(req.method) ? await readJson(req) : {};
+      const result = await route.handler({
+        req,
+        res,
+        params,
+        query: url.searchParams,
+        body,
+      });
+      if (!res.writableEnded) {
+        sendData(res, result ?? null);
+      }
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        log(`${req.method} ${url.pathname} failed: ${error.stack ?? error}`);
+      }
+      if (!res.headersSent) {
+        sendError(res, error);
+      }
+    }
+  });
+
+  // Socket.IO takes over /socket.io/ requests and forwards everything else to
+  // the REST handler above, so it has to attach after it.
+  const sockets = createSocketServer(server, { origin: frontendOrigin });
+  const terminals = registerTerminalRuntime(sockets, {
+    state,
+    sandboxRoot,
+    shellToken,
+    log,
+  });
+  const executions = registerTaskExecutionSimulator(sockets, {
+    scenarios,
+    play,
+    state,
+    speed,
+    log,
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+
+  const address = server.address();
+  const url = `http://${host.includes(':') ? `[${host}]` : host}:${address.port}`;
+  options.publicUrl = url;
+  options.authOsBaseUrl = authOsUrl ?? url;
+
+  return {
+    url,
+    server,
+    state,
+    sockets,
+    close: async () => {
+      terminals.close();
+      executions.close();
+      replay.close();
+      await sockets.close();
+      await new Promise((resolve) => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+      });
+    },
+  };
+}
+
+// With a fake AuthOS in front, expired access tokens are rejected the way the
+// real server does, so the client's refresh-and-retry path runs. Signatures
+// are left to AuthOS itself.
+function requireLiveAuthOsToken(token) {
+  const claims = decodeJwtPayload(token);
+  if (!claims) {
+    throw new HttpError(401, 'unauthorized', 'Access token is not a JWT');
+  }
+  if (typeof claims.exp === 'number' && claims.exp * 1000 <= Date.now()) {
+    throw new HttpError(401, 'unauthorized', 'Access token expired');
+  }
+}
@@ -0,0 +1,64 @@
+import { Server } from 'socket.io';
+
+// With an `origin`, only that page may open a socket: the mock accepts any
+// token, so a socket from another page would reach its terminals. Clients
+// outside a browser send no Origin and are let through.
+export function createSocketServer(httpServer, { origin } = {}) {
+  const io = new Server(httpServer, {
+    path: '/socket.io/',
+    cors: { origin: origin ?? true, credentials: true },
+    allowRequest: (req, callback) => {
+      const requestOrigin = req.headers.origin;
+      callback(
+        null,
+        !origin || requestOrigin === undefined || requestOrigin === origin,
+      );
+    },
+  });
+  const registrations = [];
+
+  io.on('connection', (socket) => {
+    socket.data.authenticated = false;
+
+    socket.on('authenticate', (payload) => {
+      const token = String(payload?.token ?? '').trim();
+      if (token === '') {
+        socket.emit('auth_error', { error: 'Missing access token' });
+        return;
+      }
+      socket.data.authenticated = true;
+      socket.data.token = token;
+      socket.join(userRoom);
+      socket.emit('authenticated', { success: true });
+    });
+
+    for (const register of registrations) {
+      register(socket);
+    }
+  });
+
+  return {
+    io,
+    use(register) {
+      registrations.push(register);
+    },
+    close: () => new Promise((resolve) => io.close(() => resolve())),
+  };
+}
+
+// The mock has a single user, so every authenticated socket shares one room
+// and events reach the user's other tabs and the push relay too.
+export const userRoom = 'user';
+
+export function onAuthenticated(socket, event, errorEvent, handler) {
+  socket.on(event, (payload) => {
+    if (!socket.data.authenticated) {
+      socket.emit(errorEvent, {
+        sessionId: payload?.sessionId,
+        error: 'Socket is not authenticated',
+      });
+      return;
+    }
+    handler(payload ?? {});
+  });
+}
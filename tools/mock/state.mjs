@@ -0,0 +1,227 @@
+import { createHash, randomUUID } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const seedWorkspaces = [
+  {
+    id: 'act',
+    name: 'ACT',
+    local_path: '/workspaces/ai-code-terminal',
+    is_active: true,
+    github_repo: 'drmhse/ai-code-terminal',
+    github_url: 'https://github.com/drmhse/ai-code-terminal',
+    source_kind: 'github',
+    source_provider: 'github',
+    source_ref: 'main',
+  },
+  {
+    id: 'act-website',
+    name: 'act-website',
+    local_path: '/workspaces/act-website',
+    is_active: true,
+    github_repo: 'drmhse/act-website',
+    github_url: 'https://github.com/drmhse/act-website',
+    source_kind: 'github',
+    source_provider: 'github',
+    source_ref: 'main',
+  },
+];
+
+const seedFiles = {
+  act: {
+    'README.md':
+      '# ACT\n\nMobile-first AI code terminal with hosted workspaces, Codex threads, native tasks, and GitHub workflows.\n',
+    'GETTING_STARTED.md':
+      '# Getting started\n\nRun `npm run dev:mock` to develop against the local Node mock server.\n',
+    'frontend/pubspec.yaml': 'name: act_frontend\nversion: 1.0.0+1\n',
+    'frontend/lib/main.dart':
+      "import 'package:act_frontend/src/app/act_app.dart';\nimport 'package:flutter/widgets.dart';\n\nvoid main() => runApp(const ActApp());\n",
+    'tools/dev.mjs': "import { spawn } from 'node:child_process';\n",
+  },
+  'act-website': {
+    'README.md': '# act-website\n\nStatic Flutter web demo output.\n',
+    'index.html': '<!DOCTYPE html>\n<html><body>ACT</body></html>\n',
+  },
+};
+
+const seedRepositories = [
+  {
+    id: 1,
+    name: 'ai-code-terminal',
+    full_name: 'drmhse/ai-code-terminal',
+    description: 'AI Code Terminal app',
+    clone_url: 'https://github.com/drmhse/ai-code-terminal.git',
+    default_branch: 'main',
+    private: false,
+    language: 'Dart',
+    permissions: { pull: true, push: true, admin: true },
+  },
+  {
+    id: 2,
+    name: 'act-website',
+    full_name: 'drmhse/act-website',
+    description: 'Public ACT website',
+    clone_url: 'https://github.com/drmhse/act-website.git',
+    default_branch: 'main',
+    private: false,
+    language: 'HTML',
+    permissions: { pull: true, push: true },
+  },
+  {
+    id: 3,
+    name: 'act-server',
+    full_name: 'drmhse/act-server',
+    description: 'ACT backend (private)',
+    clone_url: 'https://github.com/drmhse/act-server.git',
+    default_branch: 'main',
+    private: true,
+    language: 'Rust',
+    permissions: { pull: true },
+  },
+];
+
+export function createId(prefix) {
+  return prefix ? `${prefix}-${randomUUID()}` : randomUUID();
+}
+
+export function sha256(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+export function now() {
+  return new Date().toISOString();
+}
+
+export function createMockState() {
+  const workspaces = seedWorkspaces.map((workspace) => ({ ...workspace }));
+  const files = new Map(
+    Object.entries(seedFiles).map(([workspaceId, entries]) => [
+      workspaceId,
+      new Map(Object.entries(entries)),
+    ]),
+  );
+  const dirtyFiles = new Map([['act', new Set(['README.md'])]]);
+
+  const state = {
+    user: {
+      email: 'dev@act.local',
+      plan: 'local',
+      access_role: 'operator',
+      is_operator: true,
+    },
+    workspaces,
+    files,
+    dirtyFiles,
+    collections: [
+      {
+        id: 'mobile-release',
+        name: 'Mobile release',
+        description: 'ACT app and public website rollout',
+        color: null,
+        icon: null,
+        default_workspace_id: 'act',
+        members: [
+          { workspace_id: 'act', role: 'primary' },
+          { workspace_id: 'act-website', role: 'member' },
+        ],
+      },
+    ],
+    sessions: [
+      {
+        id: randomUUID(),
+        session_name: 'ACT backend',
+        status: 'active',
+        workspace_id: 'act',
+      },
+    ],
+    buffers: new Map(),
+    processes: [
+      {
+        id: 'proc-flutter',
+        name: 'Flutter web',
+        pid: 5173,
+        command: 'flutter',
+        args: ['run', '-d', 'web-server'],
+        working_directory: '/workspaces/ai-code-terminal/frontend',
+        workspace_id: 'act',
+        status: 'running',
+        updated_at: now(),
+      },
+      {
+        id: 'proc-website',
+        name: 'Website preview',
+        pid: 5174,
+        command: 'npx',
+        args: ['serve', '.'],
+        working_directory: '/workspaces/act-website',
+        workspace_id: 'act-website',
+        status: 'stopped',
+        updated_at: now(),
+      },
+    ],
+    layouts: [],
+    tasks: [],
+    codexSessions: [],
+    codexEvents: new Map(),
+    repositories: seedRepositories.map((repository) => ({ ...repository })),
+    events: new EventEmitter(),
+    startedAt: Date.now(),
+  };
+
+  for (const session of state.sessions) {
+    state.buffers.set(session.id, welcomeBuffer(session));
+  }
+
+  return state;
+}
+
+export function welcomeBuffer(session) {
+  return `ACT mock terminal (${session.session_name})\r\n$ `;
+}
+
+export function findWorkspace(state, workspaceId) {
+  return state.workspaces.find((workspace) => workspace.id === workspaceId);
+}
+
+export function workspaceFiles(state, workspaceId) {
+  let entries = state.files.get(workspaceId);
+  if (!entries) {
+    entries = new Map();
+    state.files.set(workspaceId, entries);
+  }
+  return entries;
+}
+
+export function markDirty(state, workspaceId, path) {
+  let dirty = state.dirtyFiles.get(workspaceId);
+  if (!dirty) {
+    dirty = new Set();
+    state.dirtyFiles.set(workspaceId, dirty);
+  }
+  dirty.add(path);
+}
+
+export function pushCodexEvent(state, session, event) {
+  const events = state.codexEvents.get(session.id) ?? [];
+  events.push({ index: events.length, timestamp: now(), ...event });
+  state.codexEvents.set(session.id, events);
+}
+
+export function serializeCollection(state, collection) {
+  return {
+    ...collection,
+    members: collection.members
+      .map((member) => {
+        const workspace = findWorkspace(state, member.workspace_id);
+        if (!workspace) {
+          return null;
+        }
+        return {
+          collection_id: collection.id,
+          workspace_id: member.workspace_id,
+          role: member.role,
+          workspace,
+        };
+      })
+      .filter(Boolean),
+  };
+}
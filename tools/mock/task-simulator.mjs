@@ -0,0 +1,325 @@
+import { readFile, readdir, stat } from 'node:fs/promises';
+import { basename, extname, join } from 'node:path';
+import { parse as parseYaml } from 'yaml';
+
+import { onAuthenticated, userRoom } from './socket.mjs';
+import { createId } from './state.mjs';
+
+const stepActions = [
+  'output',
+  'status',
+  'warning',
+  'error',
+  'wait',
+  'stall',
+  'exit',
+];
+
+export const defaultScenario = normalizeScenario(
+  {
+    name: 'default',
+    steps: [
+      { after: 300, output: 'Preparing workspace...\r\n' },
+      { after: 600, output: 'Running task...\r\n' },
+      { after: 1200, output: 'Done.\r\n' },
+      { after: 200, exit: 0 },
+    ],
+  },
+  'built-in default',
+);
+
+export async function loadScenarios(paths) {
+  const scenarios = [];
+  for (const path of paths) {
+    const info = await stat(path);
+    const files = info.isDirectory()
+      ? (await readdir(path))
+          .filter((name) => ['.yaml', '.yml', '.json'].includes(extname(name)))
+          .sort()
+          .map((name) => join(path, name))
+      : [path];
+    for (const file of files) {
+      scenarios.push(await loadScenario(file));
+    }
+  }
+  return scenarios;
+}
+
+export async function loadScenario(file) {
+  const source = await readFile(file, 'utf8');
+  let document;
+  try {
+    document =
+      extname(file) === '.json' ? JSON.parse(source) : parseYaml(source);
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+  return normalizeScenario(
+    { name: basename(file, extname(file)), ...document },
+    file,
+  );
+}
+
+function normalizeScenario(document, source) {
+  if (!document || typeof document !== 'object') {
+    throw new Error(`${source}: scenario must be an object`);
+  }
+  if (!Array.isArray(document.steps) || document.steps.length === 0) {
+    throw new Error(`${source}: scenario needs a non-empty "steps" list`);
+  }
+  const match = document.match ?? {};
+  return {
+    name: String(document.name),
+    source,
+    match: {
+      taskId: match.taskId == null ? null : String(match.taskId),
+      title: match.title == null ? null : String(match.title).toLowerCase(),
+    },
+    steps: document.steps.map((step, index) =>
+      normalizeStep(step, `${source}: step ${index + 1}`),
+    ),
+  };
+}
+
+function normalizeStep(step, where) {
+  if (!step || typeof step !== 'object') {
+    throw new Error(`${where} must be an object`);
+  }
+  const actions = stepActions.filter((action) => action in step);
+  if (actions.length !== 1) {
+    throw new Error(
+      `${where} needs exactly one of ${stepActions.join(', ')} (found ${
+        actions.join(', ') || 'none'
+      })`,
+    );
+  }
+  const action = actions[0];
+  const after = milliseconds(step.after ?? 0, `${where} "after"`);
+  const repeat = Number(step.repeat ?? 1);
+  if (!Number.isInteger(repeat) || repeat < 1) {
+    throw new Error(`${where} "repeat" must be a positive integer`);
+  }
+  const every = milliseconds(step.every ?? after, `${where} "every"`);
+
+  if (action === 'wait') {
+    return { action, after: after + milliseconds(step.wait, where), repeat: 1 };
+  }
+  if (action === 'stall') {
+    return { action, after, repeat: 1 };
+  }
+  if (action === 'exit') {
+    const exitCode = Number(step.exit);
+    if (!Number.isInteger(exitCode)) {
+      throw new Error(`${where} "exit" must be an integer exit code`);
+    }
+    return {
+      action,
+      after,
+      repeat: 1,
+      exitCode,
+      status: step.status ?? (exitCode === 0 ? 'completed' : 'failed'),
+      durationMs:
+        step.durationMs == null
+          ? null
+          : milliseconds(step.durationMs, `${where} "durationMs"`),
+    };
+  }
+  if (action === 'status') {
+    return {
+      action,
+      after,
+      repeat: 1,
+      status: String(step.status),
+      exitCode: step.exitCode ?? null,
+    };
+  }
+  return { action, after, repeat, every, text: String(step[action]) };
+}
+
+function milliseconds(value, where) {
+  const ms = Number(value);
+  if (!Number.isFinite(ms) || ms < 0) {
+    throw new Error(`${where} must be a non-negative number of milliseconds`);
+  }
+  return ms;
+}
+
+export function findScenario(scenarios, name) {
+  if (!name) {
+    return null;
+  }
+  const scenario = scenarios.find((candidate) => candidate.name === name);
+  if (!scenario) {
+    throw new Error(
+      `Unknown scenario "${name}". Loaded: ${
+        scenarios.map((candidate) => candidate.name).join(', ') || 'none'
+      }`,
+    );
+  }
+  return scenario;
+}
+
+export function selectScenario(scenarios, { taskId, title }) {
+  const lowerTitle = title?.toLowerCase() ?? '';
+  return (
+    scenarios.find((scenario) => scenario.match.taskId === taskId) ??
+    scenarios.find(
+      (scenario) =>
+        scenario.match.title !== null &&
+        lowerTitle.includes(scenario.match.title),
+    ) ??
+    scenarios.find(
+      (scenario) =>
+        scenario.match.taskId === null && scenario.match.title === null,
+    ) ??
+    defaultScenario
+  );
+}
+
+// Plays a scenario to `emit(event, payload)`. Delays are divided by `speed`;
+// reported durations stay in scenario time.
+export function playScenario(scenario, { executionId, emit, speed = 1 }) {
+  let cancelled = false;
+  let wake = null;
+  let elapsed = 0;
+
+  const sleep = (ms) =>
+    new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms / speed);
+      wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+
+  const finish = (status, exitCode, durationMs = elapsed) => {
+    emit('task:execution:status', {
+      executionId,
+      status,
+      exitCode,
+      durationMs: Math.round(durationMs),
+    });
+  };
+
+  const done = (async () => {
+    for (const step of scenario.steps) {
+      for (let n = 1; n <= step.repeat; n += 1) {
+        const delay = n === 1 ? step.after : step.every;
+        await sleep(delay);
+        elapsed += delay;
+        if (cancelled) {
+          return;
+        }
+        const text = step.text?.replaceAll('{n}', String(n));
+        switch (step.action) {
+          case 'output':
+            emit('task:execution:output', { executionId, output: text });
+            break;
+          case 'warning':
+            emit('task:execution:warning', { executionId, message: text });
+            break;
+          case 'error':
+            emit('task:execution:error', { executionId, error: text });
+            break;
+          case 'status':
+            emit('task:execution:status', {
+              executionId,
+              status: step.status,
+              exitCode: step.exitCode,
+              durationMs: Math.round(elapsed),
+            });
+            break;
+          case 'stall':
+            await new Promise((resolve) => {
+              wake = resolve;
+            });
+            return;
+          case 'exit':
+            finish(step.status, step.exitCode, step.durationMs ?? elapsed);
+            return;
+        }
+      }
+    }
+    finish('completed', 0);
+  })();
+
+  return {
+    done,
+    cancel() {
+      cancelled = true;
+      wake?.();
+    },
+  };
+}
+
+export function registerTaskExecutionSimulator(
+  sockets,
+  { scenarios = [], play = null, state = null, speed = 1, log },
+) {
+  const executions = new Map();
+
+  sockets.use((socket) => {
+    onAuthenticated(
+      socket,
+      'task:execution:start',
+      'task:execution:error',
+      (payload) => {
+        const taskId = String(payload.taskId ?? '').trim();
+        if (taskId === '') {
+          socket.emit('task:execution:error', { error: 'taskId is required' });
+          return;
+        }
+        const task = state?.tasks.find((item) => item.id === taskId);
+        const scenario =
+          play ?? selectScenario(scenarios, { taskId, title: task?.title });
+        const executionId = createId();
+        const emit = (event, body) => sockets.io.to(userRoom).emit(event, body);
+
+        log(`task ${taskId} execution ${executionId} plays "${scenario.name}"`);
+        emit('task:execution:started', {
+          executionId,
+          taskId,
+          status: 'running',
+        });
+
+        const playback = playScenario(scenario, { executionId, emit, speed });
+        executions.set(executionId, playback);
+
+        const timeoutSeconds = Number(payload.timeoutSeconds);
+        let timer;
+        if (Number.isFinite(timeoutSeconds) && timeoutSeconds > 0) {
+          timer = setTimeout(
+            () => {
+              playback.cancel();
+              emit('task:execution:error', {
+                executionId,
+                error: `Task execution timed out after ${timeoutSeconds}s`,
+              });
+              emit('task:execution:status', {
+                executionId,
+                status: 'timeout',
+                exitCode: null,
+                durationMs: timeoutSeconds * 1000,
+              });
+            },
+            (timeoutSeconds * 1000) / speed,
+          );
+        }
+
+        playback.done.finally(() => {
+          clearTimeout(timer);
+          executions.delete(executionId);
+        });
+      },
+    );
+  });
+
+  return {
+    executions,
+    close() {
+      for (const playback of executions.values()) {
+        playback.cancel();
+      }
+    },
+  };
+}
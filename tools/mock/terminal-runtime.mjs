@@ -0,0 +1,244 @@
+import { timingSafeEqual } from 'node:crypto';
+import { existsSync, mkdirSync, writeFileSync } from 'node:fs';
+import { platform, tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { spawn } from 'node-pty';
+
+import { onAuthenticated } from './socket.mjs';
+import { createId, findWorkspace, workspaceFiles } from './state.mjs';
+
+const maxBufferLength = 256 * 1024;
+
+export function defaultSandboxRoot() {
+  return join(tmpdir(), 'act-mock-workspaces');
+}
+
+// The mock accepts any access token, so a shell is only handed to sockets
+// that present `shellToken` or, when none is configured, that connect
+// straight from this machine.
+export function mayUseShell(socket, shellToken) {
+  if (shellToken) {
+    const token = Buffer.from(String(socket.data.token ?? ''));
+    const expected = Buffer.from(shellToken);
+    return token.length === expected.length && timingSafeEqual(token, expected);
+  }
+  const { address, headers } = socket.handshake;
+  return (
+    ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(address) &&
+    headers['x-forwarded-for'] === undefined
+  );
+}
+
+export function registerTerminalRuntime(
+  sockets,
+  { state, sandboxRoot = defaultSandboxRoot(), shellToken = null, log },
+) {
+  const terminals = new Map();
+  const onShellEvent = (socket, event, handler) =>
+    onAuthenticated(socket, event, 'terminal:error', (payload) => {
+      if (!mayUseShell(socket, shellToken)) {
+        socket.emit('terminal:error', {
+          sessionId: payload.sessionId,
+          error: shellToken
+            ? 'Terminals need the mock server token (ACT_MOCK_TOKEN)'
+            : 'Terminals are only available from the machine running the mock server',
+        });
+        return;
+      }
+      handler(payload);
+    });
+
+  state.events.on('session:terminated', (sessionId) => {
+    terminals.get(sessionId)?.pty.kill();
+  });
+
+  sockets.use((socket) => {
+    onShellEvent(socket, 'terminal:create', (payload) => {
+      const requestedId = String(payload.sessionId ?? '').trim();
+      const cols = clampSize(payload.cols, 120);
+      const rows = clampSize(payload.rows, 34);
+      const existing = terminals.get(requestedId);
+
+      if (existing) {
+        socket.join(room(requestedId));
+        existing.pty.resize(cols, rows);
+        socket.emit('terminal:created', {
+          sessionId: requestedId,
+          paneId: payload.paneId,
+          isNewSession: false,
+          pid: existing.pty.pid,
+        });
+        return;
+      }
+
+      let session = state.sessions.find((item) => item.id === requestedId);
+      if (requestedId !== '' && !session) {
+        socket.emit('terminal:error', {
+          sessionId: requestedId,
+          error: `Session ${requestedId} not found`,
+        });
+        return;
+      }
+
+      const workspaceId = String(
+        payload.workspaceId ?? session?.workspace_id ?? '',
+      );
+      if (!findWorkspace(state, workspaceId)) {
+        socket.emit('terminal:error', {
+          sessionId: requestedId || undefined,
+          error: `Workspace ${workspaceId} not found`,
+        });
+        return;
+      }
+
+      if (!session) {
+        session = {
+          id: createId(),
+          session_name: 'Terminal',
+          status: 'active',
+          workspace_id: workspaceId,
+        };
+        state.sessions.unshift(session);
+      }
+
+      let terminal;
+      try {
+        terminal = spawnTerminal(
+          session,
+          prepareSandbox(state, sandboxRoot, workspaceId),
+          cols,
+          rows,
+        );
+      } catch (error) {
+        socket.emit('terminal:error', {
+          sessionId: session.id,
+          error: `Failed to start shell: ${error.message}`,
+        });
+        return;
+      }
+      terminals.set(session.id, terminal);
+      state.buffers.set(session.id, '');
+      session.status = 'active';
+      log(`terminal ${session.id} started (pid ${terminal.pty.pid})`);
+
+      terminal.pty.onData((output) => {
+        appendBuffer(state, session.id, output);
+        sockets.io
+          .to(room(session.id))
+          .emit('terminal:output', { sessionId: session.id, output });
+      });
+      terminal.pty.onExit(({ exitCode, signal }) => {
+        terminals.delete(session.id);
+        session.status = 'terminated';
+        const output = `\r\n[process exited with ${
+          signal ? `signal ${signal}` : `code ${exitCode}`
+        }]\r\n`;
+        appendBuffer(state, session.id, output);
+        sockets.io
+          .to(room(session.id))
+          .emit('terminal:output', { sessionId: session.id, output });
+        log(`terminal ${session.id} exited`);
+      });
+
+      socket.join(room(session.id));
+      socket.emit('terminal:created', {
+        sessionId: session.id,
+        paneId: payload.paneId,
+        isNewSession: true,
+        pid: terminal.pty.pid,
+      });
+    });
+
+    onShellEvent(socket, 'terminal:data', (payload) => {
+      const terminal = requireTerminal(socket, terminals, payload.sessionId);
+      terminal?.pty.write(String(payload.data ?? ''));
+    });
+
+    onShellEvent(socket, 'terminal:resize', (payload) => {
+      const terminal = requireTerminal(socket, terminals, payload.sessionId);
+      terminal?.pty.resize(
+        clampSize(payload.cols, terminal.pty.cols),
+        clampSize(payload.rows, terminal.pty.rows),
+      );
+    });
+
+    onShellEvent(socket, 'terminal:terminate', (payload) => {
+      const terminal = requireTerminal(socket, terminals, payload.sessionId);
+      terminal?.pty.kill();
+    });
+  });
+
+  return {
+    terminals,
+    close() {
+      for (const terminal of terminals.values()) {
+        terminal.pty.kill();
+      }
+      terminals.clear();
+    },
+  };
+}
+
+function spawnTerminal(session, cwd, cols, rows) {
+  const isWindows = platform() === 'win32';
+  const shell = isWindows
+    ? 'powershell.exe'
+    : (process.env.ACT_MOCK_SHELL ?? process.env.SHELL ?? '/bin/bash');
+  const pty = spawn(shell, [], {
+    name: 'xterm-256color',
+    cols,
+    rows,
+    cwd,
+    env: {
+      ...process.env,
+      TERM: 'xterm-256color',
+      ACT_SESSION_ID: session.id,
+      ACT_WORKSPACE_ID: session.workspace_id,
+    },
+  });
+  return { pty, cwd };
+}
+
+function prepareSandbox(state, sandboxRoot, workspaceId) {
+  const directory = join(sandboxRoot, workspaceId.replace(/[^\w.-]/g, '_'));
+  if (!existsSync(directory)) {
+    mkdirSync(directory, { recursive: true });
+    for (const [path, content] of workspaceFiles(state, workspaceId)) {
+      const target = join(directory, path);
+      mkdirSync(dirname(target), { recursive: true });
+      writeFileSync(target, content);
+    }
+  }
+  return directory;
+}
+
+function requireTerminal(socket, terminals, sessionId) {
+  const terminal = terminals.get(String(sessionId ?? ''));
+  if (!terminal) {
+    socket.emit('terminal:error', {
+      sessionId,
+      error: `Session ${sessionId} not found`,
+    });
+  }
+  return terminal;
+}
+
+function appendBuffer(state, sessionId, output) {
+  const next = `${state.buffers.get(sessionId) ?? ''}${output}`;
+  state.buffers.set(
+    sessionId,
+    next.length > maxBufferLength ? next.slice(-maxBufferLength) : next,
+  );
+}
+
+function clampSize(value, fallback) {
+  const size = Number.parseInt(value, 10);
+  if (!Number.isFinite(size) || size < 1) {
+    return fallback;
+  }
+  return Math.min(size, 1000);
+}
+
+function room(sessionId) {
+  return `terminal:${sessionId}`;
+}
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+
+import { loadTranscripts } from '../codex-replay.mjs';
+
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'act-mock-transcripts-'));
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+async function folder(name, transcripts) {
+  const path = join(dir, name);
+  for (const [transcript, events] of Object.entries(transcripts)) {
+    await mkdir(join(path, transcript), { recursive: true });
+    if (events) {
+      await writeFile(
+        join(path, transcript, 'events.jsonl'),
+        events.map((event) => JSON.stringify(event)).join('\n'),
+      );
+    }
+  }
+  await mkdir(path, { recursive: true });
+  return path;
+}
+
+test('loads each transcript in a folder of transcripts', async () => {
+  const path = await folder('mixed', {
+    'b-fix': [{ kind: 'message', role: 'user', text: 'Fix it' }],
+    'a-plan': [{ kind: 'status', status: 'running' }],
+    notes: null,
+  });
+  const transcripts = await loadTranscripts([path]);
+  assert.deepEqual(
+    transcripts.map((transcript) => transcript.name),
+    ['a-plan', 'b-fix'],
+  );
+});
+
+test('rejects a folder without any events.jsonl', async () => {
+  const empty = await folder('empty', {});
+  await assert.rejects(loadTranscripts([empty]), /no events\.jsonl found/);
+  const stray = await folder('stray', { notes: null, screenshots: null });
+  await assert.rejects(loadTranscripts([stray]), /no events\.jsonl found/);
+});
@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  badRequest,
+  bearerToken,
+  createRouter,
+  notFound,
+  sendData,
+  sendError,
+} from '../http.mjs';
+
+// Collects what a handler writes in place of a ServerResponse.
+function response() {
+  return {
+    status: undefined,
+    headers: undefined,
+    body: undefined,
+    writeHead(status, headers) {
+      this.status = status;
+      this.headers = headers;
+    },
+    end(payload) {
+      this.body = JSON.parse(payload);
+    },
+  };
+}
+
+test('routes match by method and decode their params', () => {
+  const router = createRouter();
+  const list = () => {};
+  const file = () => {};
+  router.add('GET', '/api/v1/workspaces', list);
+  router.add('GET', '/api/v1/workspaces/:id/files/:path', file);
+
+  assert.equal(router.match('GET', '/api/v1/workspaces').route.handler, list);
+  const { route, params } = router.match(
+    'GET',
+    '/api/v1/workspaces/act/files/docs%2FREADME.md',
+  );
+  assert.equal(route.handler, file);
+  assert.deepEqual(params, { id: 'act', path: 'docs/README.md' });
+});
+
+test('a path that exists under another method is told apart from a 404', () => {
+  const router = createRouter();
+  router.add('POST', '/api/v1/tasks', () => {});
+
+  assert.deepEqual(router.match('GET', '/api/v1/tasks'), {
+    route: null,
+    pathMatched: true,
+  });
+  assert.deepEqual(router.match('GET', '/api/v1/tasks/1'), {
+    route: null,
+    pathMatched: false,
+  });
+});
+
+test('pattern text is matched literally and routes keep the public flag', () => {
+  const router = createRouter();
+  router.add('GET', '/health.json', () => {}, { public: true });
+
+  assert.equal(router.match('GET', '/health.json').route.public, true);
+  assert.equal(router.match('GET', '/healthxjson').route, null);
+});
+
+test('data is wrapped in the success envelope', () => {
+  const res = response();
+  sendData(res, { id: 'act' }, 201);
+
+  assert.equal(res.status, 201);
+  assert.match(res.headers['content-type'], /^application\/json/);
+  assert.deepEqual(res.body, { success: true, data: { id: 'act' } });
+});
+
+test('errors are sent as "code: message" with their status', () => {
+  const missing = response();
+  sendError(missing, notFound('Workspace act'));
+  assert.equal(missing.status, 404);
+  assert.deepEqual(missing.body, {
+    success: false,
+    error: 'not_found: Workspace act not found',
+  });
+
+  const invalid = response();
+  sendError(invalid, badRequest('title is required'));
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error, 'invalid_request: title is required');
+
+  const crashed = response();
+  sendError(crashed, new Error('boom'));
+  assert.equal(crashed.status, 500);
+  assert.equal(crashed.body.error, 'internal_error: boom');
+});
+
+test('bearer tokens are read from the authorization header', () => {
+  assert.equal(
+    bearerToken({ headers: { authorization: 'bearer  abc.def ' } }),
+    'abc.def',
+  );
+  assert.equal(bearerToken({ headers: { authorization: 'Basic abc' } }), '');
+  assert.equal(bearerToken({ headers: {} }), '');
+});
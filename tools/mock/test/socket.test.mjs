@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { after, before, test } from 'node:test';
+import { io } from 'socket.io-client';
+
+import { startMockServer } from '../server.mjs';
+
+const frontendOrigin = 'http://localhost:4000';
+
+let mock;
+
+before(async () => {
+  mock = await startMockServer({ port: 0, frontendOrigin, log: () => {} });
+});
+
+after(() => mock?.close());
+
+// Resolves with the event the socket reaches first.
+async function connectFrom(origin) {
+  const socket = io(mock.url, {
+    path: '/socket.io/',
+    transports: ['websocket'],
+    reconnection: false,
+    forceNew: true,
+    ...(origin && { extraHeaders: { origin } }),
+  });
+  const outcome = await Promise.race([
+    once(socket, 'connect').then(() => 'connect'),
+    once(socket, 'connect_error').then(() => 'connect_error'),
+  ]);
+  socket.close();
+  return outcome;
+}
+
+test('sockets open only from the frontend origin or outside a browser', async () => {
+  assert.equal(await connectFrom(frontendOrigin), 'connect');
+  assert.equal(await connectFrom(undefined), 'connect');
+  assert.equal(await connectFrom('https://evil.example'), 'connect_error');
+});
+
+test('REST answers CORS for the frontend origin only', async () => {
+  const response = await fetch(`${mock.url}/api/v1/workspaces`, {
+    method: 'OPTIONS',
+    headers: {
+      origin: 'https://evil.example',
+      'access-control-request-method': 'GET',
+    },
+  });
+  assert.equal(
+    response.headers.get('access-control-allow-origin'),
+    frontendOrigin,
+  );
+});
@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { after, before, test } from 'node:test';
+import { io } from 'socket.io-client';
+
+import { startMockServer } from '../server.mjs';
+
+let mock;
+
+before(async () => {
+  mock = await startMockServer({ port: 0, log: () => {} });
+});
+
+after(() => mock?.close());
+
+async function connect() {
+  const socket = io(mock.url, {
+    path: '/socket.io/',
+    transports: ['websocket'],
+    reconnection: false,
+    forceNew: true,
+  });
+  await once(socket, 'connect');
+  socket.emit('authenticate', { token: 'mock-access-1' });
+  await once(socket, 'authenticated');
+  return socket;
+}
+
+test("executions reach the user's other sockets and outlive the one that started them", async () => {
+  const starter = await connect();
+  const watcher = await connect();
+  try {
+    starter.emit('task:execution:start', { taskId: 'task-1' });
+    const [started] = await once(watcher, 'task:execution:started');
+    assert.equal(started.taskId, 'task-1');
+
+    starter.close();
+    for (;;) {
+      const [status] = await once(watcher, 'task:execution:status');
+      if (
+        status.executionId === started.executionId &&
+        status.exitCode !== undefined
+      ) {
+        assert.equal(status.status, 'completed');
+        assert.equal(status.exitCode, 0);
+        break;
+      }
+    }
+  } finally {
+    starter.close();
+    watcher.close();
+  }
+});
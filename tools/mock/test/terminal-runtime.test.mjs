@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { mayUseShell } from '../terminal-runtime.mjs';
+
+function socket({
+  token = 'mock-access-1',
+  address = '127.0.0.1',
+  headers = {},
+}) {
+  return { data: { token }, handshake: { address, headers } };
+}
+
+test('without a shell token only direct local sockets get a shell', () => {
+  assert.equal(mayUseShell(socket({}), null), true);
+  assert.equal(
+    mayUseShell(socket({ address: '::ffff:127.0.0.1' }), null),
+    true,
+  );
+  assert.equal(mayUseShell(socket({ address: '192.168.1.20' }), null), false);
+  assert.equal(
+    mayUseShell(
+      socket({ headers: { 'x-forwarded-for': '192.168.1.20' } }),
+      null,
+    ),
+    false,
+  );
+});
+
+test('with a shell token every other token is refused', () => {
+  assert.equal(mayUseShell(socket({ token: 's3cret' }), 's3cret'), true);
+  assert.equal(
+    mayUseShell(socket({ token: 's3cret', address: '192.168.1.20' }), 's3cret'),
+    true,
+  );
+  assert.equal(mayUseShell(socket({}), 's3cret'), false);
+  assert.equal(mayUseShell(socket({ token: 's3cre' }), 's3cret'), false);
+});
@@ -0,0 +1,94 @@
+import { parseArgs } from 'node:util';
+
+import { startPushRelay } from './push/relay.mjs';
+import { startPushStandIn } from './push/stand-in.mjs';
+import { loadVapidKeys } from './push/web-push.mjs';
+
+const { values } = parseArgs({
+  options: {
+    host: { type: 'string', default: process.env.ACT_PUSH_HOST ?? '127.0.0.1' },
+    port: { type: 'string', default: process.env.ACT_PUSH_PORT ?? '3006' },
+    api: {
+      type: 'string',
+      default: process.env.ACT_API_BASE_URL ?? 'http://127.0.0.1:3001',
+    },
+    token: { type: 'string', default: process.env.ACT_PUSH_TOKEN },
+    'app-origin': {
+      type: 'string',
+      default: process.env.ACT_FRONTEND_ORIGIN ?? 'http://localhost:4000',
+    },
+    'relay-token': {
+      type: 'string',
+      default: process.env.ACT_PUSH_RELAY_TOKEN,
+    },
+    'vapid-keys': {
+      type: 'string',
+      default: process.env.ACT_PUSH_VAPID_KEYS ?? '.act-push/vapid.json',
+    },
+    subject: {
+      type: 'string',
+      default: process.env.ACT_PUSH_SUBJECT ?? 'mailto:push-relay@localhost',
+    },
+    subscriptions: {
+      type: 'string',
+      default:
+        process.env.ACT_PUSH_SUBSCRIPTIONS ?? '.act-push/subscriptions.json',
+    },
+    'poll-interval': { type: 'string', default: '15' },
+    'stand-in': { type: 'boolean', default: false },
+  },
+});
+
+if (!values.token) {
+  process.stderr.write(
+    'An ACT token is required: pass --token or set ACT_PUSH_TOKEN.\n',
+  );
+  process.exit(1);
+}
+
+const pollInterval = Number(values['poll-interval']);
+if (!Number.isFinite(pollInterval) || pollInterval <= 0) {
+  process.stderr.write('--poll-interval must be a positive number\n');
+  process.exit(1);
+}
+
+let vapid;
+try {
+  const { keys, created } = await loadVapidKeys(values['vapid-keys']);
+  vapid = { keys, subject: values.subject };
+  if (created) {
+    process.stdout.write(`Created VAPID keys in ${values['vapid-keys']}\n`);
+  }
+} catch (error) {
+  process.stderr.write(`${error.message}\n`);
+  process.exit(1);
+}
+
+const relay = await startPushRelay({
+  host: values.host,
+  port: Number(values.port),
+  apiUrl: values.api,
+  token: values.token,
+  appOrigin: values['app-origin'],
+  relayToken: values['relay-token'],
+  vapid,
+  subscriptionsPath: values.subscriptions,
+  pollIntervalMs: pollInterval * 1000,
+});
+
+process.stdout.write(`Push relay listening on ${relay.url}\n`);
+process.stdout.write(`VAPID public key: ${vapid.keys.publicKey}\n`);
+
+let standIn = null;
+if (values['stand-in']) {
+  standIn = await startPushStandIn({ host: '127.0.0.1' });
+  relay.addTransientSubscription(standIn.createSubscription());
+  process.stdout.write(`Push stand-in listening on ${standIn.url}\n`);
+}
+
+function shutdown() {
+  Promise.all([relay.close(), standIn?.close()]).then(() => process.exit(0));
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
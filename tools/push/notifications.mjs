@@ -0,0 +1,71 @@
+const activeStatuses = new Set([
+  'queued',
+  'starting',
+  'running',
+  'finalizing',
+  'interrupting',
+]);
+const blockingExtensionUi = new Set(['select', 'confirm', 'input', 'editor']);
+
+export function isTerminalStatus(status) {
+  return typeof status === 'string' && !activeStatuses.has(status);
+}
+
+function formatDuration(durationMs) {
+  const seconds = Math.round(Number(durationMs) / 1000);
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    return '';
+  }
+  return seconds < 60
+    ? ` in ${seconds}s`
+    : ` in ${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+// `launch` is the path the web app opens when the notification is clicked;
+// the service worker turns it into `?launch=<path>`.
+export function taskRunNotification(run, task) {
+  const title = task?.title ?? `Task ${task?.id ?? ''}`.trim();
+  return {
+    title: `${title}: ${run.status}`,
+    body: `Run ${String(run.id).slice(0, 8)} finished ${run.status}.`,
+    tag: `run:${run.id}`,
+    launch: task?.id
+      ? `task/${encodeURIComponent(task.id)}/runs/${encodeURIComponent(run.id)}`
+      : null,
+  };
+}
+
+// For a socket-started execution's final `task:execution:status`. Executions
+// are not runs, so the notification opens the task.
+export function taskExecutionNotification(status, task) {
+  const title = task?.title ?? `Task ${task?.id ?? ''}`.trim();
+  const exit =
+    status.exitCode === null || status.exitCode === undefined
+      ? ''
+      : ` (exit ${status.exitCode})`;
+  return {
+    title: `${title}: ${status.status}`,
+    body: `Execution ${String(status.executionId).slice(0, 8)} finished ${status.status}${exit}${formatDuration(status.durationMs)}.`,
+    tag: `execution:${status.executionId}`,
+    launch: task?.id ? `task/${encodeURIComponent(task.id)}` : null,
+  };
+}
+
+// Returns the request id when `event` is a blocking extension UI prompt.
+export function extensionUiRequest(event) {
+  const [prefix, method, requestId] = event.command?.split(':') ?? [];
+  if (prefix !== 'extension_ui' || !blockingExtensionUi.has(method)) {
+    return null;
+  }
+  return requestId || null;
+}
+
+export function extensionUiNotification(session, event) {
+  const name = session.title || session.id;
+  return {
+    title: `${name} is waiting for you`,
+    body: event.title || event.text || 'A Codex session needs a response.',
+    tag: `extension-ui:${session.id}`,
+    launch: `codex/${encodeURIComponent(session.id)}`,
+  };
+}
@@ -0,0 +1,391 @@
+import { timingSafeEqual } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { dirname } from 'node:path';
+import { io } from 'socket.io-client';
+
+import {
+  HttpError,
+  applyCors,
+  badRequest,
+  bearerToken,
+  createRouter,
+  readJson,
+  sendError,
+  sendJson,
+} from '../mock/http.mjs';
+import {
+  extensionUiNotification,
+  extensionUiRequest,
+  isTerminalStatus,
+  taskExecutionNotification,
+  taskRunNotification,
+} from './notifications.mjs';
+import { sendWebPush } from './web-push.mjs';
+
+export async function startPushRelay({
+  host = '127.0.0.1',
+  port = 3006,
+  apiUrl,
+  token,
+  appOrigin = 'http://localhost:4000',
+  relayToken = null,
+  vapid,
+  subscriptionsPath,
+  pollIntervalMs = 15000,
+  send = sendWebPush,
+  log = (line) => process.stdout.write(`${line}\n`),
+}) {
+  const subscriptions = await loadSubscriptions(subscriptionsPath);
+  const transient = new Set();
+  const router = createRouter();
+  const server = createServer();
+
+  async function saveSubscriptions() {
+    await mkdir(dirname(subscriptionsPath), { recursive: true });
+    await writeFile(
+      subscriptionsPath,
+      `${JSON.stringify(
+        [...subscriptions.values()].filter(
+          (subscription) => !transient.has(subscription.endpoint),
+        ),
+        null,
+        2,
+      )}\n`,
+      { mode: 0o600 },
+    );
+  }
+
+  // Push services answer 404 or 410 for subscriptions the browser dropped.
+  async function notify(notification) {
+    log(
+      `push "${notification.title}" to ${subscriptions.size} subscription(s)`,
+    );
+    let changed = false;
+    await Promise.all(
+      [...subscriptions.values()].map(async (subscription) => {
+        try {
+          const status = await send(subscription, notification, vapid);
+          if (status === 404 || status === 410) {
+            subscriptions.delete(subscription.endpoint);
+            changed = true;
+            log(`dropped expired subscription ${subscription.endpoint}`);
+          } else if (status >= 400) {
+            log(`push service returned ${status} for ${subscription.endpoint}`);
+          }
+        } catch (error) {
+          log(`push to ${subscription.endpoint} failed: ${error.message}`);
+        }
+      }),
+    );
+    if (changed) {
+      await saveSubscriptions();
+    }
+  }
+
+  router.add('GET', '/vapid-public-key', () => ({
+    publicKey: vapid.keys.publicKey,
+  }));
+
+  router.add('GET', '/subscriptions', () => ({
+    count: subscriptions.size,
+  }));
+
+  router.add('POST', '/subscriptions', async ({ body }) => {
+    const subscription = body.subscription ?? body;
+    if (
+      typeof subscription.endpoint !== 'string' ||
+      typeof subscription.keys?.p256dh !== 'string' ||
+      typeof subscription.keys?.auth !== 'string'
+    ) {
+      throw badRequest('Expected a PushSubscription with endpoint and keys');
+    }
+    subscriptions.set(subscription.endpoint, {
+      endpoint: subscription.endpoint,
+      keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+    });
+    await saveSubscriptions();
+    log(`subscribed ${subscription.endpoint}`);
+    return { subscribed: true };
+  });
+
+  router.add('DELETE', '/subscriptions', async ({ body }) => {
+    const removed = subscriptions.delete(String(body.endpoint ?? ''));
+    if (removed) {
+      await saveSubscriptions();
+    }
+    return { removed };
+  });
+
+  // Anyone who can reach the relay could otherwise push arbitrary `launch`
+  // links to every subscriber.
+  router.add('POST', '/test', async ({ req, body }) => {
+    if (!relayToken) {
+      throw new HttpError(403, 'forbidden', 'POST /test needs --relay-token');
+    }
+    if (!sameSecret(bearerToken(req), relayToken)) {
+      throw new HttpError(401, 'unauthorized', 'Wrong relay token');
+    }
+    await notify({
+      title: String(body.title ?? 'ACT push relay'),
+      body: String(body.body ?? 'Test notification'),
+      tag: 'relay-test',
+      launch: typeof body.launch === 'string' ? body.launch : null,
+    });
+    return { sent: subscriptions.size };
+  });
+
+  server.on('request', async (req, res) => {
+    const url = new URL(req.url ?? '/', 'http://push-relay.local');
+    applyCors(req, res, appOrigin);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    try {
+      // CORS alone lets other pages send simple POSTs, such as a
+      // subscription of their own.
+      const origin = req.headers.origin;
+      if (origin !== undefined && origin !== appOrigin) {
+        throw new HttpError(
+          403,
+          'forbidden',
+          `Origin ${origin} is not allowed`,
+        );
+      }
+      const { route, params } = router.match(req.method, url.pathname);
+      if (!route) {
+        throw new HttpError(
+          404,
+          'not_found',
+          `No push relay route for ${req.method} ${url.pathname}`,
+        );
+      }
+      const body = req.method === 'GET' ? {} : await readJson(req);
+      sendJson(res, 200, await route.handler({ req, params, body }));
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        log(`${req.method} ${url.pathname} failed: ${error.stack ?? error}`);
+      }
+      sendError(res, error);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+
+  const taskWatcher = watchTaskRuns({
+    apiUrl,
+    token,
+    notify,
+    log,
+    intervalMs: pollIntervalMs,
+  });
+  const executionWatcher = watchTaskExecutions({ apiUrl, token, notify, log });
+  const codexWatcher = watchCodexExtensionUi({
+    apiUrl,
+    token,
+    notify,
+    log,
+    intervalMs: pollIntervalMs,
+  });
+
+  return {
+    url: `http://${host.includes(':') ? `[${host}]` : host}:${server.address().port}`,
+    subscriptions,
+    notify,
+    // Subscribes without saving, for the stand-in's per-process subscription.
+    addTransientSubscription(subscription) {
+      transient.add(subscription.endpoint);
+      subscriptions.set(subscription.endpoint, subscription);
+    },
+    close() {
+      taskWatcher.close();
+      executionWatcher.close();
+      codexWatcher.close();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+function sameSecret(actual, expected) {
+  const a = Buffer.from(actual);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+async function loadSubscriptions(path) {
+  try {
+    const list = JSON.parse(await readFile(path, 'utf8'));
+    return new Map(
+      list.map((subscription) => [subscription.endpoint, subscription]),
+    );
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return new Map();
+    }
+    throw new Error(`${path}: ${error.message}`);
+  }
+}
+
+async function apiGet(apiUrl, token, path) {
+  const response = await fetch(new URL(path, apiUrl), {
+    headers: { authorization: `Bearer ${token}` },
+    signal: AbortSignal.timeout(15000),
+  });
+  const body = await response.json().catch(() => null);
+  if (!response.ok || body?.success === false) {
+    throw new Error(`GET ${path} returned ${response.status}`);
+  }
+  return body?.data;
+}
+
+// Runs are read from `/api/v1/tasks` like the app's task list, and each run
+// is announced once when it is first seen in a terminal status. Runs already
+// finished at startup are not announced.
+function watchTaskRuns({ apiUrl, token, notify, log, intervalMs }) {
+  const finished = new Set();
+  let firstPoll = true;
+
+  return pollEvery(intervalMs, async () => {
+    try {
+      const tasks = (await apiGet(apiUrl, token, '/api/v1/tasks')) ?? [];
+      for (const task of tasks) {
+        for (const run of task.runs ?? []) {
+          if (!isTerminalStatus(run.status) || finished.has(run.id)) {
+            continue;
+          }
+          finished.add(run.id);
+          if (!firstPoll) {
+            await notify(taskRunNotification(run, task));
+          }
+        }
+      }
+      firstPoll = false;
+    } catch (error) {
+      log(`task poll failed: ${error.message}`);
+    }
+  });
+}
+
+// Executions started over the socket are not task runs, so their final
+// `task:execution:status` is taken from the server's socket events.
+function watchTaskExecutions({ apiUrl, token, notify, log }) {
+  const socket = io(apiUrl, {
+    path: '/socket.io/',
+    transports: ['websocket', 'polling'],
+  });
+  const taskIds = new Map();
+
+  socket.on('connect', () => {
+    socket.emit('authenticate', { token });
+  });
+  socket.on('authenticated', () => {
+    log(`watching task executions on ${apiUrl}`);
+  });
+  socket.on('auth_error', (payload) => {
+    log(`socket authentication failed: ${payload?.error ?? payload?.message}`);
+  });
+  socket.on('connect_error', (error) => {
+    log(`socket connection failed: ${error.message}`);
+  });
+
+  socket.on('task:execution:started', (payload) => {
+    if (payload?.executionId && payload.taskId) {
+      taskIds.set(payload.executionId, payload.taskId);
+    }
+  });
+  socket.on('task:execution:status', async (payload) => {
+    if (!payload?.executionId || !isTerminalStatus(payload.status)) {
+      return;
+    }
+    const taskId = taskIds.get(payload.executionId);
+    taskIds.delete(payload.executionId);
+    let task = taskId ? { id: taskId } : null;
+    if (taskId) {
+      try {
+        task = await apiGet(
+          apiUrl,
+          token,
+          `/api/v1/tasks/${encodeURIComponent(taskId)}`,
+        );
+      } catch (error) {
+        log(`could not load task ${taskId}: ${error.message}`);
+      }
+    }
+    await notify(taskExecutionNotification(payload, task));
+  });
+
+  return {
+    close: () => socket.disconnect(),
+  };
+}
+
+// Codex sessions have no socket events, so sessions are polled and the events
+// of any session updated since the last poll are checked for new blocking
+// extension UI prompts. Prompts already present at startup are not announced.
+function watchCodexExtensionUi({ apiUrl, token, notify, log, intervalMs }) {
+  const seenUpdates = new Map();
+  const announced = new Set();
+  let firstPoll = true;
+
+  return pollEvery(intervalMs, async () => {
+    try {
+      const sessions =
+        (await apiGet(apiUrl, token, '/api/v1/codex/sessions')) ?? [];
+      for (const session of sessions) {
+        const updatedAt = session.updated_at ?? '';
+        if (seenUpdates.get(session.id) === updatedAt) {
+          continue;
+        }
+        seenUpdates.set(session.id, updatedAt);
+        const events =
+          (await apiGet(
+            apiUrl,
+            token,
+            `/api/v1/codex/sessions/${encodeURIComponent(session.id)}/events?limit=50`,
+          )) ?? [];
+        for (const event of events) {
+          const requestId = extensionUiRequest(event);
+          if (!requestId || announced.has(`${session.id}:${requestId}`)) {
+            continue;
+          }
+          announced.add(`${session.id}:${requestId}`);
+          if (!firstPoll) {
+            await notify(extensionUiNotification(session, event));
+          }
+        }
+      }
+      firstPoll = false;
+    } catch (error) {
+      log(`Codex poll failed: ${error.message}`);
+    }
+  });
+}
+
+// Runs `poll` now and again `intervalMs` after each run finishes.
+function pollEvery(intervalMs, poll) {
+  let timer = null;
+  let closed = false;
+
+  async function next() {
+    await poll();
+    if (!closed) {
+      timer = setTimeout(next, intervalMs);
+    }
+  }
+
+  next();
+  return {
+    close() {
+      closed = true;
+      clearTimeout(timer);
+    },
+  };
+}
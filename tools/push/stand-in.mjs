@@ -0,0 +1,161 @@
+import {
+  createDecipheriv,
+  createECDH,
+  createPublicKey,
+  hkdfSync,
+  randomBytes,
+  randomUUID,
+  verify,
+} from 'node:crypto';
+import { createServer } from 'node:http';
+
+import { readBody } from '../mock/http.mjs';
+
+// A local push service: it hands out subscriptions the relay can send to,
+// checks each request's VAPID JWT, decrypts the aes128gcm payload with the
+// subscription's keys, and keeps what it received. No browser is involved.
+export async function startPushStandIn({
+  host = '127.0.0.1',
+  port = 0,
+  log = (line) => process.stdout.write(`${line}\n`),
+}) {
+  const subscribers = new Map();
+  const received = [];
+  const server = createServer();
+  let baseUrl = '';
+
+  server.on('request', async (req, res) => {
+    const url = new URL(req.url ?? '/', 'http://push-stand-in.local');
+    const match = /^\/push\/([^/]+)$/.exec(url.pathname);
+    const subscriber = match ? subscribers.get(match[1]) : undefined;
+    if (req.method !== 'POST' || !subscriber) {
+      res.writeHead(subscriber === null ? 410 : 404);
+      res.end();
+      return;
+    }
+    try {
+      const vapid = verifyVapid(req.headers.authorization ?? '', baseUrl);
+      const payload = JSON.parse(
+        decryptPayload(await readBody(req), subscriber).toString('utf8'),
+      );
+      received.push({ subscription: match[1], vapid, payload });
+      log(`[push] ${payload.title}: ${payload.body ?? ''}`);
+      if (payload.launch) {
+        log(`[push]   opens ?launch=${payload.launch}`);
+      }
+      res.writeHead(201);
+      res.end();
+    } catch (error) {
+      log(`[push] rejected: ${error.message}`);
+      res.writeHead(400, { 'content-type': 'text/plain' });
+      res.end(error.message);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+  baseUrl = `http://${host.includes(':') ? `[${host}]` : host}:${server.address().port}`;
+
+  return {
+    url: baseUrl,
+    received,
+    // Returns PushSubscription JSON, as a browser would after subscribe().
+    createSubscription() {
+      const id = randomUUID();
+      const ecdh = createECDH('prime256v1');
+      ecdh.generateKeys();
+      const auth = randomBytes(16);
+      subscribers.set(id, { ecdh, auth });
+      return {
+        endpoint: `${baseUrl}/push/${id}`,
+        keys: {
+          p256dh: ecdh.getPublicKey().toString('base64url'),
+          auth: auth.toString('base64url'),
+        },
+      };
+    },
+    // Makes later pushes to this endpoint answer 410 Gone.
+    expire(endpoint) {
+      subscribers.set(endpoint.split('/').at(-1), null);
+    },
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+}
+
+function verifyVapid(header, audience) {
+  const match = /^vapid\s+t=([^,\s]+),\s*k=([^,\s]+)$/i.exec(header.trim());
+  if (!match) {
+    throw new Error('missing "vapid t=..., k=..." authorization');
+  }
+  const [, jwt, publicKey] = match;
+  const [headerPart, claimsPart, signature] = jwt.split('.');
+  const point = Buffer.from(publicKey, 'base64url');
+  const key = createPublicKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: point.subarray(1, 33).toString('base64url'),
+      y: point.subarray(33, 65).toString('base64url'),
+    },
+    format: 'jwk',
+  });
+  const valid = verify(
+    'sha256',
+    Buffer.from(`${headerPart}.${claimsPart}`),
+    { key, dsaEncoding: 'ieee-p1363' },
+    Buffer.from(signature, 'base64url'),
+  );
+  if (!valid) {
+    throw new Error('VAPID signature does not verify');
+  }
+  const claims = JSON.parse(Buffer.from(claimsPart, 'base64url').toString());
+  if (claims.aud !== audience) {
+    throw new Error(`VAPID audience ${claims.aud} is not ${audience}`);
+  }
+  if (!(claims.exp > Date.now() / 1000)) {
+    throw new Error('VAPID token has expired');
+  }
+  return { subject: claims.sub, publicKey };
+}
+
+// RFC 8291 / RFC 8188 with a single record.
+function decryptPayload(body, { ecdh, auth }) {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const senderKey = body.subarray(21, 21 + idLength);
+  const record = body.subarray(21 + idLength);
+
+  const secret = ecdh.computeSecret(senderKey);
+  const keyInfo = Buffer.concat([
+    Buffer.from('WebPush: info\0'),
+    ecdh.getPublicKey(),
+    senderKey,
+  ]);
+  const ikm = Buffer.from(hkdfSync('sha256', secret, auth, keyInfo, 32));
+  const cek = Buffer.from(
+    hkdfSync('sha256', ikm, salt, 'Content-Encoding: aes128gcm\0', 16),
+  );
+  const nonce = Buffer.from(
+    hkdfSync('sha256', ikm, salt, 'Content-Encoding: nonce\0', 12),
+  );
+
+  const decipher = createDecipheriv('aes-128-gcm', cek, nonce);
+  decipher.setAuthTag(record.subarray(record.length - 16));
+  const padded = Buffer.concat([
+    decipher.update(record.subarray(0, record.length - 16)),
+    decipher.final(),
+  ]);
+  let end = padded.length - 1;
+  while (end >= 0 && padded[end] === 0) {
+    end -= 1;
+  }
+  if (padded[end] !== 2) {
+    throw new Error('payload is not a final aes128gcm record');
+  }
+  return padded.subarray(0, end);
+}
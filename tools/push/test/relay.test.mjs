@@ -0,0 +1,173 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+import { setTimeout as delay } from 'node:timers/promises';
+import { io } from 'socket.io-client';
+
+import { startMockServer } from '../../mock/server.mjs';
+import { startPushRelay } from '../relay.mjs';
+
+let dir;
+let mock;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'act-push-relay-'));
+  mock = await startMockServer({ port: 0, log: () => {} });
+});
+
+after(async () => {
+  await mock?.close();
+  await rm(dir, { recursive: true, force: true });
+});
+
+async function api(method, path, body) {
+  const response = await fetch(new URL(path, mock.url), {
+    method,
+    headers: {
+      authorization: 'Bearer test-token',
+      'content-type': 'application/json',
+    },
+    body: body && JSON.stringify(body),
+  });
+  return (await response.json()).data;
+}
+
+async function startRelay(pushed, options = {}) {
+  const relay = await startPushRelay({
+    ...options,
+    port: 0,
+    apiUrl: mock.url,
+    token: 'test-token',
+    vapid: {},
+    subscriptionsPath: join(dir, 'subscriptions.json'),
+    pollIntervalMs: 100,
+    send: async (subscription, notification) => {
+      pushed.push(notification);
+      return 201;
+    },
+    log: () => {},
+  });
+  relay.addTransientSubscription({
+    endpoint: 'https://push.example/1',
+    keys: { p256dh: 'key', auth: 'auth' },
+  });
+  return relay;
+}
+
+async function waitForPush(pushed) {
+  for (let attempt = 0; attempt < 100 && pushed.length === 0; attempt += 1) {
+    await delay(100);
+  }
+  await delay(300);
+}
+
+test('a task run that finishes is pushed once', async () => {
+  const pushed = [];
+  const relay = await startRelay(pushed);
+
+  try {
+    const task = await api('POST', '/api/v1/tasks', {
+      title: 'Summarize the README',
+      workspace_ids: ['act'],
+    });
+    await delay(250);
+    const run = await api('POST', `/api/v1/tasks/${task.id}/runs`, {});
+
+    await waitForPush(pushed);
+
+    assert.deepEqual(pushed, [
+      {
+        title: 'Summarize the README: completed',
+        body: `Run ${run.id.slice(0, 8)} finished completed.`,
+        tag: `run:${run.id}`,
+        launch: `task/${task.id}/runs/${run.id}`,
+      },
+    ]);
+  } finally {
+    await relay.close();
+  }
+});
+
+test('a socket-started task execution that finishes is pushed once', async () => {
+  const pushed = [];
+  const relay = await startRelay(pushed);
+  const socket = io(mock.url, {
+    path: '/socket.io/',
+    transports: ['websocket'],
+    reconnection: false,
+  });
+
+  try {
+    const task = await api('POST', '/api/v1/tasks', {
+      title: 'Run the checks',
+      workspace_ids: ['act'],
+    });
+    await delay(250);
+    socket.emit('authenticate', { token: 'test-token' });
+    await once(socket, 'authenticated');
+    socket.emit('task:execution:start', { taskId: task.id });
+    const [started] = await once(socket, 'task:execution:started');
+
+    await waitForPush(pushed);
+
+    assert.equal(pushed.length, 1);
+    assert.equal(pushed[0].title, 'Run the checks: completed');
+    assert.equal(pushed[0].tag, `execution:${started.executionId}`);
+    assert.equal(pushed[0].launch, `task/${task.id}`);
+    assert.match(pushed[0].body, /finished completed \(exit 0\) in 2s\.$/);
+  } finally {
+    socket.close();
+    await relay.close();
+  }
+});
+
+test('only the app origin may call the relay and /test needs the relay token', async () => {
+  const pushed = [];
+  const relay = await startRelay(pushed, {
+    appOrigin: 'http://localhost:4000',
+    relayToken: 'relay-secret',
+  });
+  const post = (path, headers) =>
+    fetch(new URL(path, relay.url), {
+      method: 'POST',
+      headers: { 'content-type': 'text/plain', ...headers },
+      body: JSON.stringify({ launch: 'codex/demo' }),
+    });
+
+  try {
+    const preflight = await fetch(new URL('/subscriptions', relay.url), {
+      method: 'OPTIONS',
+      headers: { origin: 'https://evil.example' },
+    });
+    assert.equal(
+      preflight.headers.get('access-control-allow-origin'),
+      'http://localhost:4000',
+    );
+    assert.equal(
+      (
+        await post('/subscriptions', {
+          origin: 'https://evil.example',
+        })
+      ).status,
+      403,
+    );
+    assert.equal((await post('/test', {})).status, 401);
+    assert.equal(
+      (await post('/test', { authorization: 'Bearer wrong' })).status,
+      401,
+    );
+    assert.deepEqual(pushed, []);
+
+    const sent = await post('/test', {
+      authorization: 'Bearer relay-secret',
+      origin: 'http://localhost:4000',
+    });
+    assert.equal(sent.status, 200);
+    assert.equal(pushed[0].launch, 'codex/demo');
+  } finally {
+    await relay.close();
+  }
+});
@@ -0,0 +1,49 @@
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import webpush from 'web-push';
+
+// Reads the relay's VAPID key pair, creating it on first use. Browsers tie a
+// subscription to the public key, so the file has to outlive the process.
+export async function loadVapidKeys(path) {
+  try {
+    const keys = JSON.parse(await readFile(path, 'utf8'));
+    if (!keys.publicKey || !keys.privateKey) {
+      throw new Error('expected publicKey and privateKey');
+    }
+    return { keys, created: false };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`${path}: ${error.message}`);
+    }
+  }
+  const keys = webpush.generateVAPIDKeys();
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, `${JSON.stringify(keys, null, 2)}\n`, { mode: 0o600 });
+  return { keys, created: true };
+}
+
+// Encrypts `payload` for one subscription (RFC 8291) and posts it with a VAPID
+// header. fetch rather than web-push's own sender, so plain-HTTP endpoints
+// such as the local stand-in work too. Resolves with the push service status.
+export async function sendWebPush(subscription, payload, { keys, subject }) {
+  const details = webpush.generateRequestDetails(
+    subscription,
+    JSON.stringify(payload),
+    {
+      TTL: 3600,
+      urgency: 'high',
+      vapidDetails: {
+        subject,
+        publicKey: keys.publicKey,
+        privateKey: keys.privateKey,
+      },
+    },
+  );
+  const response = await fetch(details.endpoint, {
+    method: details.method,
+    headers: details.headers,
+    body: details.body,
+    signal: AbortSignal.timeout(15000),
+  });
+  return response.status;
+}
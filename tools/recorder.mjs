@@ -0,0 +1,67 @@
+import { parseArgs } from 'node:util';
+
+import { startRecordingProxy } from './recorder/record.mjs';
+import { startReplayServer } from './recorder/replay.mjs';
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    host: { type: 'string', default: '127.0.0.1' },
+    port: { type: 'string', default: process.env.ACT_PROXY_PORT ?? '3005' },
+    target: { type: 'string', default: process.env.ACT_API_BASE_URL },
+    bundle: { type: 'string' },
+    speed: { type: 'string', default: '1' },
+  },
+});
+
+const command = positionals[0];
+if (!['record', 'replay'].includes(command) || !values.bundle) {
+  process.stderr.write(
+    'Usage: recorder.mjs record --target <api-url> --bundle <dir>\n' +
+      '       recorder.mjs replay --bundle <dir> [--speed <n>]\n',
+  );
+  process.exit(1);
+}
+
+let service;
+try {
+  if (command === 'record') {
+    if (!values.target) {
+      throw new Error('record needs --target or ACT_API_BASE_URL');
+    }
+    service = await startRecordingProxy({
+      target: values.target,
+      bundleDir: values.bundle,
+      host: values.host,
+      port: Number(values.port),
+    });
+    process.stdout.write(
+      `Recording ${values.target} through ${service.url} into ${values.bundle}\n`,
+    );
+  } else {
+    const speed = Number(values.speed);
+    if (!Number.isFinite(speed) || speed <= 0) {
+      throw new Error('--speed must be a positive number');
+    }
+    service = await startReplayServer({
+      bundleDir: values.bundle,
+      host: values.host,
+      port: Number(values.port),
+      speed,
+    });
+    const { counts, recorded_at: recordedAt } = service.manifest;
+    process.stdout.write(
+      `Replaying ${values.bundle} (${counts.rest} requests, ${counts.socket} socket frames, recorded ${recordedAt}) on ${service.url}\n`,
+    );
+  }
+} catch (error) {
+  process.stderr.write(`${error.message}\n`);
+  process.exit(1);
+}
+
+function shutdown() {
+  service.close().then(() => process.exit(0));
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,82 @@
+import {
+  createWriteStream,
+  mkdirSync,
+  readFileSync,
+  writeFileSync,
+} from 'node:fs';
+import { join } from 'node:path';
+
+export const bundleVersion = 1;
+
+export function createBundleWriter(directory, manifest) {
+  mkdirSync(directory, { recursive: true });
+  const startedAt = Date.now();
+  const counts = { rest: 0, socket: 0 };
+  const streams = {
+    rest: createWriteStream(join(directory, 'rest.jsonl')),
+    socket: createWriteStream(join(directory, 'socket.jsonl')),
+  };
+
+  function writeManifest() {
+    writeFileSync(
+      join(directory, 'manifest.json'),
+      `${JSON.stringify(
+        {
+          version: bundleVersion,
+          recorded_at: new Date(startedAt).toISOString(),
+          ...manifest,
+          counts,
+        },
+        null,
+        2,
+      )}\n`,
+    );
+  }
+
+  writeManifest();
+
+  return {
+    elapsed: () => Date.now() - startedAt,
+    write(kind, entry) {
+      counts[kind] += 1;
+      streams[kind].write(`${JSON.stringify(entry)}\n`);
+    },
+    close() {
+      writeManifest();
+      return Promise.all(
+        Object.values(streams).map(
+          (stream) => new Promise((resolve) => stream.end(resolve)),
+        ),
+      );
+    },
+  };
+}
+
+export function readBundle(directory) {
+  const manifest = JSON.parse(
+    readFileSync(join(directory, 'manifest.json'), 'utf8'),
+  );
+  if (manifest.version !== bundleVersion) {
+    throw new Error(
+      `${directory}: unsupported bundle version ${manifest.version}`,
+    );
+  }
+  return {
+    manifest,
+    rest: readJsonLines(join(directory, 'rest.jsonl')),
+    socket: readJsonLines(join(directory, 'socket.jsonl')),
+  };
+}
+
+function readJsonLines(file) {
+  return readFileSync(file, 'utf8')
+    .split('\n')
+    .filter((line) => line.trim() !== '')
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file}:${index + 1}: ${error.message}`);
+      }
+    });
+}
@@ -0,0 +1,179 @@
+import { request as httpRequest, createServer } from 'node:http';
+import { request as httpsRequest } from 'node:https';
+import { Server } from 'socket.io';
+import { io as connectUpstream } from 'socket.io-client';
+
+import { applyCors, readBody, sendJson } from '../mock/http.mjs';
+import { createBundleWriter } from './bundle.mjs';
+import { createRedactor } from './redact.mjs';
+
+const hopByHopHeaders = new Set([
+  'connection',
+  'keep-alive',
+  'transfer-encoding',
+  'upgrade',
+  'host',
+  'content-length',
+  'accept-encoding',
+]);
+
+export async function startRecordingProxy({
+  target,
+  bundleDir,
+  host = '127.0.0.1',
+  port = 3005,
+  log = (line) => process.stdout.write(`${line}\n`),
+}) {
+  const upstream = new URL(target);
+  const basePath = upstream.pathname.replace(/\/$/, '');
+  const redact = createRedactor(upstream.href);
+  const bundle = createBundleWriter(bundleDir, {});
+  const server = createServer();
+
+  server.on('request', async (req, res) => {
+    applyCors(req, res);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const startedAt = bundle.elapsed();
+    const requestBody = await readBody(req);
+    let response;
+    try {
+      response = await forward(upstream, basePath, req, requestBody);
+    } catch (error) {
+      log(`${req.method} ${req.url} failed: ${error.message}`);
+      sendJson(res, 502, {
+        success: false,
+        error: `upstream_unreachable: ${error.message}`,
+      });
+      return;
+    }
+
+    const contentType = response.headers['content-type'] ?? '';
+    bundle.write('rest', {
+      t: startedAt,
+      method: req.method,
+      url: redact.url(req.url),
+      request: {
+        headers: redact.headers(req.headers),
+        body: redact.body(requestBody, req.headers['content-type']),
+      },
+      response: {
+        status: response.status,
+        headers: redact.headers(response.headers),
+        body: redact.body(response.body, contentType),
+      },
+      duration_ms: bundle.elapsed() - startedAt,
+    });
+    log(`${req.method} ${req.url} ${response.status} (recorded)`);
+
+    const headers = Object.fromEntries(
+      Object.entries(response.headers).filter(
+        ([name]) =>
+          !hopByHopHeaders.has(name) && !name.startsWith('access-control-'),
+      ),
+    );
+    headers['content-length'] = response.body.length;
+    res.writeHead(response.status, headers);
+    res.end(response.body);
+  });
+
+  const sockets = new Server(server, {
+    path: '/socket.io/',
+    cors: { origin: true, credentials: true },
+  });
+  let connections = 0;
+
+  sockets.on('connection', (socket) => {
+    const connection = connections;
+    connections += 1;
+    const record = (type, extra = {}) =>
+      bundle.write('socket', {
+        t: bundle.elapsed(),
+        connection,
+        type,
+        ...extra,
+      });
+
+    const remote = connectUpstream(upstream.origin, {
+      path: `${basePath}/socket.io/`,
+      transports: ['websocket', 'polling'],
+      reconnection: false,
+      forceNew: true,
+      // Passed on so the upstream mock can refuse pages it does not serve.
+      ...(socket.handshake.headers.origin && {
+        extraHeaders: { origin: socket.handshake.headers.origin },
+      }),
+    });
+    record('connect');
+    log(`socket ${connection} connected`);
+
+    socket.onAny((event, ...args) => {
+      record('client', { event, args: redact.value(args) });
+      remote.emit(event, ...args);
+    });
+    remote.onAny((event, ...args) => {
+      record('server', { event, args: redact.value(args) });
+      socket.emit(event, ...args);
+    });
+    remote.on('connect_error', (error) => {
+      log(`socket ${connection} upstream error: ${error.message}`);
+      socket.disconnect(true);
+    });
+    remote.on('disconnect', () => socket.disconnect(true));
+    socket.on('disconnect', () => {
+      record('disconnect');
+      remote.disconnect();
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+
+  return {
+    url: `http://${host}:${server.address().port}`,
+    close: async () => {
+      const closed = new Promise((resolve) => sockets.close(() => resolve()));
+      server.closeAllConnections();
+      await closed;
+      await bundle.close();
+    },
+  };
+}
+
+function forward(upstream, basePath, req, body) {
+  const url = new URL(`${basePath}${req.url}`, upstream.origin);
+  const headers = Object.fromEntries(
+    Object.entries(req.headers).filter(([name]) => !hopByHopHeaders.has(name)),
+  );
+  headers['accept-encoding'] = 'identity';
+  if (body.length > 0) {
+    headers['content-length'] = body.length;
+  }
+  const send = url.protocol === 'https:' ? httpsRequest : httpRequest;
+
+  return new Promise((resolve, reject) => {
+    const outgoing = send(url, { method: req.method, headers }, (incoming) => {
+      const chunks = [];
+      incoming.on('data', (chunk) => chunks.push(chunk));
+      incoming.on('error', reject);
+      incoming.on('end', () => {
+        resolve({
+          status: incoming.statusCode ?? 502,
+          headers: incoming.headers,
+          body: Buffer.concat(chunks),
+        });
+      });
+    });
+    outgoing.on('error', reject);
+    outgoing.end(body);
+  });
+}
@@ -0,0 +1,120 @@
+// Scrubs credentials before anything reaches a fixture bundle. Bundles are
+// meant to be attached to bug reports, so they follow the tools/README.md
+// rule: no tokens, keys, or account-specific values such as the signed-in
+// account's email address and user name or id.
+
+const redacted = '<redacted>';
+const sensitiveKey =
+  /token|secret|password|passphrase|api[_-]?key|authorization|cookie|private[_-]?key|credential|signature|code_verifier/i;
+const accountKey = /e-?mail|^(user(_?name|_?id)?|login)$/i;
+const jwtPattern = /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+const bearerPattern = /\b(Bearer)\s+[\w.~+/=-]+/gi;
+const emailPattern = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+const keptHeaders = new Set([
+  'content-type',
+  'content-disposition',
+  'location',
+  'accept',
+  'authorization',
+]);
+
+export function createRedactor(upstreamUrl) {
+  const upstream = new URL(upstreamUrl);
+
+  function text(value) {
+    return value
+      .replaceAll(upstream.origin, '{{origin}}')
+      .replaceAll(upstream.host, '{{host}}')
+      .replace(jwtPattern, redacted)
+      .replace(bearerPattern, `$1 ${redacted}`)
+      .replace(emailPattern, redacted);
+  }
+
+  function value(input, key = '') {
+    if (typeof input === 'string') {
+      return redactsKey(key) && input !== '' ? redacted : text(input);
+    }
+    if (typeof input === 'number' && accountKey.test(key)) {
+      return redacted;
+    }
+    if (Array.isArray(input)) {
+      return input.map((item) => value(item, key));
+    }
+    if (input && typeof input === 'object') {
+      return Object.fromEntries(
+        Object.entries(input).map(([name, item]) => [name, value(item, name)]),
+      );
+    }
+    return input;
+  }
+
+  function url(path) {
+    return text(scrubQuery(path));
+  }
+
+  function headers(input) {
+    const output = {};
+    for (const [name, header] of Object.entries(input)) {
+      const lower = name.toLowerCase();
+      if (keptHeaders.has(lower) && header !== undefined) {
+        output[lower] = lower === 'authorization' ? redacted : text(header);
+      }
+    }
+    return output;
+  }
+
+  // JSON and text bodies are stored readable; anything else as base64.
+  function body(buffer, contentType = '') {
+    if (buffer.length === 0) {
+      return null;
+    }
+    if (/json/i.test(contentType)) {
+      try {
+        return { json: value(JSON.parse(buffer.toString('utf8'))) };
+      } catch {
+        // Fall through to text.
+      }
+    }
+    if (/^text\/|json|xml|javascript|markdown/i.test(contentType)) {
+      return { text: text(buffer.toString('utf8')) };
+    }
+    return { base64: buffer.toString('base64') };
+  }
+
+  return { text, value, url, headers, body };
+}
+
+// Path plus query, with credential-looking query values replaced. Replay uses
+// the same form to match incoming requests against recorded ones.
+export function scrubQuery(path) {
+  const parsed = new URL(path, 'http://bundle.invalid');
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (redactsKey(name)) {
+      parsed.searchParams.set(name, redacted);
+    }
+  }
+  return `${parsed.pathname}${parsed.search}`;
+}
+
+function redactsKey(name) {
+  return sensitiveKey.test(name) || accountKey.test(name);
+}
+
+export function restoreOrigin(input, origin) {
+  const host = new URL(origin).host;
+  if (typeof input === 'string') {
+    return input.replaceAll('{{origin}}', origin).replaceAll('{{host}}', host);
+  }
+  if (Array.isArray(input)) {
+    return input.map((item) => restoreOrigin(item, origin));
+  }
+  if (input && typeof input === 'object') {
+    return Object.fromEntries(
+      Object.entries(input).map(([name, item]) => [
+        name,
+        restoreOrigin(item, origin),
+      ]),
+    );
+  }
+  return input;
+}
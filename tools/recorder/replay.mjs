@@ -0,0 +1,229 @@
+import { createServer } from 'node:http';
+import { Server } from 'socket.io';
+
+import {
+  HttpError,
+  applyCors,
+  createRouter,
+  readBody,
+  readJson,
+  sendError,
+  sendJson,
+} from '../mock/http.mjs';
+import { registerSignInRoutes } from '../mock/routes/sign-in.mjs';
+import { readBundle } from './bundle.mjs';
+import { restoreOrigin, scrubQuery } from './redact.mjs';
+
+export async function startReplayServer({
+  bundleDir,
+  host = '127.0.0.1',
+  port = 3005,
+  speed = 1,
+  log = (line) => process.stdout.write(`${line}\n`),
+}) {
+  const bundle = readBundle(bundleDir);
+  const exchanges = indexExchanges(bundle.rest);
+  const connections = groupConnections(bundle.socket);
+  const signIn = createRouter();
+  registerSignInRoutes(signIn);
+  const server = createServer();
+  let origin = '';
+
+  server.on('request', async (req, res) => {
+    applyCors(req, res);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url ?? '/', 'http://replay.local');
+    try {
+      const { route, params } = signIn.match(req.method, url.pathname);
+      if (route) {
+        const body = req.method === 'POST' ? await readJson(req) : {};
+        await route.handler({
+          req,
+          res,
+          params,
+          query: url.searchParams,
+          body,
+        });
+        return;
+      }
+      await readBody(req);
+
+      const exchange = exchanges.next(req.method, scrubQuery(req.url ?? '/'));
+      if (exchange) {
+        sendRecorded(res, exchange.response, origin);
+        log(
+          `${req.method} ${url.pathname} ${exchange.response.status} (replayed)`,
+        );
+        return;
+      }
+      if (url.pathname === '/api/v1/health') {
+        sendJson(res, 200, {
+          success: true,
+          status: 'ok',
+          service: 'act-replay',
+          data: { status: 'ok', service: 'act-replay' },
+        });
+        return;
+      }
+      throw new HttpError(
+        404,
+        'not_recorded',
+        `${req.method} ${url.pathname} is not in the bundle`,
+      );
+    } catch (error) {
+      log(
+        `${req.method} ${url.pathname} ${error.status ?? 500} (not recorded)`,
+      );
+      if (!res.headersSent) {
+        sendError(res, error);
+      }
+    }
+  });
+
+  const sockets = new Server(server, {
+    path: '/socket.io/',
+    cors: { origin: true, credentials: true },
+  });
+  let connectionCount = 0;
+
+  sockets.on('connection', (socket) => {
+    const frames =
+      connections[Math.min(connectionCount, connections.length - 1)] ?? [];
+    connectionCount += 1;
+    const received = [];
+    let index = 0;
+    let lastTime = null;
+    let waitingFor = null;
+    let timer = null;
+
+    function advance() {
+      while (index < frames.length) {
+        const frame = frames[index];
+        if (frame.type === 'disconnect') {
+          return;
+        }
+        if (frame.type === 'client') {
+          const at = received.indexOf(frame.event);
+          if (at === -1) {
+            waitingFor = frame.event;
+            return;
+          }
+          received.splice(0, at + 1);
+          lastTime = frame.t;
+          index += 1;
+          continue;
+        }
+        if (frame.type === 'server') {
+          const delay = lastTime === null ? 0 : (frame.t - lastTime) / speed;
+          lastTime = frame.t;
+          index += 1;
+          timer = setTimeout(() => {
+            socket.emit(frame.event, ...restoreOrigin(frame.args, origin));
+            advance();
+          }, delay);
+          return;
+        }
+        index += 1;
+      }
+    }
+
+    // Recorded server frames only play once the client has sent whatever
+    // preceded them in the recording (authenticate, terminal:create, ...).
+    socket.onAny((event) => {
+      received.push(event);
+      if (event === waitingFor) {
+        waitingFor = null;
+        advance();
+      }
+    });
+    socket.on('disconnect', () => clearTimeout(timer));
+    advance();
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+
+  origin = `http://${host}:${server.address().port}`;
+  return {
+    url: origin,
+    manifest: bundle.manifest,
+    close: () => {
+      const closed = new Promise((resolve) => sockets.close(() => resolve()));
+      server.closeAllConnections();
+      return closed;
+    },
+  };
+}
+
+// Requests replay recorded responses in order per method and URL, repeating
+// the last one once they run out, so polling keeps working. A URL seen only
+// with a different query string falls back to the same path.
+function indexExchanges(entries) {
+  const byUrl = new Map();
+  const byPath = new Map();
+  for (const entry of entries) {
+    for (const [map, key] of [
+      [byUrl, `${entry.method} ${entry.url}`],
+      [byPath, `${entry.method} ${entry.url.split('?')[0]}`],
+    ]) {
+      if (!map.has(key)) {
+        map.set(key, { entries: [], served: 0 });
+      }
+      map.get(key).entries.push(entry);
+    }
+  }
+
+  const take = (queue) => {
+    const entry =
+      queue.entries[Math.min(queue.served, queue.entries.length - 1)];
+    queue.served += 1;
+    return entry;
+  };
+
+  return {
+    next(method, url) {
+      const exact = byUrl.get(`${method} ${url}`);
+      if (exact) {
+        return take(exact);
+      }
+      const path = byPath.get(`${method} ${url.split('?')[0]}`);
+      return path ? take(path) : null;
+    },
+  };
+}
+
+function groupConnections(frames) {
+  const connections = [];
+  for (const frame of frames) {
+    (connections[frame.connection] ??= []).push(frame);
+  }
+  return connections.filter(Boolean);
+}
+
+function sendRecorded(res, response, origin) {
+  const headers = restoreOrigin(response.headers ?? {}, origin);
+  delete headers.authorization;
+  let body = Buffer.alloc(0);
+  if (response.body?.json !== undefined) {
+    body = Buffer.from(
+      JSON.stringify(restoreOrigin(response.body.json, origin)),
+    );
+  } else if (response.body?.text !== undefined) {
+    body = Buffer.from(restoreOrigin(response.body.text, origin));
+  } else if (response.body?.base64 !== undefined) {
+    body = Buffer.from(response.body.base64, 'base64');
+  }
+  headers['content-length'] = body.length;
+  res.writeHead(response.status, headers);
+  res.end(body);
+}
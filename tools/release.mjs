@@ -0,0 +1,167 @@
+import { readFile, readdir, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+import {
+  missingAssets,
+  releaseAssetNames,
+  requiredAssets,
+} from './release/assets.mjs';
+import { mergeReleaseBody } from './release/body.mjs';
+import {
+  buildChangelog,
+  previousTag,
+  readCommits,
+  renderChangelogMarkdown,
+} from './release/changelog.mjs';
+import { verifyReleaseDir } from './release/checksums.mjs';
+
+const usage = `Usage:
+  node tools/release.mjs verify <dir>
+  node tools/release.mjs check-assets --tag <tag> [--release-json <file>] [--dir <dir>] [--only <platform>...]
+  node tools/release.mjs merge-body --tag <tag> --notes <file> (--release-json <file> | --body <file>) --out <file>
+  node tools/release.mjs changelog [--from <ref>] [--to <ref>] [--out <file>] [--json <file>]
+`;
+
+const { positionals, values } = parseArgs({
+  allowPositionals: true,
+  options: {
+    tag: { type: 'string' },
+    'release-json': { type: 'string' },
+    dir: { type: 'string' },
+    only: { type: 'string', multiple: true },
+    notes: { type: 'string' },
+    body: { type: 'string' },
+    out: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string', default: 'HEAD' },
+    json: { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false },
+  },
+});
+
+function fail(message) {
+  process.stderr.write(`[release] ${message}\n`);
+  process.exit(1);
+}
+
+function requireOption(name) {
+  if (!values[name]) {
+    fail(`${command} needs --${name}`);
+  }
+  return values[name];
+}
+
+async function readJson(path) {
+  try {
+    return JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    fail(`${path}: ${error.message}`);
+  }
+}
+
+const [command, ...args] = positionals;
+if (values.help || !command) {
+  process.stdout.write(usage);
+  process.exit(values.help ? 0 : 1);
+}
+
+if (command === 'verify') {
+  const dir = args[0] ?? values.dir;
+  if (!dir) {
+    fail('verify needs a release directory');
+  }
+  let result;
+  try {
+    result = await verifyReleaseDir(dir);
+  } catch (error) {
+    fail(error.message);
+  }
+  for (const name of result.verified) {
+    process.stdout.write(`[release] ok        ${name}\n`);
+  }
+  for (const { name, expected, actual } of result.mismatched) {
+    process.stdout.write(
+      `[release] mismatch  ${name}: expected ${expected}, got ${actual}\n`,
+    );
+  }
+  for (const name of result.missing) {
+    process.stdout.write(`[release] missing   ${name}\n`);
+  }
+  for (const name of result.unlisted) {
+    process.stdout.write(
+      `[release] unlisted  ${name} (not in SHA256SUMS.txt)\n`,
+    );
+  }
+  if (!result.ok) {
+    fail(`${dir} does not match SHA256SUMS.txt`);
+  }
+} else if (command === 'check-assets') {
+  const tag = requireOption('tag');
+  if (!values['release-json'] && !values.dir) {
+    fail('check-assets needs --release-json, --dir or both');
+  }
+  const platforms = new Set(requiredAssets(tag).map((asset) => asset.platform));
+  for (const platform of values.only ?? []) {
+    if (!platforms.has(platform)) {
+      fail(`unknown platform ${platform} (${[...platforms].join(', ')})`);
+    }
+  }
+  const names = [];
+  if (values['release-json']) {
+    names.push(...releaseAssetNames(await readJson(values['release-json'])));
+  }
+  if (values.dir) {
+    try {
+      names.push(...(await readdir(values.dir)));
+    } catch (error) {
+      fail(`${values.dir}: ${error.message}`);
+    }
+  }
+  const missing = missingAssets(names, tag, { only: values.only });
+  if (missing.length > 0) {
+    fail(
+      `release ${tag} is missing ${missing
+        .map((asset) => `${asset.name} (${asset.platform})`)
+        .join(', ')}`,
+    );
+  }
+  process.stdout.write(`[release] ${tag} has every required asset\n`);
+} else if (command === 'merge-body') {
+  const tag = requireOption('tag');
+  const out = requireOption('out');
+  if (Boolean(values['release-json']) === Boolean(values.body)) {
+    fail('merge-body needs exactly one of --release-json and --body');
+  }
+  let notes;
+  let body;
+  try {
+    notes = await readFile(requireOption('notes'), 'utf8');
+    body = values.body
+      ? await readFile(values.body, 'utf8')
+      : (await readJson(values['release-json'])).body;
+    await writeFile(out, mergeReleaseBody(body, tag, notes));
+  } catch (error) {
+    fail(error.message);
+  }
+} else if (command === 'changelog') {
+  let changelog;
+  try {
+    const from = values.from ?? (await previousTag(values.to));
+    const commits = await readCommits({ from, to: values.to });
+    changelog = buildChangelog(commits, { from, to: values.to });
+  } catch (error) {
+    fail(error.stderr?.trim() || error.message);
+  }
+  const markdown = renderChangelogMarkdown(changelog);
+  if (values.out) {
+    await writeFile(values.out, markdown);
+  } else {
+    process.stdout.write(markdown);
+  }
+  if (values.json) {
+    await writeFile(values.json, `${JSON.stringify(changelog, null, 2)}\n`);
+  }
+} else {
+  process.stderr.write(usage);
+  fail(`unknown command ${command}`);
+}
@@ -0,0 +1,29 @@
+export const serverArchs = ['x86_64', 'aarch64'];
+
+// Every asset a complete release for `tag` carries, by platform.
+export function requiredAssets(tag) {
+  return [
+    { platform: 'android', name: `act-android-${tag}.apk` },
+    ...serverArchs.map((arch) => ({
+      platform: `linux-${arch}`,
+      name: `act-server-${tag}-linux-${arch}.tar.gz`,
+    })),
+    { platform: 'license', name: 'BACKEND_BINARY_LICENSE' },
+    { platform: 'checksums', name: 'SHA256SUMS.txt' },
+  ];
+}
+
+// `only` limits the check to some platforms, such as the backend assets
+// before the APK has been attached.
+export function missingAssets(names, tag, { only } = {}) {
+  const available = new Set(names);
+  return requiredAssets(tag).filter(
+    (asset) =>
+      (!only || only.includes(asset.platform)) && !available.has(asset.name),
+  );
+}
+
+// Asset names from a GitHub release as returned by the REST API.
+export function releaseAssetNames(release) {
+  return (release.assets ?? []).map((asset) => asset.name);
+}
@@ -0,0 +1,27 @@
+export function changelogMarkers(tag) {
+  return {
+    start: `<!-- act-release-changelog:${tag}:start -->`,
+    end: `<!-- act-release-changelog:${tag}:end -->`,
+  };
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Puts `notes` between the tag's changelog markers at the end of `body`,
+// replacing any block a previous run left, so running it again changes
+// nothing. Text outside the block, including other tags' blocks, is kept.
+export function mergeReleaseBody(body, tag, notes) {
+  const { start, end } = changelogMarkers(tag);
+  const existingBlock = new RegExp(
+    `${escapeRegExp(start)}[\\s\\S]*?${escapeRegExp(end)}\\n*`,
+    'm',
+  );
+  const baseBody = (body ?? '')
+    .replace(/\r\n/g, '\n')
+    .replace(existingBlock, '')
+    .trimEnd();
+  const block = `${start}\n${notes.trimEnd()}\n${end}\n`;
+  return baseBody ? `${baseBody}\n\n${block}` : block;
+}
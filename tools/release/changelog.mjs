@@ -0,0 +1,204 @@
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+
+const execFileAsync = promisify(execFile);
+
+export const sections = [
+  { id: 'features', title: 'Features' },
+  { id: 'fixes', title: 'Fixes' },
+  { id: 'frontend', title: 'Frontend' },
+  { id: 'web', title: 'Web' },
+  { id: 'tooling', title: 'Tooling' },
+  { id: 'other', title: 'Other changes' },
+];
+
+const typeCategories = { feat: 'features', feature: 'features', fix: 'fixes' };
+const toolingTypes = new Set(['build', 'ci', 'chore']);
+const conventionalHeader = /^(\w+)(?:\(([^)]+)\))?(!)?:\s+(.+)$/;
+const breakingFooter =
+  /(?:^|\n)BREAKING[ -]CHANGE:\s*([\s\S]+?)(?:\n\n|\n[\w-]+: |$)/;
+const featurePath = /^frontend\/lib\/src\/features\/([^/]+)\//;
+
+// Fields are separated by \x1f and each commit starts with \x1e, so subjects
+// and bodies can hold anything; `--name-only` lists the files after the body.
+const logFormat = '%x1e%H%x1f%h%x1f%an%x1f%s%x1f%b%x1f';
+
+export function parseGitLog(text) {
+  return text
+    .split('\x1e')
+    .filter((record) => record.trim())
+    .map((record) => {
+      const [hash, shortHash, author, subject, body, files = ''] =
+        record.split('\x1f');
+      return {
+        hash,
+        shortHash,
+        author,
+        subject,
+        body: body.trim(),
+        files: files.split('\n').filter(Boolean),
+      };
+    });
+}
+
+function pathArea(path) {
+  if (path.startsWith('website/')) {
+    return 'web';
+  }
+  if (path.startsWith('frontend/')) {
+    return 'frontend';
+  }
+  if (
+    /^(tools|scripts|\.github)\//.test(path) ||
+    /^(package(-lock)?\.json|act\.dev\.example\.json)$/.test(path)
+  ) {
+    return 'tooling';
+  }
+  return 'other';
+}
+
+// The area most of the commit's files are in; ties go to the earlier section.
+function areaForFiles(files) {
+  const counts = new Map();
+  for (const file of files) {
+    const area = pathArea(file);
+    counts.set(area, (counts.get(area) ?? 0) + 1);
+  }
+  let best = 'other';
+  let bestCount = 0;
+  for (const { id } of sections) {
+    if ((counts.get(id) ?? 0) > bestCount) {
+      best = id;
+      bestCount = counts.get(id);
+    }
+  }
+  return best;
+}
+
+function featureScope(files) {
+  const names = new Set(
+    files.map((file) => featurePath.exec(file)?.[1]).filter(Boolean),
+  );
+  return names.size === 1 ? [...names][0] : undefined;
+}
+
+// A conventional-commit `feat` or `fix` prefix decides the section; anything
+// else is placed by the paths it touches.
+export function classifyCommit(commit) {
+  const header = conventionalHeader.exec(commit.subject);
+  const type = header?.[1].toLowerCase();
+  const footer = breakingFooter.exec(commit.body);
+  const breaking = Boolean(header?.[3] || footer);
+  let category = typeCategories[type] ?? areaForFiles(commit.files);
+  if (category === 'other' && toolingTypes.has(type)) {
+    category = 'tooling';
+  }
+  return {
+    hash: commit.hash,
+    shortHash: commit.shortHash,
+    author: commit.author,
+    type: type ?? null,
+    scope: header?.[2] ?? featureScope(commit.files) ?? null,
+    subject: header ? header[4] : commit.subject,
+    category,
+    breaking,
+    breakingNote: footer ? footer[1].trim().replace(/\s+/g, ' ') : null,
+    files: commit.files,
+  };
+}
+
+export function buildChangelog(commits, { from, to }) {
+  const entries = commits.map(classifyCommit);
+  const contributors = new Map();
+  for (const entry of entries) {
+    contributors.set(entry.author, (contributors.get(entry.author) ?? 0) + 1);
+  }
+  return {
+    from: from ?? null,
+    to,
+    commitCount: entries.length,
+    breaking: entries.filter((entry) => entry.breaking),
+    sections: sections
+      .map(({ id, title }) => ({
+        id,
+        title,
+        commits: entries.filter((entry) => entry.category === id),
+      }))
+      .filter((section) => section.commits.length > 0),
+    contributors: [...contributors]
+      .map(([name, count]) => ({ name, commits: count }))
+      .sort((a, b) => b.commits - a.commits || a.name.localeCompare(b.name)),
+  };
+}
+
+function entryLine(entry) {
+  const scope = entry.scope ? `**${entry.scope}:** ` : '';
+  return `- ${scope}${entry.subject} (\`${entry.shortHash}\`, ${entry.author})`;
+}
+
+export function renderChangelogMarkdown(changelog) {
+  const lines = ['## Changelog', ''];
+  lines.push(
+    changelog.from
+      ? `Changes since \`${changelog.from}\`.`
+      : `Initial tagged release \`${changelog.to}\`.`,
+  );
+  if (changelog.commitCount === 0) {
+    lines.push('', 'No changes.');
+  }
+  if (changelog.breaking.length > 0) {
+    lines.push('', '### Breaking changes', '');
+    for (const entry of changelog.breaking) {
+      lines.push(
+        entry.breakingNote
+          ? `- ${entry.breakingNote} (\`${entry.shortHash}\`)`
+          : entryLine(entry),
+      );
+    }
+  }
+  for (const section of changelog.sections) {
+    lines.push('', `### ${section.title}`, '');
+    lines.push(...section.commits.map(entryLine));
+  }
+  if (changelog.contributors.length > 0) {
+    lines.push('', '### Contributors', '');
+    for (const { name, commits } of changelog.contributors) {
+      lines.push(
+        `- ${name} (${commits} ${commits === 1 ? 'commit' : 'commits'})`,
+      );
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+async function git(args, cwd) {
+  const { stdout } = await execFileAsync('git', args, {
+    cwd,
+    maxBuffer: 64 * 1024 * 1024,
+  });
+  return stdout;
+}
+
+// The newest `v*` tag reachable from the commit before `to`, so a release tag
+// is compared with the one it follows. Undefined for the first release.
+export async function previousTag(to, cwd) {
+  try {
+    const tag = await git(
+      ['describe', '--tags', '--abbrev=0', '--match', 'v*', `${to}^`],
+      cwd,
+    );
+    return tag.trim() || undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+export async function readCommits({ from, to, cwd }) {
+  const range = from ? `${from}..${to}` : to;
+  return parseGitLog(
+    await git(
+      ['log', '--no-merges', `--format=${logFormat}`, '--name-only', range],
+      cwd,
+    ),
+  );
+}
@@ -0,0 +1,70 @@
+import { createHash } from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import { readFile, readdir } from 'node:fs/promises';
+import { join } from 'node:path';
+
+export const checksumsFile = 'SHA256SUMS.txt';
+
+// Parses `sha256sum` output ("<hex>  <name>", `*` before binary-mode names)
+// into a map of file name to lowercase digest.
+export function parseChecksums(text) {
+  const sums = new Map();
+  for (const line of text.split('\n')) {
+    const match = /^([0-9a-f]{64})\s+\*?(.+)$/i.exec(line.trim());
+    if (match) {
+      sums.set(match[2].split('/').at(-1), match[1].toLowerCase());
+    }
+  }
+  return sums;
+}
+
+export async function readChecksums(dir) {
+  try {
+    return parseChecksums(await readFile(join(dir, checksumsFile), 'utf8'));
+  } catch (error) {
+    throw new Error(`${join(dir, checksumsFile)}: ${error.message}`);
+  }
+}
+
+export function sha256File(path) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    createReadStream(path)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Checks every file SHA256SUMS.txt lists against the copy in `dir`. Files in
+// `dir` it does not list are reported but are not an error, since assets such
+// as the APK are attached after the sums are published.
+export async function verifyReleaseDir(dir) {
+  const sums = await readChecksums(dir);
+  const present = new Set(
+    (await readdir(dir, { withFileTypes: true }))
+      .filter((entry) => entry.isFile())
+      .map((entry) => entry.name),
+  );
+  const result = { verified: [], mismatched: [], missing: [], unlisted: [] };
+
+  for (const [name, expected] of sums) {
+    if (!present.has(name)) {
+      result.missing.push(name);
+      continue;
+    }
+    const actual = await sha256File(join(dir, name));
+    if (actual === expected) {
+      result.verified.push(name);
+    } else {
+      result.mismatched.push({ name, expected, actual });
+    }
+  }
+  for (const name of [...present].sort()) {
+    if (name !== checksumsFile && !sums.has(name)) {
+      result.unlisted.push(name);
+    }
+  }
+  result.ok = result.mismatched.length === 0 && result.missing.length === 0;
+  return result;
+}
@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { test } from 'node:test';
+
+import {
+  missingAssets,
+  releaseAssetNames,
+  requiredAssets,
+} from '../assets.mjs';
+
+const fixtures = join(import.meta.dirname, 'fixtures');
+
+test('requiredAssets lists the APK, both server tarballs and the license', () => {
+  assert.deepEqual(
+    requiredAssets('v1.2.3').map((asset) => asset.name),
+    [
+      'act-android-v1.2.3.apk',
+      'act-server-v1.2.3-linux-x86_64.tar.gz',
+      'act-server-v1.2.3-linux-aarch64.tar.gz',
+      'BACKEND_BINARY_LICENSE',
+      'SHA256SUMS.txt',
+    ],
+  );
+});
+
+test('a release with only backend assets is missing the APK', async () => {
+  const release = JSON.parse(
+    await readFile(join(fixtures, 'github-release.json'), 'utf8'),
+  );
+  const names = releaseAssetNames(release);
+  assert.deepEqual(
+    missingAssets(names, 'v1.2.3').map((asset) => asset.platform),
+    ['android'],
+  );
+  assert.deepEqual(
+    missingAssets(names, 'v1.2.3', {
+      only: ['linux-x86_64', 'linux-aarch64', 'license', 'checksums'],
+    }),
+    [],
+  );
+});
+
+test('assets for another tag do not count', () => {
+  const names = requiredAssets('v1.2.2').map((asset) => asset.name);
+  assert.deepEqual(
+    missingAssets(names, 'v1.2.3').map((asset) => asset.name),
+    [
+      'act-android-v1.2.3.apk',
+      'act-server-v1.2.3-linux-x86_64.tar.gz',
+      'act-server-v1.2.3-linux-aarch64.tar.gz',
+    ],
+  );
+});
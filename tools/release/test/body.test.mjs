@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { test } from 'node:test';
+
+import { changelogMarkers, mergeReleaseBody } from '../body.mjs';
+
+const fixtures = join(import.meta.dirname, 'fixtures');
+const read = (name) => readFile(join(fixtures, name), 'utf8');
+
+test('mergeReleaseBody appends the changelog and keeps other tags', async () => {
+  const release = JSON.parse(await read('github-release.json'));
+  const merged = mergeReleaseBody(
+    release.body,
+    'v1.2.3',
+    await read('release-notes.md'),
+  );
+  assert.equal(merged, await read('release-body.expected.md'));
+});
+
+test('mergeReleaseBody is idempotent', async () => {
+  const notes = await read('release-notes.md');
+  const once = mergeReleaseBody('Backend binaries.', 'v1.2.3', notes);
+  assert.equal(mergeReleaseBody(once, 'v1.2.3', notes), once);
+});
+
+test('mergeReleaseBody replaces an earlier block for the same tag', () => {
+  const { start, end } = changelogMarkers('v1.2.3');
+  const body = `Intro\n\n${start}\nold notes\n${end}\n\nFooter\n`;
+  assert.equal(
+    mergeReleaseBody(body, 'v1.2.3', 'new notes\n'),
+    `Intro\n\nFooter\n\n${start}\nnew notes\n${end}\n`,
+  );
+});
+
+test('mergeReleaseBody handles a release without a body', () => {
+  const { start, end } = changelogMarkers('v1.2.3');
+  assert.equal(
+    mergeReleaseBody(null, 'v1.2.3', 'notes'),
+    `${start}\nnotes\n${end}\n`,
+  );
+});
@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { test } from 'node:test';
+
+import {
+  buildChangelog,
+  classifyCommit,
+  parseGitLog,
+  renderChangelogMarkdown,
+} from '../changelog.mjs';
+
+const fixtures = join(import.meta.dirname, 'fixtures');
+const read = (name) => readFile(join(fixtures, name), 'utf8');
+
+test('parseGitLog reads records with bodies and file lists', () => {
+  const text = [
+    '\x1eaaa\x1fa\x1fAda\x1ffeat: One\x1fLine one\nLine two\n\x1f\n\nfrontend/a.dart\nwebsite/index.html\n',
+    '\x1ebbb\x1fb\x1fGrace\x1fTwo\x1f\x1f\n',
+  ].join('');
+  assert.deepEqual(parseGitLog(text), [
+    {
+      hash: 'aaa',
+      shortHash: 'a',
+      author: 'Ada',
+      subject: 'feat: One',
+      body: 'Line one\nLine two',
+      files: ['frontend/a.dart', 'website/index.html'],
+    },
+    {
+      hash: 'bbb',
+      shortHash: 'b',
+      author: 'Grace',
+      subject: 'Two',
+      body: '',
+      files: [],
+    },
+  ]);
+});
+
+test('the fixture commits render to the expected Markdown', async () => {
+  const commits = JSON.parse(await read('commits.json'));
+  const changelog = buildChangelog(commits, { from: 'v1.2.2', to: 'v1.2.3' });
+  assert.equal(
+    renderChangelogMarkdown(changelog),
+    await read('changelog.expected.md'),
+  );
+  assert.deepEqual(
+    changelog.sections.map((section) => section.id),
+    ['features', 'fixes', 'frontend', 'web', 'tooling', 'other'],
+  );
+  assert.deepEqual(
+    changelog.breaking.map((entry) => entry.shortHash),
+    ['a1a1a1a'],
+  );
+});
+
+test('a conventional prefix wins over the paths', () => {
+  const entry = classifyCommit({
+    subject: 'fix(web): Serve the manifest',
+    body: '',
+    files: ['website/manifest.json'],
+  });
+  assert.equal(entry.category, 'fixes');
+  assert.equal(entry.scope, 'web');
+  assert.equal(entry.subject, 'Serve the manifest');
+});
+
+test('other conventional types are placed by their paths', () => {
+  assert.equal(
+    classifyCommit({
+      subject: 'refactor: Split the API client',
+      body: '',
+      files: ['frontend/lib/src/services/act_api.dart'],
+    }).category,
+    'frontend',
+  );
+  assert.equal(
+    classifyCommit({ subject: 'chore: Bump versions', body: '', files: [] })
+      .category,
+    'tooling',
+  );
+});
+
+test('a breaking footer flags a commit without the ! marker', () => {
+  const entry = classifyCommit({
+    subject: 'Drop the v0 pairing endpoint',
+    body: 'Clients must pair again.\n\nBREAKING-CHANGE: /api/v0/pair is gone',
+    files: ['tools/mock-server.mjs'],
+  });
+  assert.equal(entry.breaking, true);
+  assert.equal(entry.breakingNote, '/api/v0/pair is gone');
+  assert.equal(entry.category, 'tooling');
+});
+
+test('a range without a previous tag is the initial release', () => {
+  const markdown = renderChangelogMarkdown(
+    buildChangelog([], { to: 'v0.1.0' }),
+  );
+  assert.equal(
+    markdown,
+    '## Changelog\n\nInitial tagged release `v0.1.0`.\n\nNo changes.\n',
+  );
+});
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { appendFile, cp, mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, test } from 'node:test';
+
+import { parseChecksums, verifyReleaseDir } from '../checksums.mjs';
+
+const fixtureDir = join(import.meta.dirname, 'fixtures', 'v1.2.3');
+const tempDirs = [];
+
+async function copyFixture() {
+  const dir = await mkdtemp(join(tmpdir(), 'act-release-test-'));
+  tempDirs.push(dir);
+  await cp(fixtureDir, dir, { recursive: true });
+  return dir;
+}
+
+after(() =>
+  Promise.all(tempDirs.map((dir) => rm(dir, { recursive: true, force: true }))),
+);
+
+test('parseChecksums reads text and binary mode lines', () => {
+  const sums = parseChecksums(
+    [
+      `${'a'.repeat(64)}  act-server-v1-linux-x86_64.tar.gz`,
+      `${'B'.repeat(64)} *dist/BACKEND_BINARY_LICENSE`,
+      'not a checksum line',
+      '',
+    ].join('\n'),
+  );
+  assert.deepEqual(
+    [...sums],
+    [
+      ['act-server-v1-linux-x86_64.tar.gz', 'a'.repeat(64)],
+      ['BACKEND_BINARY_LICENSE', 'b'.repeat(64)],
+    ],
+  );
+});
+
+test('verifyReleaseDir accepts the fixture release', async () => {
+  const result = await verifyReleaseDir(fixtureDir);
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.verified.sort(), [
+    'BACKEND_BINARY_LICENSE',
+    'act-server-v1.2.3-linux-aarch64.tar.gz',
+    'act-server-v1.2.3-linux-x86_64.tar.gz',
+  ]);
+  assert.deepEqual(result.unlisted, ['act-android-v1.2.3.apk']);
+});
+
+test('verifyReleaseDir reports a changed asset', async () => {
+  const dir = await copyFixture();
+  await appendFile(join(dir, 'BACKEND_BINARY_LICENSE'), 'tampered\n');
+  const result = await verifyReleaseDir(dir);
+  assert.equal(result.ok, false);
+  assert.deepEqual(
+    result.mismatched.map((entry) => entry.name),
+    ['BACKEND_BINARY_LICENSE'],
+  );
+});
+
+test('verifyReleaseDir reports a listed asset that is missing', async () => {
+  const dir = await copyFixture();
+  await rm(join(dir, 'act-server-v1.2.3-linux-aarch64.tar.gz'));
+  const result = await verifyReleaseDir(dir);
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.missing, ['act-server-v1.2.3-linux-aarch64.tar.gz']);
+});
+
+test('verifyReleaseDir fails without SHA256SUMS.txt', async () => {
+  const dir = await copyFixture();
+  await rm(join(dir, 'SHA256SUMS.txt'));
+  await assert.rejects(verifyReleaseDir(dir), /SHA256SUMS\.txt/);
+});
@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, test } from 'node:test';
+import { promisify } from 'node:util';
+
+const execFileAsync = promisify(execFile);
+const cli = join(import.meta.dirname, '..', '..', 'release.mjs');
+const fixtures = join(import.meta.dirname, 'fixtures');
+const outDir = await mkdtemp(join(tmpdir(), 'act-release-cli-'));
+
+after(() => rm(outDir, { recursive: true, force: true }));
+
+async function release(...args) {
+  return runRelease(args);
+}
+
+async function runRelease(args, options) {
+  try {
+    const { stdout, stderr } = await execFileAsync(
+      process.execPath,
+      [cli, ...args],
+      options,
+    );
+    return { code: 0, stdout, stderr };
+  } catch (error) {
+    return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+  }
+}
+
+test('verify passes for the fixture release', async () => {
+  const result = await release('verify', join(fixtures, 'v1.2.3'));
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(result.stdout, /unlisted {2}act-android-v1\.2\.3\.apk/);
+});
+
+test('check-assets fails when the APK is not attached', async () => {
+  const result = await release(
+    'check-assets',
+    '--tag',
+    'v1.2.3',
+    '--release-json',
+    join(fixtures, 'github-release.json'),
+  );
+  assert.equal(result.code, 1);
+  assert.match(result.stderr, /act-android-v1\.2\.3\.apk \(android\)/);
+});
+
+test('check-assets passes with the release and the built APK', async () => {
+  const result = await release(
+    'check-assets',
+    '--tag',
+    'v1.2.3',
+    '--release-json',
+    join(fixtures, 'github-release.json'),
+    '--dir',
+    join(fixtures, 'v1.2.3'),
+  );
+  assert.equal(result.code, 0, result.stderr);
+});
+
+test('merge-body writes the expected release body', async () => {
+  const out = join(outDir, 'release-body.md');
+  const result = await release(
+    'merge-body',
+    '--tag',
+    'v1.2.3',
+    '--notes',
+    join(fixtures, 'release-notes.md'),
+    '--release-json',
+    join(fixtures, 'github-release.json'),
+    '--out',
+    out,
+  );
+  assert.equal(result.code, 0, result.stderr);
+  assert.equal(
+    await readFile(out, 'utf8'),
+    await readFile(join(fixtures, 'release-body.expected.md'), 'utf8'),
+  );
+});
+
+test('unknown commands fail with usage', async () => {
+  const result = await release('publish');
+  assert.equal(result.code, 1);
+  assert.match(result.stderr, /Usage:/);
+});
+
+test('changelog covers the commits since the previous tag', async () => {
+  const repo = join(outDir, 'repo');
+  await mkdir(join(repo, 'website'), { recursive: true });
+  const env = {
+    ...process.env,
+    GIT_AUTHOR_NAME: 'Ada',
+    GIT_AUTHOR_EMAIL: 'ada@example.com',
+    GIT_COMMITTER_NAME: 'Ada',
+    GIT_COMMITTER_EMAIL: 'ada@example.com',
+  };
+  const git = (...args) => execFileAsync('git', args, { cwd: repo, env });
+  const commit = async (path, subject) => {
+    await writeFile(join(repo, path), `${subject}\n`);
+    await git('add', path);
+    await git('commit', '-q', '-m', subject);
+  };
+
+  await git('init', '-q');
+  await commit('README.md', 'Initial commit');
+  await git('tag', 'v0.1.0');
+  await commit('website/index.html', 'Refresh the landing page');
+  await commit('README.md', 'feat!: Require a paired device');
+  await git('tag', 'v0.2.0');
+
+  const json = join(outDir, 'changelog.json');
+  const result = await runRelease(
+    ['changelog', '--to', 'v0.2.0', '--json', json],
+    { cwd: repo },
+  );
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(result.stdout, /Changes since `v0\.1\.0`\./);
+  assert.match(result.stdout, /### Web\n\n- Refresh the landing page/);
+  assert.doesNotMatch(result.stdout, /Initial commit/);
+  const changelog = JSON.parse(await readFile(json, 'utf8'));
+  assert.equal(changelog.from, 'v0.1.0');
+  assert.equal(changelog.commitCount, 2);
+  assert.deepEqual(
+    changelog.breaking.map((entry) => entry.subject),
+    ['Require a paired device'],
+  );
+});
@@ -0,0 +1,67 @@
+import { createServer } from 'node:http';
+import { parseArgs } from 'node:util';
+
+import { createSocketServer } from './mock/socket.mjs';
+import {
+  findScenario,
+  loadScenarios,
+  registerTaskExecutionSimulator,
+} from './mock/task-simulator.mjs';
+
+const { values } = parseArgs({
+  options: {
+    host: { type: 'string', default: process.env.ACT_MOCK_HOST ?? '127.0.0.1' },
+    port: { type: 'string', default: process.env.ACT_TASK_SIM_PORT ?? '3002' },
+    scenario: { type: 'string', multiple: true, default: [] },
+    play: { type: 'string' },
+    speed: { type: 'string', default: '1' },
+  },
+});
+
+const speed = Number(values.speed);
+if (!Number.isFinite(speed) || speed <= 0) {
+  process.stderr.write('--speed must be a positive number\n');
+  process.exit(1);
+}
+
+let scenarios;
+let play;
+try {
+  scenarios = await loadScenarios(values.scenario);
+  play = findScenario(scenarios, values.play);
+} catch (error) {
+  process.stderr.write(`${error.message}\n`);
+  process.exit(1);
+}
+
+const server = createServer((req, res) => {
+  res.writeHead(req.url === '/api/v1/health' ? 200 : 404, {
+    'content-type': 'application/json',
+  });
+  res.end(JSON.stringify({ status: 'ok', service: 'act-task-simulator' }));
+});
+const sockets = createSocketServer(server);
+const simulator = registerTaskExecutionSimulator(sockets, {
+  scenarios,
+  play,
+  speed,
+  log: (line) => process.stdout.write(`${line}\n`),
+});
+
+server.listen(Number(values.port), values.host, () => {
+  const { port } = server.address();
+  process.stdout.write(
+    `ACT task simulator listening on http://${values.host}:${port}\n`,
+  );
+  for (const scenario of scenarios) {
+    process.stdout.write(`- ${scenario.name} (${scenario.source})\n`);
+  }
+});
+
+function shutdown() {
+  simulator.close();
+  sockets.close().then(() => process.exit(0));
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);